@@ -4,8 +4,24 @@ import Header from './components/Header';
 import Footer from './components/Footer';
 import HomePageContent from './components/pages/HomePageContent';
 import Login from './components/pages/Login';
+import AcceptInvitePage from './components/pages/AcceptInvitePage';
+import ForgotPasswordPage from './components/pages/ForgotPasswordPage';
+import ResetPasswordPage from './components/pages/ResetPasswordPage';
 import Dashboard from './components/pages/admin/Dashboard';
 import LeadsPage from './components/pages/admin/LeadsPage';
+import DuplicatesPage from './components/pages/admin/DuplicatesPage';
+import ImportLeadsPage from './components/pages/admin/ImportLeadsPage';
+import TrashPage from './components/pages/admin/TrashPage';
+import LeadDetailPage from './components/pages/admin/LeadDetailPage';
+import PipelinePage from './components/pages/admin/PipelinePage';
+import FieldsPage from './components/pages/admin/FieldsPage';
+import AssignmentPage from './components/pages/admin/AssignmentPage';
+import WebhooksPage from './components/pages/admin/WebhooksPage';
+import WebhookDeliveriesPage from './components/pages/admin/WebhookDeliveriesPage';
+import UsersPage from './components/pages/admin/UsersPage';
+import SecurityPage from './components/pages/admin/SecurityPage';
+import AccountPage from './components/pages/admin/AccountPage';
+import SessionsPage from './components/pages/admin/SessionsPage';
 import ProtectedRoute from './components/admin/ProtectedRoute';
 import './index.css';
 
@@ -27,25 +43,148 @@ function App() {
         
         <Route path="/login" element={<Login />} />
 
+        <Route path="/invite/:token" element={<AcceptInvitePage />} />
+
+        <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+
+        <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+
         {/* Rotas Protegidas (Admin) */}
         <Route
           path="/admin"
           element={
-            <ProtectedRoute>
+            <ProtectedRoute permission="dashboard">
               <Dashboard />
             </ProtectedRoute>
           }
         />
 
+        <Route
+          path="/admin/account"
+          element={
+            <ProtectedRoute permission="dashboard">
+              <AccountPage />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/sessions"
+          element={
+            <ProtectedRoute permission="dashboard">
+              <SessionsPage />
+            </ProtectedRoute>
+          }
+        />
+
         <Route
           path="/admin/leads"
           element={
-            <ProtectedRoute>
+            <ProtectedRoute permission="leads">
               <LeadsPage />
             </ProtectedRoute>
           }
         />
 
+        <Route
+          path="/admin/leads/duplicates"
+          element={
+            <ProtectedRoute permission="admin">
+              <DuplicatesPage />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/leads/import"
+          element={
+            <ProtectedRoute permission="admin">
+              <ImportLeadsPage />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/leads/trash"
+          element={
+            <ProtectedRoute permission="admin">
+              <TrashPage />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/leads/:id"
+          element={
+            <ProtectedRoute permission="leads">
+              <LeadDetailPage />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/pipeline"
+          element={
+            <ProtectedRoute permission="admin">
+              <PipelinePage />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/fields"
+          element={
+            <ProtectedRoute permission="admin">
+              <FieldsPage />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/assignment"
+          element={
+            <ProtectedRoute permission="admin">
+              <AssignmentPage />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/users"
+          element={
+            <ProtectedRoute permission="admin">
+              <UsersPage />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/security"
+          element={
+            <ProtectedRoute permission="admin">
+              <SecurityPage />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/webhooks"
+          element={
+            <ProtectedRoute permission="admin">
+              <WebhooksPage />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/webhooks/deliveries"
+          element={
+            <ProtectedRoute permission="admin">
+              <WebhookDeliveriesPage />
+            </ProtectedRoute>
+          }
+        />
+
         {/* Rota não encontrada - redireciona para home */}
         <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
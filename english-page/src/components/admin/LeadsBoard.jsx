@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { fetchLeads, updateLeadStatus } from '../../services/leads';
+import styles from '../../styles/Admin.module.css';
+
+const PAGE_SIZE = 20;
+
+// Move o card entre colunas sem esperar a API (desfeito se o PATCH falhar)
+const moveCard = (columns, lead, from, to) => {
+  const source = columns[from] || { leads: [], total: 0 };
+  const target = columns[to] || { leads: [], total: 0 };
+
+  return {
+    ...columns,
+    [from]: {
+      ...source,
+      leads: source.leads.filter(l => l.id !== lead.id),
+      total: source.total - 1
+    },
+    [to]: {
+      ...target,
+      leads: [{ ...lead, status: to }, ...target.leads],
+      total: target.total + 1
+    }
+  };
+};
+
+const LeadsBoard = ({ stages, filters }) => {
+  const [columns, setColumns] = useState({});
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  // Última busca de cada coluna: respostas de buscas anteriores (filtros que já mudaram) são ignoradas
+  const requestIds = useRef({});
+
+  const loadColumn = useCallback(async (stageKey, offset = 0) => {
+    const requestId = (requestIds.current[stageKey] || 0) + 1;
+    requestIds.current[stageKey] = requestId;
+
+    setColumns(prev => ({
+      ...prev,
+      [stageKey]: { leads: [], total: 0, ...prev[stageKey], loading: true }
+    }));
+
+    try {
+      const data = await fetchLeads({ ...filters, status: stageKey, limit: PAGE_SIZE, offset });
+      if (requestIds.current[stageKey] !== requestId) return;
+
+      setColumns(prev => {
+        // Depois de um drop a ordem no servidor muda, então a página seguinte pode repetir cards
+        const loaded = offset === 0 ? [] : prev[stageKey]?.leads || [];
+        const loadedIds = new Set(loaded.map(lead => lead.id));
+
+        return {
+          ...prev,
+          [stageKey]: {
+            leads: [...loaded, ...data.leads.filter(lead => !loadedIds.has(lead.id))],
+            total: data.total,
+            loading: false
+          }
+        };
+      });
+    } catch (err) {
+      if (requestIds.current[stageKey] !== requestId) return;
+
+      console.error('Erro ao buscar leads da coluna:', err);
+      setColumns(prev => ({
+        ...prev,
+        [stageKey]: { ...prev[stageKey], loading: false }
+      }));
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    stages.forEach(stage => loadColumn(stage.key));
+  }, [stages, loadColumn]);
+
+  const loadMore = (stageKey) => {
+    const column = columns[stageKey];
+    if (!column || column.loading || column.leads.length >= column.total) return;
+    loadColumn(stageKey, column.leads.length);
+  };
+
+  // Carrega a próxima página quando a coluna chega perto do fim
+  const handleScroll = (e, stageKey) => {
+    const { scrollTop, clientHeight, scrollHeight } = e.currentTarget;
+    if (scrollTop + clientHeight >= scrollHeight - 80) {
+      loadMore(stageKey);
+    }
+  };
+
+  const handleDragStart = (e, lead) => {
+    // Firefox só inicia o drag com algum dado no dataTransfer
+    e.dataTransfer.setData('text/plain', String(lead.id));
+    e.dataTransfer.effectAllowed = 'move';
+    setDragging({ lead, from: lead.status });
+  };
+
+  const handleDragOver = (e, stageKey) => {
+    if (!dragging) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (dropTarget !== stageKey) setDropTarget(stageKey);
+  };
+
+  const handleDrop = async (e, stageKey) => {
+    e.preventDefault();
+    setDropTarget(null);
+
+    if (!dragging || dragging.from === stageKey) {
+      setDragging(null);
+      return;
+    }
+
+    const { lead, from } = dragging;
+    setDragging(null);
+    setColumns(prev => moveCard(prev, lead, from, stageKey));
+
+    try {
+      await updateLeadStatus(lead.id, stageKey);
+    } catch (err) {
+      alert('Erro ao atualizar status: ' + err.message);
+      console.error(err);
+      loadColumn(from);
+      loadColumn(stageKey);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('pt-BR', {
+      day: '2-digit',
+      month: '2-digit'
+    });
+  };
+
+  return (
+    <div className={styles.board}>
+      {stages.map(stage => {
+        const column = columns[stage.key] || { leads: [], total: 0, loading: true };
+        const remaining = column.total - column.leads.length;
+
+        return (
+          <section
+            key={stage.key}
+            className={`${styles.boardColumn} ${dropTarget === stage.key ? styles.boardColumnDrop : ''}`}
+            onDragOver={(e) => handleDragOver(e, stage.key)}
+            onDragLeave={() => setDropTarget(null)}
+            onDrop={(e) => handleDrop(e, stage.key)}
+            aria-label={stage.label}
+          >
+            <header className={styles.boardColumnHeader} style={{ borderTopColor: stage.color }}>
+              <span>
+                <span className={styles.stageDot} style={{ background: stage.color }} />
+                {stage.label}
+              </span>
+              <span className={styles.boardCount}>{column.total}</span>
+            </header>
+
+            <div className={styles.boardColumnBody} onScroll={(e) => handleScroll(e, stage.key)}>
+              {column.leads.map(lead => (
+                <article
+                  key={lead.id}
+                  className={`${styles.boardCard} ${dragging?.lead.id === lead.id ? styles.boardCardDragging : ''}`}
+                  draggable
+                  onDragStart={(e) => handleDragStart(e, lead)}
+                  onDragEnd={() => {
+                    setDragging(null);
+                    setDropTarget(null);
+                  }}
+                >
+                  <Link to={`/admin/leads/${lead.id}`} className={styles.leadLink}>
+                    <strong>{lead.name}</strong>
+                  </Link>
+                  <div className={styles.boardCardMeta}>📱 {lead.whatsapp}</div>
+                  <div className={styles.boardCardMeta}>
+                    {lead.source}
+                    {lead.utm_campaign && lead.utm_campaign !== 'none' && ` • 🎯 ${lead.utm_campaign}`}
+                    {' • '}{formatDate(lead.created_at)}
+                  </div>
+                </article>
+              ))}
+
+              {column.loading && (
+                <div className={styles.boardCardMeta}>⏳ Carregando...</div>
+              )}
+
+              {!column.loading && column.total === 0 && (
+                <div className={styles.boardCardMeta}>Nenhum lead</div>
+              )}
+
+              {!column.loading && remaining > 0 && (
+                <button onClick={() => loadMore(stage.key)} className={styles.refreshButton}>
+                  Carregar mais ({remaining})
+                </button>
+              )}
+            </div>
+          </section>
+        );
+      })}
+    </div>
+  );
+};
+
+export default LeadsBoard;
@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import LeadsExport from './LeadsExport';
+import { buildBulkSelection, bulkUpdateLeadStatus, bulkUpdateLeadTags, bulkAssignLeads, bulkDeleteLeads } from '../../services/leads';
+import styles from '../../styles/Admin.module.css';
+
+// Barra de ações em lote: aparece quando há leads marcados na tabela
+// (canManage = atribuir e deletar, só para administradores)
+const LeadsBulkBar = ({ selection, filters, total, pageSize, stages = [], tags = [], users = [], canManage = true, onSelectAllMatching, onClear, onDone }) => {
+  const [status, setStatus] = useState('');
+  const [tag, setTag] = useState('');
+  // '' = nada escolhido; 'none' tira o responsável
+  const [assignee, setAssignee] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const count = selection.allMatching ? total : selection.ids.size;
+  const body = buildBulkSelection(selection, filters);
+  const plural = count !== 1 ? 's' : '';
+
+  const run = async (action) => {
+    setWorking(true);
+
+    try {
+      await action();
+      onDone();
+    } catch (err) {
+      alert('Erro na ação em lote: ' + err.message);
+      console.error(err);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleStatus = () => {
+    const stage = stages.find(option => option.key === status);
+    if (!window.confirm(`Mover ${count} lead${plural} para "${stage?.label || status}"?`)) return;
+
+    run(async () => {
+      await bulkUpdateLeadStatus(body, status);
+      setStatus('');
+    });
+  };
+
+  // mode: 'add' ou 'remove'
+  const handleTag = (mode) => {
+    const name = tag.trim();
+
+    run(async () => {
+      await bulkUpdateLeadTags(body, { [mode]: [name] });
+      setTag('');
+    });
+  };
+
+  const handleAssign = () => {
+    const user = users.find(option => String(option.id) === assignee);
+    const message = user
+      ? `Atribuir ${count} lead${plural} a ${user.name}?`
+      : `Deixar ${count} lead${plural} sem responsável?`;
+    if (!window.confirm(message)) return;
+
+    run(async () => {
+      await bulkAssignLeads(body, user ? user.id : null);
+      setAssignee('');
+    });
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Mover ${count} lead${plural} para a lixeira?`)) return;
+
+    run(() => bulkDeleteLeads(body));
+  };
+
+  // Exporta os ids marcados ou, com "todos do filtro", os mesmos filtros da tabela
+  const exportFilters = selection.allMatching ? filters : { ids: [...selection.ids].join(',') };
+
+  return (
+    <div className={styles.bulkBar}>
+      <span className={styles.bulkBarInfo}>
+        {count} lead{plural} selecionado{plural}
+        {!selection.allMatching && selection.ids.size >= pageSize && total > selection.ids.size && (
+          <button onClick={onSelectAllMatching} className={styles.linkButton}>
+            Selecionar todos os {total} que correspondem ao filtro
+          </button>
+        )}
+        <button onClick={onClear} className={styles.linkButton}>
+          Limpar seleção
+        </button>
+      </span>
+
+      <div className={styles.bulkBarActions}>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className={styles.formInput}
+          aria-label="Nova etapa"
+        >
+          <option value="">Mover para...</option>
+          {stages.map(stage => (
+            <option key={stage.key} value={stage.key}>{stage.label}</option>
+          ))}
+        </select>
+        <button onClick={handleStatus} className={styles.primaryButton} disabled={working || !status}>
+          Aplicar
+        </button>
+
+        <input
+          type="text"
+          value={tag}
+          onChange={(e) => setTag(e.target.value)}
+          className={`${styles.formInput} ${styles.tagInput}`}
+          placeholder="Tag"
+          list="bulk-tag-options"
+          aria-label="Tag"
+        />
+        <datalist id="bulk-tag-options">
+          {tags.map(option => <option key={option.id} value={option.name} />)}
+        </datalist>
+        <button onClick={() => handleTag('add')} className={styles.refreshButton} disabled={working || !tag.trim()}>
+          + Tag
+        </button>
+        <button onClick={() => handleTag('remove')} className={styles.refreshButton} disabled={working || !tag.trim()}>
+          − Tag
+        </button>
+
+        {canManage && (
+          <>
+            <select
+              value={assignee}
+              onChange={(e) => setAssignee(e.target.value)}
+              className={styles.formInput}
+              aria-label="Responsável"
+            >
+              <option value="">Atribuir a...</option>
+              {users.map(user => (
+                <option key={user.id} value={user.id}>{user.name}</option>
+              ))}
+              <option value="none">Sem responsável</option>
+            </select>
+            <button onClick={handleAssign} className={styles.primaryButton} disabled={working || !assignee}>
+              Aplicar
+            </button>
+          </>
+        )}
+
+        <LeadsExport filters={exportFilters} total={count} description={`selecionado${plural}`} />
+
+        {canManage && (
+          <button
+            onClick={handleDelete}
+            className={`${styles.refreshButton} ${styles.actionButtonDanger}`}
+            disabled={working}
+          >
+            🗑️ Deletar
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LeadsBulkBar;
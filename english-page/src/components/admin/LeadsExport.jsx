@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { exportLeads } from '../../services/leads';
+import styles from '../../styles/Admin.module.css';
+
+// Mesmas colunas (e ordem) de LEAD_EXPORT_COLUMNS no servidor
+const EXPORT_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'name', label: 'Nome' },
+  { key: 'whatsapp', label: 'WhatsApp' },
+  { key: 'email', label: 'Email' },
+  { key: 'city', label: 'Cidade' },
+  { key: 'country', label: 'País' },
+  { key: 'level', label: 'Nível' },
+  { key: 'goal', label: 'Objetivo' },
+  { key: 'schedule', label: 'Horário' },
+  { key: 'message', label: 'Mensagem' },
+  { key: 'status', label: 'Status' },
+  { key: 'status_label', label: 'Etapa' },
+  { key: 'source', label: 'Origem' },
+  { key: 'utm_source', label: 'UTM source' },
+  { key: 'utm_medium', label: 'UTM medium' },
+  { key: 'utm_campaign', label: 'UTM campaign' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'assigned_name', label: 'Responsável' },
+  { key: 'touchpoint_count', label: 'Envios' },
+  { key: 'created_at', label: 'Criado em' }
+];
+
+const DEFAULT_COLUMNS = ['name', 'whatsapp', 'email', 'city', 'level', 'goal', 'status_label', 'source', 'utm_campaign', 'created_at'];
+
+const LeadsExport = ({ filters, total, description = 'com os filtros atuais' }) => {
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState('xlsx');
+  const [delimiter, setDelimiter] = useState('semicolon');
+  const [columns, setColumns] = useState(DEFAULT_COLUMNS);
+  const [exporting, setExporting] = useState(false);
+
+  const toggleColumn = (key) => {
+    setColumns(prev => (prev.includes(key) ? prev.filter(column => column !== key) : [...prev, key]));
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+
+    try {
+      // Mantém a ordem das colunas da lista, não a ordem em que foram marcadas
+      const ordered = EXPORT_COLUMNS.map(column => column.key).filter(key => columns.includes(key));
+      await exportLeads(filters, { format, columns: ordered, delimiter });
+      setOpen(false);
+    } catch (err) {
+      alert('Erro ao exportar: ' + err.message);
+      console.error(err);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className={styles.exportMenu}>
+      <button onClick={() => setOpen(!open)} className={styles.refreshButton}>
+        📥 Exportar
+      </button>
+
+      {open && (
+        <div className={`${styles.formCard} ${styles.exportPanel}`}>
+          <h2 className={styles.sectionTitle}>
+            Exportar {total} lead{total !== 1 ? 's' : ''} {description}
+          </h2>
+
+          <div className={styles.formGrid}>
+            <div className={styles.formGroup}>
+              <label htmlFor="export-format" className={styles.formLabel}>Formato</label>
+              <select
+                id="export-format"
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                className={styles.formInput}
+              >
+                <option value="xlsx">Excel (.xlsx)</option>
+                <option value="csv">CSV (.csv)</option>
+              </select>
+            </div>
+
+            {format === 'csv' && (
+              <div className={styles.formGroup}>
+                <label htmlFor="export-delimiter" className={styles.formLabel}>Separador</label>
+                <select
+                  id="export-delimiter"
+                  value={delimiter}
+                  onChange={(e) => setDelimiter(e.target.value)}
+                  className={styles.formInput}
+                >
+                  <option value="semicolon">Ponto e vírgula (Excel em português)</option>
+                  <option value="comma">Vírgula (Google Sheets, Excel em inglês)</option>
+                </select>
+              </div>
+            )}
+          </div>
+
+          <p className={styles.formLabel}>Colunas</p>
+          <div className={styles.checkboxList}>
+            {EXPORT_COLUMNS.map(column => (
+              <label key={column.key} className={styles.checkboxLabel}>
+                <input
+                  type="checkbox"
+                  checked={columns.includes(column.key)}
+                  onChange={() => toggleColumn(column.key)}
+                />
+                {column.label}
+              </label>
+            ))}
+          </div>
+
+          <div className={styles.formActions}>
+            <button
+              onClick={handleExport}
+              className={styles.primaryButton}
+              disabled={exporting || columns.length === 0}
+            >
+              {exporting ? '⏳ Exportando...' : '📥 Baixar planilha'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeadsExport;
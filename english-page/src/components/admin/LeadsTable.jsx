@@ -1,17 +1,38 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
+import { findStage, getStageStyle } from '../../services/pipeline';
+import { getTagStyle } from '../../services/fields';
 import styles from '../../styles/Admin.module.css';
 
-const LeadsTable = ({ leads, onStatusChange, onDelete, loading }) => {
-  const getStatusBadge = (status) => {
-    const badges = {
-      new: { label: 'Novo', class: styles.badgeNew },
-      contacted: { label: 'Contatado', class: styles.badgeContacted },
-      converted: { label: 'Convertido', class: styles.badgeConverted }
-    };
-    
-    return badges[status] || badges.new;
-  };
+// Colunas da tabela; `sort` é a coluna da API usada ao clicar no cabeçalho
+const COLUMNS = [
+  { label: 'ID', sort: 'id' },
+  { label: 'Nome', sort: 'name' },
+  { label: 'WhatsApp', sort: 'whatsapp' },
+  { label: 'Cidade', sort: 'city' },
+  { label: 'Origem', sort: 'source' },
+  { label: 'Campanha', sort: 'utm_campaign' },
+  { label: 'Nível', sort: 'level' },
+  { label: 'Objetivo', sort: 'goal' },
+  { label: 'Data', sort: 'created_at' },
+  { label: 'Status', sort: 'status' },
+  { label: 'Responsável' },
+  { label: 'Ações' }
+];
 
+const LeadsTable = ({
+  leads,
+  stages = [],
+  onStatusChange,
+  onDelete,
+  loading,
+  sort,
+  order,
+  onSortChange,
+  selectedIds,
+  onToggleSelect,
+  onToggleSelectAll
+}) => {
   const getSourceIcon = (source) => {
     const icons = {
       instagram: '📸',
@@ -44,6 +65,12 @@ const LeadsTable = ({ leads, onStatusChange, onDelete, loading }) => {
     return labels[source?.toLowerCase()] || source || 'Desconhecido';
   };
 
+  // Bandeira a partir do código ISO do país (US -> 🇺🇸)
+  const getCountryFlag = (country) => {
+    if (!country) return '🌐';
+    return String.fromCodePoint(...[...country.toUpperCase()].map(c => 127397 + c.charCodeAt(0)));
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('pt-BR', {
@@ -55,18 +82,9 @@ const LeadsTable = ({ leads, onStatusChange, onDelete, loading }) => {
     });
   };
 
-  const handleStatusChange = (leadId, currentStatus) => {
-    const statuses = ['new', 'contacted', 'converted'];
-    const currentIndex = statuses.indexOf(currentStatus);
-    const nextStatus = statuses[(currentIndex + 1) % statuses.length];
-    onStatusChange(leadId, nextStatus);
-  };
-
-  const handleDelete = (leadId, leadName) => {
-    if (window.confirm(`Tem certeza que deseja deletar o lead "${leadName}"?`)) {
-      onDelete(leadId);
-    }
-  };
+  // Seleção para ações em lote (só quando a página passa os handlers)
+  const selectable = Boolean(onToggleSelect);
+  const allSelected = selectable && leads.every(lead => selectedIds.has(lead.id));
 
   if (loading) {
     return (
@@ -90,32 +108,78 @@ const LeadsTable = ({ leads, onStatusChange, onDelete, loading }) => {
       <table className={styles.table}>
         <thead>
           <tr>
-            <th>ID</th>
-            <th>Nome</th>
-            <th>WhatsApp</th>
-            <th>Cidade</th>
-            <th>Origem</th>
-            <th>Campanha</th>
-            <th>Nível</th>
-            <th>Objetivo</th>
-            <th>Data</th>
-            <th>Status</th>
-            <th>Ações</th>
+            {selectable && (
+              <th className={styles.tableSelect}>
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={() => onToggleSelectAll(leads.map(lead => lead.id), !allSelected)}
+                  aria-label="Selecionar todos da página"
+                />
+              </th>
+            )}
+            {COLUMNS.map(column => (
+              <th
+                key={column.label}
+                aria-sort={sort === column.sort ? (order === 'asc' ? 'ascending' : 'descending') : undefined}
+              >
+                {column.sort && onSortChange ? (
+                  <button
+                    onClick={() => onSortChange(column.sort)}
+                    className={styles.sortButton}
+                    title="Ordenar"
+                  >
+                    {column.label}
+                    {sort === column.sort && (order === 'asc' ? ' ▲' : ' ▼')}
+                  </button>
+                ) : column.label}
+              </th>
+            ))}
           </tr>
         </thead>
         <tbody>
           {leads.map((lead) => {
-            const statusBadge = getStatusBadge(lead.status);
+            const stage = findStage(stages, lead.status);
             const sourceIcon = getSourceIcon(lead.source);
             const sourceLabel = getSourceLabel(lead.source);
             
             return (
-              <tr key={lead.id}>
+              <tr key={lead.id} className={selectable && selectedIds.has(lead.id) ? styles.rowSelected : ''}>
+                {selectable && (
+                  <td className={styles.tableSelect}>
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.has(lead.id)}
+                      onChange={() => onToggleSelect(lead.id)}
+                      aria-label={`Selecionar ${lead.name}`}
+                    />
+                  </td>
+                )}
                 <td className={styles.tableId}>#{lead.id}</td>
-                <td className={styles.tableName}>{lead.name}</td>
+                <td className={styles.tableName}>
+                  <Link to={`/admin/leads/${lead.id}`} className={styles.leadLink}>{lead.name}</Link>
+                  {lead.overdue_task_count > 0 && (
+                    <span className={styles.overdueBadge} title="Tarefas atrasadas">
+                      ⏰ {lead.overdue_task_count}
+                    </span>
+                  )}
+                  {lead.touchpoint_count > 1 && (
+                    <span className={styles.eventTag} title="Envios do formulário">
+                      🔁 {lead.touchpoint_count}x
+                    </span>
+                  )}
+                  {lead.tags?.length > 0 && (
+                    <div className={styles.tagList}>
+                      {lead.tags.map(tag => (
+                        <span key={tag.id} className={styles.tagChip} style={getTagStyle(tag)}>{tag.name}</span>
+                      ))}
+                    </div>
+                  )}
+                </td>
                 <td className={styles.tableWhatsapp}>
+                  <span title={lead.country || 'País desconhecido'}>{getCountryFlag(lead.country)} </span>
                   <a 
-                    href={`https://wa.me/${lead.whatsapp.replace(/\D/g, '')}`}
+                    href={`https://wa.me/${(lead.whatsapp_normalized || lead.whatsapp).replace(/\D/g, '')}`}
                     target="_blank"
                     rel="noopener noreferrer"
                     className={styles.whatsappLink}
@@ -142,25 +206,30 @@ const LeadsTable = ({ leads, onStatusChange, onDelete, loading }) => {
                 <td className={styles.tableGoal}>{lead.goal || '-'}</td>
                 <td className={styles.tableDate}>{formatDate(lead.created_at)}</td>
                 <td>
-                  <span className={`${styles.badge} ${statusBadge.class}`}>
-                    {statusBadge.label}
-                  </span>
+                  <select
+                    value={lead.status}
+                    onChange={(e) => onStatusChange(lead.id, e.target.value)}
+                    className={`${styles.badge} ${styles.statusSelect}`}
+                    style={getStageStyle(stage)}
+                    aria-label="Mudar status"
+                  >
+                    {!stage && <option value={lead.status}>{lead.status}</option>}
+                    {stages.map(option => (
+                      <option key={option.key} value={option.key}>{option.label}</option>
+                    ))}
+                  </select>
                 </td>
+                <td>{lead.assigned_name || '-'}</td>
                 <td className={styles.tableActions}>
-                  <button
-                    onClick={() => handleStatusChange(lead.id, lead.status)}
-                    className={styles.actionButton}
-                    title="Mudar status"
-                  >
-                    🔄
-                  </button>
-                  <button
-                    onClick={() => handleDelete(lead.id, lead.name)}
-                    className={`${styles.actionButton} ${styles.actionButtonDanger}`}
-                    title="Deletar"
-                  >
-                    🗑️
-                  </button>
+                  {onDelete && (
+                    <button
+                      onClick={() => onDelete(lead)}
+                      className={`${styles.actionButton} ${styles.actionButtonDanger}`}
+                      title="Mover para a lixeira"
+                    >
+                      🗑️
+                    </button>
+                  )}
                 </td>
               </tr>
             );
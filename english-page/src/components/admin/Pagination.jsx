@@ -0,0 +1,70 @@
+import React from 'react';
+import { getPagination } from '../../services/leads';
+import styles from '../../styles/Admin.module.css';
+
+const PAGE_SIZES = [25, 50, 100];
+
+const Pagination = ({ total, limit, offset, onOffsetChange, onLimitChange }) => {
+  const { page, pageCount, from, to, hasPrevious, hasNext } = getPagination({ total, limit, offset });
+
+  return (
+    <div className={styles.pagination}>
+      <span className={styles.paginationInfo}>
+        {from}–{to} de {total}
+      </span>
+
+      <div className={styles.paginationControls}>
+        <select
+          value={limit}
+          onChange={(e) => onLimitChange(Number(e.target.value))}
+          className={styles.formInput}
+          aria-label="Leads por página"
+        >
+          {PAGE_SIZES.map(size => (
+            <option key={size} value={size}>{size} por página</option>
+          ))}
+        </select>
+
+        <button
+          onClick={() => onOffsetChange(0)}
+          className={styles.actionButton}
+          disabled={!hasPrevious}
+          title="Primeira página"
+        >
+          ⏮️
+        </button>
+        <button
+          onClick={() => onOffsetChange(Math.max(0, offset - limit))}
+          className={styles.actionButton}
+          disabled={!hasPrevious}
+          title="Página anterior"
+        >
+          ◀️
+        </button>
+
+        <span className={styles.paginationInfo}>
+          Página {page} de {pageCount}
+        </span>
+
+        <button
+          onClick={() => onOffsetChange(offset + limit)}
+          className={styles.actionButton}
+          disabled={!hasNext}
+          title="Próxima página"
+        >
+          ▶️
+        </button>
+        <button
+          onClick={() => onOffsetChange((pageCount - 1) * limit)}
+          className={styles.actionButton}
+          disabled={!hasNext}
+          title="Última página"
+        >
+          ⏭️
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Pagination;
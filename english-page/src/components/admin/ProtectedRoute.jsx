@@ -1,15 +1,16 @@
 import { useState, useEffect } from 'react';
 import { Navigate } from 'react-router-dom';
-import { isAuthenticated, getCurrentUser } from '../../services/auth';
+import { isAuthenticated, restoreSession, getCurrentUser, hasPermission } from '../../services/auth';
 
-const ProtectedRoute = ({ children, requiredRole = 'user' }) => {
+const ProtectedRoute = ({ children, requiredRole = 'user', permission = null }) => {
   const [loading, setLoading] = useState(true);
   const [user, setUser] = useState(null);
   const [error, setError] = useState(false);
 
   useEffect(() => {
     const validateAuth = async () => {
-      if (!isAuthenticated()) {
+      // O token fica só na memória: depois de recarregar a página, vem do cookie de refresh
+      if (!await restoreSession()) {
         setLoading(false);
         return;
       }
@@ -39,6 +40,11 @@ const ProtectedRoute = ({ children, requiredRole = 'user' }) => {
     return <Navigate to="/" replace />;
   }
 
+  // Sem a permissão da página, volta para o dashboard (que todos os papéis veem)
+  if (permission && !hasPermission(user, permission)) {
+    return <Navigate to="/admin" replace />;
+  }
+
   return children;
 };
 
@@ -0,0 +1,68 @@
+import React from 'react';
+import { describeUserAgent } from '../../services/sessions';
+import { ROLE_LABELS } from '../../services/users';
+import styles from '../../styles/Admin.module.css';
+
+const formatDate = (dateString) => {
+  // SQLite grava em UTC ('AAAA-MM-DD HH:MM:SS')
+  const date = new Date(dateString.replace(' ', 'T') + 'Z');
+  return date.toLocaleString('pt-BR', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// Sessões abertas com o botão de encerrar; showUser adiciona a coluna do usuário (visão do admin).
+// A sessão deste navegador não tem botão: para ela, use "Sair"
+const SessionsTable = ({ sessions, onRevoke, showUser = false }) => (
+  <div className={styles.tableWrapper}>
+    <table className={styles.table}>
+      <thead>
+        <tr>
+          {showUser && <th>Usuário</th>}
+          <th>Dispositivo</th>
+          <th>IP</th>
+          <th>Entrou em</th>
+          <th>Última atividade</th>
+          <th>Ações</th>
+        </tr>
+      </thead>
+      <tbody>
+        {sessions.map(session => (
+          <tr key={session.id}>
+            {showUser && (
+              <td className={styles.tableName}>
+                {session.user.name}
+                <div className={styles.formHint}>
+                  {session.user.email} · {ROLE_LABELS[session.user.role] || session.user.role}
+                </div>
+              </td>
+            )}
+            <td title={session.user_agent}>{describeUserAgent(session.user_agent)}</td>
+            <td>{session.ip || '—'}</td>
+            <td>{formatDate(session.created_at)}</td>
+            <td>{formatDate(session.last_seen_at)}</td>
+            <td className={styles.tableActions}>
+              {session.current ? (
+                <span className={`${styles.badge} ${styles.badgeSuccess}`}>Esta sessão</span>
+              ) : (
+                <button
+                  onClick={() => onRevoke(session)}
+                  className={`${styles.actionButton} ${styles.actionButtonDanger}`}
+                  title="Encerrar sessão"
+                >
+                  🚪
+                </button>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default SessionsTable;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { logout, getCurrentUser } from '../../services/auth';
+import { logout, getCurrentUser, hasPermission } from '../../services/auth';
+import { ROLE_LABELS } from '../../services/users';
 import styles from '../../styles/Admin.module.css';
 
 const Sidebar = () => {
@@ -38,7 +39,7 @@ const Sidebar = () => {
         {user && (
           <div className={styles.userInfo}>
             <div className={styles.userName}>{user.name}</div>
-            <div className={styles.userRole}>{user.role}</div>
+            <div className={styles.userRole}>{ROLE_LABELS[user.role] || user.role}</div>
           </div>
         )}
       </div>
@@ -52,12 +53,106 @@ const Sidebar = () => {
           <span>Dashboard</span>
         </Link>
 
+        {hasPermission(user, 'leads') && (
+          <Link
+            to="/admin/leads"
+            className={`${styles.navItem} ${isActive('/admin/leads') ? styles.navItemActive : ''}`}
+          >
+            <span className={styles.navIcon}>👥</span>
+            <span>Gerenciar Leads</span>
+          </Link>
+        )}
+
+        {hasPermission(user, 'admin') && (
+          <>
+            <Link
+              to="/admin/leads/duplicates"
+              className={`${styles.navItem} ${isActive('/admin/leads/duplicates') ? styles.navItemActive : ''}`}
+            >
+              <span className={styles.navIcon}>👯</span>
+              <span>Duplicados</span>
+            </Link>
+
+            <Link
+              to="/admin/leads/trash"
+              className={`${styles.navItem} ${isActive('/admin/leads/trash') ? styles.navItemActive : ''}`}
+            >
+              <span className={styles.navIcon}>🗑️</span>
+              <span>Lixeira</span>
+            </Link>
+
+            <Link
+              to="/admin/pipeline"
+              className={`${styles.navItem} ${isActive('/admin/pipeline') ? styles.navItemActive : ''}`}
+            >
+              <span className={styles.navIcon}>🧭</span>
+              <span>Pipeline</span>
+            </Link>
+
+            <Link
+              to="/admin/fields"
+              className={`${styles.navItem} ${isActive('/admin/fields') ? styles.navItemActive : ''}`}
+            >
+              <span className={styles.navIcon}>🏷️</span>
+              <span>Tags e Campos</span>
+            </Link>
+
+            <Link
+              to="/admin/assignment"
+              className={`${styles.navItem} ${isActive('/admin/assignment') ? styles.navItemActive : ''}`}
+            >
+              <span className={styles.navIcon}>🔀</span>
+              <span>Distribuição</span>
+            </Link>
+
+            <Link
+              to="/admin/users"
+              className={`${styles.navItem} ${isActive('/admin/users') ? styles.navItemActive : ''}`}
+            >
+              <span className={styles.navIcon}>🔑</span>
+              <span>Usuários</span>
+            </Link>
+
+            <Link
+              to="/admin/security"
+              className={`${styles.navItem} ${isActive('/admin/security') ? styles.navItemActive : ''}`}
+            >
+              <span className={styles.navIcon}>🛡️</span>
+              <span>Segurança</span>
+            </Link>
+
+            <Link
+              to="/admin/webhooks"
+              className={`${styles.navItem} ${isActive('/admin/webhooks') ? styles.navItemActive : ''}`}
+            >
+              <span className={styles.navIcon}>📡</span>
+              <span>Webhooks</span>
+            </Link>
+
+            <Link
+              to="/admin/webhooks/deliveries"
+              className={`${styles.navItem} ${isActive('/admin/webhooks/deliveries') ? styles.navItemActive : ''}`}
+            >
+              <span className={styles.navIcon}>📜</span>
+              <span>Entregas de Webhook</span>
+            </Link>
+          </>
+        )}
+
+        <Link
+          to="/admin/account"
+          className={`${styles.navItem} ${isActive('/admin/account') ? styles.navItemActive : ''}`}
+        >
+          <span className={styles.navIcon}>⚙️</span>
+          <span>Minha Conta</span>
+        </Link>
+
         <Link
-          to="/admin/leads"
-          className={`${styles.navItem} ${isActive('/admin/leads') ? styles.navItemActive : ''}`}
+          to="/admin/sessions"
+          className={`${styles.navItem} ${isActive('/admin/sessions') ? styles.navItemActive : ''}`}
         >
-          <span className={styles.navIcon}>👥</span>
-          <span>Gerenciar Leads</span>
+          <span className={styles.navIcon}>💻</span>
+          <span>Sessões</span>
         </Link>
 
         <Link
@@ -93,7 +93,7 @@ function SourceStats() {
         {sources.map((source, index) => {
           const icon = getSourceIcon(source.source);
           const label = getSourceLabel(source.source);
-          const conversionRate = calculateConversionRate(source.converted, source.total);
+          const conversionRate = calculateConversionRate(source.won, source.total);
           
           return (
             <div key={index} className={styles.sourceStatCard}>
@@ -106,7 +106,7 @@ function SourceStats() {
               
               <div className={styles.sourceStatMeta}>
                 <span>
-                  ✅ {source.converted} convertido{source.converted !== 1 ? 's' : ''}
+                  ✅ {source.won} ganho{source.won !== 1 ? 's' : ''}
                 </span>
                 {conversionRate > 0 && (
                   <span className={styles.sourceStatConversion}>
@@ -122,7 +122,7 @@ function SourceStats() {
               )}
               
               <div className={styles.sourceStatMeta} style={{ marginTop: '4px', fontSize: '11px' }}>
-                🆕 {source.new} • 📞 {source.contacted}
+                ⏳ {source.open} em aberto • ❌ {source.lost} perdido{source.lost !== 1 ? 's' : ''}
               </div>
             </div>
           );
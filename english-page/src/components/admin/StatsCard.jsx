@@ -10,8 +10,14 @@ const StatsCard = ({ title, value, icon, color = 'blue', subtitle }) => {
     purple: styles.statsCardPurple
   };
 
+  // Cor fora da paleta (ex: cor de etapa do pipeline) vai direto na borda
+  const colorClass = colorClasses[color];
+
   return (
-    <div className={`${styles.statsCard} ${colorClasses[color]}`}>
+    <div
+      className={`${styles.statsCard} ${colorClass || ''}`}
+      style={colorClass ? undefined : { borderColor: color }}
+    >
       <div className={styles.statsCardHeader}>
         <div className={styles.statsCardIcon}>{icon}</div>
         <div className={styles.statsCardTitle}>{title}</div>
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { parseTaskDate } from '../../services/tasks';
+import styles from '../../styles/Admin.module.css';
+
+const formatDue = (dateString) => parseTaskDate(dateString).toLocaleString('pt-BR', {
+  day: '2-digit',
+  month: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Lista de tarefas com a caixa de concluir (sem onToggleDone, só leitura);
+// showLead mostra o link do lead (Dashboard)
+const TaskList = ({ tasks, onToggleDone, onDelete, showLead = false }) => (
+  <ul className={styles.timeline}>
+    {tasks.map(task => (
+      <li key={task.id} className={styles.timelineItem}>
+        <input
+          type="checkbox"
+          checked={task.done}
+          onChange={() => onToggleDone(task)}
+          disabled={!onToggleDone}
+          aria-label={task.done ? `Reabrir "${task.title}"` : `Concluir "${task.title}"`}
+        />
+        <div className={styles.timelineBody}>
+          <strong className={task.done ? styles.taskDone : ''}>{task.title}</strong>
+          {task.overdue && <> <span className={styles.overdueBadge}>⏰ Atrasada</span></>}
+          <div className={styles.timelineMeta}>
+            {showLead && (
+              <>
+                <Link to={`/admin/leads/${task.lead_id}`} className={styles.leadLink}>{task.lead_name}</Link>
+                {' • '}
+              </>
+            )}
+            {formatDue(task.due_at)} • {task.assigned_name || 'Sem responsável'}
+          </div>
+        </div>
+        {onDelete && (
+          <button
+            onClick={() => onDelete(task)}
+            className={`${styles.actionButton} ${styles.actionButtonDanger}`}
+            title="Deletar"
+          >
+            🗑️
+          </button>
+        )}
+      </li>
+    ))}
+  </ul>
+);
+
+export default TaskList;
@@ -0,0 +1,65 @@
+import React, { useState, useEffect } from 'react';
+import TaskList from './TaskList';
+import { fetchTasks, updateTask, getEndOfToday } from '../../services/tasks';
+import styles from '../../styles/Admin.module.css';
+
+// "Tarefas de hoje" do Dashboard: as do usuário logado que vencem até o fim do dia, atrasadas inclusive
+function TodayTasks() {
+  const [tasks, setTasks] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadTasks();
+  }, []);
+
+  const loadTasks = async () => {
+    try {
+      setLoading(true);
+      const data = await fetchTasks({ status: 'open', assigned_to: 'me', due_before: getEndOfToday() });
+      setTasks(data.tasks);
+      setTotal(data.total);
+    } catch (error) {
+      console.error('Erro ao buscar tarefas de hoje:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Concluída fica riscada na lista até a próxima carga
+  const handleToggleDone = async (task) => {
+    try {
+      const updated = await updateTask(task.id, { done: !task.done });
+      setTasks(tasks.map(t => (t.id === task.id ? updated : t)));
+    } catch (error) {
+      alert('Erro ao atualizar tarefa: ' + error.message);
+      console.error(error);
+    }
+  };
+
+  const overdueCount = tasks.filter(task => task.overdue).length;
+
+  return (
+    <div className={styles.dashboardSection}>
+      <h2 className={styles.sectionTitle}>
+        Tarefas de hoje
+        {overdueCount > 0 && <> <span className={styles.overdueBadge}>⏰ {overdueCount} atrasada{overdueCount !== 1 ? 's' : ''}</span></>}
+      </h2>
+
+      {loading ? (
+        <p className={styles.noData}>Carregando tarefas...</p>
+      ) : tasks.length === 0 ? (
+        <p className={styles.noData}>Nenhuma tarefa para hoje 🎉</p>
+      ) : (
+        <>
+          <TaskList tasks={tasks} onToggleDone={handleToggleDone} showLead />
+          {total > tasks.length && (
+            <p className={styles.timelineMeta}>Mostrando {tasks.length} de {total} tarefas</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TodayTasks;
@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import {
+  fetchTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../../services/twoFactor';
+import styles from '../../styles/Admin.module.css';
+
+// Um campo de código por formulário
+const emptyCodes = {
+  enable: '',
+  regenerate: '',
+  disable: ''
+};
+
+// Cartão de "Minha Conta": ativar (QR code + primeiro código), ver os códigos de
+// recuperação uma única vez, gerar novos e desativar (senha + código)
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [codes, setCodes] = useState(emptyCodes);
+  const [password, setPassword] = useState('');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadStatus = () => {
+    fetchTwoFactorStatus()
+      .then(setStatus)
+      .catch(err => setError(err.message));
+  };
+
+  useEffect(loadStatus, []);
+
+  // Envolve cada ação: limpa o erro, trava os botões e zera os campos no sucesso
+  const run = async (action) => {
+    setError('');
+    setWorking(true);
+
+    try {
+      await action();
+      setCodes(emptyCodes);
+      setPassword('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleStart = () => run(async () => {
+    setRecoveryCodes(null);
+    setSetup(await startTwoFactorSetup());
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await enableTwoFactor(codes.enable);
+      setSetup(null);
+      setRecoveryCodes(data.recovery_codes);
+      loadStatus();
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    if (!window.confirm('Gerar novos códigos de recuperação? Os atuais deixam de valer.')) return;
+
+    run(async () => {
+      const data = await regenerateRecoveryCodes(codes.regenerate);
+      setRecoveryCodes(data.recovery_codes);
+      loadStatus();
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    if (!window.confirm('Desativar a verificação em duas etapas? O login volta a pedir só email e senha.')) return;
+
+    run(async () => {
+      await disableTwoFactor(password, codes.disable);
+      setRecoveryCodes(null);
+      loadStatus();
+    });
+  };
+
+  const codeInput = (form, label) => (
+    <div className={styles.formGroup}>
+      <label htmlFor={`totp-${form}-code`} className={styles.formLabel}>{label}</label>
+      <input
+        id={`totp-${form}-code`}
+        type="text"
+        value={codes[form]}
+        onChange={(e) => setCodes({ ...codes, [form]: e.target.value })}
+        className={styles.formInput}
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        required
+      />
+    </div>
+  );
+
+  return (
+    <div className={styles.formCard}>
+      <h2 className={styles.sectionTitle}>Verificação em duas etapas</h2>
+
+      {error && (
+        <div className={styles.errorBanner}>
+          ⚠️ {error}
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div className={styles.successBanner}>
+          ✅ Guarde estes códigos de recuperação em um lugar seguro. Cada um entra uma vez no lugar do código do
+          app, e eles não aparecem de novo:
+          <code className={styles.secretBox}>{recoveryCodes.join('  ')}</code>
+          <button onClick={() => setRecoveryCodes(null)} className={styles.refreshButton}>
+            Já guardei
+          </button>
+        </div>
+      )}
+
+      {!status ? null : !status.enabled ? (
+        setup ? (
+          <form onSubmit={handleEnable}>
+            <p className={styles.formHint}>
+              1. Leia o QR code com o app autenticador (Google Authenticator, Authy, 1Password...).
+              Se não conseguir, digite a chave abaixo no app.
+            </p>
+            <img src={setup.qr_code} alt="QR code para o app autenticador" width="200" height="200" />
+            <code className={styles.secretBox}>{setup.secret}</code>
+
+            <p className={styles.formHint}>2. Digite o código de 6 dígitos que aparece no app.</p>
+            <div className={styles.formGrid}>
+              {codeInput('enable', 'Código do app')}
+            </div>
+
+            <div className={styles.formActions}>
+              <button type="button" onClick={() => setSetup(null)} className={styles.refreshButton}>
+                Cancelar
+              </button>
+              <button type="submit" className={styles.primaryButton} disabled={working}>
+                {working ? '⏳ Verificando...' : '✅ Ativar'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <p className={styles.formHint}>
+              Além da senha, o login passa a pedir um código do app autenticador do seu celular.
+            </p>
+            <div className={styles.formActions}>
+              <button onClick={handleStart} className={styles.primaryButton} disabled={working}>
+                🛡️ Configurar
+              </button>
+            </div>
+          </>
+        )
+      ) : (
+        <>
+          <p className={styles.formHint}>
+            ✅ Ativa. Restam {status.recovery_codes_left} código(s) de recuperação.
+          </p>
+
+          <form onSubmit={handleRegenerate}>
+            <h3 className={styles.formLabel}>Novos códigos de recuperação</h3>
+            <div className={styles.formGrid}>
+              {codeInput('regenerate', 'Código do app')}
+            </div>
+            <div className={styles.formActions}>
+              <button type="submit" className={styles.refreshButton} disabled={working}>
+                🔁 Gerar novos códigos
+              </button>
+            </div>
+          </form>
+
+          <form onSubmit={handleDisable}>
+            <h3 className={styles.formLabel}>Desativar</h3>
+            <div className={styles.formGrid}>
+              <div className={styles.formGroup}>
+                <label htmlFor="totp-disable-password" className={styles.formLabel}>Senha</label>
+                <input
+                  id="totp-disable-password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className={styles.formInput}
+                  autoComplete="current-password"
+                  required
+                />
+              </div>
+              {codeInput('disable', 'Código do app ou de recuperação')}
+            </div>
+            <div className={styles.formActions}>
+              <button type="submit" className={styles.refreshButton} disabled={working}>
+                Desativar verificação
+              </button>
+            </div>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
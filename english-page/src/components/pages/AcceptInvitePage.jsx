@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { fetchInvite, acceptInvite } from '../../services/users';
+import styles from '../../styles/Login.module.css';
+
+function AcceptInvitePage() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [invite, setInvite] = useState(null);
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadInvite = async () => {
+      try {
+        setInvite(await fetchInvite(token));
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadInvite();
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmation) {
+      setError('As senhas não conferem');
+      return;
+    }
+
+    setSaving(true);
+
+    try {
+      await acceptInvite(token, password);
+      navigate('/login', { replace: true });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className={styles.loginContainer}>
+      <div className={styles.loginBox}>
+        <div className={styles.loginHeader}>
+          <div className={styles.logo}>🇺🇸</div>
+          <h1 className={styles.title}>Criar Acesso</h1>
+          <p className={styles.subtitle}>
+            {invite ? `Olá, ${invite.name}! Defina a senha para entrar no painel.` : 'Convite para o painel'}
+          </p>
+        </div>
+
+        {loading ? (
+          <p className={styles.hint}>⏳ Verificando convite...</p>
+        ) : !invite ? (
+          <>
+            <div className={styles.error}>
+              ⚠️ {error}
+            </div>
+            <p className={styles.hint}>Peça um novo link para o administrador do painel.</p>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit} className={styles.form}>
+            <div className={styles.formGroup}>
+              <label htmlFor="email" className={styles.label}>
+                Email
+              </label>
+              <input
+                id="email"
+                type="email"
+                value={invite.email}
+                className={styles.input}
+                disabled
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="password" className={styles.label}>
+                Senha
+              </label>
+              <input
+                id="password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className={styles.input}
+                autoComplete="new-password"
+                required
+                autoFocus
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="confirmation" className={styles.label}>
+                Confirme a senha
+              </label>
+              <input
+                id="confirmation"
+                type="password"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                className={styles.input}
+                autoComplete="new-password"
+                required
+              />
+            </div>
+
+            <p className={styles.hint}>
+              Mínimo de 12 caracteres, com letra maiúscula, minúscula, número e caractere especial.
+            </p>
+
+            {error && (
+              <div className={styles.error}>
+                ⚠️ {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              className={styles.submitButton}
+              disabled={saving}
+            >
+              {saving ? '⏳ Salvando...' : '🔐 Criar senha'}
+            </button>
+          </form>
+        )}
+
+        <div className={styles.footer}>
+          <Link to="/login">Já tenho senha</Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AcceptInvitePage;
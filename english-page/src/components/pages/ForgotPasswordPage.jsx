@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { requestPasswordReset } from '../../services/auth';
+import styles from '../../styles/Login.module.css';
+
+function ForgotPasswordPage() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const data = await requestPasswordReset(email);
+      setSentMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className={styles.loginContainer}>
+      <div className={styles.loginBox}>
+        <div className={styles.loginHeader}>
+          <div className={styles.logo}>🇺🇸</div>
+          <h1 className={styles.title}>Esqueci minha senha</h1>
+          <p className={styles.subtitle}>
+            Enviaremos um link para você criar uma nova senha
+          </p>
+        </div>
+
+        {sentMessage ? (
+          <p className={styles.hint}>📧 {sentMessage}</p>
+        ) : (
+          <form onSubmit={handleSubmit} className={styles.form}>
+            <div className={styles.formGroup}>
+              <label htmlFor="email" className={styles.label}>
+                Email
+              </label>
+              <input
+                id="email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className={styles.input}
+                placeholder="admin@example.com"
+                required
+                autoFocus
+              />
+            </div>
+
+            {error && (
+              <div className={styles.error}>
+                ⚠️ {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              className={styles.submitButton}
+              disabled={loading}
+            >
+              {loading ? '⏳ Enviando...' : '📧 Enviar link'}
+            </button>
+          </form>
+        )}
+
+        <div className={styles.footer}>
+          <Link to="/login">Voltar para o login</Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPasswordPage;
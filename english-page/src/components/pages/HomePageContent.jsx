@@ -1,12 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import styles from '../../styles/Profile.module.css';
 import { API_URL } from '../../config';
+import { fetchFormFields } from '../../services/fields';
+
+const CUSTOM_FIELD_INPUT_TYPES = {
+  text: 'text',
+  number: 'number',
+  date: 'date'
+};
 
 const HomePageContent = () => {
   const [formData, setFormData] = useState({
     nome: '',
     cidade: '',
     whatsapp: '',
+    paisTelefone: 'US',
     nivel: '',
     objetivo: '',
     horario: '',
@@ -16,6 +24,9 @@ const HomePageContent = () => {
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
   const [trackingData, setTrackingData] = useState({});
+  // Campos extras configurados no admin (Tags e Campos)
+  const [customFields, setCustomFields] = useState([]);
+  const [customValues, setCustomValues] = useState({});
 
   // ✨ Capturar UTM parameters quando a página carregar
   useEffect(() => {
@@ -24,7 +35,9 @@ const HomePageContent = () => {
       utm_source: urlParams.get('utm_source') || 'direct',
       utm_medium: urlParams.get('utm_medium') || 'none',
       utm_campaign: urlParams.get('utm_campaign') || 'none',
-      source: urlParams.get('utm_source') || 'direct'
+      source: urlParams.get('utm_source') || 'direct',
+      // ?tag=evento,boston marca o lead com tags já cadastradas
+      tags: (urlParams.get('tag') || '').split(',').map(tag => tag.trim()).filter(Boolean)
     };
     
     setTrackingData(tracking);
@@ -38,8 +51,19 @@ const HomePageContent = () => {
     if (tracking.utm_campaign && tracking.utm_campaign !== 'none') {
       console.log(`🎯 Usuário veio da campanha: ${tracking.utm_campaign} via ${tracking.utm_source}`);
     }
+
+    fetchFormFields()
+      .then(setCustomFields)
+      .catch(error => console.error('Erro ao buscar campos do formulário:', error));
   }, []);
 
+  const handleCustomChange = (e) => {
+    setCustomValues({
+      ...customValues,
+      [e.target.name]: e.target.value
+    });
+  };
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -61,6 +85,7 @@ const HomePageContent = () => {
       const leadData = {
         name: formData.nome,
         whatsapp: formData.whatsapp,
+        phone_country: formData.paisTelefone,
         city: formData.cidade,
         level: formData.nivel,
         goal: formData.objetivo,
@@ -70,7 +95,12 @@ const HomePageContent = () => {
         source: savedTracking.source || 'direct',
         utm_source: savedTracking.utm_source || 'direct',
         utm_medium: savedTracking.utm_medium || 'none',
-        utm_campaign: savedTracking.utm_campaign || 'none'
+        utm_campaign: savedTracking.utm_campaign || 'none',
+        tags: savedTracking.tags || [],
+        // Só os campos preenchidos (todos são opcionais)
+        custom_fields: Object.fromEntries(
+          Object.entries(customValues).filter(([, value]) => value !== '')
+        )
       };
 
       console.log('📤 Enviando lead com tracking:', leadData);
@@ -96,11 +126,13 @@ const HomePageContent = () => {
         nome: '',
         cidade: '',
         whatsapp: '',
+        paisTelefone: formData.paisTelefone,
         nivel: '',
         objetivo: '',
         horario: '',
         mensagem: ''
       });
+      setCustomValues({});
 
       // Limpar tracking após envio
       localStorage.removeItem('tracking');
@@ -200,17 +232,29 @@ const HomePageContent = () => {
 
             <div className={`${styles.leadFormGrid} ${styles.leadFormGrid2}`}>
               <div className={styles.leadField}>
-                <label htmlFor="whatsapp" className={styles.leadLabel}>WhatsApp (com DDI)</label>
-                <input
-                  id="whatsapp"
-                  name="whatsapp"
-                  type="tel"
-                  className={styles.leadInput}
-                  placeholder="+1 857 000 0000"
-                  value={formData.whatsapp}
-                  onChange={handleChange}
-                  required
-                />
+                <label htmlFor="whatsapp" className={styles.leadLabel}>WhatsApp</label>
+                <div className={styles.leadPhoneRow}>
+                  <select
+                    name="paisTelefone"
+                    aria-label="País do WhatsApp"
+                    className={styles.leadSelect}
+                    value={formData.paisTelefone}
+                    onChange={handleChange}
+                  >
+                    <option value="US">🇺🇸 +1</option>
+                    <option value="BR">🇧🇷 +55</option>
+                  </select>
+                  <input
+                    id="whatsapp"
+                    name="whatsapp"
+                    type="tel"
+                    className={styles.leadInput}
+                    placeholder={formData.paisTelefone === 'BR' ? '(11) 98888-7777' : '857 000 0000'}
+                    value={formData.whatsapp}
+                    onChange={handleChange}
+                    required
+                  />
+                </div>
               </div>
               
               <div className={styles.leadField}>
@@ -287,6 +331,37 @@ const HomePageContent = () => {
               </div>
             </div>
 
+            {customFields.length > 0 && (
+              <div className={styles.leadFormGrid}>
+                {customFields.map(field => (
+                  <div key={field.key} className={styles.leadField}>
+                    <label htmlFor={`cf-${field.key}`} className={styles.leadLabel}>{field.label}</label>
+                    {field.type === 'select' ? (
+                      <select
+                        id={`cf-${field.key}`}
+                        name={field.key}
+                        className={styles.leadSelect}
+                        value={customValues[field.key] || ''}
+                        onChange={handleCustomChange}
+                      >
+                        <option value="">Selecione</option>
+                        {field.options.map(option => <option key={option}>{option}</option>)}
+                      </select>
+                    ) : (
+                      <input
+                        id={`cf-${field.key}`}
+                        name={field.key}
+                        type={CUSTOM_FIELD_INPUT_TYPES[field.type]}
+                        className={styles.leadInput}
+                        value={customValues[field.key] || ''}
+                        onChange={handleCustomChange}
+                      />
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
             {message && (
               <div style={{ 
                 padding: '10px', 
@@ -1,19 +1,22 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { login, isAuthenticated } from '../../services/auth';
+import { useNavigate, Link } from 'react-router-dom';
+import { login, verifyTwoFactorLogin, restoreSession } from '../../services/auth';
 import styles from '../../styles/Login.module.css';
 
 function Login() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [challenge, setChallenge] = useState(null);
+  const [code, setCode] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
 
+  // Sessão ainda aberta (token na memória ou cookie de refresh válido): vai direto para o painel
   useEffect(() => {
-    if (isAuthenticated()) {
-      navigate('/admin');
-    }
+    restoreSession().then(token => {
+      if (token) navigate('/admin');
+    });
   }, [navigate]);
 
   const handleSubmit = async (e) => {
@@ -22,7 +25,13 @@ function Login() {
     setLoading(true);
 
     try {
-      await login(email, password);
+      const data = await login(email, password);
+
+      if (data?.two_factor_required) {
+        setChallenge(data.challenge_token);
+        return;
+      }
+
       navigate('/admin');
     } catch (err) {
       setError(err.message || 'Erro ao fazer login');
@@ -31,6 +40,29 @@ function Login() {
     }
   };
 
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      await verifyTwoFactorLogin(challenge, code);
+      navigate('/admin');
+    } catch (err) {
+      setError(err.message || 'Erro ao verificar código');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Volta para email e senha (o desafio expira em poucos minutos)
+  const handleRestart = () => {
+    setChallenge(null);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
   return (
     <div className={styles.loginContainer}>
       <div className={styles.loginBox}>
@@ -42,55 +74,101 @@ function Login() {
           </p>
         </div>
 
-        <form onSubmit={handleSubmit} className={styles.form}>
-          <div className={styles.formGroup}>
-            <label htmlFor="email" className={styles.label}>
-              Email
-            </label>
-            <input
-              id="email"
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              className={styles.input}
-              placeholder="admin@example.com"
-              required
-              autoFocus
-            />
-          </div>
-
-          <div className={styles.formGroup}>
-            <label htmlFor="password" className={styles.label}>
-              Senha
-            </label>
-            <input
-              id="password"
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              className={styles.input}
-              placeholder="••••••••"
-              required
-            />
-          </div>
-
-          {error && (
-            <div className={styles.error}>
-              ⚠️ {error}
+        {challenge ? (
+          <form onSubmit={handleVerify} className={styles.form}>
+            <div className={styles.formGroup}>
+              <label htmlFor="code" className={styles.label}>
+                Código de verificação
+              </label>
+              <input
+                id="code"
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className={styles.input}
+                placeholder="123456"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+                autoFocus
+              />
             </div>
-          )}
 
-          <button
-            type="submit"
-            className={styles.submitButton}
-            disabled={loading}
-          >
-            {loading ? '⏳ Entrando...' : '🔐 Entrar'}
-          </button>
-        </form>
+            <p className={styles.hint}>
+              Digite o código de 6 dígitos do app autenticador. Sem o celular? Use um dos códigos de recuperação.
+            </p>
+
+            {error && (
+              <div className={styles.error}>
+                ⚠️ {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              className={styles.submitButton}
+              disabled={loading}
+            >
+              {loading ? '⏳ Verificando...' : '✅ Verificar'}
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit} className={styles.form}>
+            <div className={styles.formGroup}>
+              <label htmlFor="email" className={styles.label}>
+                Email
+              </label>
+              <input
+                id="email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className={styles.input}
+                placeholder="admin@example.com"
+                required
+                autoFocus
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="password" className={styles.label}>
+                Senha
+              </label>
+              <input
+                id="password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className={styles.input}
+                placeholder="••••••••"
+                required
+              />
+            </div>
+
+            {error && (
+              <div className={styles.error}>
+                ⚠️ {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              className={styles.submitButton}
+              disabled={loading}
+            >
+              {loading ? '⏳ Entrando...' : '🔐 Entrar'}
+            </button>
+          </form>
+        )}
 
         <div className={styles.footer}>
-          
+          {challenge ? (
+            <a href="/login" onClick={(e) => { e.preventDefault(); handleRestart(); }}>
+              Entrar com outra conta
+            </a>
+          ) : (
+            <Link to="/forgot-password">Esqueci minha senha</Link>
+          )}
         </div>
       </div>
     </div>
@@ -6,7 +6,8 @@ import Login from './Login'
 
 vi.mock('../../services/auth', () => ({
   login: vi.fn(),
-  isAuthenticated: vi.fn(() => false),
+  verifyTwoFactorLogin: vi.fn(),
+  restoreSession: vi.fn(() => Promise.resolve(null)),
 }))
 
 const mockNavigate = vi.fn()
@@ -15,14 +16,14 @@ vi.mock('react-router-dom', async () => {
   return { ...actual, useNavigate: () => mockNavigate }
 })
 
-import { login, isAuthenticated } from '../../services/auth'
+import { login, verifyTwoFactorLogin, restoreSession } from '../../services/auth'
 
 const renderLogin = () => render(<BrowserRouter><Login /></BrowserRouter>)
 
 describe('Login', () => {
   beforeEach(() => {
     vi.clearAllMocks()
-    isAuthenticated.mockReturnValue(false)
+    restoreSession.mockResolvedValue(null)
   })
 
   describe('Renderizacao', () => {
@@ -56,6 +57,11 @@ describe('Login', () => {
       renderLogin()
       expect(screen.getByText(/O Mínimo que Você Precisa pra se Virar nos EUA/i)).toBeInTheDocument()
     })
+
+    it('deve ter link para redefinir a senha', () => {
+      renderLogin()
+      expect(screen.getByRole('link', { name: /esqueci minha senha/i })).toHaveAttribute('href', '/forgot-password')
+    })
   })
 
   describe('Interacao do usuario', () => {
@@ -141,10 +147,18 @@ describe('Login', () => {
   })
 
   describe('Redirecionamento', () => {
-    it('deve redirecionar para /admin se ja autenticado', () => {
-      isAuthenticated.mockReturnValue(true)
+    it('deve redirecionar para /admin se ja autenticado', async () => {
+      restoreSession.mockResolvedValue('token-da-sessao')
+      renderLogin()
+      await waitFor(() => {
+        expect(mockNavigate).toHaveBeenCalledWith('/admin')
+      })
+    })
+
+    it('nao deve redirecionar sem sessao', async () => {
       renderLogin()
-      expect(mockNavigate).toHaveBeenCalledWith('/admin')
+      await waitFor(() => expect(restoreSession).toHaveBeenCalled())
+      expect(mockNavigate).not.toHaveBeenCalled()
     })
 
     it('deve redirecionar para /admin apos login bem sucedido', async () => {
@@ -159,4 +173,51 @@ describe('Login', () => {
       })
     })
   })
+
+  describe('Verificacao em duas etapas', () => {
+    const submitPassword = async (user) => {
+      await user.type(screen.getByLabelText(/email/i), 'admin@example.com')
+      await user.type(screen.getByLabelText(/senha/i), 'password123')
+      await user.click(screen.getByRole('button', { name: /entrar/i }))
+    }
+
+    it('deve pedir o codigo quando o login exige segunda etapa', async () => {
+      const user = userEvent.setup()
+      login.mockResolvedValueOnce({ two_factor_required: true, challenge_token: 'challenge' })
+      renderLogin()
+      await submitPassword(user)
+
+      expect(await screen.findByLabelText(/código de verificação/i)).toBeInTheDocument()
+      expect(mockNavigate).not.toHaveBeenCalled()
+    })
+
+    it('deve enviar o codigo com o desafio e entrar', async () => {
+      const user = userEvent.setup()
+      login.mockResolvedValueOnce({ two_factor_required: true, challenge_token: 'challenge' })
+      verifyTwoFactorLogin.mockResolvedValueOnce({ token: 'fake-token' })
+      renderLogin()
+      await submitPassword(user)
+
+      await user.type(await screen.findByLabelText(/código de verificação/i), '123456')
+      await user.click(screen.getByRole('button', { name: /verificar/i }))
+
+      await waitFor(() => {
+        expect(verifyTwoFactorLogin).toHaveBeenCalledWith('challenge', '123456')
+        expect(mockNavigate).toHaveBeenCalledWith('/admin')
+      })
+    })
+
+    it('deve exibir erro de codigo invalido', async () => {
+      const user = userEvent.setup()
+      login.mockResolvedValueOnce({ two_factor_required: true, challenge_token: 'challenge' })
+      verifyTwoFactorLogin.mockRejectedValueOnce(new Error('Código inválido'))
+      renderLogin()
+      await submitPassword(user)
+
+      await user.type(await screen.findByLabelText(/código de verificação/i), '000000')
+      await user.click(screen.getByRole('button', { name: /verificar/i }))
+
+      expect(await screen.findByText(/código inválido/i)).toBeInTheDocument()
+    })
+  })
 })
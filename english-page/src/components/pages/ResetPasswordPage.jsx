@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { fetchPasswordReset, resetPassword } from '../../services/auth';
+import styles from '../../styles/Login.module.css';
+
+function ResetPasswordPage() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [reset, setReset] = useState(null);
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadReset = async () => {
+      try {
+        setReset(await fetchPasswordReset(token));
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadReset();
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmation) {
+      setError('As senhas não conferem');
+      return;
+    }
+
+    setSaving(true);
+
+    try {
+      await resetPassword(token, password);
+      navigate('/login', { replace: true });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className={styles.loginContainer}>
+      <div className={styles.loginBox}>
+        <div className={styles.loginHeader}>
+          <div className={styles.logo}>🇺🇸</div>
+          <h1 className={styles.title}>Nova Senha</h1>
+          <p className={styles.subtitle}>
+            {reset ? `Olá, ${reset.name}! Escolha a nova senha do painel.` : 'Redefinição de senha'}
+          </p>
+        </div>
+
+        {loading ? (
+          <p className={styles.hint}>⏳ Verificando link...</p>
+        ) : !reset ? (
+          <>
+            <div className={styles.error}>
+              ⚠️ {error}
+            </div>
+            <p className={styles.hint}>
+              O link vale por pouco tempo e só uma vez. <Link to="/forgot-password">Peça um novo link</Link>.
+            </p>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit} className={styles.form}>
+            <div className={styles.formGroup}>
+              <label htmlFor="email" className={styles.label}>
+                Email
+              </label>
+              <input
+                id="email"
+                type="email"
+                value={reset.email}
+                className={styles.input}
+                disabled
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="password" className={styles.label}>
+                Nova senha
+              </label>
+              <input
+                id="password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className={styles.input}
+                autoComplete="new-password"
+                required
+                autoFocus
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="confirmation" className={styles.label}>
+                Confirme a senha
+              </label>
+              <input
+                id="confirmation"
+                type="password"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                className={styles.input}
+                autoComplete="new-password"
+                required
+              />
+            </div>
+
+            <p className={styles.hint}>
+              Mínimo de 12 caracteres, com letra maiúscula, minúscula, número e caractere especial.
+            </p>
+
+            {error && (
+              <div className={styles.error}>
+                ⚠️ {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              className={styles.submitButton}
+              disabled={saving}
+            >
+              {saving ? '⏳ Salvando...' : '🔐 Salvar nova senha'}
+            </button>
+          </form>
+        )}
+
+        <div className={styles.footer}>
+          <Link to="/login">Voltar para o login</Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ResetPasswordPage;
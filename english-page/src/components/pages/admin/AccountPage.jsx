@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Sidebar from '../../admin/Sidebar';
+import TwoFactorSettings from '../../admin/TwoFactorSettings';
+import { getCurrentUser, changePassword } from '../../../services/auth';
+import { ROLE_LABELS } from '../../../services/users';
+import styles from '../../../styles/Admin.module.css';
+
+const emptyPasswordForm = {
+  current: '',
+  password: '',
+  confirmation: ''
+};
+
+function AccountPage() {
+  const [user, setUser] = useState(null);
+  const [form, setForm] = useState(emptyPasswordForm);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState(false);
+  const [revokedSessions, setRevokedSessions] = useState(0);
+
+  useEffect(() => {
+    getCurrentUser()
+      .then(setUser)
+      .catch(err => setError(err.message));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess(false);
+
+    if (form.password !== form.confirmation) {
+      setError('As senhas não conferem');
+      return;
+    }
+
+    setSaving(true);
+
+    try {
+      const data = await changePassword(form.current, form.password);
+      setForm(emptyPasswordForm);
+      setRevokedSessions(data.revoked_sessions || 0);
+      setSuccess(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className={styles.adminLayout}>
+      <Sidebar />
+
+      <main className={styles.adminMain}>
+        <div className={styles.adminHeader}>
+          <div>
+            <h1 className={styles.pageTitle}>Minha Conta</h1>
+            <p className={styles.pageSubtitle}>
+              Seus dados de acesso ao painel
+            </p>
+          </div>
+        </div>
+
+        {error && (
+          <div className={styles.errorBanner}>
+            ⚠️ {error}
+          </div>
+        )}
+
+        {success && (
+          <div className={styles.successBanner}>
+            ✅ Senha alterada. Use a nova senha no próximo login.
+            {revokedSessions > 0 && ` Encerramos ${revokedSessions} sessão(ões) em outros dispositivos.`}
+          </div>
+        )}
+
+        {user && (
+          <div className={styles.formCard}>
+            <dl className={styles.detailList}>
+              <div>
+                <dt>Nome</dt>
+                <dd>{user.name}</dd>
+              </div>
+              <div>
+                <dt>Email</dt>
+                <dd>{user.email}</dd>
+              </div>
+              <div>
+                <dt>Papel</dt>
+                <dd>{ROLE_LABELS[user.role] || user.role}</dd>
+              </div>
+            </dl>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className={styles.formCard}>
+          <h2 className={styles.sectionTitle}>Alterar senha</h2>
+
+          <div className={styles.formGrid}>
+            <div className={styles.formGroup}>
+              <label htmlFor="current-password" className={styles.formLabel}>Senha atual</label>
+              <input
+                id="current-password"
+                type="password"
+                value={form.current}
+                onChange={(e) => setForm({ ...form, current: e.target.value })}
+                className={styles.formInput}
+                autoComplete="current-password"
+                required
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="new-password" className={styles.formLabel}>Nova senha</label>
+              <input
+                id="new-password"
+                type="password"
+                value={form.password}
+                onChange={(e) => setForm({ ...form, password: e.target.value })}
+                className={styles.formInput}
+                autoComplete="new-password"
+                required
+              />
+              <span className={styles.formHint}>
+                Mínimo de 12 caracteres, com maiúscula, minúscula, número e caractere especial
+              </span>
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="confirm-password" className={styles.formLabel}>Confirme a nova senha</label>
+              <input
+                id="confirm-password"
+                type="password"
+                value={form.confirmation}
+                onChange={(e) => setForm({ ...form, confirmation: e.target.value })}
+                className={styles.formInput}
+                autoComplete="new-password"
+                required
+              />
+            </div>
+          </div>
+
+          <div className={styles.formActions}>
+            <button type="submit" className={styles.primaryButton} disabled={saving}>
+              {saving ? '⏳ Salvando...' : '🔐 Alterar senha'}
+            </button>
+          </div>
+        </form>
+
+        <TwoFactorSettings />
+
+        <div className={styles.formCard}>
+          <h2 className={styles.sectionTitle}>Sessões</h2>
+          <p className={styles.formHint}>
+            Esqueceu o painel aberto em outro computador? Veja onde sua conta está conectada e encerre o que não reconhecer.
+          </p>
+          <div className={styles.formActions}>
+            <Link to="/admin/sessions" className={styles.refreshButton}>
+              💻 Gerenciar sessões
+            </Link>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default AccountPage;
@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Sidebar from '../../admin/Sidebar';
+import {
+  ASSIGNMENT_MODE_LABELS,
+  fetchAssignment,
+  updateAssignmentMode,
+  updateSellerAssignment,
+  getAssignmentShares
+} from '../../../services/assignment';
+import styles from '../../../styles/Admin.module.css';
+
+function AssignmentPage() {
+  const [mode, setMode] = useState('round_robin');
+  const [modes, setModes] = useState(Object.keys(ASSIGNMENT_MODE_LABELS));
+  const [users, setUsers] = useState([]);
+  const [unassignedCount, setUnassignedCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadAssignment();
+  }, []);
+
+  const loadAssignment = async () => {
+    try {
+      setLoading(true);
+      const data = await fetchAssignment();
+      setMode(data.mode);
+      setModes(data.modes);
+      setUsers(data.users);
+      setUnassignedCount(data.unassigned_open_count);
+    } catch (err) {
+      setError(err.message);
+      console.error('Erro ao buscar distribuição:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleModeChange = async (value) => {
+    setError('');
+    setSaving(true);
+
+    try {
+      await updateAssignmentMode(value);
+      setMode(value);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUserChange = async (user, changes) => {
+    setError('');
+
+    try {
+      const updated = await updateSellerAssignment(user.id, changes);
+      setUsers(users.map(u => (u.id === user.id ? { ...u, ...updated } : u)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const shares = getAssignmentShares(users, mode);
+
+  return (
+    <div className={styles.adminLayout}>
+      <Sidebar />
+
+      <main className={styles.adminMain}>
+        <div className={styles.adminHeader}>
+          <div>
+            <h1 className={styles.pageTitle}>Distribuição de Leads</h1>
+            <p className={styles.pageSubtitle}>
+              Quem recebe os leads novos que chegam pelo formulário ou pela importação
+            </p>
+          </div>
+        </div>
+
+        {error && (
+          <div className={styles.errorBanner}>
+            ⚠️ {error}
+          </div>
+        )}
+
+        {unassignedCount > 0 && (
+          <div className={styles.warningBanner}>
+            👤 {unassignedCount} lead{unassignedCount !== 1 ? 's' : ''} em aberto sem responsável.{' '}
+            <Link to="/admin/leads?assigned_to=none" className={styles.leadLink}>Ver leads</Link>
+          </div>
+        )}
+
+        <div className={styles.formCard}>
+          <div className={styles.formGroup}>
+            <label htmlFor="assignment-mode" className={styles.formLabel}>Modo</label>
+            <select
+              id="assignment-mode"
+              value={mode}
+              onChange={(e) => handleModeChange(e.target.value)}
+              className={styles.formInput}
+              disabled={saving || loading}
+            >
+              {modes.map(key => (
+                <option key={key} value={key}>{ASSIGNMENT_MODE_LABELS[key] || key}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className={styles.tableContainer}>
+          {loading ? (
+            <div className={styles.tableLoading}>
+              <div className={styles.spinner}></div>
+              <p>Carregando vendedores...</p>
+            </div>
+          ) : users.length === 0 ? (
+            <div className={styles.tableEmpty}>
+              <p>👤 Nenhum usuário cadastrado</p>
+            </div>
+          ) : (
+            <div className={styles.tableWrapper}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th>Nome</th>
+                    <th>Email</th>
+                    <th>Recebe leads</th>
+                    {mode === 'weighted' && <th>Peso</th>}
+                    <th>Parte dos novos</th>
+                    <th>Em aberto</th>
+                    <th>Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {users.map(user => (
+                    <tr key={user.id}>
+                      <td className={styles.tableName}>{user.name}</td>
+                      <td>{user.email}</td>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={user.receives_leads}
+                          onChange={(e) => handleUserChange(user, { receives_leads: e.target.checked })}
+                          aria-label={`${user.name} recebe leads`}
+                        />
+                      </td>
+                      {mode === 'weighted' && (
+                        <td>
+                          <input
+                            type="number"
+                            min="1"
+                            max="100"
+                            defaultValue={user.assignment_weight}
+                            onBlur={(e) => {
+                              const weight = Number(e.target.value);
+                              if (weight !== user.assignment_weight) handleUserChange(user, { assignment_weight: weight });
+                            }}
+                            className={styles.formInput}
+                            disabled={!user.receives_leads}
+                            aria-label={`Peso de ${user.name}`}
+                          />
+                        </td>
+                      )}
+                      <td>{shares[user.id]}%</td>
+                      <td>
+                        <Link to={`/admin/leads?assigned_to=${user.id}`} className={styles.leadLink}>
+                          {user.open_count}
+                        </Link>
+                      </td>
+                      <td>{user.total_count}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default AssignmentPage;
@@ -1,18 +1,31 @@
 import React, { useState, useEffect } from 'react';
-import { authenticatedFetch } from '../../../services/auth';
+import { authenticatedFetch, getCurrentUser, hasPermission } from '../../../services/auth';
 import Sidebar from '../../admin/Sidebar';
 import StatsCard from '../../admin/StatsCard';
 import SourceStats from '../../admin/SourceStats';
+import TodayTasks from '../../admin/TodayTasks';
+import { STAGE_KIND_LABELS } from '../../../services/pipeline';
 import styles from '../../../styles/Admin.module.css';
 import { API_URL } from '../../../config';
 
+const STAGE_KIND_ICONS = {
+  open: '⏳',
+  won: '✅',
+  lost: '❌'
+};
+
 function Dashboard() {
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  // Somente leitura vê só os números, sem leads nem tarefas
+  const [canSeeLeads, setCanSeeLeads] = useState(false);
 
   useEffect(() => {
     fetchStats();
+    getCurrentUser()
+      .then(user => setCanSeeLeads(hasPermission(user, 'leads')))
+      .catch(err => console.error('Erro ao buscar usuário:', err));
   }, []);
 
   const fetchStats = async () => {
@@ -82,28 +95,23 @@ function Dashboard() {
             subtitle="Todos os tempos"
           />
 
-          <StatsCard
-            title="Novos Leads"
-            value={stats?.byStatus?.new || 0}
-            icon="🆕"
-            color="yellow"
-            subtitle="Aguardando contato"
-          />
+          {stats?.stages?.map(stage => (
+            <StatsCard
+              key={stage.key}
+              title={stage.label}
+              value={stage.count}
+              icon={STAGE_KIND_ICONS[stage.kind]}
+              color={stage.color}
+              subtitle={STAGE_KIND_LABELS[stage.kind]}
+            />
+          ))}
 
           <StatsCard
-            title="Contatados"
-            value={stats?.byStatus?.contacted || 0}
-            icon="📞"
-            color="purple"
-            subtitle="Em andamento"
-          />
-
-          <StatsCard
-            title="Convertidos"
-            value={stats?.byStatus?.converted || 0}
-            icon="✅"
+            title="Conversão"
+            value={`${stats?.conversionRate || 0}%`}
+            icon="🎯"
             color="green"
-            subtitle="Matrículas efetivadas"
+            subtitle="Leads em etapas de ganho"
           />
 
           <StatsCard
@@ -113,8 +121,20 @@ function Dashboard() {
             color="blue"
             subtitle="Leads recebidos hoje"
           />
+
+          {canSeeLeads && (
+            <StatsCard
+              title="Meus leads em aberto"
+              value={stats?.mine?.open || 0}
+              icon="👤"
+              color="purple"
+              subtitle={`${stats?.mine?.total || 0} atribuídos a você no total`}
+            />
+          )}
         </div>
 
+        {canSeeLeads && <TodayTasks />}
+
         {/* NOVO: Estatísticas por origem */}
         <SourceStats />
 
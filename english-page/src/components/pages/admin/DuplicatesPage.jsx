@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { authenticatedFetch } from '../../../services/auth';
+import Sidebar from '../../admin/Sidebar';
+import styles from '../../../styles/Admin.module.css';
+import { API_URL } from '../../../config';
+
+const REASON_LABELS = {
+  whatsapp: 'Mesmo WhatsApp',
+  email: 'Mesmo email',
+  whatsapp_similar: 'WhatsApp parecido'
+};
+
+function DuplicatesPage() {
+  const [duplicates, setDuplicates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [merging, setMerging] = useState(false);
+
+  useEffect(() => {
+    fetchDuplicates();
+  }, []);
+
+  const fetchDuplicates = async () => {
+    try {
+      setLoading(true);
+      const response = await authenticatedFetch(`${API_URL}/admin/leads/duplicates`);
+
+      if (!response.ok) {
+        throw new Error('Erro ao buscar duplicados');
+      }
+
+      const data = await response.json();
+      setDuplicates(data.duplicates || []);
+    } catch (err) {
+      setError(err.message);
+      console.error('Erro ao buscar duplicados:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMerge = async (target, source) => {
+    if (!window.confirm(
+      `Mesclar "${source.name}" (#${source.id}) em "${target.name}" (#${target.id})? ` +
+      `O lead #${source.id} será removido e o histórico dele passa para o #${target.id}.`
+    )) return;
+
+    setMerging(true);
+
+    try {
+      const response = await authenticatedFetch(`${API_URL}/admin/leads/${target.id}/merge`, {
+        method: 'POST',
+        body: JSON.stringify({ source_id: source.id })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao mesclar leads');
+      }
+
+      fetchDuplicates();
+    } catch (err) {
+      alert('Erro ao mesclar leads: ' + err.message);
+      console.error(err);
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('pt-BR', {
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric'
+    });
+  };
+
+  const renderLead = (lead, other) => (
+    <div className={styles.duplicateLead}>
+      <div className={styles.tableName}>#{lead.id} • {lead.name}</div>
+      <div>📱 {lead.whatsapp}</div>
+      <div>✉️ {lead.email || '-'}</div>
+      <div>📍 {lead.city || '-'}</div>
+      <div className={styles.statsCardSubtitle}>
+        {formatDate(lead.created_at)} • {lead.source} / {lead.utm_campaign} •{' '}
+        {lead.touchpoint_count} envio{lead.touchpoint_count !== 1 ? 's' : ''}
+      </div>
+      <button
+        onClick={() => handleMerge(lead, other)}
+        className={styles.primaryButton}
+        disabled={merging}
+      >
+        ✅ Manter este
+      </button>
+    </div>
+  );
+
+  return (
+    <div className={styles.adminLayout}>
+      <Sidebar />
+
+      <main className={styles.adminMain}>
+        <div className={styles.adminHeader}>
+          <div>
+            <h1 className={styles.pageTitle}>Possíveis Duplicados</h1>
+            <p className={styles.pageSubtitle}>
+              {duplicates.length} par{duplicates.length !== 1 ? 'es' : ''} para revisar
+            </p>
+          </div>
+
+          <button
+            onClick={fetchDuplicates}
+            className={styles.refreshButton}
+            disabled={loading}
+          >
+            🔄 Atualizar
+          </button>
+        </div>
+
+        {error && (
+          <div className={styles.errorBanner}>
+            ⚠️ {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className={styles.tableLoading}>
+            <div className={styles.spinner}></div>
+            <p>Carregando duplicados...</p>
+          </div>
+        ) : duplicates.length === 0 ? (
+          <div className={styles.tableEmpty}>
+            <p>🎉 Nenhum duplicado encontrado</p>
+          </div>
+        ) : (
+          duplicates.map(({ reason, leads: [first, second] }) => (
+            <div key={`${first.id}-${second.id}`} className={styles.formCard}>
+              <span className={styles.eventTag}>{REASON_LABELS[reason] || reason}</span>
+              <div className={styles.formGrid}>
+                {renderLead(first, second)}
+                {renderLead(second, first)}
+              </div>
+            </div>
+          ))
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default DuplicatesPage;
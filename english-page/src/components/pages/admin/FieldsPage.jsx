@@ -0,0 +1,462 @@
+import React, { useState, useEffect } from 'react';
+import { authenticatedFetch } from '../../../services/auth';
+import { CUSTOM_FIELD_TYPE_LABELS, fetchTags, fetchCustomFields, getTagStyle } from '../../../services/fields';
+import Sidebar from '../../admin/Sidebar';
+import styles from '../../../styles/Admin.module.css';
+import { API_URL } from '../../../config';
+
+const emptyTagForm = {
+  name: '',
+  color: '#718096'
+};
+
+const emptyFieldForm = {
+  label: '',
+  type: 'text',
+  options: '',
+  show_on_form: false
+};
+
+// Opções digitadas uma por linha
+const parseOptions = (text) => text.split('\n').map(option => option.trim()).filter(Boolean);
+
+function FieldsPage() {
+  const [tags, setTags] = useState([]);
+  const [fields, setFields] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [tagForm, setTagForm] = useState(emptyTagForm);
+  const [fieldForm, setFieldForm] = useState(emptyFieldForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchAll();
+  }, []);
+
+  const fetchAll = async () => {
+    try {
+      setLoading(true);
+      const [tagsData, fieldsData] = await Promise.all([fetchTags(), fetchCustomFields()]);
+      setTags(tagsData);
+      setFields(fieldsData);
+    } catch (err) {
+      setError(err.message);
+      console.error('Erro ao buscar tags e campos:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // POST/PATCH/PUT com a mensagem de validação da API no erro
+  const send = async (path, method, body, fallbackError) => {
+    const response = await authenticatedFetch(`${API_URL}/admin/${path}`, {
+      method,
+      body: JSON.stringify(body)
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.details?.[0]?.message || data.error || fallbackError);
+    }
+
+    return data;
+  };
+
+  const handleCreateTag = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    try {
+      const tag = await send('tags', 'POST', tagForm, 'Erro ao criar tag');
+      setTags([...tags, tag].sort((a, b) => a.name.localeCompare(b.name)));
+      setTagForm(emptyTagForm);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdateTag = async (tag, changes) => {
+    setError('');
+
+    try {
+      const data = await send(`tags/${tag.id}`, 'PATCH', changes, 'Erro ao atualizar tag');
+      setTags(tags.map(t => (t.id === tag.id ? { ...t, ...data } : t)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteTag = async (tag) => {
+    const usage = tag.lead_count > 0 ? ` Ela sai de ${tag.lead_count} lead${tag.lead_count !== 1 ? 's' : ''}.` : '';
+    if (!window.confirm(`Tem certeza que deseja deletar a tag "${tag.name}"?${usage}`)) return;
+
+    try {
+      const response = await authenticatedFetch(`${API_URL}/admin/tags/${tag.id}`, { method: 'DELETE' });
+
+      if (!response.ok) {
+        throw new Error('Erro ao deletar tag');
+      }
+
+      setTags(tags.filter(t => t.id !== tag.id));
+    } catch (err) {
+      alert('Erro ao deletar tag: ' + err.message);
+      console.error(err);
+    }
+  };
+
+  const handleCreateField = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    try {
+      const field = await send('custom-fields', 'POST', {
+        label: fieldForm.label,
+        type: fieldForm.type,
+        show_on_form: fieldForm.show_on_form,
+        ...(fieldForm.type === 'select' && { options: parseOptions(fieldForm.options) })
+      }, 'Erro ao criar campo');
+
+      setFields([...fields, field]);
+      setFieldForm(emptyFieldForm);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdateField = async (field, changes) => {
+    setError('');
+
+    try {
+      const data = await send(`custom-fields/${field.id}`, 'PATCH', changes, 'Erro ao atualizar campo');
+      setFields(fields.map(f => (f.id === field.id ? { ...f, ...data } : f)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleMoveField = async (index, direction) => {
+    const reordered = [...fields];
+    const [moved] = reordered.splice(index, 1);
+    reordered.splice(index + direction, 0, moved);
+    setFields(reordered);
+
+    try {
+      await send('custom-fields/order', 'PUT', { ids: reordered.map(field => field.id) }, 'Erro ao reordenar campos');
+    } catch (err) {
+      setError(err.message);
+      fetchAll();
+    }
+  };
+
+  const handleDeleteField = async (field) => {
+    const usage = field.lead_count > 0 ? ` O valor é apagado de ${field.lead_count} lead${field.lead_count !== 1 ? 's' : ''}.` : '';
+    if (!window.confirm(`Tem certeza que deseja deletar o campo "${field.label}"?${usage}`)) return;
+
+    try {
+      const response = await authenticatedFetch(`${API_URL}/admin/custom-fields/${field.id}`, { method: 'DELETE' });
+
+      if (!response.ok) {
+        throw new Error('Erro ao deletar campo');
+      }
+
+      setFields(fields.filter(f => f.id !== field.id));
+    } catch (err) {
+      alert('Erro ao deletar campo: ' + err.message);
+      console.error(err);
+    }
+  };
+
+  return (
+    <div className={styles.adminLayout}>
+      <Sidebar />
+
+      <main className={styles.adminMain}>
+        <div className={styles.adminHeader}>
+          <div>
+            <h1 className={styles.pageTitle}>Tags e Campos</h1>
+            <p className={styles.pageSubtitle}>
+              Marque leads com tags e guarde dados extras, como status do visto
+            </p>
+          </div>
+
+          <button
+            onClick={fetchAll}
+            className={styles.refreshButton}
+            disabled={loading}
+          >
+            🔄 Atualizar
+          </button>
+        </div>
+
+        {error && (
+          <div className={styles.errorBanner}>
+            ⚠️ {error}
+          </div>
+        )}
+
+        <form onSubmit={handleCreateTag} className={styles.formCard}>
+          <h2 className={styles.sectionTitle}>Nova tag</h2>
+
+          <div className={styles.formGrid}>
+            <div className={styles.formGroup}>
+              <label htmlFor="tag-name" className={styles.formLabel}>Nome</label>
+              <input
+                id="tag-name"
+                type="text"
+                value={tagForm.name}
+                onChange={(e) => setTagForm({ ...tagForm, name: e.target.value })}
+                className={styles.formInput}
+                placeholder="Turma de março"
+                required
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="tag-color" className={styles.formLabel}>Cor</label>
+              <input
+                id="tag-color"
+                type="color"
+                value={tagForm.color}
+                onChange={(e) => setTagForm({ ...tagForm, color: e.target.value })}
+                className={styles.formInput}
+              />
+            </div>
+          </div>
+
+          <div className={styles.formActions}>
+            <button type="submit" className={styles.primaryButton} disabled={saving}>
+              {saving ? '⏳ Salvando...' : '➕ Criar tag'}
+            </button>
+          </div>
+        </form>
+
+        <div className={styles.tableContainer}>
+          {loading ? (
+            <div className={styles.tableLoading}>
+              <div className={styles.spinner}></div>
+              <p>Carregando tags...</p>
+            </div>
+          ) : tags.length === 0 ? (
+            <div className={styles.tableEmpty}>
+              <p>🏷️ Nenhuma tag ainda. Tags também são criadas ao marcar um lead.</p>
+            </div>
+          ) : (
+            <div className={styles.tableWrapper}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th>Tag</th>
+                    <th>Nome</th>
+                    <th>Cor</th>
+                    <th>Leads</th>
+                    <th>Ações</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {tags.map(tag => (
+                    <tr key={tag.id}>
+                      <td>
+                        <span className={styles.tagChip} style={getTagStyle(tag)}>{tag.name}</span>
+                      </td>
+                      <td>
+                        <input
+                          type="text"
+                          defaultValue={tag.name}
+                          onBlur={(e) => e.target.value !== tag.name && handleUpdateTag(tag, { name: e.target.value })}
+                          className={styles.formInput}
+                          aria-label="Nome da tag"
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="color"
+                          defaultValue={tag.color}
+                          onBlur={(e) => e.target.value !== tag.color && handleUpdateTag(tag, { color: e.target.value })}
+                          aria-label="Cor da tag"
+                        />
+                      </td>
+                      <td>{tag.lead_count}</td>
+                      <td className={styles.tableActions}>
+                        <button
+                          onClick={() => handleDeleteTag(tag)}
+                          className={`${styles.actionButton} ${styles.actionButtonDanger}`}
+                          title="Deletar"
+                        >
+                          🗑️
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <form onSubmit={handleCreateField} className={styles.formCard}>
+          <h2 className={styles.sectionTitle}>Novo campo personalizado</h2>
+
+          <div className={styles.formGrid}>
+            <div className={styles.formGroup}>
+              <label htmlFor="field-label" className={styles.formLabel}>Nome</label>
+              <input
+                id="field-label"
+                type="text"
+                value={fieldForm.label}
+                onChange={(e) => setFieldForm({ ...fieldForm, label: e.target.value })}
+                className={styles.formInput}
+                placeholder="Status do visto"
+                required
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="field-type" className={styles.formLabel}>Tipo</label>
+              <select
+                id="field-type"
+                value={fieldForm.type}
+                onChange={(e) => setFieldForm({ ...fieldForm, type: e.target.value })}
+                className={styles.formInput}
+              >
+                {Object.entries(CUSTOM_FIELD_TYPE_LABELS).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            {fieldForm.type === 'select' && (
+              <div className={styles.formGroup}>
+                <label htmlFor="field-options" className={styles.formLabel}>Opções (uma por linha)</label>
+                <textarea
+                  id="field-options"
+                  value={fieldForm.options}
+                  onChange={(e) => setFieldForm({ ...fieldForm, options: e.target.value })}
+                  className={styles.formInput}
+                  rows={3}
+                  placeholder={'F1\nH1B\nGreen card'}
+                  required
+                />
+              </div>
+            )}
+          </div>
+
+          <label className={styles.checkboxLabel}>
+            <input
+              type="checkbox"
+              checked={fieldForm.show_on_form}
+              onChange={(e) => setFieldForm({ ...fieldForm, show_on_form: e.target.checked })}
+            />
+            Perguntar no formulário da landing page (opcional para quem preenche)
+          </label>
+
+          <div className={styles.formActions}>
+            <button type="submit" className={styles.primaryButton} disabled={saving}>
+              {saving ? '⏳ Salvando...' : '➕ Criar campo'}
+            </button>
+          </div>
+        </form>
+
+        <div className={styles.tableContainer}>
+          {!loading && fields.length === 0 ? (
+            <div className={styles.tableEmpty}>
+              <p>🗂️ Nenhum campo personalizado ainda</p>
+            </div>
+          ) : !loading && (
+            <div className={styles.tableWrapper}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th>Ordem</th>
+                    <th>Nome</th>
+                    <th>Key</th>
+                    <th>Tipo</th>
+                    <th>Opções</th>
+                    <th>No formulário</th>
+                    <th>Leads</th>
+                    <th>Ações</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {fields.map((field, index) => (
+                    <tr key={field.id}>
+                      <td className={styles.tableActions}>
+                        <button
+                          onClick={() => handleMoveField(index, -1)}
+                          className={styles.actionButton}
+                          disabled={index === 0}
+                          title="Subir"
+                        >
+                          ⬆️
+                        </button>
+                        <button
+                          onClick={() => handleMoveField(index, 1)}
+                          className={styles.actionButton}
+                          disabled={index === fields.length - 1}
+                          title="Descer"
+                        >
+                          ⬇️
+                        </button>
+                      </td>
+                      <td>
+                        <input
+                          type="text"
+                          defaultValue={field.label}
+                          onBlur={(e) => e.target.value !== field.label && handleUpdateField(field, { label: e.target.value })}
+                          className={styles.formInput}
+                          aria-label="Nome do campo"
+                        />
+                      </td>
+                      <td><code>{field.key}</code></td>
+                      <td>{CUSTOM_FIELD_TYPE_LABELS[field.type] || field.type}</td>
+                      <td>
+                        {field.type === 'select' ? (
+                          <textarea
+                            defaultValue={field.options.join('\n')}
+                            onBlur={(e) => {
+                              const options = parseOptions(e.target.value);
+                              if (options.join('\n') !== field.options.join('\n')) handleUpdateField(field, { options });
+                            }}
+                            className={styles.formInput}
+                            rows={Math.min(field.options.length, 4)}
+                            aria-label="Opções do campo"
+                          />
+                        ) : '-'}
+                      </td>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={field.show_on_form}
+                          onChange={(e) => handleUpdateField(field, { show_on_form: e.target.checked })}
+                          aria-label="Mostrar no formulário"
+                        />
+                      </td>
+                      <td>{field.lead_count}</td>
+                      <td className={styles.tableActions}>
+                        <button
+                          onClick={() => handleDeleteField(field)}
+                          className={`${styles.actionButton} ${styles.actionButtonDanger}`}
+                          title="Deletar"
+                        >
+                          🗑️
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default FieldsPage;
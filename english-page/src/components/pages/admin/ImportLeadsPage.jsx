@@ -0,0 +1,356 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import Sidebar from '../../admin/Sidebar';
+import StatsCard from '../../admin/StatsCard';
+import { previewLeadImport, importLeads } from '../../../services/leads';
+import styles from '../../../styles/Admin.module.css';
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Linhas exibidas na prévia (a importação usa todas)
+const PREVIEW_LIMIT = 200;
+
+const FIELD_LABELS = {
+  name: 'Nome',
+  whatsapp: 'WhatsApp',
+  email: 'Email',
+  city: 'Cidade',
+  level: 'Nível',
+  goal: 'Objetivo',
+  schedule: 'Horário',
+  message: 'Mensagem',
+  source: 'Origem',
+  utm_source: 'UTM source',
+  utm_medium: 'UTM medium',
+  utm_campaign: 'UTM campaign',
+  status: 'Etapa'
+};
+
+const RESULT_LABELS = {
+  valid: { label: 'Válida', className: 'badgeSuccess' },
+  invalid: { label: 'Inválida', className: 'badgeDanger' },
+  duplicate: { label: 'Duplicada', className: 'badgeMuted' }
+};
+
+function ImportLeadsPage() {
+  const [file, setFile] = useState(null);
+  const [csv, setCsv] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [mapping, setMapping] = useState(null);
+  const [phoneCountry, setPhoneCountry] = useState('US');
+  const [duplicates, setDuplicates] = useState('skip');
+  const [preview, setPreview] = useState(null);
+  const [filter, setFilter] = useState('all');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+
+  const buildBody = (overrides = {}) => ({
+    csv,
+    phone_country: phoneCountry,
+    duplicates,
+    ...(mapping && { mapping }),
+    ...overrides
+  });
+
+  const runPreview = async (body) => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const data = await previewLeadImport(body);
+      setPreview(data);
+      setHeaders(data.headers);
+      setMapping(data.mapping);
+    } catch (err) {
+      setError(err.message);
+      setPreview(null);
+      // Mesmo com erro de mapeamento, mostra as colunas para o usuário escolher
+      if (err.preview) {
+        setHeaders(err.preview.headers);
+        setMapping(err.preview.mapping);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    setResult(null);
+    setPreview(null);
+    setMapping(null);
+
+    if (!selected) return;
+
+    if (selected.size > MAX_FILE_SIZE) {
+      setError('Arquivo muito grande (máximo 5 MB)');
+      return;
+    }
+
+    const text = await selected.text();
+    setFile(selected);
+    setCsv(text);
+
+    // Primeira leitura sem mapping: a API sugere as colunas pelo cabeçalho
+    runPreview({ csv: text, phone_country: phoneCountry, duplicates });
+  };
+
+  const handleMappingChange = (column, field) => {
+    setMapping(mapping.map((current, index) => {
+      if (index === column) return field;
+      // Cada campo só pode vir de uma coluna
+      return field && current === field ? '' : current;
+    }));
+  };
+
+  const handleImport = async () => {
+    const total = preview.summary.valid;
+    if (!window.confirm(`Importar ${total} lead${total !== 1 ? 's' : ''}?`)) return;
+
+    setError('');
+    setLoading(true);
+
+    try {
+      const data = await importLeads(buildBody());
+      setResult(data);
+      setPreview(null);
+      setFile(null);
+      setCsv('');
+      setMapping(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const rows = (preview?.rows || []).filter(row => filter === 'all' || row.result === filter);
+
+  const renderRowDetails = (row) => {
+    if (row.result === 'invalid') {
+      return row.errors.map(e => `${FIELD_LABELS[e.field] || e.field}: ${e.message}`).join(' • ');
+    }
+
+    if (row.duplicate_line) {
+      return `Repete a linha ${row.duplicate_line} do arquivo`;
+    }
+
+    if (row.duplicate_id) {
+      return (
+        <>
+          Já existe:{' '}
+          <Link to={`/admin/leads/${row.duplicate_id}`} className={styles.leadLink}>
+            #{row.duplicate_id} {row.duplicate_name}
+          </Link>
+          {duplicates === 'merge' && ' (será mesclado)'}
+        </>
+      );
+    }
+
+    return '-';
+  };
+
+  return (
+    <div className={styles.adminLayout}>
+      <Sidebar />
+
+      <main className={styles.adminMain}>
+        <div className={styles.adminHeader}>
+          <div>
+            <Link to="/admin/leads" className={styles.backLink}>← Voltar para leads</Link>
+            <h1 className={styles.pageTitle}>Importar Leads</h1>
+            <p className={styles.pageSubtitle}>
+              CSV de eventos ou planilhas antigas. Nada é gravado até você confirmar.
+            </p>
+          </div>
+        </div>
+
+        {error && (
+          <div className={styles.errorBanner}>
+            ⚠️ {error}
+          </div>
+        )}
+
+        {result && (
+          <div className={styles.successBanner}>
+            ✅ {result.created} lead{result.created !== 1 ? 's' : ''} importado{result.created !== 1 ? 's' : ''}
+            {result.merged > 0 && `, ${result.merged} mesclado${result.merged !== 1 ? 's' : ''}`}
+            {result.skipped > 0 && `, ${result.skipped} duplicado${result.skipped !== 1 ? 's' : ''} ignorado${result.skipped !== 1 ? 's' : ''}`}
+            {result.invalid > 0 && `, ${result.invalid} inválido${result.invalid !== 1 ? 's' : ''}`}.{' '}
+            <Link to="/admin/leads" className={styles.leadLink}>Ver leads</Link>
+          </div>
+        )}
+
+        <div className={styles.formCard}>
+          <div className={styles.formGrid}>
+            <div className={styles.formGroup}>
+              <label htmlFor="import-file" className={styles.formLabel}>Arquivo CSV</label>
+              <input
+                id="import-file"
+                type="file"
+                accept=".csv,text/csv"
+                onChange={handleFileChange}
+                className={styles.formInput}
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="import-country" className={styles.formLabel}>Telefones sem DDI são de</label>
+              <select
+                id="import-country"
+                value={phoneCountry}
+                onChange={(e) => setPhoneCountry(e.target.value)}
+                className={styles.formInput}
+              >
+                <option value="US">🇺🇸 EUA (+1)</option>
+                <option value="BR">🇧🇷 Brasil (+55)</option>
+              </select>
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="import-duplicates" className={styles.formLabel}>Leads que já existem</label>
+              <select
+                id="import-duplicates"
+                value={duplicates}
+                onChange={(e) => setDuplicates(e.target.value)}
+                className={styles.formInput}
+              >
+                <option value="skip">Ignorar</option>
+                <option value="merge">Mesclar no lead existente</option>
+              </select>
+            </div>
+          </div>
+
+          {mapping && (
+            <>
+              <h2 className={styles.sectionTitle}>Colunas</h2>
+
+              <div className={styles.tableWrapper}>
+                <table className={styles.table}>
+                  <thead>
+                    <tr>
+                      <th>Coluna do CSV</th>
+                      <th>Campo do lead</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {mapping.map((field, column) => (
+                      <tr key={column}>
+                        <td>{headers[column] ?? `Coluna ${column + 1}`}</td>
+                        <td>
+                          <select
+                            value={field}
+                            onChange={(e) => handleMappingChange(column, e.target.value)}
+                            className={styles.formInput}
+                            aria-label={`Campo da coluna ${headers[column] ?? column + 1}`}
+                          >
+                            <option value="">— Ignorar —</option>
+                            {Object.entries(FIELD_LABELS).map(([key, label]) => (
+                              <option key={key} value={key}>{label}</option>
+                            ))}
+                          </select>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          {file && (
+            <div className={styles.formActions}>
+              <button
+                onClick={() => runPreview(buildBody())}
+                className={styles.refreshButton}
+                disabled={loading}
+              >
+                {loading ? '⏳ Lendo...' : '🔄 Atualizar pré-visualização'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {preview && (
+          <>
+            <div className={styles.statsGrid}>
+              <StatsCard title="Válidas" value={preview.summary.valid} icon="✅" color="green" subtitle="Serão importadas" />
+              <StatsCard title="Inválidas" value={preview.summary.invalid} icon="⚠️" color="red" subtitle="Serão ignoradas" />
+              <StatsCard
+                title="Duplicadas"
+                value={preview.summary.duplicate}
+                icon="👯"
+                color="yellow"
+                subtitle={duplicates === 'merge' ? 'Mescladas com o lead existente' : 'Serão ignoradas'}
+              />
+            </div>
+
+            <div className={styles.tableContainer}>
+              <div className={styles.filtersBar}>
+                <div className={styles.filterTabs}>
+                  {['all', 'valid', 'invalid', 'duplicate'].map(key => (
+                    <button
+                      key={key}
+                      onClick={() => setFilter(key)}
+                      className={`${styles.filterTab} ${filter === key ? styles.filterTabActive : ''}`}
+                    >
+                      {key === 'all' ? `Todas (${preview.rows.length})` : `${RESULT_LABELS[key].label}s (${preview.summary[key]})`}
+                    </button>
+                  ))}
+                </div>
+
+                <button
+                  onClick={handleImport}
+                  className={styles.primaryButton}
+                  disabled={loading || preview.summary.valid === 0}
+                >
+                  📤 Importar {preview.summary.valid} lead{preview.summary.valid !== 1 ? 's' : ''}
+                </button>
+              </div>
+
+              <div className={styles.tableWrapper}>
+                <table className={styles.table}>
+                  <thead>
+                    <tr>
+                      <th>Linha</th>
+                      <th>Resultado</th>
+                      <th>Nome</th>
+                      <th>WhatsApp</th>
+                      <th>Email</th>
+                      <th>Detalhes</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.slice(0, PREVIEW_LIMIT).map(row => (
+                      <tr key={row.line}>
+                        <td className={styles.tableId}>{row.line}</td>
+                        <td>
+                          <span className={`${styles.badge} ${styles[RESULT_LABELS[row.result].className]}`}>
+                            {RESULT_LABELS[row.result].label}
+                          </span>
+                        </td>
+                        <td>{row.data.name || '-'}</td>
+                        <td>{row.data.whatsapp || '-'}</td>
+                        <td>{row.data.email || '-'}</td>
+                        <td>{renderRowDetails(row)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {rows.length > PREVIEW_LIMIT && (
+                <p className={styles.tableEmpty}>
+                  Mostrando {PREVIEW_LIMIT} de {rows.length} linhas
+                </p>
+              )}
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default ImportLeadsPage;
@@ -0,0 +1,845 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { authenticatedFetch, getCurrentUser, hasPermission } from '../../../services/auth';
+import Sidebar from '../../admin/Sidebar';
+import TaskList from '../../admin/TaskList';
+import { getPipelineStages, findStage } from '../../../services/pipeline';
+import { fetchLeadFilterOptions, updateLead, assignLead, restoreLead } from '../../../services/leads';
+import { fetchTags, fetchCustomFields, formatCustomFieldValue, getTagStyle } from '../../../services/fields';
+import { fetchLeadTasks, createLeadTask, updateTask, deleteTask } from '../../../services/tasks';
+import styles from '../../../styles/Admin.module.css';
+import { API_URL } from '../../../config';
+
+const ACTIVITY_LABELS = {
+  note: { icon: '📝', label: 'Nota' },
+  call: { icon: '📞', label: 'Ligação' },
+  whatsapp: { icon: '💬', label: 'WhatsApp' },
+  email: { icon: '✉️', label: 'Email' },
+  meeting: { icon: '🤝', label: 'Reunião' },
+  status_change: { icon: '🔄', label: 'Status alterado' },
+  merge: { icon: '👯', label: 'Leads mesclados' },
+  update: { icon: '✏️', label: 'Dados editados' },
+  assignment: { icon: '👤', label: 'Responsável alterado' },
+  task_done: { icon: '☑️', label: 'Tarefa concluída' },
+  import: { icon: '📤', label: 'Importado de CSV' },
+  trash: { icon: '🗑️', label: 'Movido para a lixeira' },
+  restore: { icon: '♻️', label: 'Restaurado da lixeira' },
+  activity_deleted: { icon: '🧹', label: 'Atividade removida' },
+  touchpoint: { icon: '📥', label: 'Formulário enviado' }
+};
+
+const OUTCOME_LABELS = {
+  answered: 'Atendeu',
+  no_answer: 'Não atendeu',
+  voicemail: 'Caixa postal',
+  wrong_number: 'Número errado',
+  interested: 'Interessado',
+  not_interested: 'Sem interesse',
+  scheduled: 'Aula agendada'
+};
+
+// Campos editáveis na página, na ordem em que aparecem
+const LEAD_FIELDS = [
+  { name: 'name', label: 'Nome' },
+  { name: 'whatsapp', label: 'WhatsApp', type: 'tel' },
+  { name: 'email', label: 'Email', type: 'email' },
+  { name: 'city', label: 'Cidade' },
+  { name: 'level', label: 'Nível' },
+  { name: 'schedule', label: 'Horário' },
+  { name: 'goal', label: 'Objetivo', multiline: true },
+  { name: 'message', label: 'Mensagem', multiline: true }
+];
+
+const ORIGIN_FIELDS = [
+  { name: 'source', label: 'Origem' },
+  { name: 'utm_source', label: 'UTM source' },
+  { name: 'utm_medium', label: 'UTM medium' },
+  { name: 'utm_campaign', label: 'UTM campaign' }
+];
+
+const FIELD_LABELS = {
+  ...Object.fromEntries([...LEAD_FIELDS, ...ORIGIN_FIELDS].map(field => [field.name, field.label])),
+  tags: 'Tags'
+};
+
+// Tipo do input de cada campo personalizado (select usa as opções)
+const CUSTOM_FIELD_INPUT_TYPES = {
+  text: 'text',
+  number: 'number',
+  date: 'date'
+};
+
+// Campo personalizado no mesmo formato dos campos fixos; o valor fica em lead.custom_fields
+const toEditableField = (field) => ({
+  name: `custom_fields.${field.key}`,
+  label: field.label,
+  type: CUSTOM_FIELD_INPUT_TYPES[field.type],
+  options: field.type === 'select' ? field.options : null,
+  custom: field
+});
+
+// assigned_to vazio = responsável do lead
+const emptyTask = {
+  title: '',
+  due_at: '',
+  assigned_to: ''
+};
+
+const emptyActivity = {
+  type: 'note',
+  content: '',
+  outcome: ''
+};
+
+function LeadDetailPage() {
+  const { id } = useParams();
+  const [lead, setLead] = useState(null);
+  const [activities, setActivities] = useState([]);
+  const [touchpoints, setTouchpoints] = useState([]);
+  const [stages, setStages] = useState([]);
+  const [types, setTypes] = useState(['note', 'call', 'whatsapp']);
+  const [outcomes, setOutcomes] = useState(Object.keys(OUTCOME_LABELS));
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(emptyActivity);
+  const [saving, setSaving] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [customFields, setCustomFields] = useState([]);
+  const [allTags, setAllTags] = useState([]);
+  const [newTag, setNewTag] = useState('');
+  const [users, setUsers] = useState([]);
+  const [tasks, setTasks] = useState([]);
+  const [taskForm, setTaskForm] = useState(emptyTask);
+  // Trocar o responsável e restaurar da lixeira são ações de administrador
+  const [canManage, setCanManage] = useState(false);
+  // Atividades só podem ser removidas por quem registrou (ou por um admin)
+  const [currentUserId, setCurrentUserId] = useState(null);
+
+  useEffect(() => {
+    getCurrentUser()
+      .then(user => {
+        setCanManage(hasPermission(user, 'admin'));
+        setCurrentUserId(user?.id ?? null);
+      })
+      .catch(err => console.error('Erro ao buscar usuário:', err));
+    getPipelineStages()
+      .then(setStages)
+      .catch(err => console.error('Erro ao buscar pipeline:', err));
+    fetchCustomFields()
+      .then(setCustomFields)
+      .catch(err => console.error('Erro ao buscar campos personalizados:', err));
+    fetchTags()
+      .then(setAllTags)
+      .catch(err => console.error('Erro ao buscar tags:', err));
+    fetchLeadFilterOptions()
+      .then(options => setUsers(options.users || []))
+      .catch(err => console.error('Erro ao buscar vendedores:', err));
+  }, []);
+
+  const getStageLabel = (key) => findStage(stages, key)?.label || key;
+
+  const fetchLead = useCallback(async () => {
+    try {
+      setLoading(true);
+
+      const [leadResponse, activitiesResponse, touchpointsResponse] = await Promise.all([
+        authenticatedFetch(`${API_URL}/admin/leads/${id}`),
+        authenticatedFetch(`${API_URL}/admin/leads/${id}/activities`),
+        authenticatedFetch(`${API_URL}/admin/leads/${id}/touchpoints`)
+      ]);
+
+      if (!leadResponse.ok) {
+        throw new Error(leadResponse.status === 404 ? 'Lead não encontrado' : 'Erro ao buscar lead');
+      }
+
+      const leadData = await leadResponse.json();
+      setLead(leadData.lead);
+
+      if (activitiesResponse.ok) {
+        const activitiesData = await activitiesResponse.json();
+        setActivities(activitiesData.activities || []);
+        if (activitiesData.types) setTypes(activitiesData.types);
+        if (activitiesData.outcomes) setOutcomes(activitiesData.outcomes);
+      }
+
+      if (touchpointsResponse.ok) {
+        const touchpointsData = await touchpointsResponse.json();
+        setTouchpoints(touchpointsData.touchpoints || []);
+      }
+
+      fetchLeadTasks(id)
+        .then(setTasks)
+        .catch(err => console.error('Erro ao buscar tarefas:', err));
+    } catch (err) {
+      setError(err.message);
+      console.error('Erro ao buscar lead:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchLead();
+  }, [fetchLead]);
+
+  const handleStatusChange = async (status) => {
+    try {
+      const response = await authenticatedFetch(`${API_URL}/admin/leads/${id}/status`, {
+        method: 'PATCH',
+        body: JSON.stringify({ status })
+      });
+
+      if (!response.ok) {
+        throw new Error('Erro ao atualizar status');
+      }
+
+      fetchLead();
+    } catch (err) {
+      alert('Erro ao atualizar status: ' + err.message);
+      console.error(err);
+    }
+  };
+
+  const handleAssign = async (value) => {
+    try {
+      const updated = await assignLead(id, value ? Number(value) : null);
+      setLead(updated);
+      fetchLead();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const getFieldValue = (field) => {
+    const value = field.custom ? lead.custom_fields?.[field.custom.key] : lead[field.name];
+    return value === undefined || value === null ? '' : String(value);
+  };
+
+  const startEditing = (field) => {
+    setError('');
+    setEditing({ field, value: getFieldValue(field) });
+  };
+
+  const saveChanges = async (changes) => {
+    try {
+      const updated = await updateLead(id, changes);
+      setLead(updated);
+      setEditing(null);
+      fetchLead();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSaveField = async () => {
+    if (!editing) return;
+
+    const { field, value } = editing;
+
+    if (value === getFieldValue(field)) {
+      setEditing(null);
+      return;
+    }
+
+    await saveChanges(field.custom
+      ? { custom_fields: { [field.custom.key]: value } }
+      : { [field.name]: value });
+  };
+
+  const handleAddTag = (e) => {
+    e.preventDefault();
+    const name = newTag.trim();
+    if (!name) return;
+
+    setNewTag('');
+    if (lead.tags.some(tag => tag.name.toLowerCase() === name.toLowerCase())) return;
+
+    saveChanges({ tags: [...lead.tags.map(tag => tag.name), name] });
+  };
+
+  const handleRemoveTag = (removed) => {
+    saveChanges({ tags: lead.tags.filter(tag => tag.id !== removed.id).map(tag => tag.name) });
+  };
+
+  const handleFieldKeyDown = (e, field) => {
+    if (e.key === 'Escape') {
+      setEditing(null);
+    } else if (e.key === 'Enter' && (!field.multiline || e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      handleSaveField();
+    }
+  };
+
+  const renderField = (field) => {
+    if (editing?.field.name === field.name) {
+      const inputProps = {
+        value: editing.value,
+        onChange: (e) => setEditing({ ...editing, value: e.target.value }),
+        onBlur: handleSaveField,
+        onKeyDown: (e) => handleFieldKeyDown(e, field),
+        className: styles.formInput,
+        'aria-label': field.label,
+        autoFocus: true
+      };
+
+      if (field.options) {
+        return (
+          <select {...inputProps}>
+            <option value="">-</option>
+            {field.options.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        );
+      }
+
+      return field.multiline
+        ? <textarea rows={3} {...inputProps} />
+        : <input type={field.type || 'text'} {...inputProps} />;
+    }
+
+    return (
+      <button
+        type="button"
+        onClick={() => startEditing(field)}
+        className={styles.editableValue}
+        title="Clique para editar"
+      >
+        {field.custom ? formatCustomFieldValue(field.custom, getFieldValue(field)) : lead[field.name] || '-'}
+      </button>
+    );
+  };
+
+  const handleAddActivity = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    try {
+      const response = await authenticatedFetch(`${API_URL}/admin/leads/${id}/activities`, {
+        method: 'POST',
+        body: JSON.stringify({
+          type: form.type,
+          content: form.content,
+          ...(form.outcome && { outcome: form.outcome })
+        })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.details?.[0]?.message || data.error || 'Erro ao registrar atividade');
+      }
+
+      setActivities([data, ...activities]);
+      setForm(emptyActivity);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteActivity = async (activity) => {
+    if (!window.confirm('Tem certeza que deseja deletar esta atividade?')) return;
+
+    try {
+      const response = await authenticatedFetch(
+        `${API_URL}/admin/leads/${id}/activities/${activity.id}`,
+        { method: 'DELETE' }
+      );
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao deletar atividade');
+      }
+
+      // A remoção entra na timeline no lugar da atividade
+      setActivities([
+        ...(data.activity ? [data.activity] : []),
+        ...activities.filter(a => a.id !== activity.id)
+      ]);
+    } catch (err) {
+      alert('Erro ao deletar atividade: ' + err.message);
+      console.error(err);
+    }
+  };
+
+  const handleAddTask = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    try {
+      await createLeadTask(id, {
+        title: taskForm.title,
+        // datetime-local vem sem fuso: vale o do navegador
+        due_at: taskForm.due_at ? new Date(taskForm.due_at).toISOString() : '',
+        ...(taskForm.assigned_to && { assigned_to: Number(taskForm.assigned_to) })
+      });
+      setTaskForm(emptyTask);
+      setTasks(await fetchLeadTasks(id));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleTask = async (task) => {
+    try {
+      await updateTask(task.id, { done: !task.done });
+      // Concluir entra na timeline
+      fetchLead();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteTask = async (task) => {
+    if (!window.confirm(`Tem certeza que deseja deletar a tarefa "${task.title}"?`)) return;
+
+    try {
+      await deleteTask(task.id);
+      setTasks(tasks.filter(t => t.id !== task.id));
+    } catch (err) {
+      alert('Erro ao deletar tarefa: ' + err.message);
+      console.error(err);
+    }
+  };
+
+  const handleRestore = async () => {
+    try {
+      await restoreLead(lead.id);
+      fetchLead();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString.replace(' ', 'T') + 'Z');
+    return date.toLocaleString('pt-BR', {
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  // Atividades e envios do formulário numa linha do tempo só
+  const timeline = [
+    ...activities.map(activity => ({ ...activity, key: `activity-${activity.id}` })),
+    ...touchpoints.map(touchpoint => ({ ...touchpoint, type: 'touchpoint', key: `touchpoint-${touchpoint.id}` }))
+  ].sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+  // "custom_fields.visto" aparece com o nome atual do campo
+  const getUpdatedFieldLabel = (field) => {
+    const key = field.replace(/^custom_fields\./, '');
+    if (key === field) return FIELD_LABELS[field] || field;
+    return customFields.find(custom => custom.key === key)?.label || key;
+  };
+
+  const renderTimelineBody = (item) => {
+    if (item.type === 'status_change') {
+      return (
+        <p>
+          {getStageLabel(item.metadata?.from)} → {getStageLabel(item.metadata?.to)}
+        </p>
+      );
+    }
+
+    if (item.type === 'update') {
+      const { fields = [], tags_added: added = [], tags_removed: removed = [] } = item.metadata || {};
+
+      return (
+        <p>
+          {fields.map(getUpdatedFieldLabel).join(', ')}
+          {added.map(name => <span key={`+${name}`} className={styles.eventTag}>+ {name}</span>)}
+          {removed.map(name => <span key={`-${name}`} className={styles.eventTag}>− {name}</span>)}
+        </p>
+      );
+    }
+
+    if (item.type === 'assignment') {
+      const { from_name: from, to_name: to, auto, bulk } = item.metadata || {};
+
+      return (
+        <p>
+          {from || 'Sem responsável'} → {to || 'Sem responsável'}
+          {auto && ' (automático)'}
+          {bulk && ' (em lote)'}
+        </p>
+      );
+    }
+
+    if (item.type === 'task_done') {
+      return <p>{item.metadata?.title}</p>;
+    }
+
+    if (item.type === 'activity_deleted') {
+      const { type, author_name: author } = item.metadata || {};
+
+      return (
+        <>
+          <p>
+            {ACTIVITY_LABELS[type]?.label || type}
+            {author && ` de ${author}`}
+            {item.outcome && ` • ${OUTCOME_LABELS[item.outcome] || item.outcome}`}
+          </p>
+          {item.content && <p className={styles.timelineContent}>{item.content}</p>}
+        </>
+      );
+    }
+
+    if (item.type === 'touchpoint') {
+      return (
+        <p>
+          {item.source} / {item.utm_medium} / {item.utm_campaign}
+          {item.message && <><br />“{item.message}”</>}
+        </p>
+      );
+    }
+
+    return (
+      <>
+        {item.outcome && (
+          <span className={styles.eventTag}>{OUTCOME_LABELS[item.outcome] || item.outcome}</span>
+        )}
+        {item.content && <p className={styles.timelineContent}>{item.content}</p>}
+      </>
+    );
+  };
+
+  return (
+    <div className={styles.adminLayout}>
+      <Sidebar />
+
+      <main className={styles.adminMain}>
+        <div className={styles.adminHeader}>
+          <div>
+            <Link to="/admin/leads" className={styles.backLink}>← Voltar para leads</Link>
+            <h1 className={styles.pageTitle}>{lead ? lead.name : 'Lead'}</h1>
+            {lead && (
+              <p className={styles.pageSubtitle}>
+                #{lead.id} • desde {formatDate(lead.created_at)}
+              </p>
+            )}
+          </div>
+
+          <button
+            onClick={fetchLead}
+            className={styles.refreshButton}
+            disabled={loading}
+          >
+            🔄 Atualizar
+          </button>
+        </div>
+
+        {error && (
+          <div className={styles.errorBanner}>
+            ⚠️ {error}
+          </div>
+        )}
+
+        {lead?.deleted_at && (
+          <div className={styles.errorBanner}>
+            🗑️ Este lead está na lixeira e será excluído de vez em {formatDate(lead.purge_at)}.{' '}
+            {canManage && <button onClick={handleRestore} className={styles.linkButton}>Restaurar</button>}
+          </div>
+        )}
+
+        {loading && !lead ? (
+          <div className={styles.tableLoading}>
+            <div className={styles.spinner}></div>
+            <p>Carregando lead...</p>
+          </div>
+        ) : lead && (
+          <>
+            <div className={styles.formCard}>
+              <dl className={styles.detailList}>
+                {LEAD_FIELDS.map(field => (
+                  <div key={field.name}>
+                    <dt>
+                      {field.label}
+                      {field.name === 'whatsapp' && (
+                        <>
+                          {' '}
+                          <a
+                            href={`https://wa.me/${(lead.whatsapp_normalized || lead.whatsapp).replace(/\D/g, '')}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className={styles.whatsappLink}
+                            title="Abrir no WhatsApp"
+                          >
+                            💬
+                          </a>
+                        </>
+                      )}
+                    </dt>
+                    <dd>{renderField(field)}</dd>
+                  </div>
+                ))}
+                <div>
+                  <dt>País</dt>
+                  <dd>{lead.country || '-'}</dd>
+                </div>
+                <div>
+                  <dt>Envios do formulário</dt>
+                  <dd>{lead.touchpoint_count}</dd>
+                </div>
+                <div>
+                  <dt>Responsável</dt>
+                  <dd>
+                    <select
+                      value={lead.assigned_to ?? ''}
+                      onChange={(e) => handleAssign(e.target.value)}
+                      className={styles.formInput}
+                      aria-label="Responsável"
+                      disabled={!canManage || Boolean(lead.deleted_at)}
+                    >
+                      <option value="">Sem responsável</option>
+                      {lead.assigned_to && !users.some(user => user.id === lead.assigned_to) && (
+                        <option value={lead.assigned_to}>{lead.assigned_name}</option>
+                      )}
+                      {users.map(user => (
+                        <option key={user.id} value={user.id}>{user.name}</option>
+                      ))}
+                    </select>
+                  </dd>
+                </div>
+              </dl>
+
+              <h2 className={styles.sectionTitle}>Tags</h2>
+
+              <form onSubmit={handleAddTag} className={`${styles.tagList} ${styles.detailList}`}>
+                {lead.tags.map(tag => (
+                  <span key={tag.id} className={styles.tagChip} style={getTagStyle(tag)}>
+                    {tag.name}
+                    <button type="button" onClick={() => handleRemoveTag(tag)} title="Remover tag">×</button>
+                  </span>
+                ))}
+                <input
+                  type="text"
+                  value={newTag}
+                  onChange={(e) => setNewTag(e.target.value)}
+                  className={`${styles.formInput} ${styles.tagInput}`}
+                  placeholder={canManage ? '+ Adicionar tag' : '+ Adicionar tag existente'}
+                  list="lead-tag-options"
+                  aria-label="Adicionar tag"
+                />
+                <datalist id="lead-tag-options">
+                  {allTags.filter(tag => !lead.tags.some(current => current.id === tag.id)).map(tag => (
+                    <option key={tag.id} value={tag.name} />
+                  ))}
+                </datalist>
+              </form>
+
+              {customFields.length > 0 && (
+                <>
+                  <h2 className={styles.sectionTitle}>Campos personalizados</h2>
+
+                  <dl className={styles.detailList}>
+                    {customFields.map(toEditableField).map(field => (
+                      <div key={field.name}>
+                        <dt>{field.label}</dt>
+                        <dd>{renderField(field)}</dd>
+                      </div>
+                    ))}
+                  </dl>
+                </>
+              )}
+
+              <h2 className={styles.sectionTitle}>Origem</h2>
+
+              <dl className={styles.detailList}>
+                {ORIGIN_FIELDS.map(field => (
+                  <div key={field.name}>
+                    <dt>{field.label}</dt>
+                    <dd>{renderField(field)}</dd>
+                  </div>
+                ))}
+              </dl>
+
+              <div className={styles.filterTabs}>
+                {stages.map(stage => (
+                  <button
+                    key={stage.key}
+                    onClick={() => handleStatusChange(stage.key)}
+                    className={`${styles.filterTab} ${lead.status === stage.key ? styles.filterTabActive : ''}`}
+                    disabled={lead.status === stage.key}
+                  >
+                    <span className={styles.stageDot} style={{ background: stage.color }} />
+                    {stage.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className={styles.formCard}>
+              <h2 className={styles.sectionTitle}>Tarefas</h2>
+
+              {tasks.length === 0 ? (
+                <p className={styles.timelineMeta}>Nenhuma tarefa para este lead</p>
+              ) : (
+                <TaskList
+                  tasks={tasks}
+                  onToggleDone={lead.deleted_at ? null : handleToggleTask}
+                  onDelete={lead.deleted_at ? null : handleDeleteTask}
+                />
+              )}
+
+              {!lead.deleted_at && (
+                <form onSubmit={handleAddTask}>
+                  <div className={styles.formGrid}>
+                    <div className={styles.formGroup}>
+                      <label htmlFor="task-title" className={styles.formLabel}>Tarefa</label>
+                      <input
+                        id="task-title"
+                        type="text"
+                        value={taskForm.title}
+                        onChange={(e) => setTaskForm({ ...taskForm, title: e.target.value })}
+                        className={styles.formInput}
+                        placeholder="Ex.: Ligar para confirmar a aula"
+                      />
+                    </div>
+
+                    <div className={styles.formGroup}>
+                      <label htmlFor="task-due" className={styles.formLabel}>Vencimento</label>
+                      <input
+                        id="task-due"
+                        type="datetime-local"
+                        value={taskForm.due_at}
+                        onChange={(e) => setTaskForm({ ...taskForm, due_at: e.target.value })}
+                        className={styles.formInput}
+                      />
+                    </div>
+
+                    <div className={styles.formGroup}>
+                      <label htmlFor="task-assignee" className={styles.formLabel}>Responsável</label>
+                      <select
+                        id="task-assignee"
+                        value={taskForm.assigned_to}
+                        onChange={(e) => setTaskForm({ ...taskForm, assigned_to: e.target.value })}
+                        className={styles.formInput}
+                      >
+                        <option value="">Responsável do lead</option>
+                        {users.map(user => (
+                          <option key={user.id} value={user.id}>{user.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+
+                  <div className={styles.formActions}>
+                    <button type="submit" className={styles.primaryButton} disabled={saving}>
+                      {saving ? '⏳ Salvando...' : '➕ Adicionar tarefa'}
+                    </button>
+                  </div>
+                </form>
+              )}
+            </div>
+
+            <form onSubmit={handleAddActivity} className={styles.formCard}>
+              <h2 className={styles.sectionTitle}>Registrar contato</h2>
+
+              <div className={styles.formGrid}>
+                <div className={styles.formGroup}>
+                  <label htmlFor="activity-type" className={styles.formLabel}>Tipo</label>
+                  <select
+                    id="activity-type"
+                    value={form.type}
+                    onChange={(e) => setForm({
+                      ...form,
+                      type: e.target.value,
+                      outcome: e.target.value === 'note' ? '' : form.outcome
+                    })}
+                    className={styles.formInput}
+                  >
+                    {types.map(type => (
+                      <option key={type} value={type}>
+                        {ACTIVITY_LABELS[type]?.icon} {ACTIVITY_LABELS[type]?.label || type}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {form.type !== 'note' && (
+                  <div className={styles.formGroup}>
+                    <label htmlFor="activity-outcome" className={styles.formLabel}>Resultado</label>
+                    <select
+                      id="activity-outcome"
+                      value={form.outcome}
+                      onChange={(e) => setForm({ ...form, outcome: e.target.value })}
+                      className={styles.formInput}
+                    >
+                      <option value="">-</option>
+                      {outcomes.map(outcome => (
+                        <option key={outcome} value={outcome}>{OUTCOME_LABELS[outcome] || outcome}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+              </div>
+
+              <div className={styles.formGroup}>
+                <label htmlFor="activity-content" className={styles.formLabel}>Anotação</label>
+                <textarea
+                  id="activity-content"
+                  value={form.content}
+                  onChange={(e) => setForm({ ...form, content: e.target.value })}
+                  className={styles.formInput}
+                  rows={3}
+                  placeholder="O que aconteceu nesse contato?"
+                />
+              </div>
+
+              <div className={styles.formActions}>
+                <button type="submit" className={styles.primaryButton} disabled={saving}>
+                  {saving ? '⏳ Salvando...' : '➕ Adicionar à timeline'}
+                </button>
+              </div>
+            </form>
+
+            <div className={styles.formCard}>
+              <h2 className={styles.sectionTitle}>Timeline</h2>
+
+              {timeline.length === 0 ? (
+                <p className={styles.tableEmpty}>📭 Nada registrado ainda</p>
+              ) : (
+                <ul className={styles.timeline}>
+                  {timeline.map(item => (
+                    <li key={item.key} className={styles.timelineItem}>
+                      <span className={styles.timelineIcon}>{ACTIVITY_LABELS[item.type]?.icon || '•'}</span>
+                      <div className={styles.timelineBody}>
+                        <div className={styles.timelineMeta}>
+                          <strong>{ACTIVITY_LABELS[item.type]?.label || item.type}</strong>
+                          {' • '}{formatDate(item.created_at)}
+                          {item.user_name && ` • ${item.user_name}`}
+                        </div>
+                        {renderTimelineBody(item)}
+                      </div>
+                      {types.includes(item.type) && (canManage || item.user_id === currentUserId) && (
+                        <button
+                          onClick={() => handleDeleteActivity(item)}
+                          className={`${styles.actionButton} ${styles.actionButtonDanger}`}
+                          title="Deletar"
+                        >
+                          🗑️
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default LeadDetailPage;
@@ -1,40 +1,94 @@
 import React, { useState, useEffect } from 'react';
-import { authenticatedFetch } from '../../../services/auth';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authenticatedFetch, getCurrentUser, hasPermission } from '../../../services/auth';
 import Sidebar from '../../admin/Sidebar';
 import LeadsTable from '../../admin/LeadsTable';
+import LeadsBoard from '../../admin/LeadsBoard';
+import Pagination from '../../admin/Pagination';
+import LeadsExport from '../../admin/LeadsExport';
+import LeadsBulkBar from '../../admin/LeadsBulkBar';
+import { getPipelineStages } from '../../../services/pipeline';
+import { fetchLeads, fetchLeadFilterOptions, updateLeadStatus, restoreLead } from '../../../services/leads';
 import styles from '../../../styles/Admin.module.css';
 import { API_URL } from '../../../config';
 
+const COUNTRY_LABELS = {
+  US: '🇺🇸 EUA',
+  BR: '🇧🇷 Brasil'
+};
+
+const emptySelection = { ids: new Set(), allMatching: false };
+
+// Filtros de campos personalizados entram como cf_<key> (vazio = todos)
+const emptyFilters = {
+  country: 'all',
+  source: 'all',
+  utm_medium: 'all',
+  utm_campaign: 'all',
+  level: 'all',
+  tag: 'all',
+  // 'me', 'none' ou o id do vendedor
+  assigned_to: 'all',
+  goal: '',
+  date_from: '',
+  date_to: '',
+  search: ''
+};
+
+// Colunas que fazem mais sentido começando do menor (A–Z)
+const ASC_FIRST_COLUMNS = ['name', 'city', 'whatsapp', 'source', 'utm_campaign', 'level', 'goal', 'status'];
+
 function LeadsPage() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const view = searchParams.get('view') === 'board' ? 'board' : 'table';
+
   const [leads, setLeads] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [statusCounts, setStatusCounts] = useState({});
+  const [options, setOptions] = useState({});
+  const [stages, setStages] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [filters, setFilters] = useState({
-    status: 'all',
-    search: ''
-  });
+  const [status, setStatus] = useState('all');
+  const [sorting, setSorting] = useState({ sort: 'created_at', order: 'desc' });
+  const [paging, setPaging] = useState({ limit: 25, offset: 0 });
+  // Leads marcados para ações em lote; allMatching = todos que batem com os filtros
+  const [selection, setSelection] = useState(emptySelection);
+  // Último lead mandado para a lixeira, para o "Desfazer"
+  const [trashed, setTrashed] = useState(null);
+  // Vendedores não importam, atribuem nem deletam leads
+  const [canManage, setCanManage] = useState(false);
+
+  // Filtros compartilhados pela tabela e pelo quadro
+  // (?assigned_to= vem dos links da tela de distribuição)
+  const [filters, setFilters] = useState(() => ({
+    ...emptyFilters,
+    assigned_to: searchParams.get('assigned_to') || emptyFilters.assigned_to
+  }));
+
+  useEffect(() => {
+    getCurrentUser()
+      .then(user => setCanManage(hasPermission(user, 'admin')))
+      .catch(err => console.error('Erro ao buscar usuário:', err));
+    fetchLeadFilterOptions()
+      .then(setOptions)
+      .catch(err => console.error('Erro ao buscar filtros:', err));
+    getPipelineStages()
+      .then(setStages)
+      .catch(err => console.error('Erro ao buscar pipeline:', err));
+  }, []);
 
   useEffect(() => {
-    fetchLeads();
-  }, [filters]);
+    if (view === 'table') loadLeads();
+  }, [filters, status, sorting, paging, view]);
 
-  const fetchLeads = async () => {
+  const loadLeads = async () => {
     try {
       setLoading(true);
-      
-      const params = new URLSearchParams();
-      if (filters.status !== 'all') params.append('status', filters.status);
-      if (filters.search) params.append('search', filters.search);
-      
-      const url = `${API_URL}/admin/leads?${params.toString()}`;
-      const response = await authenticatedFetch(url);
-      
-      if (!response.ok) {
-        throw new Error('Erro ao buscar leads');
-      }
-
-      const data = await response.json();
+      const data = await fetchLeads({ ...filters, status, ...sorting, ...paging });
       setLeads(data.leads || []);
+      setTotal(data.total || 0);
+      setStatusCounts(data.status_counts || {});
     } catch (err) {
       setError(err.message);
       console.error('Erro ao buscar leads:', err);
@@ -43,80 +97,22 @@ function LeadsPage() {
     }
   };
 
-    // Exemplo: Atualizar status de lead
-const updateLeadStatus = async (leadId, newStatus) => {
-  try {
-    const response = await authenticatedFetch(
-      `${API_URL}/admin/leads/${leadId}/status`,
-      {
-        method: 'PATCH',
-        body: JSON.stringify({ status: newStatus })
-      }
-    );
-
-    if (!response.ok) {
-      throw new Error('Erro ao atualizar status');
-    }
-
-    // Recarregar leads
-    fetchLeads();
-  } catch (error) {
-    console.error('Erro:', error);
-    alert('Erro ao atualizar status do lead');
-  }
-};
-
-// Exemplo: Deletar lead
-const deleteLead = async (leadId) => {
-  if (!confirm('Tem certeza que deseja deletar este lead?')) return;
-
-  try {
-    const response = await authenticatedFetch(
-      `${API_URL}/admin/leads/${leadId}`,
-      {
-        method: 'DELETE'
-      }
-    );
-
-    if (!response.ok) {
-      throw new Error('Erro ao deletar lead');
-    }
-
-    // Recarregar leads
-    fetchLeads();
-  } catch (error) {
-    console.error('Erro:', error);
-    alert('Erro ao deletar lead');
-  }
-  };
-
   const handleStatusChange = async (leadId, newStatus) => {
     try {
-      const response = await authenticatedFetch(
-        `http://localhost:3000/api/admin/leads/${leadId}/status`,
-        {
-          method: 'PATCH',
-          body: JSON.stringify({ status: newStatus })
-        }
-      );
+      await updateLeadStatus(leadId, newStatus);
 
-      if (!response.ok) {
-        throw new Error('Erro ao atualizar status');
-      }
-
-      setLeads(leads.map(lead => 
-        lead.id === leadId ? { ...lead, status: newStatus } : lead
-      ));
+      // Recarrega para atualizar as contagens (e tirar o lead da aba, se filtrada)
+      loadLeads();
     } catch (err) {
       alert('Erro ao atualizar status: ' + err.message);
       console.error(err);
     }
   };
 
-  const handleDelete = async (leadId) => {
+  const handleDelete = async (lead) => {
     try {
       const response = await authenticatedFetch(
-        `http://localhost:3000/api/admin/leads/${leadId}`,
+        `${API_URL}/admin/leads/${lead.id}`,
         { method: 'DELETE' }
       );
 
@@ -124,42 +120,153 @@ const deleteLead = async (leadId) => {
         throw new Error('Erro ao deletar lead');
       }
 
-      setLeads(leads.filter(lead => lead.id !== leadId));
+      setSelection(prev => {
+        const ids = new Set(prev.ids);
+        ids.delete(lead.id);
+        return { ...prev, ids };
+      });
+      setTrashed(lead);
+      loadLeads();
     } catch (err) {
       alert('Erro ao deletar lead: ' + err.message);
       console.error(err);
     }
   };
 
+  // Qualquer mudança de filtro, aba ou ordenação volta para a primeira página
+  // e desfaz a seleção (que pode não bater mais com a lista)
+  const resetPage = () => {
+    setPaging(prev => ({ ...prev, offset: 0 }));
+    setSelection(emptySelection);
+  };
+
+  // Com "todos do filtro" marcado, desmarcar um lead volta para a seleção da página
+  const getSelectedIds = (prev) => new Set(prev.allMatching ? leads.map(lead => lead.id) : prev.ids);
+
+  const handleToggleSelect = (leadId) => {
+    setSelection(prev => {
+      const ids = getSelectedIds(prev);
+      if (ids.has(leadId)) ids.delete(leadId);
+      else ids.add(leadId);
+      return { ids, allMatching: false };
+    });
+  };
+
+  const handleToggleSelectAll = (pageIds, checked) => {
+    setSelection(prev => {
+      const ids = getSelectedIds(prev);
+      pageIds.forEach(id => (checked ? ids.add(id) : ids.delete(id)));
+      return { ids, allMatching: false };
+    });
+  };
+
+  const handleUndoDelete = async () => {
+    try {
+      await restoreLead(trashed.id);
+      setTrashed(null);
+      loadLeads();
+    } catch (err) {
+      alert('Erro ao restaurar lead: ' + err.message);
+      console.error(err);
+    }
+  };
+
+  const handleBulkDone = () => {
+    setSelection(emptySelection);
+    loadLeads();
+    // Ações de tag podem ter criado tags novas
+    fetchLeadFilterOptions()
+      .then(setOptions)
+      .catch(err => console.error('Erro ao buscar filtros:', err));
+  };
+
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }));
+    resetPage();
+  };
+
+  const handleStatusFilter = (key) => {
+    setStatus(key);
+    resetPage();
+  };
+
+  const handleSortChange = (column) => {
+    setSorting(prev => ({
+      sort: column,
+      order: prev.sort === column
+        ? (prev.order === 'asc' ? 'desc' : 'asc')
+        : (ASC_FIRST_COLUMNS.includes(column) ? 'asc' : 'desc')
+    }));
+    resetPage();
+  };
+
+  const handleClearFilters = () => {
+    setFilters(emptyFilters);
+    resetPage();
   };
 
-  const getStatusCount = (status) => {
-    if (status === 'all') return leads.length;
-    return leads.filter(lead => lead.status === status).length;
+  const handleViewChange = (newView) => {
+    setSearchParams(newView === 'board' ? { view: 'board' } : {});
   };
 
+  const getStatusCount = (key) => {
+    if (key === 'all') return Object.values(statusCounts).reduce((sum, count) => sum + count, 0);
+    return statusCounts[key] || 0;
+  };
+
+  const myOpenCount = options.users?.find(user => user.id === options.me)?.open_count || 0;
+
+  const hasFilters = Object.entries(filters).some(([key, value]) => value !== (emptyFilters[key] ?? ''));
+
+  const renderSelect = (key, label, allLabel, values = [], formatLabel = value => value) => (
+    <select
+      value={filters[key] ?? 'all'}
+      onChange={(e) => handleFilterChange(key, e.target.value)}
+      className={styles.formInput}
+      aria-label={label}
+    >
+      <option value="all">{allLabel}</option>
+      {values.map(value => (
+        <option key={value} value={value}>{formatLabel(value)}</option>
+      ))}
+    </select>
+  );
+
   return (
     <div className={styles.adminLayout}>
       <Sidebar />
-      
+
       <main className={styles.adminMain}>
         <div className={styles.adminHeader}>
           <div>
             <h1 className={styles.pageTitle}>Gerenciar Leads</h1>
             <p className={styles.pageSubtitle}>
-              Total de {leads.length} lead{leads.length !== 1 ? 's' : ''}
+              {view === 'board'
+                ? 'Arraste os cards para mudar a etapa'
+                : `Total de ${total} lead${total !== 1 ? 's' : ''}`}
             </p>
           </div>
-          
-          <button 
-            onClick={fetchLeads} 
-            className={styles.refreshButton}
-            disabled={loading}
-          >
-            🔄 Atualizar
-          </button>
+
+          <div className={styles.filterTabs}>
+            {canManage && (
+              <Link to="/admin/leads/import" className={styles.refreshButton}>
+                📤 Importar
+              </Link>
+            )}
+            <LeadsExport filters={{ ...filters, status, ...sorting }} total={total} />
+            <button
+              onClick={() => handleViewChange('table')}
+              className={`${styles.filterTab} ${view === 'table' ? styles.filterTabActive : ''}`}
+            >
+              📋 Tabela
+            </button>
+            <button
+              onClick={() => handleViewChange('board')}
+              className={`${styles.filterTab} ${view === 'board' ? styles.filterTabActive : ''}`}
+            >
+              🗂️ Quadro
+            </button>
+          </div>
         </div>
 
         {error && (
@@ -168,32 +275,109 @@ const deleteLead = async (leadId) => {
           </div>
         )}
 
+        {trashed && (
+          <div className={styles.successBanner}>
+            🗑️ "{trashed.name}" foi para a lixeira.{' '}
+            <button onClick={handleUndoDelete} className={styles.linkButton}>Desfazer</button>{' '}
+            <Link to="/admin/leads/trash" className={styles.leadLink}>Ver lixeira</Link>
+          </div>
+        )}
+
         <div className={styles.filtersBar}>
-          <div className={styles.filterTabs}>
-            <button
-              onClick={() => handleFilterChange('status', 'all')}
-              className={`${styles.filterTab} ${filters.status === 'all' ? styles.filterTabActive : ''}`}
-            >
-              Todos ({getStatusCount('all')})
-            </button>
-            <button
-              onClick={() => handleFilterChange('status', 'new')}
-              className={`${styles.filterTab} ${filters.status === 'new' ? styles.filterTabActive : ''}`}
-            >
-              🆕 Novos ({getStatusCount('new')})
-            </button>
-            <button
-              onClick={() => handleFilterChange('status', 'contacted')}
-              className={`${styles.filterTab} ${filters.status === 'contacted' ? styles.filterTabActive : ''}`}
-            >
-              📞 Contatados ({getStatusCount('contacted')})
-            </button>
-            <button
-              onClick={() => handleFilterChange('status', 'converted')}
-              className={`${styles.filterTab} ${filters.status === 'converted' ? styles.filterTabActive : ''}`}
-            >
-              ✅ Convertidos ({getStatusCount('converted')})
-            </button>
+          {view === 'table' && (
+            <div className={styles.filterTabs}>
+              <button
+                onClick={() => handleStatusFilter('all')}
+                className={`${styles.filterTab} ${status === 'all' ? styles.filterTabActive : ''}`}
+              >
+                Todos ({getStatusCount('all')})
+              </button>
+              {stages.map(stage => (
+                <button
+                  key={stage.key}
+                  onClick={() => handleStatusFilter(stage.key)}
+                  className={`${styles.filterTab} ${status === stage.key ? styles.filterTabActive : ''}`}
+                >
+                  <span className={styles.stageDot} style={{ background: stage.color }} />
+                  {stage.label} ({getStatusCount(stage.key)})
+                </button>
+              ))}
+              <button
+                onClick={() => handleFilterChange('assigned_to', filters.assigned_to === 'me' ? 'all' : 'me')}
+                className={`${styles.filterTab} ${filters.assigned_to === 'me' ? styles.filterTabActive : ''}`}
+                title="Leads em aberto atribuídos a você"
+              >
+                👤 Meus leads ({myOpenCount})
+              </button>
+            </div>
+          )}
+
+          <div className={styles.formGrid}>
+            {renderSelect('country', 'País', '🌎 Todos os países', options.countries,
+              country => COUNTRY_LABELS[country] || country)}
+            {renderSelect('source', 'Origem', '🌐 Todas as origens', options.sources)}
+            {renderSelect('utm_medium', 'Meio', '📡 Todos os meios', options.utm_mediums)}
+            {renderSelect('utm_campaign', 'Campanha', '🎯 Todas as campanhas',
+              (options.utm_campaigns || []).filter(campaign => campaign !== 'none'))}
+            {renderSelect('level', 'Nível', '📚 Todos os níveis', options.levels)}
+            {renderSelect('assigned_to', 'Responsável', '👤 Todos os responsáveis',
+              ['me', 'none', ...(options.users || []).map(user => String(user.id))],
+              value => {
+                if (value === 'me') return 'Meus leads';
+                if (value === 'none') return 'Sem responsável';
+                const user = options.users.find(u => String(u.id) === value);
+                return `${user?.name} (${user?.open_count} em aberto)`;
+              })}
+            {renderSelect('tag', 'Tag', '🏷️ Todas as tags', (options.tags || []).map(tag => String(tag.id)),
+              id => options.tags.find(tag => String(tag.id) === id)?.name)}
+
+            {(options.custom_fields || []).map(field => (field.type === 'select'
+              ? (
+                <React.Fragment key={field.key}>
+                  {renderSelect(`cf_${field.key}`, field.label, `${field.label}: todos`, field.options)}
+                </React.Fragment>
+              )
+              : (
+                <input
+                  key={field.key}
+                  type={field.type === 'text' ? 'text' : field.type}
+                  placeholder={field.type === 'text' ? `${field.label} contém...` : field.label}
+                  value={filters[`cf_${field.key}`] ?? ''}
+                  onChange={(e) => handleFilterChange(`cf_${field.key}`, e.target.value)}
+                  className={styles.formInput}
+                  aria-label={field.label}
+                  title={field.label}
+                />
+              )))}
+
+            <input
+              type="text"
+              placeholder="Objetivo contém..."
+              value={filters.goal}
+              onChange={(e) => handleFilterChange('goal', e.target.value)}
+              className={styles.formInput}
+              aria-label="Objetivo"
+            />
+
+            <input
+              type="date"
+              value={filters.date_from}
+              max={filters.date_to || undefined}
+              onChange={(e) => handleFilterChange('date_from', e.target.value)}
+              className={styles.formInput}
+              aria-label="Criado a partir de"
+              title="Criado a partir de"
+            />
+
+            <input
+              type="date"
+              value={filters.date_to}
+              min={filters.date_from || undefined}
+              onChange={(e) => handleFilterChange('date_to', e.target.value)}
+              className={styles.formInput}
+              aria-label="Criado até"
+              title="Criado até"
+            />
           </div>
 
           <div className={styles.searchBox}>
@@ -204,20 +388,60 @@ const deleteLead = async (leadId) => {
               onChange={(e) => handleFilterChange('search', e.target.value)}
               className={styles.searchInput}
             />
+            {hasFilters && (
+              <button onClick={handleClearFilters} className={styles.refreshButton}>
+                ✖️ Limpar filtros
+              </button>
+            )}
           </div>
         </div>
 
-        <div className={styles.tableContainer}>
-          <LeadsTable
-            leads={leads}
-            onStatusChange={handleStatusChange}
-            onDelete={handleDelete}
-            loading={loading}
-          />
-        </div>
+        {view === 'board' ? (
+          <LeadsBoard stages={stages} filters={filters} />
+        ) : (
+          <div className={styles.tableContainer}>
+            {(selection.allMatching || selection.ids.size > 0) && (
+              <LeadsBulkBar
+                selection={selection}
+                filters={{ ...filters, status, ...sorting }}
+                total={total}
+                pageSize={leads.length}
+                stages={stages}
+                tags={options.tags}
+                users={options.users}
+                canManage={canManage}
+                onSelectAllMatching={() => setSelection(prev => ({ ...prev, allMatching: true }))}
+                onClear={() => setSelection(emptySelection)}
+                onDone={handleBulkDone}
+              />
+            )}
+
+            <LeadsTable
+              leads={leads}
+              stages={stages}
+              onStatusChange={handleStatusChange}
+              onDelete={canManage ? handleDelete : undefined}
+              loading={loading}
+              sort={sorting.sort}
+              order={sorting.order}
+              onSortChange={handleSortChange}
+              selectedIds={getSelectedIds(selection)}
+              onToggleSelect={handleToggleSelect}
+              onToggleSelectAll={handleToggleSelectAll}
+            />
+
+            <Pagination
+              total={total}
+              limit={paging.limit}
+              offset={paging.offset}
+              onOffsetChange={(offset) => setPaging(prev => ({ ...prev, offset }))}
+              onLimitChange={(limit) => setPaging({ limit, offset: 0 })}
+            />
+          </div>
+        )}
       </main>
     </div>
   );
 }
 
-export default LeadsPage;
\ No newline at end of file
+export default LeadsPage;
@@ -0,0 +1,339 @@
+import React, { useState, useEffect } from 'react';
+import { authenticatedFetch } from '../../../services/auth';
+import { STAGE_KIND_LABELS } from '../../../services/pipeline';
+import Sidebar from '../../admin/Sidebar';
+import styles from '../../../styles/Admin.module.css';
+import { API_URL } from '../../../config';
+
+const emptyForm = {
+  label: '',
+  color: '#718096',
+  kind: 'open'
+};
+
+function PipelinePage() {
+  const [stages, setStages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [deleting, setDeleting] = useState(null);
+
+  useEffect(() => {
+    fetchStages();
+  }, []);
+
+  const fetchStages = async () => {
+    try {
+      setLoading(true);
+      const response = await authenticatedFetch(`${API_URL}/admin/pipeline/stages`);
+
+      if (!response.ok) {
+        throw new Error('Erro ao buscar pipeline');
+      }
+
+      const data = await response.json();
+      setStages(data.stages || []);
+    } catch (err) {
+      setError(err.message);
+      console.error('Erro ao buscar pipeline:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    try {
+      const response = await authenticatedFetch(`${API_URL}/admin/pipeline/stages`, {
+        method: 'POST',
+        body: JSON.stringify(form)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.details?.[0]?.message || data.error || 'Erro ao criar etapa');
+      }
+
+      setStages([...stages, data]);
+      setForm(emptyForm);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async (stage, changes) => {
+    setError('');
+
+    try {
+      const response = await authenticatedFetch(`${API_URL}/admin/pipeline/stages/${stage.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.details?.[0]?.message || data.error || 'Erro ao atualizar etapa');
+      }
+
+      setStages(stages.map(s => (s.id === stage.id ? { ...s, ...data } : s)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleMove = async (index, direction) => {
+    const reordered = [...stages];
+    const [moved] = reordered.splice(index, 1);
+    reordered.splice(index + direction, 0, moved);
+    setStages(reordered);
+
+    try {
+      const response = await authenticatedFetch(`${API_URL}/admin/pipeline/stages/order`, {
+        method: 'PUT',
+        body: JSON.stringify({ ids: reordered.map(stage => stage.id) })
+      });
+
+      if (!response.ok) {
+        throw new Error('Erro ao reordenar pipeline');
+      }
+    } catch (err) {
+      setError(err.message);
+      fetchStages();
+    }
+  };
+
+  const handleDelete = async (stage, moveTo) => {
+    if (!moveTo && !window.confirm(`Tem certeza que deseja deletar a etapa "${stage.label}"?`)) return;
+
+    try {
+      const query = moveTo ? `?move_to=${encodeURIComponent(moveTo)}` : '';
+      const response = await authenticatedFetch(`${API_URL}/admin/pipeline/stages/${stage.id}${query}`, {
+        method: 'DELETE'
+      });
+
+      const data = await response.json();
+
+      if (response.status === 409) {
+        // A etapa tem leads: pergunta para onde movê-los
+        const target = stages.find(s => s.id !== stage.id);
+        setDeleting({ stage, leadCount: data.lead_count, moveTo: target?.key || '' });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao deletar etapa');
+      }
+
+      setDeleting(null);
+      fetchStages();
+    } catch (err) {
+      alert('Erro ao deletar etapa: ' + err.message);
+      console.error(err);
+    }
+  };
+
+  return (
+    <div className={styles.adminLayout}>
+      <Sidebar />
+
+      <main className={styles.adminMain}>
+        <div className={styles.adminHeader}>
+          <div>
+            <h1 className={styles.pageTitle}>Pipeline</h1>
+            <p className={styles.pageSubtitle}>
+              Etapas por onde os leads passam, da inscrição à matrícula
+            </p>
+          </div>
+
+          <button
+            onClick={fetchStages}
+            className={styles.refreshButton}
+            disabled={loading}
+          >
+            🔄 Atualizar
+          </button>
+        </div>
+
+        {error && (
+          <div className={styles.errorBanner}>
+            ⚠️ {error}
+          </div>
+        )}
+
+        {deleting && (
+          <div className={styles.errorBanner}>
+            ⚠️ "{deleting.stage.label}" tem {deleting.leadCount} lead{deleting.leadCount !== 1 ? 's' : ''}.
+            Mover para{' '}
+            <select
+              value={deleting.moveTo}
+              onChange={(e) => setDeleting({ ...deleting, moveTo: e.target.value })}
+              aria-label="Mover leads para"
+            >
+              {stages.filter(s => s.id !== deleting.stage.id).map(s => (
+                <option key={s.key} value={s.key}>{s.label}</option>
+              ))}
+            </select>{' '}
+            <button
+              onClick={() => handleDelete(deleting.stage, deleting.moveTo)}
+              className={styles.refreshButton}
+            >
+              Mover e deletar
+            </button>{' '}
+            <button onClick={() => setDeleting(null)} className={styles.refreshButton}>
+              Cancelar
+            </button>
+          </div>
+        )}
+
+        <form onSubmit={handleCreate} className={styles.formCard}>
+          <h2 className={styles.sectionTitle}>Nova etapa</h2>
+
+          <div className={styles.formGrid}>
+            <div className={styles.formGroup}>
+              <label htmlFor="stage-label" className={styles.formLabel}>Nome</label>
+              <input
+                id="stage-label"
+                type="text"
+                value={form.label}
+                onChange={(e) => setForm({ ...form, label: e.target.value })}
+                className={styles.formInput}
+                placeholder="Aula experimental"
+                required
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="stage-kind" className={styles.formLabel}>Tipo</label>
+              <select
+                id="stage-kind"
+                value={form.kind}
+                onChange={(e) => setForm({ ...form, kind: e.target.value })}
+                className={styles.formInput}
+              >
+                {Object.entries(STAGE_KIND_LABELS).map(([kind, label]) => (
+                  <option key={kind} value={kind}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="stage-color" className={styles.formLabel}>Cor</label>
+              <input
+                id="stage-color"
+                type="color"
+                value={form.color}
+                onChange={(e) => setForm({ ...form, color: e.target.value })}
+                className={styles.formInput}
+              />
+            </div>
+          </div>
+
+          <div className={styles.formActions}>
+            <button type="submit" className={styles.primaryButton} disabled={saving}>
+              {saving ? '⏳ Salvando...' : '➕ Criar etapa'}
+            </button>
+          </div>
+        </form>
+
+        <div className={styles.tableContainer}>
+          {loading ? (
+            <div className={styles.tableLoading}>
+              <div className={styles.spinner}></div>
+              <p>Carregando pipeline...</p>
+            </div>
+          ) : (
+            <div className={styles.tableWrapper}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th>Ordem</th>
+                    <th>Nome</th>
+                    <th>Key</th>
+                    <th>Tipo</th>
+                    <th>Cor</th>
+                    <th>Leads</th>
+                    <th>Ações</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stages.map((stage, index) => (
+                    <tr key={stage.id}>
+                      <td className={styles.tableActions}>
+                        <button
+                          onClick={() => handleMove(index, -1)}
+                          className={styles.actionButton}
+                          disabled={index === 0}
+                          title="Subir"
+                        >
+                          ⬆️
+                        </button>
+                        <button
+                          onClick={() => handleMove(index, 1)}
+                          className={styles.actionButton}
+                          disabled={index === stages.length - 1}
+                          title="Descer"
+                        >
+                          ⬇️
+                        </button>
+                      </td>
+                      <td>
+                        <input
+                          type="text"
+                          defaultValue={stage.label}
+                          onBlur={(e) => e.target.value !== stage.label && handleUpdate(stage, { label: e.target.value })}
+                          className={styles.formInput}
+                          aria-label="Nome da etapa"
+                        />
+                      </td>
+                      <td><code>{stage.key}</code></td>
+                      <td>
+                        <select
+                          value={stage.kind}
+                          onChange={(e) => handleUpdate(stage, { kind: e.target.value })}
+                          className={styles.formInput}
+                          aria-label="Tipo da etapa"
+                        >
+                          {Object.entries(STAGE_KIND_LABELS).map(([kind, label]) => (
+                            <option key={kind} value={kind}>{label}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td>
+                        <input
+                          type="color"
+                          defaultValue={stage.color}
+                          onBlur={(e) => e.target.value !== stage.color && handleUpdate(stage, { color: e.target.value })}
+                          aria-label="Cor da etapa"
+                        />
+                      </td>
+                      <td>{stage.lead_count}</td>
+                      <td className={styles.tableActions}>
+                        <button
+                          onClick={() => handleDelete(stage)}
+                          className={`${styles.actionButton} ${styles.actionButtonDanger}`}
+                          title="Deletar"
+                        >
+                          🗑️
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default PipelinePage;
@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Sidebar from '../../admin/Sidebar';
+import StatsCard from '../../admin/StatsCard';
+import {
+  LOGIN_REASON_LABELS,
+  LOGIN_ALERT_LABELS,
+  LOGIN_HISTORY_FILTERS,
+  fetchSecuritySummary,
+  fetchLoginHistory,
+  fetchRateLimits,
+  unblockRateLimitedIp
+} from '../../../services/security';
+import { describeUserAgent } from '../../../services/sessions';
+import { unlockUser } from '../../../services/users';
+import styles from '../../../styles/Admin.module.css';
+
+const formatDateTime = (date) => {
+  return date.toLocaleString('pt-BR', {
+    day: '2-digit',
+    month: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// SQLite grava em UTC ('AAAA-MM-DD HH:MM:SS')
+const formatDate = (dateString) => formatDateTime(new Date(dateString.replace(' ', 'T') + 'Z'));
+
+function SecurityPage() {
+  const [summary, setSummary] = useState(null);
+  const [attempts, setAttempts] = useState([]);
+  const [rateLimits, setRateLimits] = useState([]);
+  const [filter, setFilter] = useState('suspicious');
+  const [ip, setIp] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadData = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const [summaryData, history, limits] = await Promise.all([
+        fetchSecuritySummary(),
+        fetchLoginHistory({ filter, ip }),
+        fetchRateLimits()
+      ]);
+
+      setSummary(summaryData);
+      setAttempts(history);
+      setRateLimits(limits);
+    } catch (err) {
+      setError(err.message);
+      console.error('Erro ao buscar dados de segurança:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [filter, ip]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const handleUnlock = async (user) => {
+    if (!window.confirm(`Desbloquear "${user.name}" agora? Faça isso só se confirmou que as tentativas eram da própria pessoa.`)) return;
+
+    try {
+      await unlockUser(user.id);
+      loadData();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleUnblockIp = async (limit, entry) => {
+    if (!window.confirm(`Liberar o IP ${entry.ip} em "${limit.label}" antes do fim da janela?`)) return;
+
+    try {
+      await unblockRateLimitedIp(limit.name, entry.ip);
+      loadData();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Uma linha por IP limitado, de todas as rotas
+  const limitedIps = rateLimits.flatMap(limit => limit.limited.map(entry => ({ limit, entry })));
+
+  return (
+    <div className={styles.adminLayout}>
+      <Sidebar />
+
+      <main className={styles.adminMain}>
+        <div className={styles.adminHeader}>
+          <div>
+            <h1 className={styles.pageTitle}>Segurança</h1>
+            <p className={styles.pageSubtitle}>
+              Tentativas de login, contas bloqueadas e acessos suspeitos
+            </p>
+          </div>
+
+          <button
+            onClick={loadData}
+            className={styles.refreshButton}
+            disabled={loading}
+          >
+            🔄 Atualizar
+          </button>
+        </div>
+
+        {error && (
+          <div className={styles.errorBanner}>
+            ⚠️ {error}
+          </div>
+        )}
+
+        {summary && (
+          <>
+            <div className={styles.statsGrid}>
+              <StatsCard title="Logins" value={summary.last_24h.successes} icon="✅" color="green" subtitle="Últimas 24h" />
+              <StatsCard title="Falhas" value={summary.last_24h.failures} icon="❌" color="red" subtitle="Últimas 24h" />
+              <StatsCard title="Bloqueios" value={summary.last_24h.lockouts} icon="🔒" color="yellow" subtitle="Últimas 24h" />
+              <StatsCard title="Logins com alerta" value={summary.last_24h.alerts} icon="🚩" color="purple" subtitle="Últimas 24h" />
+            </div>
+
+            <div className={styles.formCard}>
+              <h2 className={styles.sectionTitle}>Contas bloqueadas</h2>
+              <p className={styles.formHint}>
+                {summary.lockout.threshold} senhas ou códigos errados seguidos bloqueiam a conta
+                por {summary.lockout.minutes} minutos, mesmo vindo de IPs diferentes.
+              </p>
+
+              {summary.locked_users.length === 0 ? (
+                <p className={styles.formHint}>🔓 Nenhuma conta bloqueada agora</p>
+              ) : (
+                <div className={styles.tableWrapper}>
+                  <table className={styles.table}>
+                    <thead>
+                      <tr>
+                        <th>Usuário</th>
+                        <th>Email</th>
+                        <th>Bloqueada até</th>
+                        <th>Ações</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {summary.locked_users.map(user => (
+                        <tr key={user.id}>
+                          <td className={styles.tableName}>{user.name}</td>
+                          <td>{user.email}</td>
+                          <td>{formatDate(user.locked_until)}</td>
+                          <td className={styles.tableActions}>
+                            <button onClick={() => handleUnlock(user)} className={styles.actionButton} title="Desbloquear">
+                              🔓
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            {summary.top_failed_ips.length > 0 && (
+              <div className={styles.formCard}>
+                <h2 className={styles.sectionTitle}>IPs com mais falhas (24h)</h2>
+                <div className={styles.tableWrapper}>
+                  <table className={styles.table}>
+                    <thead>
+                      <tr>
+                        <th>IP</th>
+                        <th>Falhas</th>
+                        <th>Contas tentadas</th>
+                        <th>Última tentativa</th>
+                        <th>Ações</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {summary.top_failed_ips.map(row => (
+                        <tr key={row.ip}>
+                          <td>{row.ip}</td>
+                          <td>{row.failures}</td>
+                          <td>{row.accounts}</td>
+                          <td>{formatDate(row.last_attempt_at)}</td>
+                          <td className={styles.tableActions}>
+                            <button onClick={() => setIp(row.ip)} className={styles.actionButton} title="Ver tentativas deste IP">
+                              🔍
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+
+        {rateLimits.length > 0 && (
+          <div className={styles.formCard}>
+            <h2 className={styles.sectionTitle}>IPs limitados</h2>
+            <p className={styles.formHint}>
+              Por IP: {rateLimits.map(limit => `${limit.label}, ${limit.max} a cada ${limit.window_minutes} min`).join('; ')}.
+              Quem passa do limite recebe erro 429 até o fim da janela.
+            </p>
+
+            {limitedIps.length === 0 ? (
+              <p className={styles.formHint}>✅ Nenhum IP limitado agora</p>
+            ) : (
+              <div className={styles.tableWrapper}>
+                <table className={styles.table}>
+                  <thead>
+                    <tr>
+                      <th>Rota</th>
+                      <th>IP</th>
+                      <th>Requisições</th>
+                      <th>Liberado em</th>
+                      <th>Ações</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {limitedIps.map(({ limit, entry }) => (
+                      <tr key={`${limit.name}-${entry.ip}`}>
+                        <td>{limit.label}</td>
+                        <td>{entry.ip}</td>
+                        <td>{entry.hits}</td>
+                        <td>{formatDateTime(new Date(entry.reset_at))}</td>
+                        <td className={styles.tableActions}>
+                          <button onClick={() => handleUnblockIp(limit, entry)} className={styles.actionButton} title="Liberar IP">
+                            🔓
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className={styles.filtersBar}>
+          <div className={styles.filterTabs}>
+            {LOGIN_HISTORY_FILTERS.map(tab => (
+              <button
+                key={tab.value}
+                onClick={() => setFilter(tab.value)}
+                className={`${styles.filterTab} ${filter === tab.value ? styles.filterTabActive : ''}`}
+              >
+                {tab.label}
+              </button>
+            ))}
+
+            {ip && (
+              <button onClick={() => setIp('')} className={`${styles.filterTab} ${styles.filterTabActive}`}>
+                IP {ip} ✕
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className={styles.tableContainer}>
+          {loading ? (
+            <div className={styles.tableLoading}>
+              <div className={styles.spinner}></div>
+              <p>Carregando histórico...</p>
+            </div>
+          ) : attempts.length === 0 ? (
+            <div className={styles.tableEmpty}>
+              <p>🛡️ Nenhuma tentativa de login encontrada</p>
+            </div>
+          ) : (
+            <div className={styles.tableWrapper}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th>Quando</th>
+                    <th>Conta</th>
+                    <th>Resultado</th>
+                    <th>Alerta</th>
+                    <th>IP</th>
+                    <th>Dispositivo</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {attempts.map(attempt => (
+                    <tr key={attempt.id}>
+                      <td>{formatDate(attempt.created_at)}</td>
+                      <td className={styles.tableName}>
+                        {attempt.user?.name || attempt.email}
+                        {attempt.user && <div className={styles.formHint}>{attempt.email}</div>}
+                      </td>
+                      <td>
+                        <span className={`${styles.badge} ${attempt.success ? styles.badgeSuccess : styles.badgeDanger}`}>
+                          {LOGIN_REASON_LABELS[attempt.reason] || attempt.reason}
+                        </span>
+                      </td>
+                      <td>{attempt.alert ? `🚩 ${LOGIN_ALERT_LABELS[attempt.alert] || attempt.alert}` : '—'}</td>
+                      <td>{attempt.ip}</td>
+                      <td title={attempt.user_agent}>{describeUserAgent(attempt.user_agent)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default SecurityPage;
@@ -0,0 +1,157 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Sidebar from '../../admin/Sidebar';
+import SessionsTable from '../../admin/SessionsTable';
+import { getCurrentUser, hasPermission, logoutAllDevices } from '../../../services/auth';
+import {
+  describeUserAgent,
+  fetchMySessions,
+  revokeMySession,
+  fetchAllSessions,
+  revokeAnySession
+} from '../../../services/sessions';
+import styles from '../../../styles/Admin.module.css';
+
+function SessionsPage() {
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [mySessions, setMySessions] = useState([]);
+  const [allSessions, setAllSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const user = await getCurrentUser();
+      const admin = hasPermission(user, 'admin');
+      const [mine, all] = await Promise.all([
+        fetchMySessions(),
+        admin ? fetchAllSessions() : Promise.resolve([])
+      ]);
+
+      setIsAdmin(admin);
+      setMySessions(mine);
+      setAllSessions(all);
+    } catch (err) {
+      setError(err.message);
+      console.error('Erro ao buscar sessões:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (session, revoke, owner = '') => {
+    if (!window.confirm(`Encerrar a sessão${owner} em ${describeUserAgent(session.user_agent)}? O acesso é cortado na hora.`)) return;
+
+    try {
+      await revoke(session.id);
+      loadSessions();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Encerrar a sessão em todos os dispositivos, inclusive neste?')) return;
+
+    try {
+      await logoutAllDevices();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className={styles.adminLayout}>
+      <Sidebar />
+
+      <main className={styles.adminMain}>
+        <div className={styles.adminHeader}>
+          <div>
+            <h1 className={styles.pageTitle}>Sessões</h1>
+            <p className={styles.pageSubtitle}>
+              Onde o painel está aberto e desde quando
+            </p>
+          </div>
+
+          <button
+            onClick={loadSessions}
+            className={styles.refreshButton}
+            disabled={loading}
+          >
+            🔄 Atualizar
+          </button>
+        </div>
+
+        {error && (
+          <div className={styles.errorBanner}>
+            ⚠️ {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className={styles.tableContainer}>
+            <div className={styles.tableLoading}>
+              <div className={styles.spinner}></div>
+              <p>Carregando sessões...</p>
+            </div>
+          </div>
+        ) : (
+          <>
+            <div className={styles.formCard}>
+              <h2 className={styles.sectionTitle}>Minhas sessões</h2>
+              <p className={styles.formHint}>
+                Não reconhece algum dispositivo? Encerre a sessão e troque a senha em "Minha Conta".
+              </p>
+            </div>
+
+            <div className={styles.tableContainer}>
+              <SessionsTable
+                sessions={mySessions}
+                onRevoke={(session) => handleRevoke(session, revokeMySession)}
+              />
+            </div>
+
+            <div className={styles.formActions}>
+              <button type="button" onClick={handleLogoutAll} className={styles.refreshButton}>
+                🚪 Sair de todos os dispositivos
+              </button>
+            </div>
+
+            {isAdmin && (
+              <>
+                <div className={styles.formCard}>
+                  <h2 className={styles.sectionTitle}>Todas as sessões</h2>
+                  <p className={styles.formHint}>
+                    Sessões abertas de todos os usuários do painel
+                  </p>
+                </div>
+
+                <div className={styles.tableContainer}>
+                  {allSessions.length === 0 ? (
+                    <div className={styles.tableEmpty}>
+                      <p>💻 Nenhuma sessão aberta</p>
+                    </div>
+                  ) : (
+                    <SessionsTable
+                      sessions={allSessions}
+                      onRevoke={(session) => handleRevoke(session, revokeAnySession, ` de "${session.user.name}"`)}
+                      showUser
+                    />
+                  )}
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default SessionsPage;
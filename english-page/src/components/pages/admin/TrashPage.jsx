@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import Sidebar from '../../admin/Sidebar';
+import Pagination from '../../admin/Pagination';
+import { fetchTrash, restoreLead, purgeLead, emptyTrash } from '../../../services/leads';
+import styles from '../../../styles/Admin.module.css';
+
+function TrashPage() {
+  const [leads, setLeads] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [search, setSearch] = useState('');
+  const [paging, setPaging] = useState({ limit: 25, offset: 0 });
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState(null);
+
+  const loadTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await fetchTrash({ search, ...paging });
+      setLeads(data.leads || []);
+      setTotal(data.total || 0);
+      setRetentionDays(data.retention_days);
+    } catch (err) {
+      setError(err.message);
+      console.error('Erro ao buscar lixeira:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [search, paging]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const run = async (action) => {
+    setError('');
+    setNotice(null);
+    setWorking(true);
+
+    try {
+      await action();
+      loadTrash();
+    } catch (err) {
+      setError(err.message);
+      console.error(err);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRestore = (lead) => run(async () => {
+    const restored = await restoreLead(lead.id);
+    setNotice({ lead: restored });
+  });
+
+  const handlePurge = (lead) => {
+    if (!window.confirm(`Excluir "${lead.name}" definitivamente? Essa ação não pode ser desfeita.`)) return;
+
+    run(() => purgeLead(lead.id));
+  };
+
+  const handleEmpty = () => {
+    if (!window.confirm(
+      `Excluir definitivamente ${total} lead${total !== 1 ? 's' : ''} da lixeira? Essa ação não pode ser desfeita.`
+    )) return;
+
+    run(() => emptyTrash());
+  };
+
+  const handleSearchChange = (value) => {
+    setSearch(value);
+    setPaging(prev => ({ ...prev, offset: 0 }));
+  };
+
+  const formatDate = (dateString) => {
+    // SQLite grava em UTC ('AAAA-MM-DD HH:MM:SS')
+    const date = new Date(dateString.replace(' ', 'T') + 'Z');
+    return date.toLocaleString('pt-BR', {
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className={styles.adminLayout}>
+      <Sidebar />
+
+      <main className={styles.adminMain}>
+        <div className={styles.adminHeader}>
+          <div>
+            <Link to="/admin/leads" className={styles.backLink}>← Voltar para leads</Link>
+            <h1 className={styles.pageTitle}>Lixeira</h1>
+            <p className={styles.pageSubtitle}>
+              {retentionDays
+                ? `Leads deletados ficam aqui por ${retentionDays} dias e depois são excluídos de vez`
+                : 'Leads deletados'}
+            </p>
+          </div>
+
+          <button
+            onClick={handleEmpty}
+            className={`${styles.refreshButton} ${styles.actionButtonDanger}`}
+            disabled={working || total === 0}
+          >
+            🔥 Esvaziar lixeira
+          </button>
+        </div>
+
+        {error && (
+          <div className={styles.errorBanner}>
+            ⚠️ {error}
+          </div>
+        )}
+
+        {notice && (
+          <div className={styles.successBanner}>
+            ♻️ <Link to={`/admin/leads/${notice.lead.id}`} className={styles.leadLink}>{notice.lead.name}</Link> foi restaurado.
+            {notice.lead.duplicate_id && (
+              <>
+                {' '}Já existe outro lead com o mesmo contato (#{notice.lead.duplicate_id}):{' '}
+                <Link to="/admin/leads/duplicates" className={styles.leadLink}>ver duplicados</Link>
+              </>
+            )}
+          </div>
+        )}
+
+        <div className={styles.tableContainer}>
+          <div className={styles.filtersBar}>
+            <div className={styles.searchBox}>
+              <input
+                type="text"
+                placeholder="🔍 Buscar por nome, telefone ou cidade..."
+                value={search}
+                onChange={(e) => handleSearchChange(e.target.value)}
+                className={styles.searchInput}
+              />
+            </div>
+          </div>
+
+          {loading ? (
+            <div className={styles.tableLoading}>
+              <div className={styles.spinner}></div>
+              <p>Carregando lixeira...</p>
+            </div>
+          ) : leads.length === 0 ? (
+            <div className={styles.tableEmpty}>
+              <p>🗑️ {search ? 'Nenhum lead encontrado' : 'A lixeira está vazia'}</p>
+            </div>
+          ) : (
+            <div className={styles.tableWrapper}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th>ID</th>
+                    <th>Nome</th>
+                    <th>WhatsApp</th>
+                    <th>Deletado em</th>
+                    <th>Exclusão automática</th>
+                    <th>Ações</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {leads.map(lead => (
+                    <tr key={lead.id}>
+                      <td className={styles.tableId}>#{lead.id}</td>
+                      <td className={styles.tableName}>
+                        <Link to={`/admin/leads/${lead.id}`} className={styles.leadLink}>{lead.name}</Link>
+                      </td>
+                      <td className={styles.tableWhatsapp}>{lead.whatsapp}</td>
+                      <td className={styles.tableDate}>{formatDate(lead.deleted_at)}</td>
+                      <td className={styles.tableDate}>{formatDate(lead.purge_at)}</td>
+                      <td className={styles.tableActions}>
+                        <button
+                          onClick={() => handleRestore(lead)}
+                          className={styles.actionButton}
+                          disabled={working}
+                          title="Restaurar"
+                        >
+                          ♻️
+                        </button>
+                        <button
+                          onClick={() => handlePurge(lead)}
+                          className={`${styles.actionButton} ${styles.actionButtonDanger}`}
+                          disabled={working}
+                          title="Excluir definitivamente"
+                        >
+                          🔥
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {total > 0 && (
+            <Pagination
+              total={total}
+              limit={paging.limit}
+              offset={paging.offset}
+              onOffsetChange={(offset) => setPaging(prev => ({ ...prev, offset }))}
+              onLimitChange={(limit) => setPaging({ limit, offset: 0 })}
+            />
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default TrashPage;
@@ -0,0 +1,324 @@
+import React, { useState, useEffect } from 'react';
+import Sidebar from '../../admin/Sidebar';
+import { ROLE_LABELS, fetchUsers, createUser, updateUser, resendInvite, resetUserTwoFactor } from '../../../services/users';
+import styles from '../../../styles/Admin.module.css';
+
+const ROLE_DESCRIPTIONS = {
+  admin: 'Acesso total, incluindo configurações e usuários',
+  seller: 'Vê e trabalha apenas os próprios leads',
+  viewer: 'Vê apenas o dashboard'
+};
+
+const emptyForm = {
+  name: '',
+  email: '',
+  role: 'seller',
+  password: ''
+};
+
+function UsersPage() {
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState(Object.keys(ROLE_LABELS));
+  const [me, setMe] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [invite, setInvite] = useState(null);
+
+  useEffect(() => {
+    loadUsers();
+  }, []);
+
+  const loadUsers = async () => {
+    try {
+      setLoading(true);
+      const data = await fetchUsers();
+      setUsers(data.users);
+      setRoles(data.roles);
+      setMe(data.me);
+    } catch (err) {
+      setError(err.message);
+      console.error('Erro ao buscar usuários:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setInvite(null);
+    setSaving(true);
+
+    try {
+      const { password, ...rest } = form;
+      const data = await createUser(password ? form : rest);
+
+      if (data.invite_url) {
+        setInvite({ name: data.user.name, url: data.invite_url });
+      }
+
+      setForm(emptyForm);
+      loadUsers();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUserChange = async (user, changes) => {
+    setError('');
+
+    try {
+      const updated = await updateUser(user.id, changes);
+      setUsers(users.map(u => (u.id === user.id ? updated : u)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleToggleActive = (user) => {
+    if (user.active && !window.confirm(`Desativar "${user.name}"? O acesso ao painel é cortado na hora.`)) return;
+
+    handleUserChange(user, { active: !user.active });
+  };
+
+  const handleResendInvite = async (user) => {
+    if (!window.confirm(`Gerar um novo convite para "${user.name}"? O link anterior deixa de valer.`)) return;
+
+    setError('');
+    setInvite(null);
+
+    try {
+      const data = await resendInvite(user.id);
+      setInvite({ name: user.name, url: data.invite_url });
+      setUsers(users.map(u => (u.id === user.id ? data.user : u)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleResetTwoFactor = async (user) => {
+    if (!window.confirm(`Desativar a verificação em duas etapas de "${user.name}"? As sessões da pessoa são encerradas e ela entra de novo só com a senha.`)) return;
+
+    setError('');
+
+    try {
+      const data = await resetUserTwoFactor(user.id);
+      setUsers(users.map(u => (u.id === user.id ? data.user : u)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    // SQLite grava em UTC ('AAAA-MM-DD HH:MM:SS')
+    const date = new Date(dateString.replace(' ', 'T') + 'Z');
+    return date.toLocaleString('pt-BR', {
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className={styles.adminLayout}>
+      <Sidebar />
+
+      <main className={styles.adminMain}>
+        <div className={styles.adminHeader}>
+          <div>
+            <h1 className={styles.pageTitle}>Usuários</h1>
+            <p className={styles.pageSubtitle}>
+              Quem acessa o painel e o que cada um pode fazer
+            </p>
+          </div>
+
+          <button
+            onClick={loadUsers}
+            className={styles.refreshButton}
+            disabled={loading}
+          >
+            🔄 Atualizar
+          </button>
+        </div>
+
+        {error && (
+          <div className={styles.errorBanner}>
+            ⚠️ {error}
+          </div>
+        )}
+
+        {invite && (
+          <div className={styles.successBanner}>
+            ✅ Convite para "{invite.name}" criado. Envie o link abaixo para a pessoa definir a senha:
+            <code className={styles.secretBox}>{invite.url}</code>
+            <button onClick={() => setInvite(null)} className={styles.refreshButton}>
+              Entendi
+            </button>
+          </div>
+        )}
+
+        <form onSubmit={handleCreate} className={styles.formCard}>
+          <h2 className={styles.sectionTitle}>Novo usuário</h2>
+
+          <div className={styles.formGrid}>
+            <div className={styles.formGroup}>
+              <label htmlFor="user-name" className={styles.formLabel}>Nome</label>
+              <input
+                id="user-name"
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className={styles.formInput}
+                required
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="user-email" className={styles.formLabel}>Email</label>
+              <input
+                id="user-email"
+                type="email"
+                value={form.email}
+                onChange={(e) => setForm({ ...form, email: e.target.value })}
+                className={styles.formInput}
+                required
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="user-role" className={styles.formLabel}>Papel</label>
+              <select
+                id="user-role"
+                value={form.role}
+                onChange={(e) => setForm({ ...form, role: e.target.value })}
+                className={styles.formInput}
+              >
+                {roles.map(role => (
+                  <option key={role} value={role}>{ROLE_LABELS[role] || role}</option>
+                ))}
+              </select>
+              <span className={styles.formHint}>{ROLE_DESCRIPTIONS[form.role]}</span>
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="user-password" className={styles.formLabel}>Senha (opcional)</label>
+              <input
+                id="user-password"
+                type="password"
+                value={form.password}
+                onChange={(e) => setForm({ ...form, password: e.target.value })}
+                className={styles.formInput}
+                placeholder="Em branco: gera um link de convite"
+                autoComplete="new-password"
+              />
+            </div>
+          </div>
+
+          <div className={styles.formActions}>
+            <button type="submit" className={styles.primaryButton} disabled={saving}>
+              {saving ? '⏳ Salvando...' : form.password ? '➕ Criar usuário' : '✉️ Convidar usuário'}
+            </button>
+          </div>
+        </form>
+
+        <div className={styles.tableContainer}>
+          {loading ? (
+            <div className={styles.tableLoading}>
+              <div className={styles.spinner}></div>
+              <p>Carregando usuários...</p>
+            </div>
+          ) : (
+            <div className={styles.tableWrapper}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th>Nome</th>
+                    <th>Email</th>
+                    <th>Papel</th>
+                    <th>Ativo</th>
+                    <th>Situação</th>
+                    <th>Ações</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {users.map(user => (
+                    <tr key={user.id}>
+                      <td className={styles.tableName}>
+                        {user.name}{user.id === me && ' (você)'}
+                      </td>
+                      <td>{user.email}</td>
+                      <td>
+                        <select
+                          value={user.role}
+                          onChange={(e) => handleUserChange(user, { role: e.target.value })}
+                          className={styles.formInput}
+                          disabled={user.id === me}
+                          aria-label={`Papel de ${user.name}`}
+                        >
+                          {roles.map(role => (
+                            <option key={role} value={role}>{ROLE_LABELS[role] || role}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={user.active}
+                          onChange={() => handleToggleActive(user)}
+                          disabled={user.id === me}
+                          aria-label={`${user.name} ativo`}
+                        />
+                      </td>
+                      <td>
+                        {!user.active ? (
+                          <span className={`${styles.badge} ${styles.badgeMuted}`}>Desativado</span>
+                        ) : user.invite_pending ? (
+                          <span
+                            className={`${styles.badge} ${styles.badgeDanger}`}
+                            title={user.invite_expires_at ? `Expira em ${formatDate(user.invite_expires_at)}` : undefined}
+                          >
+                            Convite pendente
+                          </span>
+                        ) : (
+                          <span className={`${styles.badge} ${styles.badgeSuccess}`}>Ativo</span>
+                        )}
+                      </td>
+                      <td className={styles.tableActions}>
+                        {user.active && user.invite_pending && (
+                          <button
+                            onClick={() => handleResendInvite(user)}
+                            className={styles.actionButton}
+                            title="Gerar novo convite"
+                          >
+                            ✉️
+                          </button>
+                        )}
+                        {user.two_factor_enabled && user.id !== me && (
+                          <button
+                            onClick={() => handleResetTwoFactor(user)}
+                            className={`${styles.actionButton} ${styles.actionButtonDanger}`}
+                            title="Desativar verificação em duas etapas (perdeu o celular)"
+                          >
+                            🛡️
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default UsersPage;
@@ -0,0 +1,356 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { authenticatedFetch } from '../../../services/auth';
+import Sidebar from '../../admin/Sidebar';
+import styles from '../../../styles/Admin.module.css';
+import { API_URL } from '../../../config';
+
+const PAGE_SIZE = 25;
+
+function WebhookDeliveriesPage() {
+  const [attempts, setAttempts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [redeliverResult, setRedeliverResult] = useState(null);
+  const [offset, setOffset] = useState(0);
+  const [filters, setFilters] = useState({
+    status: 'all',
+    event: '',
+    webhook_id: '',
+    date_from: '',
+    date_to: '',
+    search: ''
+  });
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, []);
+
+  const fetchWebhooks = async () => {
+    try {
+      const response = await authenticatedFetch(`${API_URL}/admin/webhooks`);
+
+      if (response.ok) {
+        const data = await response.json();
+        setWebhooks(data.webhooks || []);
+        setEvents([...(data.events || []), 'webhook.test']);
+      }
+    } catch (err) {
+      console.error('Erro ao buscar webhooks:', err);
+    }
+  };
+
+  const fetchAttempts = useCallback(async () => {
+    try {
+      setLoading(true);
+
+      const params = new URLSearchParams();
+      if (filters.status !== 'all') params.append('status', filters.status);
+      if (filters.event) params.append('event', filters.event);
+      if (filters.webhook_id) params.append('webhook_id', filters.webhook_id);
+      if (filters.date_from) params.append('date_from', filters.date_from);
+      if (filters.date_to) params.append('date_to', filters.date_to);
+      if (filters.search) params.append('search', filters.search);
+      params.append('limit', PAGE_SIZE);
+      params.append('offset', offset);
+
+      const response = await authenticatedFetch(`${API_URL}/admin/webhooks/deliveries?${params.toString()}`);
+
+      if (!response.ok) {
+        throw new Error('Erro ao buscar entregas');
+      }
+
+      const data = await response.json();
+      setAttempts(data.attempts || []);
+      setTotal(data.total || 0);
+    } catch (err) {
+      setError(err.message);
+      console.error('Erro ao buscar entregas:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, offset]);
+
+  useEffect(() => {
+    fetchAttempts();
+  }, [fetchAttempts]);
+
+  const handleFilterChange = (key, value) => {
+    setOffset(0);
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleRedeliver = async (attempt) => {
+    setRedeliverResult(null);
+
+    try {
+      const response = await authenticatedFetch(
+        `${API_URL}/admin/webhooks/deliveries/${attempt.outbox_id}/redeliver`,
+        { method: 'POST' }
+      );
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao reenviar webhook');
+      }
+
+      setRedeliverResult(data);
+      fetchAttempts();
+    } catch (err) {
+      alert('Erro ao reenviar webhook: ' + err.message);
+      console.error(err);
+    }
+  };
+
+  const isSuccess = (attempt) => attempt.status_code >= 200 && attempt.status_code < 300;
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString.replace(' ', 'T') + 'Z');
+    return date.toLocaleString('pt-BR', {
+      day: '2-digit',
+      month: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  };
+
+  const deliveryStatusLabels = {
+    pending: 'Tentando',
+    delivered: 'Entregue',
+    dead: 'Descartado'
+  };
+
+  return (
+    <div className={styles.adminLayout}>
+      <Sidebar />
+
+      <main className={styles.adminMain}>
+        <div className={styles.adminHeader}>
+          <div>
+            <h1 className={styles.pageTitle}>Entregas de Webhook</h1>
+            <p className={styles.pageSubtitle}>
+              {total} tentativa{total !== 1 ? 's' : ''} registrada{total !== 1 ? 's' : ''}
+            </p>
+          </div>
+
+          <button
+            onClick={fetchAttempts}
+            className={styles.refreshButton}
+            disabled={loading}
+          >
+            🔄 Atualizar
+          </button>
+        </div>
+
+        {error && (
+          <div className={styles.errorBanner}>
+            ⚠️ {error}
+          </div>
+        )}
+
+        {redeliverResult && (
+          <div className={redeliverResult.success ? styles.successBanner : styles.errorBanner}>
+            {redeliverResult.success ? '✅ Reenviado com sucesso' : '⚠️ Reenvio falhou'}:{' '}
+            {redeliverResult.statusCode ? `HTTP ${redeliverResult.statusCode}` : redeliverResult.error}
+            {' '}em {redeliverResult.durationMs}ms
+          </div>
+        )}
+
+        <div className={styles.filtersBar}>
+          <div className={styles.filterTabs}>
+            {[
+              { value: 'all', label: 'Todas' },
+              { value: 'success', label: '✅ Sucesso' },
+              { value: 'failed', label: '❌ Falha' }
+            ].map(tab => (
+              <button
+                key={tab.value}
+                onClick={() => handleFilterChange('status', tab.value)}
+                className={`${styles.filterTab} ${filters.status === tab.value ? styles.filterTabActive : ''}`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+
+          <div className={styles.formGrid}>
+            <select
+              value={filters.webhook_id}
+              onChange={(e) => handleFilterChange('webhook_id', e.target.value)}
+              className={styles.formInput}
+              aria-label="Webhook"
+            >
+              <option value="">Todos os webhooks</option>
+              {webhooks.map(webhook => (
+                <option key={webhook.id} value={webhook.id}>{webhook.name}</option>
+              ))}
+            </select>
+
+            <select
+              value={filters.event}
+              onChange={(e) => handleFilterChange('event', e.target.value)}
+              className={styles.formInput}
+              aria-label="Evento"
+            >
+              <option value="">Todos os eventos</option>
+              {events.map(event => (
+                <option key={event} value={event}>{event}</option>
+              ))}
+            </select>
+
+            <input
+              type="date"
+              value={filters.date_from}
+              onChange={(e) => handleFilterChange('date_from', e.target.value)}
+              className={styles.formInput}
+              aria-label="De"
+            />
+
+            <input
+              type="date"
+              value={filters.date_to}
+              onChange={(e) => handleFilterChange('date_to', e.target.value)}
+              className={styles.formInput}
+              aria-label="Até"
+            />
+          </div>
+
+          <div className={styles.searchBox}>
+            <input
+              type="text"
+              placeholder="🔍 Buscar no payload, resposta ou erro..."
+              value={filters.search}
+              onChange={(e) => handleFilterChange('search', e.target.value)}
+              className={styles.searchInput}
+            />
+          </div>
+        </div>
+
+        <div className={styles.tableContainer}>
+          {loading ? (
+            <div className={styles.tableLoading}>
+              <div className={styles.spinner}></div>
+              <p>Carregando entregas...</p>
+            </div>
+          ) : attempts.length === 0 ? (
+            <div className={styles.tableEmpty}>
+              <p>📭 Nenhuma entrega encontrada</p>
+            </div>
+          ) : (
+            <div className={styles.tableWrapper}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th>Data</th>
+                    <th>Webhook</th>
+                    <th>Evento</th>
+                    <th>Tentativa</th>
+                    <th>Resposta</th>
+                    <th>Latência</th>
+                    <th>Entrega</th>
+                    <th>Ações</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {attempts.map(attempt => (
+                    <React.Fragment key={attempt.id}>
+                      <tr>
+                        <td className={styles.tableDate}>{formatDate(attempt.created_at)}</td>
+                        <td className={styles.tableName}>{attempt.webhook_name || '-'}</td>
+                        <td><span className={styles.eventTag}>{attempt.event}</span></td>
+                        <td>
+                          #{attempt.outbox_id} • {attempt.attempt}ª
+                          {attempt.redelivery_of && ` (reenvio de #${attempt.redelivery_of})`}
+                        </td>
+                        <td>
+                          <span className={`${styles.badge} ${isSuccess(attempt) ? styles.badgeSuccess : styles.badgeDanger}`}>
+                            {attempt.status_code ? `HTTP ${attempt.status_code}` : 'Erro'}
+                          </span>
+                        </td>
+                        <td>{attempt.duration_ms}ms</td>
+                        <td>{deliveryStatusLabels[attempt.delivery_status] || attempt.delivery_status}</td>
+                        <td className={styles.tableActions}>
+                          <button
+                            onClick={() => setExpandedId(expandedId === attempt.id ? null : attempt.id)}
+                            className={styles.actionButton}
+                            title="Ver detalhes"
+                          >
+                            🔍
+                          </button>
+                          {/* Reenvio só para webhooks que ainda existem e estão ativos */}
+                          {attempt.webhook_id && attempt.webhook_active === 1 && (
+                            <button
+                              onClick={() => handleRedeliver(attempt)}
+                              className={styles.actionButton}
+                              title="Reenviar"
+                            >
+                              🔁
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                      {expandedId === attempt.id && (
+                        <tr>
+                          <td colSpan={8}>
+                            <div className={styles.deliveryDetails}>
+                              <div>
+                                <strong>POST {attempt.request_url}</strong>
+                                <pre className={styles.codeBlock}>
+                                  {JSON.stringify(attempt.request_headers, null, 2)}
+                                </pre>
+                              </div>
+                              <div>
+                                <strong>Payload</strong>
+                                <pre className={styles.codeBlock}>
+                                  {JSON.stringify(attempt.payload, null, 2)}
+                                </pre>
+                              </div>
+                              <div>
+                                <strong>Resposta</strong>
+                                {attempt.error && <p className={styles.error}>⚠️ {attempt.error}</p>}
+                                <pre className={styles.codeBlock}>{attempt.response_body || '(vazia)'}</pre>
+                              </div>
+                            </div>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {total > PAGE_SIZE && (
+          <div className={styles.pagination}>
+            <button
+              onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+              className={styles.refreshButton}
+              disabled={offset === 0 || loading}
+            >
+              ← Anteriores
+            </button>
+            <span>
+              {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} de {total}
+            </span>
+            <button
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+              className={styles.refreshButton}
+              disabled={offset + PAGE_SIZE >= total || loading}
+            >
+              Próximas →
+            </button>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default WebhookDeliveriesPage;
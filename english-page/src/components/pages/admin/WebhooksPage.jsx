@@ -0,0 +1,369 @@
+import React, { useState, useEffect } from 'react';
+import { authenticatedFetch } from '../../../services/auth';
+import Sidebar from '../../admin/Sidebar';
+import styles from '../../../styles/Admin.module.css';
+import { API_URL } from '../../../config';
+
+const EVENT_LABELS = {
+  'lead.created': 'Lead criado',
+  'lead.updated': 'Lead editado',
+  'lead.status_changed': 'Status alterado',
+  'lead.deleted': 'Lead deletado',
+  'lead.restored': 'Lead restaurado',
+  'lead.assigned': 'Responsável alterado',
+  'task.overdue': 'Tarefa atrasada'
+};
+
+const emptyForm = {
+  name: '',
+  url: '',
+  events: ['lead.created']
+};
+
+function WebhooksPage() {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState(Object.keys(EVENT_LABELS));
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [createdSecret, setCreatedSecret] = useState(null);
+  const [testResult, setTestResult] = useState(null);
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, []);
+
+  const fetchWebhooks = async () => {
+    try {
+      setLoading(true);
+      const response = await authenticatedFetch(`${API_URL}/admin/webhooks`);
+
+      if (!response.ok) {
+        throw new Error('Erro ao buscar webhooks');
+      }
+
+      const data = await response.json();
+      setWebhooks(data.webhooks || []);
+      if (data.events) setEvents(data.events);
+    } catch (err) {
+      setError(err.message);
+      console.error('Erro ao buscar webhooks:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEventToggle = (event) => {
+    setForm(prev => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter(e => e !== event)
+        : [...prev.events, event]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    try {
+      const response = await authenticatedFetch(`${API_URL}/admin/webhooks`, {
+        method: 'POST',
+        body: JSON.stringify(form)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.details?.[0]?.message || data.error || 'Erro ao criar webhook');
+      }
+
+      setCreatedSecret({ name: data.name, secret: data.secret });
+      setForm(emptyForm);
+      fetchWebhooks();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (webhook) => {
+    try {
+      const response = await authenticatedFetch(`${API_URL}/admin/webhooks/${webhook.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ active: !webhook.active })
+      });
+
+      if (!response.ok) {
+        throw new Error('Erro ao atualizar webhook');
+      }
+
+      setWebhooks(webhooks.map(w =>
+        w.id === webhook.id ? { ...w, active: !webhook.active } : w
+      ));
+    } catch (err) {
+      alert('Erro ao atualizar webhook: ' + err.message);
+      console.error(err);
+    }
+  };
+
+  const handleTest = async (webhook) => {
+    setTestResult(null);
+
+    try {
+      const response = await authenticatedFetch(`${API_URL}/admin/webhooks/${webhook.id}/test`, {
+        method: 'POST'
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao enviar evento de teste');
+      }
+
+      setTestResult({ name: webhook.name, ...data });
+    } catch (err) {
+      alert('Erro ao enviar evento de teste: ' + err.message);
+      console.error(err);
+    }
+  };
+
+  const handleRotateSecret = async (webhook) => {
+    if (!window.confirm(
+      `Gerar um novo secret para "${webhook.name}"? O secret atual continua válido por 24 horas.`
+    )) return;
+
+    try {
+      const response = await authenticatedFetch(`${API_URL}/admin/webhooks/${webhook.id}/rotate-secret`, {
+        method: 'POST',
+        body: JSON.stringify({ grace_hours: 24 })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao rotacionar secret');
+      }
+
+      setCreatedSecret({ name: data.name, secret: data.secret, rotated: true });
+      fetchWebhooks();
+    } catch (err) {
+      alert('Erro ao rotacionar secret: ' + err.message);
+      console.error(err);
+    }
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Tem certeza que deseja deletar o webhook "${webhook.name}"?`)) return;
+
+    try {
+      const response = await authenticatedFetch(`${API_URL}/admin/webhooks/${webhook.id}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) {
+        throw new Error('Erro ao deletar webhook');
+      }
+
+      setWebhooks(webhooks.filter(w => w.id !== webhook.id));
+    } catch (err) {
+      alert('Erro ao deletar webhook: ' + err.message);
+      console.error(err);
+    }
+  };
+
+  return (
+    <div className={styles.adminLayout}>
+      <Sidebar />
+
+      <main className={styles.adminMain}>
+        <div className={styles.adminHeader}>
+          <div>
+            <h1 className={styles.pageTitle}>Webhooks</h1>
+            <p className={styles.pageSubtitle}>
+              Integrações com Make.com, Zapier e outros serviços
+            </p>
+          </div>
+
+          <button
+            onClick={fetchWebhooks}
+            className={styles.refreshButton}
+            disabled={loading}
+          >
+            🔄 Atualizar
+          </button>
+        </div>
+
+        {error && (
+          <div className={styles.errorBanner}>
+            ⚠️ {error}
+          </div>
+        )}
+
+        {createdSecret && (
+          <div className={styles.successBanner}>
+            ✅ Webhook "{createdSecret.name}" {createdSecret.rotated ? 'com novo secret' : 'criado'}.
+            Guarde o secret para validar as assinaturas:
+            <code className={styles.secretBox}>{createdSecret.secret}</code>
+            <button onClick={() => setCreatedSecret(null)} className={styles.refreshButton}>
+              Entendi
+            </button>
+          </div>
+        )}
+
+        {testResult && (
+          <div className={testResult.success ? styles.successBanner : styles.errorBanner}>
+            {testResult.success ? '✅' : '⚠️'} Teste para "{testResult.name}":{' '}
+            {testResult.statusCode ? `HTTP ${testResult.statusCode}` : testResult.error}
+            {' '}em {testResult.durationMs}ms
+          </div>
+        )}
+
+        <form onSubmit={handleCreate} className={styles.formCard}>
+          <h2 className={styles.sectionTitle}>Novo webhook</h2>
+
+          <div className={styles.formGrid}>
+            <div className={styles.formGroup}>
+              <label htmlFor="webhook-name" className={styles.formLabel}>Nome</label>
+              <input
+                id="webhook-name"
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className={styles.formInput}
+                placeholder="Make.com - CRM"
+                required
+              />
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="webhook-url" className={styles.formLabel}>URL</label>
+              <input
+                id="webhook-url"
+                type="url"
+                value={form.url}
+                onChange={(e) => setForm({ ...form, url: e.target.value })}
+                className={styles.formInput}
+                placeholder="https://hook.make.com/..."
+                required
+              />
+            </div>
+          </div>
+
+          <div className={styles.checkboxList}>
+            {events.map(event => (
+              <label key={event} className={styles.checkboxLabel}>
+                <input
+                  type="checkbox"
+                  checked={form.events.includes(event)}
+                  onChange={() => handleEventToggle(event)}
+                />
+                {EVENT_LABELS[event] || event}
+              </label>
+            ))}
+          </div>
+
+          <div className={styles.formActions}>
+            <button type="submit" className={styles.primaryButton} disabled={saving}>
+              {saving ? '⏳ Salvando...' : '➕ Criar webhook'}
+            </button>
+          </div>
+        </form>
+
+        <div className={styles.tableContainer}>
+          {loading ? (
+            <div className={styles.tableLoading}>
+              <div className={styles.spinner}></div>
+              <p>Carregando webhooks...</p>
+            </div>
+          ) : webhooks.length === 0 ? (
+            <div className={styles.tableEmpty}>
+              <p>📭 Nenhum webhook cadastrado</p>
+            </div>
+          ) : (
+            <div className={styles.tableWrapper}>
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th>Nome</th>
+                    <th>URL</th>
+                    <th>Eventos</th>
+                    <th>Secret</th>
+                    <th>Fila</th>
+                    <th>Status</th>
+                    <th>Ações</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {webhooks.map(webhook => (
+                    <tr key={webhook.id}>
+                      <td className={styles.tableName}>{webhook.name}</td>
+                      <td className={styles.tableCampaign} title={webhook.url}>{webhook.url}</td>
+                      <td>
+                        {webhook.events.map(event => (
+                          <span key={event} className={styles.eventTag}>{event}</span>
+                        ))}
+                      </td>
+                      <td>
+                        <code>{webhook.secret_preview}</code>
+                        {webhook.rotating && (
+                          <div className={styles.statsCardSubtitle}>
+                            🔁 anterior válido até {webhook.previous_secret_expires_at}
+                          </div>
+                        )}
+                      </td>
+                      <td>
+                        {webhook.pending} pendente{webhook.pending !== 1 ? 's' : ''}
+                        {webhook.dead > 0 && ` • ${webhook.dead} com falha`}
+                      </td>
+                      <td>
+                        <span className={`${styles.badge} ${webhook.active ? styles.badgeSuccess : styles.badgeMuted}`}>
+                          {webhook.active ? 'Ativo' : 'Pausado'}
+                        </span>
+                      </td>
+                      <td className={styles.tableActions}>
+                        <button
+                          onClick={() => handleTest(webhook)}
+                          className={styles.actionButton}
+                          title="Enviar evento de teste"
+                        >
+                          🧪
+                        </button>
+                        <button
+                          onClick={() => handleRotateSecret(webhook)}
+                          className={styles.actionButton}
+                          title="Gerar novo secret"
+                        >
+                          🔑
+                        </button>
+                        <button
+                          onClick={() => handleToggleActive(webhook)}
+                          className={styles.actionButton}
+                          title={webhook.active ? 'Pausar' : 'Ativar'}
+                        >
+                          {webhook.active ? '⏸️' : '▶️'}
+                        </button>
+                        <button
+                          onClick={() => handleDelete(webhook)}
+                          className={`${styles.actionButton} ${styles.actionButtonDanger}`}
+                          title="Deletar"
+                        >
+                          🗑️
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default WebhooksPage;
@@ -1,4 +1,5 @@
 import { API_URL } from '../config';
+import { getToken, removeToken } from './auth';
 
 let csrfToken = null;
 
@@ -21,7 +22,7 @@ export const getCsrfToken = async () => {
 
 // Helper para fazer requisições autenticadas com CSRF 
 export const authenticatedFetch = async (url, options = {}) => {
-  const token = localStorage.getItem('token');
+  const token = getToken();
   
   if (!token) {
     throw new Error('Token não encontrado');
@@ -52,7 +53,7 @@ export const authenticatedFetch = async (url, options = {}) => {
   });
 
   if (response.status === 401) {
-    localStorage.removeItem('token');
+    removeToken();
     window.location.href = '/login';
     throw new Error('Sessão expirada');
   }
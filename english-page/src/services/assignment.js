@@ -0,0 +1,62 @@
+import { API_URL } from '../config';
+import { authenticatedFetch } from './auth';
+
+// Distribuição dos leads novos entre os vendedores, configurada em /admin/assignment
+
+export const ASSIGNMENT_MODE_LABELS = {
+  round_robin: 'Rodízio (um para cada)',
+  weighted: 'Por peso',
+  off: 'Desligada (leads entram sem responsável)'
+};
+
+export const fetchAssignment = async () => {
+  const response = await authenticatedFetch(`${API_URL}/admin/assignment`);
+
+  if (!response.ok) {
+    throw new Error('Erro ao buscar distribuição de leads');
+  }
+
+  return response.json();
+};
+
+const sendAssignmentChange = async (method, path, body, fallbackError) => {
+  const response = await authenticatedFetch(`${API_URL}/admin/assignment${path}`, {
+    method,
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.details?.[0]?.message || data.error || fallbackError);
+  }
+
+  return data;
+};
+
+export const updateAssignmentMode = (mode) =>
+  sendAssignmentChange('PUT', '', { mode }, 'Erro ao alterar distribuição');
+
+// { receives_leads?, assignment_weight? }
+export const updateSellerAssignment = (userId, changes) =>
+  sendAssignmentChange('PATCH', `/users/${userId}`, changes, 'Erro ao alterar vendedor');
+
+// Parte dos leads novos (0–100) que cada usuário recebe no modo escolhido
+export const getAssignmentShares = (users, mode) => {
+  const sellers = users.filter(user => user.receives_leads);
+  const weightOf = (user) => (mode === 'weighted' ? user.assignment_weight : 1);
+  const total = sellers.reduce((sum, user) => sum + weightOf(user), 0);
+
+  return Object.fromEntries(users.map(user => [
+    user.id,
+    mode === 'off' || !user.receives_leads || total === 0 ? 0 : Math.round((weightOf(user) / total) * 100)
+  ]));
+};
+
+export default {
+  ASSIGNMENT_MODE_LABELS,
+  fetchAssignment,
+  updateAssignmentMode,
+  updateSellerAssignment,
+  getAssignmentShares
+};
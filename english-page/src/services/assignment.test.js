@@ -0,0 +1,56 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+globalThis.fetch = vi.fn()
+
+import { getAssignmentShares, updateSellerAssignment } from './assignment.js'
+import { setToken } from './auth.js'
+
+describe('Assignment Service', () => {
+  const users = [
+    { id: 1, receives_leads: true, assignment_weight: 3 },
+    { id: 2, receives_leads: true, assignment_weight: 1 },
+    { id: 3, receives_leads: false, assignment_weight: 5 },
+  ]
+
+  describe('getAssignmentShares', () => {
+    it('deve dividir igualmente no rodizio', () => {
+      expect(getAssignmentShares(users, 'round_robin')).toEqual({ 1: 50, 2: 50, 3: 0 })
+    })
+
+    it('deve respeitar os pesos', () => {
+      expect(getAssignmentShares(users, 'weighted')).toEqual({ 1: 75, 2: 25, 3: 0 })
+    })
+
+    it('deve zerar tudo com a distribuicao desligada', () => {
+      expect(getAssignmentShares(users, 'off')).toEqual({ 1: 0, 2: 0, 3: 0 })
+    })
+  })
+
+  describe('updateSellerAssignment', () => {
+    beforeEach(() => {
+      vi.clearAllMocks()
+      setToken('valid-token')
+    })
+
+    it('deve lancar a mensagem de validacao da API', async () => {
+      globalThis.fetch.mockImplementation((url) => Promise.resolve(
+        url.includes('/csrf-token')
+          ? { ok: true, status: 200, json: () => Promise.resolve({ csrfToken: 'csrf-token' }) }
+          : {
+              ok: false,
+              status: 400,
+              json: () => Promise.resolve({
+                error: 'Dados inválidos',
+                details: [{ field: 'assignment_weight', message: 'Peso mínimo é 1' }],
+              }),
+            }
+      ))
+
+      await expect(updateSellerAssignment(2, { assignment_weight: 0 })).rejects.toThrow('Peso mínimo é 1')
+      expect(globalThis.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/admin/assignment/users/2'),
+        expect.objectContaining({ method: 'PATCH' })
+      )
+    })
+  })
+})
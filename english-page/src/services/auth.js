@@ -2,21 +2,25 @@ import { API_URL } from '../config';
 
 let csrfToken = null; 
 
-// Funções de gerenciamento de token
+// Access token só na memória do módulo (nada no localStorage, onde um XSS o leria).
+// Recarregar a página perde o token: restoreSession() pega outro pelo cookie httpOnly
+let accessToken = null;
 
-export const setToken = (token) => {
+// Renovação em andamento: requisições que recebem 401 ao mesmo tempo esperam a mesma
+let refreshRequest = null;
 
-  localStorage.setItem('token', token);
+// Funções de gerenciamento de token
 
+export const setToken = (token) => {
+  accessToken = token || null;
 }; 
 
 export const getToken = () => {
-
-  return localStorage.getItem('token');
+  return accessToken;
 };
 
 export const removeToken = () => {
-  localStorage.removeItem('token');
+  accessToken = null;
 }; 
 
 export const isAuthenticated = () => {
@@ -64,7 +68,10 @@ export const login = async (email, password) => {
         'Content-Type': 'application/json',
       },
 
-      body: JSON.stringify({ email, password })
+      body: JSON.stringify({ email, password }),
+
+      // Recebe o cookie httpOnly com o refresh token
+      credentials: 'include'
 
     }); 
 
@@ -75,6 +82,10 @@ export const login = async (email, password) => {
 
  
     const data = await response.json();
+
+    // Com verificação em duas etapas, o token só vem depois do código (verifyTwoFactorLogin)
+    if (data.two_factor_required) return data;
+
     setToken(data.token);
     return data;
 
@@ -85,15 +96,94 @@ export const login = async (email, password) => {
 
 }; 
 
+// Segunda etapa do login: challengeToken vem de login(); code é o do app ou um de recuperação
+export const verifyTwoFactorLogin = async (challengeToken, code) => {
+  const response = await fetch(`${API_URL}/auth/login/2fa`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ challenge_token: challengeToken, code }),
+    credentials: 'include'
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.details?.[0]?.message || data.error || 'Erro ao verificar código');
+  }
+
+  setToken(data.token);
+  return data;
+};
+
+// Abas abertas ao mesmo tempo renovam uma de cada vez: a API trata um refresh token
+// já trocado como roubado, então duas abas mandando o mesmo cookie derrubariam a sessão
+const withRefreshLock = (callback) => {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request('auth-refresh', callback);
+  }
+
+  return callback();
+};
+
+// Renova o access token com o refresh token do cookie (que a API troca a cada uso).
+// Retorna o novo token ou null quando a sessão acabou
+export const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    refreshRequest = withRefreshLock(async () => {
+      try {
+        const response = await fetch(`${API_URL}/auth/refresh`, {
+          method: 'POST',
+          credentials: 'include'
+        });
+
+        if (!response.ok) return null;
+
+        const data = await response.json();
+        setToken(data.token);
+        return data.token;
+      } catch (error) {
+        console.error('Erro ao renovar sessão:', error);
+        return null;
+      } finally {
+        refreshRequest = null;
+      }
+    });
+  }
+
+  return refreshRequest;
+};
+
+// Ao abrir ou recarregar a página não há token na memória: recupera a sessão pelo
+// cookie de refresh. Retorna o token ou null quando não há sessão
+export const restoreSession = async () => {
+  return getToken() || refreshAccessToken();
+};
+
+// Encerra a sessão na API (o cookie do refresh token vai junto)
+const revokeSession = async (token) => {
+  try {
+    await fetch(`${API_URL}/auth/logout`, {
+      method: 'POST',
+      headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+      credentials: 'include',
+      // Termina mesmo com o redirecionamento para o login
+      keepalive: true
+    });
+  } catch (error) {
+    console.error('Erro ao encerrar sessão:', error);
+  }
+};
+
 // Função de logout
 
 export const logout = () => {
+  revokeSession(getToken());
   removeToken();
   window.location.href = '/login';
 }; 
 
 // Buscar usuário atual
-export const getCurrentUser = async () => {
+export const getCurrentUser = async (retry = true) => {
   try {
     const token = getToken(); 
 
@@ -110,6 +200,11 @@ export const getCurrentUser = async () => {
 
     if (!response.ok) {
       if (response.status === 401) {
+        // Access token vencido: renova uma vez e tenta de novo
+        if (retry && await refreshAccessToken()) {
+          return getCurrentUser(false);
+        }
+
         removeToken();
         throw new Error('Sessão expirada');
       }
@@ -126,9 +221,91 @@ export const getCurrentUser = async () => {
 
  
 
+// Senha
+
+const readJson = (response) => response.json().catch(() => ({}));
+
+// Troca a senha do usuário logado
+export const changePassword = async (currentPassword, newPassword) => {
+  const response = await authenticatedFetch(`${API_URL}/auth/change-password`, {
+    method: 'POST',
+    body: JSON.stringify({ current_password: currentPassword, new_password: newPassword })
+  });
+
+  const data = await readJson(response);
+
+  if (!response.ok) {
+    throw new Error(data.details?.[0]?.message || data.error || 'Erro ao alterar senha');
+  }
+
+  return data;
+};
+
+// Esqueci a senha: a API responde igual exista ou não o email
+export const requestPasswordReset = async (email) => {
+  const response = await fetch(`${API_URL}/auth/forgot-password`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email })
+  });
+
+  const data = await readJson(response);
+
+  if (!response.ok) {
+    throw new Error(data.details?.[0]?.message || data.error || 'Erro ao pedir redefinição de senha');
+  }
+
+  return data;
+};
+
+export const fetchPasswordReset = async (token) => {
+  const response = await fetch(`${API_URL}/auth/reset-password/${encodeURIComponent(token)}`);
+  const data = await readJson(response);
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Erro ao buscar redefinição de senha');
+  }
+
+  return data;
+};
+
+export const resetPassword = async (token, password) => {
+  const response = await fetch(`${API_URL}/auth/reset-password/${encodeURIComponent(token)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password })
+  });
+
+  const data = await readJson(response);
+
+  if (!response.ok) {
+    throw new Error(data.details?.[0]?.message || data.error || 'Erro ao redefinir senha');
+  }
+
+  return data;
+};
+
+// Permissões vêm do papel do usuário (/auth/me): 'dashboard', 'leads', 'leads:all', 'admin'
+export const hasPermission = (user, permission) => {
+  return !!user?.permissions?.includes(permission);
+};
+
+// Sai de todos os dispositivos (inclusive este)
+export const logoutAllDevices = async () => {
+  const response = await authenticatedFetch(`${API_URL}/auth/logout-all`, { method: 'POST' });
+
+  if (!response.ok) {
+    const data = await readJson(response);
+    throw new Error(data.error || 'Erro ao encerrar sessões');
+  }
+
+  removeToken();
+  window.location.href = '/login';
+};
+
 // Helper para fazer requisições autenticadas com CSRF
 export const authenticatedFetch = async (url, options = {}) => {
-  const token = getToken(); 
+  let token = getToken(); 
 
   if (!token) {
     throw new Error('Token não encontrado');
@@ -152,12 +329,22 @@ export const authenticatedFetch = async (url, options = {}) => {
     }
   }
 
-  const response = await fetch(url, {
+  let response = await fetch(url, {
     ...options,
     headers,
     credentials: 'include'
   }); 
 
+  // Access token vencido: renova pelo refresh token e repete a requisição uma vez
+  if (response.status === 401) {
+    token = await refreshAccessToken();
+
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+      response = await fetch(url, { ...options, headers, credentials: 'include' });
+    }
+  }
+
   if (response.status === 401) {
     removeToken();
     window.location.href = '/login';
@@ -188,7 +375,16 @@ export default {
   isAuthenticated,
   getCsrfToken,
   login,
+  verifyTwoFactorLogin,
+  refreshAccessToken,
+  restoreSession,
   logout,
+  logoutAllDevices,
   getCurrentUser,
+  hasPermission,
+  changePassword,
+  requestPasswordReset,
+  fetchPasswordReset,
+  resetPassword,
   authenticatedFetch
 };
\ No newline at end of file
@@ -15,58 +15,84 @@ Object.defineProperty(window, 'location', { value: locationMock, writable: true
 
 import {
   setToken, getToken, removeToken, isAuthenticated,
-  login, logout, getCurrentUser,
+  login, logout, getCurrentUser, hasPermission,
+  changePassword, requestPasswordReset, resetPassword,
+  refreshAccessToken, restoreSession, authenticatedFetch, verifyTwoFactorLogin,
 } from './auth.js'
 
 describe('Auth Service', () => {
   beforeEach(() => {
     vi.clearAllMocks()
-    localStorageMock.getItem.mockReturnValue(null)
+    removeToken()
     locationMock.href = ''
   })
 
   describe('setToken', () => {
-    it('deve salvar token no localStorage', () => {
+    it('deve guardar o token so na memoria', () => {
       setToken('my-token')
-      expect(localStorageMock.setItem).toHaveBeenCalledWith('token', 'my-token')
+      expect(getToken()).toBe('my-token')
+      expect(localStorageMock.setItem).not.toHaveBeenCalled()
     })
   })
 
   describe('getToken', () => {
-    it('deve retornar token do localStorage', () => {
-      localStorageMock.getItem.mockReturnValue('stored-token')
-      const token = getToken()
-      expect(token).toBe('stored-token')
-      expect(localStorageMock.getItem).toHaveBeenCalledWith('token')
-    })
-
     it('deve retornar null quando nao ha token', () => {
-      localStorageMock.getItem.mockReturnValue(null)
       const token = getToken()
       expect(token).toBeNull()
     })
+
+    it('deve ignorar token antigo do localStorage', () => {
+      localStorageMock.getItem.mockReturnValue('stored-token')
+      expect(getToken()).toBeNull()
+    })
   })
 
   describe('removeToken', () => {
-    it('deve remover token do localStorage', () => {
+    it('deve apagar o token da memoria', () => {
+      setToken('my-token')
       removeToken()
-      expect(localStorageMock.removeItem).toHaveBeenCalledWith('token')
+      expect(getToken()).toBeNull()
     })
   })
 
   describe('isAuthenticated', () => {
     it('deve retornar true quando ha token', () => {
-      localStorageMock.getItem.mockReturnValue('valid-token')
+      setToken('valid-token')
       expect(isAuthenticated()).toBe(true)
     })
 
     it('deve retornar false quando nao ha token', () => {
-      localStorageMock.getItem.mockReturnValue(null)
       expect(isAuthenticated()).toBe(false)
     })
 
     it('deve retornar false quando token e string vazia', () => {
-      localStorageMock.getItem.mockReturnValue('')
+      setToken('')
+      expect(isAuthenticated()).toBe(false)
+    })
+  })
+
+  describe('restoreSession', () => {
+    it('deve usar o token da memoria sem chamar a API', async () => {
+      setToken('valid-token')
+      expect(await restoreSession()).toBe('valid-token')
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    it('deve recuperar o token pelo cookie de refresh depois de recarregar a pagina', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ token: 'fresh-token' }) })
+
+      expect(await restoreSession()).toBe('fresh-token')
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/auth/refresh'),
+        expect.objectContaining({ method: 'POST', credentials: 'include' })
+      )
+      expect(isAuthenticated()).toBe(true)
+    })
+
+    it('deve retornar null sem sessao', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 401, json: () => Promise.resolve({}) })
+
+      expect(await restoreSession()).toBeNull()
       expect(isAuthenticated()).toBe(false)
     })
   })
@@ -94,7 +120,7 @@ describe('Auth Service', () => {
         json: () => Promise.resolve({ token: 'new-token' }),
       })
       await login('test@example.com', 'password')
-      expect(localStorageMock.setItem).toHaveBeenCalledWith('token', 'new-token')
+      expect(getToken()).toBe('new-token')
     })
 
     it('deve retornar dados do usuario', async () => {
@@ -122,23 +148,70 @@ describe('Auth Service', () => {
       })
       await expect(login('test@example.com', 'password')).rejects.toThrow('Erro ao fazer login')
     })
+
+    it('deve devolver o desafio sem salvar token quando exige segunda etapa', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ two_factor_required: true, challenge_token: 'challenge' }),
+      })
+
+      const result = await login('test@example.com', 'password')
+
+      expect(result.challenge_token).toBe('challenge')
+      expect(getToken()).toBeNull()
+    })
+  })
+
+  describe('verifyTwoFactorLogin', () => {
+    it('deve enviar desafio e codigo e salvar o token', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ token: 'new-token', user: { id: 1 } }),
+      })
+
+      await verifyTwoFactorLogin('challenge', '123456')
+
+      const [url, options] = fetch.mock.calls[0]
+      expect(url).toContain('/auth/login/2fa')
+      expect(JSON.parse(options.body)).toEqual({ challenge_token: 'challenge', code: '123456' })
+      expect(getToken()).toBe('new-token')
+    })
+
+    it('deve lancar erro de codigo invalido', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        json: () => Promise.resolve({ error: 'Código inválido' }),
+      })
+
+      await expect(verifyTwoFactorLogin('challenge', '000000')).rejects.toThrow('Código inválido')
+    })
   })
 
   describe('logout', () => {
     it('deve remover token', () => {
+      setToken('valid-token')
       logout()
-      expect(localStorageMock.removeItem).toHaveBeenCalledWith('token')
+      expect(getToken()).toBeNull()
     })
 
     it('deve redirecionar para /login', () => {
       logout()
       expect(locationMock.href).toBe('/login')
     })
+
+    it('deve encerrar a sessao na API com o cookie', () => {
+      setToken('valid-token')
+      logout()
+      expect(fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/auth/logout'),
+        expect.objectContaining({ method: 'POST', credentials: 'include' })
+      )
+    })
   })
 
   describe('getCurrentUser', () => {
     it('deve fazer requisicao GET para /auth/me', async () => {
-      localStorageMock.getItem.mockReturnValue('valid-token')
+      setToken('valid-token')
       fetch.mockResolvedValueOnce({
         ok: true,
         json: () => Promise.resolve({ id: 1, name: 'Admin' }),
@@ -155,7 +228,7 @@ describe('Auth Service', () => {
     })
 
     it('deve retornar dados do usuario', async () => {
-      localStorageMock.getItem.mockReturnValue('token')
+      setToken('token')
       const userData = { id: 1, name: 'Admin', email: 'admin@example.com' }
       fetch.mockResolvedValueOnce({
         ok: true,
@@ -166,15 +239,150 @@ describe('Auth Service', () => {
     })
 
     it('deve lancar erro quando nao ha token', async () => {
-      localStorageMock.getItem.mockReturnValue(null)
       await expect(getCurrentUser()).rejects.toThrow('Token não encontrado')
     })
 
+    it('deve renovar o token e tentar de novo quando o access token vence', async () => {
+      setToken('expired-token')
+      fetch
+        .mockResolvedValueOnce({ ok: false, status: 401 })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ token: 'fresh-token' }) })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ id: 1 }) })
+
+      const result = await getCurrentUser()
+
+      expect(result).toEqual({ id: 1 })
+      expect(fetch.mock.calls[1][0]).toContain('/auth/refresh')
+      expect(getToken()).toBe('fresh-token')
+    })
+
     it('deve remover token e lancar erro quando sessao expira (401)', async () => {
-      localStorageMock.getItem.mockReturnValue('expired-token')
+      setToken('expired-token')
       fetch.mockResolvedValueOnce({ ok: false, status: 401 })
       await expect(getCurrentUser()).rejects.toThrow('Sessão expirada')
-      expect(localStorageMock.removeItem).toHaveBeenCalledWith('token')
+      expect(getToken()).toBeNull()
+    })
+  })
+
+  describe('changePassword', () => {
+    it('deve enviar a senha atual e a nova com CSRF', async () => {
+      setToken('valid-token')
+      fetch.mockImplementation((url) => Promise.resolve(
+        url.includes('/csrf-token')
+          ? { ok: true, status: 200, json: () => Promise.resolve({ csrfToken: 'csrf-token' }) }
+          : { ok: true, status: 200, json: () => Promise.resolve({ success: true }) }
+      ))
+
+      await changePassword('Senha-Antiga-1', 'Senha-Nova-123!')
+
+      const [url, options] = fetch.mock.calls.find(([calledUrl]) => calledUrl.includes('/auth/change-password'))
+      expect(url).toContain('/auth/change-password')
+      expect(options.headers['X-CSRF-Token']).toBe('csrf-token')
+      expect(JSON.parse(options.body)).toEqual({ current_password: 'Senha-Antiga-1', new_password: 'Senha-Nova-123!' })
+    })
+
+    it('deve lancar a mensagem do campo invalido', async () => {
+      setToken('valid-token')
+      fetch.mockImplementation((url) => Promise.resolve(
+        url.includes('/csrf-token')
+          ? { ok: true, status: 200, json: () => Promise.resolve({ csrfToken: 'csrf-token' }) }
+          : {
+              ok: false,
+              status: 400,
+              json: () => Promise.resolve({
+                error: 'Dados inválidos',
+                details: [{ field: 'current_password', message: 'Senha atual incorreta' }],
+              }),
+            }
+      ))
+
+      await expect(changePassword('errada', 'Senha-Nova-123!')).rejects.toThrow('Senha atual incorreta')
+    })
+  })
+
+  describe('requestPasswordReset', () => {
+    it('deve fazer POST para /auth/forgot-password sem token', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ success: true, message: 'Link enviado' }),
+      })
+
+      const data = await requestPasswordReset('admin@example.com')
+
+      expect(data.message).toBe('Link enviado')
+      const [url, options] = fetch.mock.calls[0]
+      expect(url).toContain('/auth/forgot-password')
+      expect(options.headers.Authorization).toBeUndefined()
+    })
+  })
+
+  describe('resetPassword', () => {
+    it('deve lancar erro de link expirado', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 404,
+        json: () => Promise.resolve({ error: 'Link de redefinição inválido ou expirado' }),
+      })
+
+      await expect(resetPassword('abc', 'Senha-Nova-123!')).rejects.toThrow('Link de redefinição inválido ou expirado')
+    })
+  })
+
+  describe('refreshAccessToken', () => {
+    it('deve retornar null quando a sessao acabou', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 401, json: () => Promise.resolve({}) })
+
+      expect(await refreshAccessToken()).toBeNull()
+      expect(getToken()).toBeNull()
+    })
+
+    it('deve fazer uma unica renovacao para chamadas simultaneas', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ token: 'fresh-token' }) })
+
+      const [first, second] = await Promise.all([refreshAccessToken(), refreshAccessToken()])
+
+      expect(first).toBe('fresh-token')
+      expect(second).toBe('fresh-token')
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('authenticatedFetch', () => {
+    it('deve repetir a requisicao com o token renovado', async () => {
+      setToken('expired-token')
+      fetch
+        .mockResolvedValueOnce({ ok: false, status: 401 })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ token: 'fresh-token' }) })
+        .mockResolvedValueOnce({ ok: true, status: 200 })
+
+      const response = await authenticatedFetch('http://api/admin/leads')
+
+      expect(response.ok).toBe(true)
+      expect(fetch.mock.calls[2][1].headers.Authorization).toBe('Bearer fresh-token')
+    })
+
+    it('deve mandar para o login quando nao consegue renovar', async () => {
+      setToken('expired-token')
+      fetch
+        .mockResolvedValueOnce({ ok: false, status: 401 })
+        .mockResolvedValueOnce({ ok: false, status: 401, json: () => Promise.resolve({}) })
+
+      await expect(authenticatedFetch('http://api/admin/leads')).rejects.toThrow('Sessão expirada')
+      expect(getToken()).toBeNull()
+      expect(locationMock.href).toBe('/login')
+    })
+  })
+
+  describe('hasPermission', () => {
+    it('deve checar as permissoes do usuario', () => {
+      const seller = { role: 'seller', permissions: ['dashboard', 'leads'] }
+      expect(hasPermission(seller, 'leads')).toBe(true)
+      expect(hasPermission(seller, 'admin')).toBe(false)
+    })
+
+    it('deve retornar false sem usuario', () => {
+      expect(hasPermission(null, 'dashboard')).toBe(false)
     })
   })
 })
@@ -0,0 +1,80 @@
+import { API_URL } from '../config';
+import { authenticatedFetch } from './auth';
+
+// Tags e campos personalizados dos leads, definidos pelo admin em /admin/fields
+
+export const CUSTOM_FIELD_TYPE_LABELS = {
+  text: 'Texto',
+  number: 'Número',
+  select: 'Seleção',
+  date: 'Data'
+};
+
+export const fetchTags = async () => {
+  const response = await authenticatedFetch(`${API_URL}/admin/tags`);
+
+  if (!response.ok) {
+    throw new Error('Erro ao buscar tags');
+  }
+
+  const data = await response.json();
+  return data.tags || [];
+};
+
+export const fetchCustomFields = async () => {
+  const response = await authenticatedFetch(`${API_URL}/admin/custom-fields`);
+
+  if (!response.ok) {
+    throw new Error('Erro ao buscar campos personalizados');
+  }
+
+  const data = await response.json();
+  return data.fields || [];
+};
+
+// Campos que o formulário da landing page mostra (rota pública, sem token)
+export const fetchFormFields = async () => {
+  const response = await fetch(`${API_URL}/form-fields`);
+
+  if (!response.ok) {
+    throw new Error('Erro ao buscar campos do formulário');
+  }
+
+  const data = await response.json();
+  return data.fields || [];
+};
+
+// Valor para exibir: datas em dd/mm/aaaa, números no formato brasileiro
+export const formatCustomFieldValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return '-';
+
+  if (field?.type === 'date') {
+    const [year, month, day] = String(value).split('-');
+    return `${day}/${month}/${year}`;
+  }
+
+  if (field?.type === 'number') {
+    return Number(value).toLocaleString('pt-BR');
+  }
+
+  return String(value);
+};
+
+// Chip na cor da tag (fundo claro, texto na cor)
+export const getTagStyle = (tag) => {
+  if (!tag?.color) return {};
+
+  return {
+    background: `${tag.color}1f`,
+    color: tag.color
+  };
+};
+
+export default {
+  CUSTOM_FIELD_TYPE_LABELS,
+  fetchTags,
+  fetchCustomFields,
+  fetchFormFields,
+  formatCustomFieldValue,
+  getTagStyle
+};
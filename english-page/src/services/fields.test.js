@@ -0,0 +1,67 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const localStorageMock = {
+  getItem: vi.fn(),
+  setItem: vi.fn(),
+  removeItem: vi.fn(),
+  clear: vi.fn(),
+}
+Object.defineProperty(window, 'localStorage', { value: localStorageMock })
+
+globalThis.fetch = vi.fn()
+
+import { fetchFormFields, formatCustomFieldValue, getTagStyle } from './fields.js'
+
+describe('Fields Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  describe('fetchFormFields', () => {
+    it('deve buscar os campos do formulario sem token', async () => {
+      const fields = [{ key: 'visto', label: 'Visto', type: 'select', options: ['F1', 'H1B'] }]
+      globalThis.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ fields }),
+      })
+
+      const result = await fetchFormFields()
+
+      expect(result).toEqual(fields)
+      expect(globalThis.fetch).toHaveBeenCalledWith(expect.stringContaining('/form-fields'))
+    })
+
+    it('deve lancar erro quando a API falha', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: false, status: 500 })
+
+      await expect(fetchFormFields()).rejects.toThrow('Erro ao buscar campos do formulário')
+    })
+  })
+
+  describe('formatCustomFieldValue', () => {
+    it('deve mostrar traco quando nao ha valor', () => {
+      expect(formatCustomFieldValue({ type: 'text' }, null)).toBe('-')
+      expect(formatCustomFieldValue({ type: 'text' }, '')).toBe('-')
+    })
+
+    it('deve formatar datas e numeros', () => {
+      expect(formatCustomFieldValue({ type: 'date' }, '2025-03-09')).toBe('09/03/2025')
+      expect(formatCustomFieldValue({ type: 'number' }, 1500.5)).toBe('1.500,5')
+    })
+
+    it('deve manter texto e opcoes como estao', () => {
+      expect(formatCustomFieldValue({ type: 'select' }, 'F1')).toBe('F1')
+      expect(formatCustomFieldValue({ type: 'text' }, 'Boston')).toBe('Boston')
+    })
+  })
+
+  describe('getTagStyle', () => {
+    it('deve usar a cor da tag com fundo claro', () => {
+      expect(getTagStyle({ name: 'VIP', color: '#dc2626' })).toEqual({
+        background: '#dc26261f',
+        color: '#dc2626'
+      })
+    })
+  })
+})
@@ -0,0 +1,239 @@
+import { API_URL } from '../config';
+import { authenticatedFetch } from './auth';
+
+// Filtros da listagem de leads, compartilhados entre a tabela e o quadro (Kanban).
+// Valores vazios ou 'all' não entram na query.
+export const buildLeadsQuery = (filters = {}) => {
+  const params = new URLSearchParams();
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '' && value !== 'all') {
+      params.append(key, value);
+    }
+  });
+
+  return params.toString();
+};
+
+export const fetchLeads = async (filters = {}) => {
+  const response = await authenticatedFetch(`${API_URL}/admin/leads?${buildLeadsQuery(filters)}`);
+
+  if (!response.ok) {
+    throw new Error('Erro ao buscar leads');
+  }
+
+  return response.json();
+};
+
+// Baixa a planilha com os mesmos filtros da tabela (o token vai no header, então não dá para usar um link direto)
+export const exportLeads = async (filters = {}, { format = 'csv', columns = [], delimiter = 'comma' } = {}) => {
+  const query = buildLeadsQuery({
+    ...filters,
+    format,
+    columns: columns.join(','),
+    ...(format === 'csv' && { delimiter })
+  });
+
+  const response = await authenticatedFetch(`${API_URL}/admin/leads/export?${query}`);
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.details?.[0]?.message || data.error || 'Erro ao exportar leads');
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `leads.${format}`;
+
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+
+  return filename;
+};
+
+// Corpo das ações em lote: os leads marcados na tabela ou todos que batem com os filtros
+export const buildBulkSelection = ({ ids = [], allMatching = false }, filters = {}) => {
+  if (!allMatching) return { ids: [...ids] };
+
+  return {
+    filters: Object.fromEntries(new URLSearchParams(buildLeadsQuery(filters)))
+  };
+};
+
+const sendBulkAction = async (method, path, body, fallbackError) => {
+  const response = await authenticatedFetch(`${API_URL}/admin/leads/bulk${path}`, {
+    method,
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.details?.[0]?.message || data.error || fallbackError);
+  }
+
+  return data;
+};
+
+export const bulkUpdateLeadStatus = (selection, status) =>
+  sendBulkAction('PATCH', '/status', { ...selection, status }, 'Erro ao atualizar status');
+
+// Tags pelo nome; as que não existem são criadas
+export const bulkUpdateLeadTags = (selection, { add = [], remove = [] }) =>
+  sendBulkAction('PATCH', '/tags', { ...selection, add, remove }, 'Erro ao atualizar tags');
+
+// userId null deixa os leads sem responsável
+export const bulkAssignLeads = (selection, userId) =>
+  sendBulkAction('PATCH', '/assign', { ...selection, user_id: userId }, 'Erro ao atribuir leads');
+
+export const bulkDeleteLeads = (selection) =>
+  sendBulkAction('DELETE', '', selection, 'Erro ao deletar leads');
+
+// Lixeira: leads deletados ficam lá até serem restaurados ou excluídos de vez
+export const fetchTrash = async (filters = {}) => {
+  const response = await authenticatedFetch(`${API_URL}/admin/leads/trash?${buildLeadsQuery(filters)}`);
+
+  if (!response.ok) {
+    throw new Error('Erro ao buscar lixeira');
+  }
+
+  return response.json();
+};
+
+const sendTrashAction = async (method, path, fallbackError) => {
+  const response = await authenticatedFetch(`${API_URL}/admin/leads/trash${path}`, { method });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.error || fallbackError);
+  }
+
+  return data;
+};
+
+// Devolve o lead restaurado; duplicate_id aponta um lead ativo com o mesmo contato
+export const restoreLead = (leadId) => sendTrashAction('POST', `/${leadId}/restore`, 'Erro ao restaurar lead');
+
+export const purgeLead = (leadId) => sendTrashAction('DELETE', `/${leadId}`, 'Erro ao excluir lead');
+
+export const emptyTrash = () => sendTrashAction('DELETE', '', 'Erro ao esvaziar lixeira');
+
+// Importação de CSV: { csv, mapping?, phone_country?, duplicates? }
+const postLeadImport = async (path, body, fallbackError) => {
+  const response = await authenticatedFetch(`${API_URL}/admin/leads/import${path}`, {
+    method: 'POST',
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(data.details?.[0]?.message || data.error || fallbackError);
+    // Sem nome/WhatsApp mapeados a API devolve o cabeçalho para o usuário escolher as colunas
+    error.preview = data.headers ? data : null;
+    throw error;
+  }
+
+  return data;
+};
+
+export const previewLeadImport = (body) => postLeadImport('/preview', body, 'Erro ao ler o CSV');
+
+export const importLeads = (body) => postLeadImport('', body, 'Erro ao importar leads');
+
+export const fetchLeadFilterOptions = async () => {
+  const response = await authenticatedFetch(`${API_URL}/admin/leads/filter-options`);
+
+  if (!response.ok) {
+    throw new Error('Erro ao buscar opções de filtro');
+  }
+
+  return response.json();
+};
+
+// Página atual, total de páginas e o intervalo exibido ("21–40 de 95")
+export const getPagination = ({ total = 0, limit, offset = 0 }) => {
+  const pageCount = Math.max(1, Math.ceil(total / limit));
+  const page = Math.min(Math.floor(offset / limit) + 1, pageCount);
+
+  return {
+    page,
+    pageCount,
+    from: total === 0 ? 0 : offset + 1,
+    to: Math.min(offset + limit, total),
+    hasPrevious: offset > 0,
+    hasNext: offset + limit < total
+  };
+};
+
+export const updateLeadStatus = async (leadId, status) => {
+  const response = await authenticatedFetch(`${API_URL}/admin/leads/${leadId}/status`, {
+    method: 'PATCH',
+    body: JSON.stringify({ status })
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Erro ao atualizar status');
+  }
+
+  return response.json();
+};
+
+// Troca o responsável (null tira) e devolve o lead atualizado
+export const assignLead = async (leadId, userId) => {
+  const response = await authenticatedFetch(`${API_URL}/admin/leads/${leadId}/assign`, {
+    method: 'PATCH',
+    body: JSON.stringify({ user_id: userId })
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.details?.[0]?.message || data.error || 'Erro ao atribuir lead');
+  }
+
+  return data.lead;
+};
+
+// Edita só os campos enviados; a API valida com as mesmas regras do formulário
+export const updateLead = async (leadId, changes) => {
+  const response = await authenticatedFetch(`${API_URL}/admin/leads/${leadId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes)
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.details?.[0]?.message || data.error || 'Erro ao editar lead');
+  }
+
+  return data.lead;
+};
+
+export default {
+  buildLeadsQuery,
+  fetchLeads,
+  exportLeads,
+  fetchLeadFilterOptions,
+  getPagination,
+  previewLeadImport,
+  importLeads,
+  buildBulkSelection,
+  bulkUpdateLeadStatus,
+  bulkUpdateLeadTags,
+  bulkAssignLeads,
+  bulkDeleteLeads,
+  fetchTrash,
+  restoreLead,
+  purgeLead,
+  emptyTrash,
+  updateLeadStatus,
+  assignLead,
+  updateLead
+};
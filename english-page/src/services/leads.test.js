@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+globalThis.fetch = vi.fn()
+
+import { buildLeadsQuery, buildBulkSelection, getPagination, updateLead, restoreLead, purgeLead } from './leads.js'
+import { setToken } from './auth.js'
+
+describe('Leads Service', () => {
+  // Mutações buscam o token CSRF antes da chamada
+  const mockApi = (response) => {
+    globalThis.fetch.mockImplementation((url) => Promise.resolve(
+      url.includes('/csrf-token')
+        ? { ok: true, status: 200, json: () => Promise.resolve({ csrfToken: 'csrf-token' }) }
+        : response
+    ))
+  }
+
+  describe('buildLeadsQuery', () => {
+    it('deve montar a query com os filtros preenchidos', () => {
+      const query = buildLeadsQuery({ status: 'new', source: 'instagram', limit: 20, offset: 40 })
+      expect(query).toBe('status=new&source=instagram&limit=20&offset=40')
+    })
+
+    it('deve ignorar filtros vazios e "all"', () => {
+      const query = buildLeadsQuery({ status: 'all', search: '', utm_campaign: undefined, country: 'BR' })
+      expect(query).toBe('country=BR')
+    })
+
+    it('deve codificar a busca', () => {
+      expect(buildLeadsQuery({ search: 'joão silva' })).toBe('search=jo%C3%A3o+silva')
+    })
+  })
+
+  describe('buildBulkSelection', () => {
+    it('deve enviar os ids marcados', () => {
+      const selection = buildBulkSelection({ ids: new Set([3, 7]), allMatching: false }, { status: 'new' })
+      expect(selection).toEqual({ ids: [3, 7] })
+    })
+
+    it('deve enviar so os filtros preenchidos quando todos os leads do filtro estao selecionados', () => {
+      const selection = buildBulkSelection(
+        { ids: new Set([3]), allMatching: true },
+        { status: 'all', country: 'BR', date_from: '', search: 'joão' }
+      )
+      expect(selection).toEqual({ filters: { country: 'BR', search: 'joão' } })
+    })
+  })
+
+  describe('getPagination', () => {
+    it('deve calcular a pagina e o intervalo exibido', () => {
+      expect(getPagination({ total: 95, limit: 20, offset: 20 })).toEqual({
+        page: 2,
+        pageCount: 5,
+        from: 21,
+        to: 40,
+        hasPrevious: true,
+        hasNext: true
+      })
+    })
+
+    it('deve fechar o intervalo na ultima pagina', () => {
+      const pagination = getPagination({ total: 95, limit: 20, offset: 80 })
+      expect(pagination.to).toBe(95)
+      expect(pagination.hasNext).toBe(false)
+    })
+
+    it('deve ter uma pagina vazia quando nao ha leads', () => {
+      expect(getPagination({ total: 0, limit: 20, offset: 0 })).toEqual({
+        page: 1,
+        pageCount: 1,
+        from: 0,
+        to: 0,
+        hasPrevious: false,
+        hasNext: false
+      })
+    })
+  })
+
+  describe('updateLead', () => {
+    beforeEach(() => {
+      vi.clearAllMocks()
+      setToken('valid-token')
+    })
+
+    it('deve enviar so os campos alterados e retornar o lead', async () => {
+      const lead = { id: 7, name: 'Maria', city: 'Boston' }
+      mockApi({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ lead }),
+      })
+
+      const result = await updateLead(7, { city: 'Boston' })
+
+      expect(result).toEqual(lead)
+      expect(globalThis.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/admin/leads/7'),
+        expect.objectContaining({ method: 'PATCH', body: JSON.stringify({ city: 'Boston' }) })
+      )
+    })
+
+    it('deve lancar a mensagem de validacao da API', async () => {
+      mockApi({
+        ok: false,
+        status: 400,
+        json: () => Promise.resolve({
+          error: 'Dados inválidos',
+          details: [{ field: 'email', message: 'Email inválido' }],
+        }),
+      })
+
+      await expect(updateLead(7, { email: 'x' })).rejects.toThrow('Email inválido')
+    })
+  })
+
+  describe('lixeira', () => {
+    beforeEach(() => {
+      vi.clearAllMocks()
+      setToken('valid-token')
+    })
+
+    it('deve restaurar o lead e avisar sobre duplicado', async () => {
+      mockApi({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ id: 7, deleted_at: null, duplicate_id: 12 }),
+      })
+
+      const result = await restoreLead(7)
+
+      expect(result.duplicate_id).toBe(12)
+      expect(globalThis.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/admin/leads/trash/7/restore'),
+        expect.objectContaining({ method: 'POST' })
+      )
+    })
+
+    it('deve lancar o erro da API ao excluir de vez', async () => {
+      mockApi({
+        ok: false,
+        status: 404,
+        json: () => Promise.resolve({ error: 'Lead não está na lixeira' }),
+      })
+
+      await expect(purgeLead(7)).rejects.toThrow('Lead não está na lixeira')
+    })
+  })
+})
@@ -0,0 +1,42 @@
+import { API_URL } from '../config';
+import { authenticatedFetch } from './auth';
+
+// Etapas do pipeline de vendas, definidas pelo admin em /admin/pipeline
+
+export const STAGE_KIND_LABELS = {
+  open: 'Em aberto',
+  won: 'Ganho',
+  lost: 'Perdido'
+};
+
+export const getPipelineStages = async () => {
+  const response = await authenticatedFetch(`${API_URL}/admin/pipeline/stages`);
+
+  if (!response.ok) {
+    throw new Error('Erro ao buscar etapas do pipeline');
+  }
+
+  const data = await response.json();
+  return data.stages || [];
+};
+
+export const findStage = (stages, key) => {
+  return stages.find(stage => stage.key === key);
+};
+
+// Badge na cor da etapa (fundo claro, texto na cor)
+export const getStageStyle = (stage) => {
+  if (!stage) return {};
+
+  return {
+    background: `${stage.color}1f`,
+    color: stage.color
+  };
+};
+
+export default {
+  STAGE_KIND_LABELS,
+  getPipelineStages,
+  findStage,
+  getStageStyle
+};
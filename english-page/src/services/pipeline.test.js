@@ -0,0 +1,61 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+globalThis.fetch = vi.fn()
+
+import { getPipelineStages, findStage, getStageStyle } from './pipeline.js'
+import { setToken } from './auth.js'
+
+const stages = [
+  { id: 1, key: 'new', label: 'Novo', color: '#d97706', kind: 'open' },
+  { id: 2, key: 'converted', label: 'Convertido', color: '#059669', kind: 'won' },
+]
+
+describe('Pipeline Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    setToken('valid-token')
+  })
+
+  describe('getPipelineStages', () => {
+    it('deve buscar as etapas com o token', async () => {
+      globalThis.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ stages }),
+      })
+
+      const result = await getPipelineStages()
+
+      expect(result).toEqual(stages)
+      expect(globalThis.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/admin/pipeline/stages'),
+        expect.objectContaining({
+          headers: expect.objectContaining({ Authorization: 'Bearer valid-token' }),
+        })
+      )
+    })
+
+    it('deve lancar erro quando a API falha', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: false, status: 500 })
+
+      await expect(getPipelineStages()).rejects.toThrow('Erro ao buscar etapas do pipeline')
+    })
+  })
+
+  describe('findStage', () => {
+    it('deve encontrar a etapa pela key', () => {
+      expect(findStage(stages, 'converted').label).toBe('Convertido')
+      expect(findStage(stages, 'missing')).toBeUndefined()
+    })
+  })
+
+  describe('getStageStyle', () => {
+    it('deve usar a cor da etapa', () => {
+      expect(getStageStyle(stages[0])).toEqual({ background: '#d977061f', color: '#d97706' })
+    })
+
+    it('deve retornar estilo vazio sem etapa', () => {
+      expect(getStageStyle(undefined)).toEqual({})
+    })
+  })
+})
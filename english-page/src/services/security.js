@@ -0,0 +1,85 @@
+import { API_URL } from '../config';
+import { authenticatedFetch } from './auth';
+
+// Histórico de login e contas bloqueadas, vistos pelo admin em /admin/security
+
+export const LOGIN_REASON_LABELS = {
+  unknown_email: 'Email não cadastrado',
+  wrong_password: 'Senha incorreta',
+  wrong_code: 'Código incorreto',
+  inactive: 'Usuário desativado',
+  locked: 'Conta bloqueada',
+  password: 'Senha',
+  totp: 'Senha + app',
+  recovery: 'Senha + código de recuperação'
+};
+
+export const LOGIN_ALERT_LABELS = {
+  new_ip: 'IP novo',
+  after_failures: 'Depois de várias falhas',
+  recovery_code: 'Usou código de recuperação',
+  lockout: 'Bloqueou a conta'
+};
+
+export const LOGIN_HISTORY_FILTERS = [
+  { value: 'suspicious', label: '🚩 Suspeitos' },
+  { value: 'failed', label: '❌ Falhas' },
+  { value: 'all', label: 'Todos' }
+];
+
+const fetchSecurity = async (path, fallbackError) => {
+  const response = await authenticatedFetch(`${API_URL}/admin/security${path}`);
+
+  if (!response.ok) {
+    throw new Error(fallbackError);
+  }
+
+  return response.json();
+};
+
+// -> { locked_users, top_failed_ips, last_24h: { successes, failures, lockouts, alerts }, lockout }
+export const fetchSecuritySummary = () =>
+  fetchSecurity('/summary', 'Erro ao buscar resumo de segurança');
+
+// filter: suspicious (falhas e logins com alerta), failed ou all
+export const fetchLoginHistory = async ({ filter = 'suspicious', userId, ip, limit } = {}) => {
+  const params = new URLSearchParams({ filter });
+  if (userId) params.set('user_id', userId);
+  if (ip) params.set('ip', ip);
+  if (limit) params.set('limit', limit);
+
+  const data = await fetchSecurity(`/logins?${params}`, 'Erro ao buscar histórico de login');
+  return data.attempts;
+};
+
+// Rate limit por rota -> [{ name, label, max, window_minutes, limited: [{ ip, hits, reset_at }] }]
+export const fetchRateLimits = async () => {
+  const data = await fetchSecurity('/rate-limits', 'Erro ao buscar IPs limitados');
+  return data.limits;
+};
+
+// Libera o IP na rota antes do fim da janela
+export const unblockRateLimitedIp = async (name, ip) => {
+  const response = await authenticatedFetch(
+    `${API_URL}/admin/security/rate-limits/${encodeURIComponent(name)}/${encodeURIComponent(ip)}`,
+    { method: 'DELETE' }
+  );
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Erro ao liberar IP');
+  }
+
+  return data;
+};
+
+export default {
+  LOGIN_REASON_LABELS,
+  LOGIN_ALERT_LABELS,
+  LOGIN_HISTORY_FILTERS,
+  fetchSecuritySummary,
+  fetchLoginHistory,
+  fetchRateLimits,
+  unblockRateLimitedIp
+};
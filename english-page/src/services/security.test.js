@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+globalThis.fetch = vi.fn()
+
+import { fetchLoginHistory, fetchSecuritySummary, fetchRateLimits, unblockRateLimitedIp } from './security.js'
+import { setToken } from './auth.js'
+
+describe('Security Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    setToken('valid-token')
+  })
+
+  describe('fetchLoginHistory', () => {
+    it('deve buscar os suspeitos por padrao', async () => {
+      globalThis.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ attempts: [{ id: 1, reason: 'wrong_password' }] }),
+      })
+
+      const attempts = await fetchLoginHistory()
+
+      expect(attempts).toEqual([{ id: 1, reason: 'wrong_password' }])
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('/admin/security/logins?filter=suspicious')
+    })
+
+    it('deve enviar filtros de usuario e IP', async () => {
+      globalThis.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ attempts: [] }),
+      })
+
+      await fetchLoginHistory({ filter: 'all', userId: 2, ip: '10.0.0.1' })
+
+      const url = new URL(globalThis.fetch.mock.calls[0][0], 'http://localhost')
+      expect(url.searchParams.get('filter')).toBe('all')
+      expect(url.searchParams.get('user_id')).toBe('2')
+      expect(url.searchParams.get('ip')).toBe('10.0.0.1')
+    })
+  })
+
+  describe('fetchSecuritySummary', () => {
+    it('deve lancar erro quando a API falha', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: false, status: 500 })
+
+      await expect(fetchSecuritySummary()).rejects.toThrow('Erro ao buscar resumo de segurança')
+    })
+  })
+
+  describe('fetchRateLimits', () => {
+    it('deve retornar os limites com os IPs limitados', async () => {
+      const limits = [{ name: 'login', max: 5, limited: [{ ip: '10.0.0.1', hits: 6 }] }]
+      globalThis.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ limits }),
+      })
+
+      expect(await fetchRateLimits()).toEqual(limits)
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('/admin/security/rate-limits')
+    })
+  })
+
+  describe('unblockRateLimitedIp', () => {
+    it('deve enviar DELETE com o IP codificado', async () => {
+      globalThis.fetch.mockImplementation((url) => {
+        if (url.includes('/csrf-token')) {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve({ csrfToken: 'csrf' }) })
+        }
+        return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ success: true }) })
+      })
+
+      await unblockRateLimitedIp('leads', '2001:db8::/56')
+
+      const call = globalThis.fetch.mock.calls.find(([url]) => url.includes('/rate-limits/'))
+      expect(call[0]).toContain('/admin/security/rate-limits/leads/2001%3Adb8%3A%3A%2F56')
+      expect(call[1].method).toBe('DELETE')
+    })
+
+    it('deve lancar a mensagem da API quando falha', async () => {
+      globalThis.fetch.mockImplementation((url) => {
+        if (url.includes('/csrf-token')) {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve({ csrfToken: 'csrf' }) })
+        }
+        return Promise.resolve({ ok: false, status: 404, json: () => Promise.resolve({ error: 'IP sem requisições contadas nesta rota' }) })
+      })
+
+      await expect(unblockRateLimitedIp('leads', '10.0.0.1')).rejects.toThrow('IP sem requisições contadas nesta rota')
+    })
+  })
+})
@@ -0,0 +1,73 @@
+import { API_URL } from '../config';
+import { authenticatedFetch } from './auth';
+
+// Sessões abertas (um login em um navegador), gerenciadas em /admin/sessions
+
+// "Chrome no Windows" a partir do user agent; o texto completo fica no title
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Firefox', /Firefox\//],
+  ['Chrome', /Chrome\//],
+  ['Safari', /Safari\//]
+];
+
+const SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+const findLabel = (list, userAgent) => list.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Desconhecido';
+
+  const browser = findLabel(BROWSERS, userAgent);
+  const system = findLabel(SYSTEMS, userAgent);
+
+  if (browser && system) return `${browser} no ${system}`;
+  return browser || system || userAgent;
+};
+
+const fetchSessionList = async (path) => {
+  const response = await authenticatedFetch(`${API_URL}${path}`);
+
+  if (!response.ok) {
+    throw new Error('Erro ao buscar sessões');
+  }
+
+  const data = await response.json();
+  return data.sessions;
+};
+
+const deleteSession = async (path) => {
+  const response = await authenticatedFetch(`${API_URL}${path}`, { method: 'DELETE' });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Erro ao encerrar sessão');
+  }
+
+  return data;
+};
+
+// Do próprio usuário; a sessão deste navegador vem com current: true
+export const fetchMySessions = () => fetchSessionList('/auth/sessions');
+
+export const revokeMySession = (sessionId) => deleteSession(`/auth/sessions/${sessionId}`);
+
+// Admin: de todos os usuários, cada uma com { user: { id, name, email, role } }
+export const fetchAllSessions = () => fetchSessionList('/admin/sessions');
+
+export const revokeAnySession = (sessionId) => deleteSession(`/admin/sessions/${sessionId}`);
+
+export default {
+  describeUserAgent,
+  fetchMySessions,
+  revokeMySession,
+  fetchAllSessions,
+  revokeAnySession
+};
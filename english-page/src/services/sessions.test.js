@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+globalThis.fetch = vi.fn()
+
+import { describeUserAgent, fetchMySessions, revokeAnySession } from './sessions.js'
+import { setToken } from './auth.js'
+
+const csrfOr = (response) => (url) => Promise.resolve(
+  url.includes('/csrf-token')
+    ? { ok: true, status: 200, json: () => Promise.resolve({ csrfToken: 'csrf-token' }) }
+    : response
+)
+
+describe('Sessions Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    setToken('valid-token')
+  })
+
+  describe('describeUserAgent', () => {
+    it('deve resumir navegador e sistema', () => {
+      const chrome = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36'
+      const iphone = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1'
+
+      expect(describeUserAgent(chrome)).toBe('Chrome no Windows')
+      expect(describeUserAgent(iphone)).toBe('Safari no iOS')
+    })
+
+    it('deve devolver o texto original quando nao reconhece', () => {
+      expect(describeUserAgent('curl/8.5.0')).toBe('curl/8.5.0')
+      expect(describeUserAgent('')).toBe('Desconhecido')
+    })
+  })
+
+  describe('fetchMySessions', () => {
+    it('deve retornar a lista de sessoes', async () => {
+      globalThis.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ sessions: [{ id: 3, current: true }] }),
+      })
+
+      const sessions = await fetchMySessions()
+
+      expect(sessions).toEqual([{ id: 3, current: true }])
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('/auth/sessions')
+    })
+  })
+
+  describe('revokeAnySession', () => {
+    it('deve encerrar a sessao pela rota de admin', async () => {
+      globalThis.fetch.mockImplementation(csrfOr({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ success: true, current: false }),
+      }))
+
+      const data = await revokeAnySession(7)
+
+      expect(data.success).toBe(true)
+      expect(globalThis.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/admin/sessions/7'),
+        expect.objectContaining({ method: 'DELETE' })
+      )
+    })
+
+    it('deve lancar o erro da API', async () => {
+      globalThis.fetch.mockImplementation(csrfOr({
+        ok: false,
+        status: 404,
+        json: () => Promise.resolve({ error: 'Sessão não encontrada' }),
+      }))
+
+      await expect(revokeAnySession(99)).rejects.toThrow('Sessão não encontrada')
+    })
+  })
+})
@@ -0,0 +1,64 @@
+import { API_URL } from '../config';
+import { authenticatedFetch } from './auth';
+
+// Tarefas de follow-up dos leads. A API grava as datas em UTC ('AAAA-MM-DD HH:MM:SS').
+
+// Data do SQLite (UTC) como Date
+export const parseTaskDate = (dateString) => new Date(dateString.replace(' ', 'T') + 'Z');
+
+// Último instante de hoje no fuso do navegador: "tarefas de hoje" inclui as atrasadas
+export const getEndOfToday = (now = new Date()) => {
+  const end = new Date(now);
+  end.setHours(23, 59, 59, 999);
+  return end.toISOString();
+};
+
+const sendTaskRequest = async (path, options, fallbackError) => {
+  const response = await authenticatedFetch(`${API_URL}${path}`, options);
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.details?.[0]?.message || data.error || fallbackError);
+  }
+
+  return data;
+};
+
+// params: { status, assigned_to, due_before, limit }
+export const fetchTasks = (params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  return sendTaskRequest(`/admin/tasks${query ? `?${query}` : ''}`, {}, 'Erro ao buscar tarefas');
+};
+
+export const fetchLeadTasks = async (leadId) => {
+  const data = await sendTaskRequest(`/admin/leads/${leadId}/tasks`, {}, 'Erro ao buscar tarefas do lead');
+  return data.tasks;
+};
+
+// task: { title, due_at (ISO), assigned_to? }
+export const createLeadTask = (leadId, task) =>
+  sendTaskRequest(`/admin/leads/${leadId}/tasks`, {
+    method: 'POST',
+    body: JSON.stringify(task)
+  }, 'Erro ao criar tarefa');
+
+// changes: { title?, due_at?, assigned_to?, done? }
+export const updateTask = (taskId, changes) =>
+  sendTaskRequest(`/admin/tasks/${taskId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes)
+  }, 'Erro ao atualizar tarefa');
+
+export const deleteTask = (taskId) =>
+  sendTaskRequest(`/admin/tasks/${taskId}`, { method: 'DELETE' }, 'Erro ao deletar tarefa');
+
+export default {
+  parseTaskDate,
+  getEndOfToday,
+  fetchTasks,
+  fetchLeadTasks,
+  createLeadTask,
+  updateTask,
+  deleteTask
+};
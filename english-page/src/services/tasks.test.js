@@ -0,0 +1,58 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+globalThis.fetch = vi.fn()
+
+import { parseTaskDate, getEndOfToday, fetchTasks, updateTask } from './tasks.js'
+import { setToken } from './auth.js'
+
+describe('Tasks Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    setToken('valid-token')
+  })
+
+  describe('parseTaskDate', () => {
+    it('deve ler a data do SQLite como UTC', () => {
+      expect(parseTaskDate('2026-03-10 14:30:00').toISOString()).toBe('2026-03-10T14:30:00.000Z')
+    })
+  })
+
+  describe('getEndOfToday', () => {
+    it('deve devolver o fim do dia local em ISO', () => {
+      const end = new Date(getEndOfToday(new Date(2026, 2, 10, 9, 15)))
+
+      expect(end.getDate()).toBe(10)
+      expect(end.getHours()).toBe(23)
+      expect(end.getMinutes()).toBe(59)
+    })
+  })
+
+  describe('fetchTasks', () => {
+    it('deve mandar os filtros na query', async () => {
+      globalThis.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ tasks: [], total: 0 }),
+      })
+
+      await fetchTasks({ status: 'open', assigned_to: 'me' })
+
+      expect(globalThis.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/admin/tasks?status=open&assigned_to=me'),
+        expect.any(Object)
+      )
+    })
+  })
+
+  describe('updateTask', () => {
+    it('deve lancar a mensagem de erro da API', async () => {
+      globalThis.fetch.mockImplementation((url) => Promise.resolve(
+        url.includes('/csrf-token')
+          ? { ok: true, status: 200, json: () => Promise.resolve({ csrfToken: 'csrf-token' }) }
+          : { ok: false, status: 404, json: () => Promise.resolve({ error: 'Tarefa não encontrada' }) }
+      ))
+
+      await expect(updateTask(9, { done: true })).rejects.toThrow('Tarefa não encontrada')
+    })
+  })
+})
@@ -0,0 +1,53 @@
+import { API_URL } from '../config';
+import { authenticatedFetch } from './auth';
+
+// Verificação em duas etapas (TOTP) do usuário logado, configurada em /admin/account
+
+const sendTwoFactorRequest = async (path, body, fallbackError) => {
+  const response = await authenticatedFetch(`${API_URL}/auth/2fa${path}`, {
+    method: 'POST',
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.details?.[0]?.message || data.error || fallbackError);
+  }
+
+  return data;
+};
+
+// -> { enabled, enabled_at, recovery_codes_left }
+export const fetchTwoFactorStatus = async () => {
+  const response = await authenticatedFetch(`${API_URL}/auth/2fa`);
+
+  if (!response.ok) {
+    throw new Error('Erro ao buscar verificação em duas etapas');
+  }
+
+  return response.json();
+};
+
+// -> { secret, otpauth_uri, qr_code } (qr_code é uma imagem em data URL)
+export const startTwoFactorSetup = () =>
+  sendTwoFactorRequest('/setup', null, 'Erro ao configurar verificação em duas etapas');
+
+// Confirma com o primeiro código do app -> { recovery_codes }
+export const enableTwoFactor = (code) =>
+  sendTwoFactorRequest('/enable', { code }, 'Erro ao ativar verificação em duas etapas');
+
+export const disableTwoFactor = (password, code) =>
+  sendTwoFactorRequest('/disable', { password, code }, 'Erro ao desativar verificação em duas etapas');
+
+// -> { recovery_codes } (os anteriores deixam de valer)
+export const regenerateRecoveryCodes = (code) =>
+  sendTwoFactorRequest('/recovery-codes', { code }, 'Erro ao gerar códigos de recuperação');
+
+export default {
+  fetchTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
@@ -0,0 +1,64 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+globalThis.fetch = vi.fn()
+
+import { enableTwoFactor, disableTwoFactor } from './twoFactor.js'
+import { setToken } from './auth.js'
+
+const csrfOr = (response) => (url) => Promise.resolve(
+  url.includes('/csrf-token')
+    ? { ok: true, status: 200, json: () => Promise.resolve({ csrfToken: 'csrf-token' }) }
+    : response
+)
+
+describe('Two Factor Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    setToken('valid-token')
+  })
+
+  describe('enableTwoFactor', () => {
+    it('deve enviar o codigo e retornar os codigos de recuperacao', async () => {
+      globalThis.fetch.mockImplementation(csrfOr({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ success: true, recovery_codes: ['abcde-12345'] }),
+      }))
+
+      const data = await enableTwoFactor('123456')
+
+      expect(data.recovery_codes).toEqual(['abcde-12345'])
+      const [url, options] = globalThis.fetch.mock.calls.find(([url]) => url.includes('/auth/2fa'))
+      expect(url).toContain('/auth/2fa/enable')
+      expect(JSON.parse(options.body)).toEqual({ code: '123456' })
+    })
+
+    it('deve lancar a mensagem de codigo invalido', async () => {
+      globalThis.fetch.mockImplementation(csrfOr({
+        ok: false,
+        status: 400,
+        json: () => Promise.resolve({
+          error: 'Dados inválidos',
+          details: [{ field: 'code', message: 'Código inválido' }],
+        }),
+      }))
+
+      await expect(enableTwoFactor('000000')).rejects.toThrow('Código inválido')
+    })
+  })
+
+  describe('disableTwoFactor', () => {
+    it('deve enviar senha e codigo', async () => {
+      globalThis.fetch.mockImplementation(csrfOr({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ success: true }),
+      }))
+
+      await disableTwoFactor('Sup3r-Secret-Pass!', '123456')
+
+      const [, options] = globalThis.fetch.mock.calls.find(([url]) => url.includes('/auth/2fa/disable'))
+      expect(JSON.parse(options.body)).toEqual({ password: 'Sup3r-Secret-Pass!', code: '123456' })
+    })
+  })
+})
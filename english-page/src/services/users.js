@@ -0,0 +1,95 @@
+import { API_URL } from '../config';
+import { authenticatedFetch } from './auth';
+
+// Usuários do painel e convites, gerenciados em /admin/users
+
+export const ROLE_LABELS = {
+  admin: 'Administrador',
+  seller: 'Vendedor',
+  viewer: 'Somente leitura'
+};
+
+export const fetchUsers = async () => {
+  const response = await authenticatedFetch(`${API_URL}/admin/users`);
+
+  if (!response.ok) {
+    throw new Error('Erro ao buscar usuários');
+  }
+
+  return response.json();
+};
+
+const sendUserChange = async (method, path, body, fallbackError) => {
+  const response = await authenticatedFetch(`${API_URL}/admin/users${path}`, {
+    method,
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.details?.[0]?.message || data.error || fallbackError);
+  }
+
+  return data;
+};
+
+// { name, email, role, password? } -> { user, invite_url } (invite_url é null quando a senha foi definida)
+export const createUser = (user) =>
+  sendUserChange('POST', '', user, 'Erro ao criar usuário');
+
+// { name?, role?, active? }
+export const updateUser = (userId, changes) =>
+  sendUserChange('PATCH', `/${userId}`, changes, 'Erro ao atualizar usuário');
+
+export const resendInvite = (userId) =>
+  sendUserChange('POST', `/${userId}/invite`, null, 'Erro ao gerar convite');
+
+// Para quem perdeu o app autenticador e os códigos de recuperação -> { user }
+export const resetUserTwoFactor = (userId) =>
+  sendUserChange('DELETE', `/${userId}/2fa`, null, 'Erro ao desativar verificação em duas etapas');
+
+// Tira o bloqueio por excesso de tentativas de login
+export const unlockUser = (userId) =>
+  sendUserChange('POST', `/${userId}/unlock`, null, 'Erro ao desbloquear usuário');
+
+// Convite (rotas públicas: quem recebe o link ainda não tem sessão)
+
+export const fetchInvite = async (token) => {
+  const response = await fetch(`${API_URL}/auth/invite/${encodeURIComponent(token)}`);
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Erro ao buscar convite');
+  }
+
+  return data;
+};
+
+export const acceptInvite = async (token, password) => {
+  const response = await fetch(`${API_URL}/auth/invite/${encodeURIComponent(token)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password })
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.details?.[0]?.message || data.error || 'Erro ao aceitar convite');
+  }
+
+  return data;
+};
+
+export default {
+  ROLE_LABELS,
+  fetchUsers,
+  createUser,
+  updateUser,
+  resendInvite,
+  resetUserTwoFactor,
+  unlockUser,
+  fetchInvite,
+  acceptInvite
+};
@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+globalThis.fetch = vi.fn()
+
+import { createUser, acceptInvite } from './users.js'
+import { setToken } from './auth.js'
+
+describe('Users Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    setToken('valid-token')
+  })
+
+  describe('createUser', () => {
+    it('deve retornar o link de convite', async () => {
+      globalThis.fetch.mockImplementation((url) => Promise.resolve(
+        url.includes('/csrf-token')
+          ? { ok: true, status: 200, json: () => Promise.resolve({ csrfToken: 'csrf-token' }) }
+          : {
+              ok: true,
+              status: 201,
+              json: () => Promise.resolve({
+                user: { id: 2, name: 'Vera', role: 'seller', invite_pending: true },
+                invite_url: 'http://localhost:5173/invite/abc',
+              }),
+            }
+      ))
+
+      const data = await createUser({ name: 'Vera', email: 'vera@example.com', role: 'seller' })
+
+      expect(data.invite_url).toBe('http://localhost:5173/invite/abc')
+      expect(globalThis.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('/admin/users'),
+        expect.objectContaining({ method: 'POST' })
+      )
+    })
+
+    it('deve lancar o erro de email duplicado', async () => {
+      globalThis.fetch.mockImplementation((url) => Promise.resolve(
+        url.includes('/csrf-token')
+          ? { ok: true, status: 200, json: () => Promise.resolve({ csrfToken: 'csrf-token' }) }
+          : { ok: false, status: 409, json: () => Promise.resolve({ error: 'Já existe um usuário com o email vera@example.com' }) }
+      ))
+
+      await expect(createUser({ name: 'Vera', email: 'vera@example.com', role: 'seller' }))
+        .rejects.toThrow('Já existe um usuário com o email vera@example.com')
+    })
+  })
+
+  describe('acceptInvite', () => {
+    it('deve enviar a senha sem token de sessao', async () => {
+      globalThis.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ success: true, email: 'vera@example.com' }),
+      })
+
+      const data = await acceptInvite('abc', 'Sup3r-Secret-Pass!')
+
+      expect(data.email).toBe('vera@example.com')
+      const [url, options] = globalThis.fetch.mock.calls[0]
+      expect(url).toContain('/auth/invite/abc')
+      expect(options.headers.Authorization).toBeUndefined()
+    })
+
+    it('deve lancar a mensagem de validacao da senha', async () => {
+      globalThis.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        json: () => Promise.resolve({
+          error: 'Dados inválidos',
+          details: [{ field: 'password', message: 'Senha deve ter pelo menos 12 caracteres' }],
+        }),
+      })
+
+      await expect(acceptInvite('abc', 'curta')).rejects.toThrow('Senha deve ter pelo menos 12 caracteres')
+    })
+  })
+})
@@ -0,0 +1,111 @@
+/**
+ * Geração de CSV para exportação de planilhas
+ *
+ * - Campos com separador, aspas ou quebra de linha vão entre aspas (RFC 4180)
+ * - Linhas terminam em CRLF, que é o que o Excel espera
+ * - CSV_BOM no início do arquivo faz o Excel abrir o UTF-8 com acentos corretos
+ *   ("João" em vez de "JoÃ£o")
+ * - Valores que o Excel/Sheets executariam como fórmula (=, +, -, @) ganham um
+ *   apóstrofo na frente (CSV injection). Telefones como +5511988887777 passam
+ *   sem alteração.
+ *
+ * parseCsv faz o caminho inverso para a importação: aceita aspas, quebras de
+ * linha dentro de aspas, CRLF ou LF, BOM, e detecta o separador (vírgula,
+ * ponto e vírgula ou tab) pela linha de cabeçalho.
+ *
+ * Este módulo não depende do servidor.
+ */
+
+export const CSV_BOM = '\uFEFF';
+
+export const CSV_DELIMITERS = {
+  comma: ',',
+  semicolon: ';'
+};
+
+// Números com sinal ou telefone ("+1 (857) 555-1234", "-10") não são fórmula
+const SAFE_SIGNED_VALUE = /^[+-][\d\s().-]*$/;
+
+export const escapeCsvValue = (value, delimiter = ',') => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+
+  if (/^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && !SAFE_SIGNED_VALUE.test(text))) {
+    text = `'${text}`;
+  }
+
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+export const toCsvRow = (values, delimiter = ',') => {
+  return values.map(value => escapeCsvValue(value, delimiter)).join(delimiter) + '\r\n';
+};
+
+// O separador que mais aparece no cabeçalho (fora de aspas)
+export const detectCsvDelimiter = (text) => {
+  const header = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const candidates = [',', ';', '\t'];
+  const counts = candidates.map(delimiter => header.split(delimiter).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+
+  return counts[best] > 0 ? candidates[best] : ',';
+};
+
+// Lê o CSV em uma lista de linhas (arrays de strings), ignorando linhas vazias
+export const parseCsv = (text, delimiter = detectCsvDelimiter(text)) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+export default {
+  CSV_BOM,
+  CSV_DELIMITERS,
+  escapeCsvValue,
+  toCsvRow,
+  detectCsvDelimiter,
+  parseCsv
+};
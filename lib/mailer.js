@@ -0,0 +1,102 @@
+/**
+ * Envio de emails (links de redefinição de senha)
+ *
+ * O transporte é plugável: createMailer({ transport }) aceita o nome de um
+ * transporte registrado ou um objeto com send(message). Os dois embutidos
+ * servem para desenvolvimento, sem servidor SMTP:
+ *
+ * - console: entrega o email formatado para a função `log`
+ * - file: grava cada email como .eml em `dir` (abre em qualquer cliente de email)
+ *
+ * Para produção, registre um transporte (SMTP, API do provedor) com
+ * registerMailTransport(name, factory) e escolha pelo nome em MAIL_TRANSPORT.
+ * A factory recebe as mesmas opções passadas ao createMailer.
+ *
+ * Este módulo não depende do servidor.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Assunto com acento precisa de encoded-word (RFC 2047) no header
+const encodeHeader = (value) => {
+  return /^[\x20-\x7E]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+};
+
+// Mensagem em texto puro no formato RFC 5322
+export const formatMessage = ({ from, to, subject, text, date = new Date() }) => {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    text
+  ].join('\r\n');
+};
+
+const transports = {
+  console: ({ log = console.log }) => ({
+    send: async (message) => {
+      log(formatMessage(message));
+      return {};
+    }
+  }),
+
+  file: ({ dir = 'mail' }) => ({
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const file = path.join(dir, `${message.date.getTime()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+      await fs.promises.writeFile(file, formatMessage(message));
+
+      return { file };
+    }
+  })
+};
+
+export const registerMailTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+export const getMailTransports = () => Object.keys(transports);
+
+/**
+ * @param {object} options
+ * @param {string|{send: Function}} [options.transport] - nome registrado ou objeto com send(message)
+ * @param {string} [options.from] - remetente de todos os emails
+ * @returns {{ transport: string, send: (message: {to: string, subject: string, text: string}) => Promise<object> }}
+ */
+export const createMailer = ({ transport = 'console', from = 'no-reply@localhost', ...options } = {}) => {
+  const sender = typeof transport === 'string'
+    ? transports[transport]?.(options)
+    : transport;
+
+  if (!sender || typeof sender.send !== 'function') {
+    throw new Error(`Transporte de email desconhecido: ${transport}. Use: ${getMailTransports().join(', ')}`);
+  }
+
+  return {
+    transport: typeof transport === 'string' ? transport : 'custom',
+    send: async ({ to, subject, text }) => {
+      if (!to || !subject || !text) {
+        throw new Error('Email precisa de destinatário, assunto e texto');
+      }
+
+      return sender.send({ from, to, subject, text, date: new Date() });
+    }
+  };
+};
+
+export default {
+  formatMessage,
+  registerMailTransport,
+  getMailTransports,
+  createMailer
+};
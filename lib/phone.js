@@ -0,0 +1,114 @@
+/**
+ * Normalização de telefones (WhatsApp) para E.164
+ *
+ *   normalizePhone('(11) 98888-7777', 'BR')  -> { e164: '+5511988887777', country: 'BR' }
+ *   normalizePhone('857 555 1234', 'US')     -> { e164: '+18575551234', country: 'US' }
+ *   normalizePhone('abc')                    -> null
+ *
+ * Números com "+" ou "00" já trazem o DDI. Sem DDI, o número é lido no país
+ * padrão do formulário e, se não couber nele, nos outros países padrão
+ * (EUA e Brasil): quem está nos EUA costuma digitar o número brasileiro sem +55
+ * e vice-versa.
+ */
+
+// País -> DDI e formato do número nacional (sem o DDI).
+// EUA e Brasil têm validação completa; os demais só conferem o tamanho.
+export const COUNTRIES = {
+  US: { dialCode: '1', pattern: /^[2-9]\d{9}$/ },
+  BR: { dialCode: '55', pattern: /^[1-9][1-9](9\d{8}|[2-5]\d{7})$/ },
+  PT: { dialCode: '351', pattern: /^\d{9}$/ },
+  ES: { dialCode: '34', pattern: /^\d{9}$/ },
+  GB: { dialCode: '44', pattern: /^\d{10}$/ },
+  IE: { dialCode: '353', pattern: /^\d{7,9}$/ },
+  IT: { dialCode: '39', pattern: /^\d{6,11}$/ },
+  FR: { dialCode: '33', pattern: /^\d{9}$/ },
+  DE: { dialCode: '49', pattern: /^\d{6,13}$/ },
+  MX: { dialCode: '52', pattern: /^\d{10}$/ },
+  AR: { dialCode: '54', pattern: /^\d{10,11}$/ },
+  CO: { dialCode: '57', pattern: /^\d{10}$/ },
+  CL: { dialCode: '56', pattern: /^\d{9}$/ },
+  PY: { dialCode: '595', pattern: /^\d{9}$/ },
+  UY: { dialCode: '598', pattern: /^\d{8}$/ },
+  JP: { dialCode: '81', pattern: /^\d{9,10}$/ },
+  AU: { dialCode: '61', pattern: /^\d{9}$/ }
+};
+
+// Países tentados quando o número vem sem DDI, depois do país do formulário
+export const DEFAULT_COUNTRIES = ['US', 'BR'];
+
+// E.164: até 15 dígitos no total
+const MIN_DIGITS = 8;
+const MAX_DIGITS = 15;
+
+// DDIs do maior para o menor, para "351" ganhar de "35" e "1"
+const countriesByDialCode = Object.entries(COUNTRIES)
+  .sort(([, a], [, b]) => b.dialCode.length - a.dialCode.length);
+
+const isValidNational = (country, national) => {
+  return COUNTRIES[country].pattern.test(national);
+};
+
+const toResult = (country, national) => ({
+  e164: `+${COUNTRIES[country].dialCode}${national}`,
+  country
+});
+
+// País pelo DDI de um número internacional (só dígitos). Null se o DDI não está na tabela.
+export const detectCountry = (digits) => {
+  const clean = String(digits || '').replace(/\D/g, '');
+  const match = countriesByDialCode.find(([, { dialCode }]) => clean.startsWith(dialCode));
+  return match ? match[0] : null;
+};
+
+// Número com DDI (só dígitos)
+const parseInternational = (digits) => {
+  // Nenhum DDI começa com 0
+  if (digits.length < MIN_DIGITS || digits.length > MAX_DIGITS || digits.startsWith('0')) return null;
+
+  const country = detectCountry(digits);
+
+  // DDI fora da tabela: aceita pelo tamanho, sem país
+  if (!country) return { e164: `+${digits}`, country: null };
+
+  const national = digits.slice(COUNTRIES[country].dialCode.length);
+  return isValidNational(country, national) ? toResult(country, national) : null;
+};
+
+export const normalizePhone = (input, defaultCountry = DEFAULT_COUNTRIES[0]) => {
+  const raw = String(input || '').trim();
+  if (!raw) return null;
+
+  const digits = raw.replace(/\D/g, '');
+
+  if (raw.startsWith('+')) return parseInternational(digits);
+  if (digits.startsWith('00')) return parseInternational(digits.slice(2));
+
+  // Sem DDI: zero de tronco ("011 98888-7777") não faz parte do número
+  const national = digits.replace(/^0+/, '');
+
+  const candidates = [defaultCountry, ...DEFAULT_COUNTRIES]
+    .filter((country, index, list) => COUNTRIES[country] && list.indexOf(country) === index);
+
+  const [preferred, ...fallbacks] = candidates;
+
+  if (preferred && isValidNational(preferred, national)) {
+    return toResult(preferred, national);
+  }
+
+  // DDI digitado sem o "+" ("5511988887777")
+  const country = detectCountry(national);
+  if (country && candidates.includes(country)) {
+    const withoutDialCode = national.slice(COUNTRIES[country].dialCode.length);
+    if (isValidNational(country, withoutDialCode)) return toResult(country, withoutDialCode);
+  }
+
+  const fallback = fallbacks.find(candidate => isValidNational(candidate, national));
+  return fallback ? toResult(fallback, national) : null;
+};
+
+export default {
+  COUNTRIES,
+  DEFAULT_COUNTRIES,
+  detectCountry,
+  normalizePhone
+};
@@ -0,0 +1,134 @@
+/**
+ * Store do express-rate-limit gravado no SQLite
+ *
+ * O MemoryStore padrão guarda os contadores no processo: reiniciar o servidor
+ * zera tudo, e com dois processos cada um conta só a sua parte. Aqui cada
+ * limite (login, leads...) grava na tabela rate_limit_hits uma linha por
+ * chave (o IP) com o número de requisições e o fim da janela, então o mesmo
+ * banco vale para todos os processos e sobrevive a reinícios.
+ *
+ * O incremento é um único UPSERT: quando a janela da chave já acabou, o
+ * contador volta para 1 e a janela recomeça (janela fixa, como o MemoryStore).
+ * Linhas de janelas vencidas não contam para nada; purgeExpiredRateLimits
+ * apaga as que ficaram para trás.
+ *
+ * Todas as funções recebem o relógio (`now`, em ms), então os testes rodam
+ * com hora fixa em um banco :memory:.
+ *
+ * Este módulo não depende do servidor.
+ */
+
+const ensureTable = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rate_limit_hits (
+      name TEXT NOT NULL,
+      key TEXT NOT NULL,
+      hits INTEGER NOT NULL DEFAULT 0,
+      reset_at INTEGER NOT NULL,
+      PRIMARY KEY (name, key)
+    );
+    CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_reset_at ON rate_limit_hits(reset_at);
+  `);
+};
+
+const toClientInfo = (row) => row && {
+  totalHits: row.hits,
+  resetTime: new Date(row.reset_at)
+};
+
+/**
+ * Cria o store de um limite. Cada limite usa um `name` próprio, que separa os
+ * contadores na tabela (o mesmo IP tem um contador no login e outro nos leads).
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {object} options
+ * @param {string} options.name - nome do limite (ex.: 'login')
+ * @param {() => number} [options.now] - relógio em ms (útil em testes)
+ * @returns {object} store aceito em rateLimit({ store })
+ */
+export const createRateLimitStore = (db, { name, now = Date.now } = {}) => {
+  if (!name) {
+    throw new Error('createRateLimitStore: informe o name do limite');
+  }
+
+  ensureTable(db);
+
+  const statements = {
+    get: db.prepare('SELECT hits, reset_at FROM rate_limit_hits WHERE name = ? AND key = ? AND reset_at > ?'),
+    increment: db.prepare(`
+      INSERT INTO rate_limit_hits (name, key, hits, reset_at) VALUES (@name, @key, 1, @resetAt)
+      ON CONFLICT (name, key) DO UPDATE SET
+        hits = CASE WHEN reset_at <= @now THEN 1 ELSE hits + 1 END,
+        reset_at = CASE WHEN reset_at <= @now THEN excluded.reset_at ELSE reset_at END
+      RETURNING hits, reset_at
+    `),
+    decrement: db.prepare('UPDATE rate_limit_hits SET hits = MAX(hits - 1, 0) WHERE name = ? AND key = ? AND reset_at > ?'),
+    resetKey: db.prepare('DELETE FROM rate_limit_hits WHERE name = ? AND key = ?'),
+    resetAll: db.prepare('DELETE FROM rate_limit_hits WHERE name = ?'),
+    listOver: db.prepare(`
+      SELECT key, hits, reset_at FROM rate_limit_hits
+      WHERE name = ? AND hits > ? AND reset_at > ?
+      ORDER BY reset_at DESC
+    `)
+  };
+
+  let windowMs = 60 * 1000;
+
+  return {
+    name,
+    prefix: `${name}:`,
+
+    // Contadores compartilhados pelo banco: o mesmo IP conta igual em qualquer processo
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    get(key) {
+      return toClientInfo(statements.get.get(name, key, now()));
+    },
+
+    increment(key) {
+      const current = now();
+      const row = statements.increment.get({ name, key, now: current, resetAt: current + windowMs });
+      return toClientInfo(row);
+    },
+
+    decrement(key) {
+      statements.decrement.run(name, key, now());
+    },
+
+    resetKey(key) {
+      statements.resetKey.run(name, key);
+    },
+
+    resetAll() {
+      statements.resetAll.run(name);
+    },
+
+    /**
+     * Chaves que passaram do limite na janela atual (as que estão recebendo 429).
+     *
+     * @param {number} max - requisições permitidas por janela
+     * @returns {{ key: string, totalHits: number, resetTime: Date }[]}
+     */
+    listLimited(max) {
+      return statements.listOver.all(name, max, now()).map(row => ({
+        key: row.key,
+        ...toClientInfo(row)
+      }));
+    }
+  };
+};
+
+// Apaga as linhas de janelas que já acabaram, de todos os limites
+export const purgeExpiredRateLimits = (db, { now = Date.now() } = {}) => {
+  ensureTable(db);
+  return db.prepare('DELETE FROM rate_limit_hits WHERE reset_at <= ?').run(now).changes;
+};
+
+export default {
+  createRateLimitStore,
+  purgeExpiredRateLimits
+};
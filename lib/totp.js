@@ -0,0 +1,177 @@
+/**
+ * Autenticação em dois fatores por TOTP (RFC 6238), compatível com Google
+ * Authenticator, Authy, 1Password e afins
+ *
+ * O secret é gerado aqui, mostrado uma vez ao usuário (QR code do otpauth://
+ * ou texto em base32) e guardado pelo servidor. O código de 6 dígitos muda a
+ * cada 30 segundos; verifyTotp aceita um passo antes e um depois para cobrir
+ * relógios um pouco fora de hora e devolve o contador usado, que o servidor
+ * guarda para não aceitar o mesmo código duas vezes.
+ *
+ * Todas as funções recebem o relógio (`now`, em ms), então os testes rodam
+ * offline com hora fixa.
+ *
+ * Este módulo não depende do servidor.
+ */
+
+import crypto from 'crypto';
+
+export const TOTP_STEP_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+// Passos aceitos antes e depois do atual (30s para cada lado)
+export const DEFAULT_WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Base32 (RFC 4648) sem padding, o formato que os apps de autenticação esperam
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Aceita minúsculas, espaços e padding, como o usuário digitaria
+export const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Caractere inválido em base32: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// 20 bytes (160 bits), o tamanho recomendado para HMAC-SHA1
+export const generateTotpSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+export const getTotpCounter = (now = Date.now(), step = TOTP_STEP_SECONDS) => Math.floor(now / 1000 / step);
+
+// HOTP (RFC 4226) para um contador: HMAC-SHA1 com truncamento dinâmico
+const hotp = (key, counter, digits) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Código atual para o secret.
+ *
+ * @param {string} secret - secret em base32
+ * @param {object} [options]
+ * @param {number} [options.now] - relógio em ms (útil em testes)
+ * @param {number} [options.step] - duração de cada código, em segundos
+ * @param {number} [options.digits]
+ * @returns {string}
+ */
+export const generateTotp = (secret, { now = Date.now(), step = TOTP_STEP_SECONDS, digits = TOTP_DIGITS } = {}) => {
+  return hotp(base32Decode(secret), getTotpCounter(now, step), digits);
+};
+
+/**
+ * Confere um código digitado pelo usuário.
+ *
+ * @param {string} token - código digitado (espaços são ignorados)
+ * @param {string} secret - secret em base32
+ * @param {object} [options]
+ * @param {number} [options.now] - relógio em ms (útil em testes)
+ * @param {number} [options.window] - passos aceitos antes e depois do atual
+ * @param {number|null} [options.lastCounter] - contador do último código aceito (anti-replay)
+ * @returns {number|null} contador do código aceito, ou null
+ */
+export const verifyTotp = (token, secret, {
+  now = Date.now(),
+  window = DEFAULT_WINDOW,
+  lastCounter = null,
+  step = TOTP_STEP_SECONDS,
+  digits = TOTP_DIGITS
+} = {}) => {
+  const code = String(token ?? '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(code)) return null;
+
+  const key = base32Decode(secret);
+  const current = getTotpCounter(now, step);
+
+  for (let counter = current - window; counter <= current + window; counter++) {
+    if (lastCounter !== null && counter <= lastCounter) continue;
+
+    const expected = hotp(key, counter, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return counter;
+    }
+  }
+
+  return null;
+};
+
+// otpauth://totp/Issuer:conta?secret=...&issuer=Issuer (o que vai no QR code)
+export const buildOtpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(issuer ? `${issuer}:${account}` : account);
+  const params = new URLSearchParams({
+    secret,
+    ...(issuer && { issuer }),
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Códigos de recuperação de uso único, no formato xxxxx-xxxxx
+export const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+};
+
+// Para comparar com o que foi guardado: sem espaços, hífens ou maiúsculas
+export const normalizeRecoveryCode = (code) => String(code ?? '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  getTotpCounter,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
@@ -0,0 +1,380 @@
+/**
+ * Outbox dos webhooks: eventos gravados no SQLite e entregues em background
+ *
+ * enqueue grava uma entrega por assinatura ativa que escuta o evento e só
+ * agenda o dispatcher para depois (setImmediate), então quem enfileira (a
+ * rota do lead, por exemplo) responde sem esperar o Make.com/Zapier.
+ *
+ * dispatch entrega o que está vencido, uma entrega por vez, com a função de
+ * envio recebida do servidor (HTTP, assinatura, logs). Cada tentativa volta
+ * para recordAttempt, que decide o próximo passo:
+ *
+ * - sucesso: a entrega vira `delivered`
+ * - falha com tentativas sobrando: continua `pending`, com nova tentativa
+ *   depois do backoff exponencial (getWebhookRetryDelay)
+ * - falha na tentativa `maxAttempts`: a entrega vira `dead` e não sai mais
+ *
+ * Uma entrega pode ter um limite próprio de tentativas (coluna max_attempts,
+ * gravada pelo enqueue): o evento de teste usa 1, para uma falha não ser
+ * repetida contra o endpoint do cliente.
+ *
+ * O servidor liga PRAGMA foreign_keys e o ON DELETE CASCADE das tabelas
+ * apaga entregas e tentativas com a assinatura. Mesmo assim deleteSubscription
+ * as apaga antes dela: o módulo recebe a conexão de fora e não sabe se ela
+ * liga as chaves estrangeiras. purgeOrphans limpa o que ficou para trás de
+ * assinaturas apagadas antes da cascata existir.
+ *
+ * Todas as datas saem do relógio recebido (`now`, em ms), então os testes
+ * rodam com hora fixa em um banco :memory:.
+ *
+ * Este módulo não depende do servidor.
+ */
+
+export const WEBHOOK_DEFAULT_MAX_ATTEMPTS = 8;
+export const WEBHOOK_DEFAULT_RETRY_BASE_SECONDS = 30;
+export const WEBHOOK_DEFAULT_RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+// Datas no formato que o SQLite grava ('AAAA-MM-DD HH:MM:SS', em UTC)
+export const toSqliteDate = (ms) => new Date(ms).toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * Espera antes da próxima tentativa: 30s, 1min, 2min, 4min... até o teto.
+ *
+ * @param {number} attempts - tentativas já feitas (1 depois da primeira falha)
+ * @param {object} [options]
+ * @param {number} [options.baseSeconds]
+ * @param {number} [options.maxSeconds]
+ * @returns {number} segundos
+ */
+export const getWebhookRetryDelay = (attempts, {
+  baseSeconds = WEBHOOK_DEFAULT_RETRY_BASE_SECONDS,
+  maxSeconds = WEBHOOK_DEFAULT_RETRY_MAX_SECONDS
+} = {}) => {
+  return Math.min(baseSeconds * 2 ** (attempts - 1), maxSeconds);
+};
+
+const ensureTables = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      previous_secret TEXT,
+      previous_secret_expires_at DATETIME,
+      events TEXT NOT NULL,
+      active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscription_id INTEGER REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_status_code INTEGER,
+      last_error TEXT,
+      redelivery_of INTEGER,
+      max_attempts INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      delivered_at DATETIME
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      outbox_id INTEGER NOT NULL,
+      attempt INTEGER NOT NULL,
+      request_url TEXT,
+      request_headers TEXT,
+      status_code INTEGER,
+      response_body TEXT,
+      error TEXT,
+      duration_ms INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (outbox_id) REFERENCES webhook_outbox(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_outbox_pending
+      ON webhook_outbox (status, next_attempt_at);
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_attempts_outbox
+      ON webhook_attempts (outbox_id);
+  `);
+};
+
+/**
+ * Cria o outbox sobre o banco (as tabelas são criadas se ainda não existirem).
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts] - na tentativa de número maxAttempts, a falha vira `dead`
+ * @param {number} [options.retryBaseSeconds]
+ * @param {number} [options.retryMaxSeconds]
+ * @param {() => number} [options.now] - relógio em ms (útil em testes)
+ * @param {() => void} [options.onEnqueue] - chamado depois de enfileirar (fora da chamada)
+ * @param {number} [options.batchSize] - entregas buscadas por vez no dispatch
+ */
+export const createWebhookOutbox = (db, {
+  maxAttempts = WEBHOOK_DEFAULT_MAX_ATTEMPTS,
+  retryBaseSeconds = WEBHOOK_DEFAULT_RETRY_BASE_SECONDS,
+  retryMaxSeconds = WEBHOOK_DEFAULT_RETRY_MAX_SECONDS,
+  now = Date.now,
+  onEnqueue,
+  batchSize = 20
+} = {}) => {
+  ensureTables(db);
+
+  const retryDelay = (attempts) => getWebhookRetryDelay(attempts, {
+    baseSeconds: retryBaseSeconds,
+    maxSeconds: retryMaxSeconds
+  });
+
+  // Entrega com a URL e os secrets atuais da assinatura
+  // (o anterior só enquanto a rotação estiver no período de transição)
+  const selectDelivery = `
+    SELECT
+      o.*, s.url, s.secret,
+      CASE WHEN s.previous_secret_expires_at > @now THEN s.previous_secret END as previous_secret
+    FROM webhook_outbox o
+    JOIN webhook_subscriptions s ON s.id = o.subscription_id
+  `;
+
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO webhook_outbox (subscription_id, event, payload, redelivery_of, max_attempts, next_attempt_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `),
+    getDelivery: db.prepare(`${selectDelivery} WHERE o.id = @id`),
+    getRedeliverySource: db.prepare(`
+      SELECT o.*, s.id as subscription_exists, s.active as subscription_active
+      FROM webhook_outbox o
+      LEFT JOIN webhook_subscriptions s ON s.id = o.subscription_id
+      WHERE o.id = ?
+    `),
+    listDue: db.prepare(`
+      ${selectDelivery}
+      WHERE o.status = 'pending' AND s.active = 1 AND o.next_attempt_at <= @now
+      ORDER BY o.next_attempt_at, o.id
+      LIMIT @limit
+    `),
+    insertAttempt: db.prepare(`
+      INSERT INTO webhook_attempts (
+        outbox_id, attempt, request_url, request_headers, status_code, response_body, error, duration_ms
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    markDelivered: db.prepare(`
+      UPDATE webhook_outbox
+      SET status = 'delivered', attempts = ?, last_status_code = ?, last_error = NULL, delivered_at = ?
+      WHERE id = ?
+    `),
+    markDead: db.prepare(`
+      UPDATE webhook_outbox
+      SET status = 'dead', attempts = ?, last_status_code = ?, last_error = ?
+      WHERE id = ?
+    `),
+    scheduleRetry: db.prepare(`
+      UPDATE webhook_outbox
+      SET attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = ?
+      WHERE id = ?
+    `),
+    deleteAttempts: db.prepare(`
+      DELETE FROM webhook_attempts
+      WHERE outbox_id IN (SELECT id FROM webhook_outbox WHERE subscription_id = ?)
+    `),
+    deleteDeliveries: db.prepare('DELETE FROM webhook_outbox WHERE subscription_id = ?'),
+    deleteSubscription: db.prepare('DELETE FROM webhook_subscriptions WHERE id = ?'),
+    deleteOrphanDeliveries: db.prepare(`
+      DELETE FROM webhook_outbox
+      WHERE subscription_id IS NOT NULL
+        AND subscription_id NOT IN (SELECT id FROM webhook_subscriptions)
+    `),
+    deleteOrphanAttempts: db.prepare(`
+      DELETE FROM webhook_attempts WHERE outbox_id NOT IN (SELECT id FROM webhook_outbox)
+    `)
+  };
+
+  // Hora de uma entrega que deve esperar `seconds` antes de ser pega pelo dispatch
+  const after = (seconds) => toSqliteDate(now() + seconds * 1000);
+
+  let dispatching = false;
+
+  return {
+    maxAttempts,
+    retryDelay,
+
+    /**
+     * Grava o evento, uma entrega por assinatura ativa que escuta o evento.
+     * Com subscriptionId, grava só para aquela assinatura, ativa ou não (evento de teste).
+     * Com holdSeconds, o dispatch só pega a entrega depois desse tempo (quem
+     * enfileirou faz a primeira tentativa na hora). Com maxAttempts, a entrega
+     * usa esse limite de tentativas no lugar do padrão do outbox.
+     *
+     * @returns {number[]} ids das entregas
+     */
+    enqueue(event, payload, { subscriptionId, holdSeconds = 0, maxAttempts: deliveryMaxAttempts = null } = {}) {
+      const subscriptions = subscriptionId
+        ? db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ?').all(subscriptionId)
+        : db.prepare('SELECT * FROM webhook_subscriptions WHERE active = 1').all()
+          .filter(subscription => JSON.parse(subscription.events).includes(event));
+
+      if (subscriptions.length === 0) return [];
+
+      const body = JSON.stringify({ event, ...payload });
+      const nextAttemptAt = after(holdSeconds);
+
+      const outboxIds = db.transaction(() => {
+        return subscriptions.map(subscription => {
+          return statements.insert.run(
+            subscription.id, event, body, null, deliveryMaxAttempts, nextAttemptAt
+          ).lastInsertRowid;
+        });
+      })();
+
+      // Entrega logo em seguida, sem bloquear quem enfileirou
+      if (onEnqueue && holdSeconds === 0) setImmediate(onEnqueue);
+
+      return outboxIds;
+    },
+
+    /**
+     * Reenvio manual: nova entrega com o evento, o payload e o limite de tentativas
+     * de outra, para a mesma assinatura, que precisa existir e estar ativa.
+     * holdSeconds funciona como no enqueue.
+     *
+     * @returns {{ status: 'queued'|'not_found'|'subscription_deleted'|'subscription_inactive', outboxId: number|null }}
+     */
+    redeliver(deliveryId, { holdSeconds = 0 } = {}) {
+      const result = db.transaction(() => {
+        const original = statements.getRedeliverySource.get(deliveryId);
+
+        if (!original) return { status: 'not_found', outboxId: null };
+        if (!original.subscription_exists) return { status: 'subscription_deleted', outboxId: null };
+        if (!original.subscription_active) return { status: 'subscription_inactive', outboxId: null };
+
+        const outboxId = statements.insert.run(
+          original.subscription_id,
+          original.event,
+          original.payload,
+          original.id,
+          original.max_attempts,
+          after(holdSeconds)
+        ).lastInsertRowid;
+
+        return { status: 'queued', outboxId };
+      })();
+
+      if (result.status === 'queued' && onEnqueue && holdSeconds === 0) setImmediate(onEnqueue);
+
+      return result;
+    },
+
+    getDelivery(id) {
+      return statements.getDelivery.get({ id, now: toSqliteDate(now()) });
+    },
+
+    listDue(limit = batchSize) {
+      return statements.listDue.all({ now: toSqliteDate(now()), limit });
+    },
+
+    /**
+     * Registra a tentativa e decide o próximo passo da entrega.
+     *
+     * @param {object} delivery - linha de getDelivery/listDue
+     * @param {object} attempt - { number, headers, statusCode, responseBody, error, durationMs, success }
+     * @returns {{ status: 'delivered'|'pending'|'dead', retryInSeconds: number|null }}
+     */
+    recordAttempt: db.transaction((delivery, attempt) => {
+      statements.insertAttempt.run(
+        delivery.id,
+        attempt.number,
+        delivery.url,
+        JSON.stringify(attempt.headers),
+        attempt.statusCode,
+        attempt.responseBody,
+        attempt.error,
+        attempt.durationMs
+      );
+
+      if (attempt.success) {
+        statements.markDelivered.run(attempt.number, attempt.statusCode, toSqliteDate(now()), delivery.id);
+        return { status: 'delivered', retryInSeconds: null };
+      }
+
+      if (attempt.number >= (delivery.max_attempts || maxAttempts)) {
+        statements.markDead.run(attempt.number, attempt.statusCode, attempt.error, delivery.id);
+        return { status: 'dead', retryInSeconds: null };
+      }
+
+      const retryInSeconds = retryDelay(attempt.number);
+      statements.scheduleRetry.run(
+        attempt.number,
+        attempt.statusCode,
+        attempt.error,
+        after(retryInSeconds),
+        delivery.id
+      );
+
+      return { status: 'pending', retryInSeconds };
+    }),
+
+    /**
+     * Apaga a assinatura com as entregas e tentativas dela.
+     *
+     * @returns {boolean} false se a assinatura não existia
+     */
+    deleteSubscription: db.transaction((subscriptionId) => {
+      statements.deleteAttempts.run(subscriptionId);
+      statements.deleteDeliveries.run(subscriptionId);
+      return statements.deleteSubscription.run(subscriptionId).changes > 0;
+    }),
+
+    // Entregas e tentativas de assinaturas que já não existem
+    purgeOrphans: db.transaction(() => {
+      const deliveries = statements.deleteOrphanDeliveries.run().changes;
+      const attempts = statements.deleteOrphanAttempts.run().changes;
+      return { deliveries, attempts };
+    }),
+
+    /**
+     * Entrega, uma por vez, tudo o que está vencido (inclusive o que for
+     * enfileirado no meio do caminho). Uma chamada durante outra não faz nada.
+     *
+     * @param {(delivery: object) => Promise<unknown>} send - envia e chama recordAttempt
+     * @returns {Promise<number>} entregas tentadas
+     */
+    async dispatch(send) {
+      if (dispatching) return 0;
+      dispatching = true;
+
+      let sent = 0;
+
+      try {
+        let due = this.listDue();
+
+        while (due.length > 0) {
+          for (const delivery of due) {
+            await send(delivery);
+            sent++;
+          }
+
+          due = this.listDue();
+        }
+      } finally {
+        dispatching = false;
+      }
+
+      return sent;
+    }
+  };
+};
+
+export default {
+  toSqliteDate,
+  getWebhookRetryDelay,
+  createWebhookOutbox
+};
@@ -0,0 +1,118 @@
+/**
+ * Assinatura de webhooks (esquema v1)
+ *
+ * Header enviado em cada entrega:
+ *   X-Webhook-Signature: t=1718000000,v1=<hex>[,v1=<hex>]
+ *
+ * Cada v1 é um HMAC-SHA256 de `${t}.${body}` com um secret ativo. Durante a
+ * rotação de secret são enviadas duas assinaturas v1 (secret novo e anterior),
+ * então o receptor aceita a entrega com qualquer um dos dois.
+ *
+ * Este módulo não depende do servidor: serviços que recebem os webhooks e os
+ * testes podem importá-lo para validar as entregas do mesmo jeito.
+ */
+
+import crypto from 'crypto';
+
+export const SIGNATURE_VERSION = 'v1';
+
+// Janela aceita entre o timestamp assinado e o relógio do receptor (anti-replay)
+export const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+export const computeSignature = (secret, timestamp, body) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+};
+
+// Monta o header X-Webhook-Signature para o body com todos os secrets ativos
+export const signWebhookPayload = (body, secrets, timestamp = Math.floor(Date.now() / 1000)) => {
+  const activeSecrets = (Array.isArray(secrets) ? secrets : [secrets]).filter(Boolean);
+
+  if (activeSecrets.length === 0) {
+    throw new Error('Pelo menos um secret é necessário para assinar o webhook');
+  }
+
+  const signatures = activeSecrets.map(secret => `${SIGNATURE_VERSION}=${computeSignature(secret, timestamp, body)}`);
+
+  return [`t=${timestamp}`, ...signatures].join(',');
+};
+
+// "t=123,v1=abc,v1=def" -> { timestamp: 123, signatures: ['abc', 'def'] }
+export const parseSignatureHeader = (header) => {
+  const parsed = { timestamp: null, signatures: [] };
+
+  if (typeof header !== 'string') return parsed;
+
+  for (const part of header.split(',')) {
+    const separator = part.indexOf('=');
+    if (separator === -1) continue;
+
+    const key = part.slice(0, separator).trim();
+    const value = part.slice(separator + 1).trim();
+
+    if (key === 't' && /^\d+$/.test(value)) {
+      parsed.timestamp = parseInt(value, 10);
+    } else if (key === SIGNATURE_VERSION && value) {
+      parsed.signatures.push(value);
+    }
+  }
+
+  return parsed;
+};
+
+const safeEqual = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const receivedBuffer = Buffer.from(received, 'hex');
+
+  return expectedBuffer.length === receivedBuffer.length
+    && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+/**
+ * Valida uma entrega recebida.
+ *
+ * @param {object} options
+ * @param {string} options.body - body cru da requisição (exatamente como recebido)
+ * @param {string} options.header - valor do header X-Webhook-Signature
+ * @param {string|string[]} options.secrets - secret(s) aceitos pelo receptor
+ * @param {number} [options.toleranceSeconds] - idade máxima do timestamp
+ * @param {number} [options.now] - relógio em ms (útil em testes)
+ * @returns {{ valid: boolean, timestamp?: number, reason?: string }}
+ */
+export const verifyWebhookSignature = ({
+  body,
+  header,
+  secrets,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  now = Date.now()
+}) => {
+  const { timestamp, signatures } = parseSignatureHeader(header);
+
+  if (timestamp === null || signatures.length === 0) {
+    return { valid: false, reason: 'Header de assinatura inválido' };
+  }
+
+  if (Math.abs(Math.floor(now / 1000) - timestamp) > toleranceSeconds) {
+    return { valid: false, timestamp, reason: 'Timestamp fora da janela de tolerância' };
+  }
+
+  const candidates = (Array.isArray(secrets) ? secrets : [secrets]).filter(Boolean);
+
+  const matches = candidates.some(secret => {
+    const expected = computeSignature(secret, timestamp, body);
+    return signatures.some(signature => safeEqual(expected, signature));
+  });
+
+  return matches
+    ? { valid: true, timestamp }
+    : { valid: false, timestamp, reason: 'Assinatura não confere' };
+};
+
+export default {
+  computeSignature,
+  signWebhookPayload,
+  parseSignatureHeader,
+  verifyWebhookSignature
+};
@@ -5,11 +5,26 @@ import cors from 'cors';
 import jwt from 'jsonwebtoken';
 import bcryptjs from 'bcryptjs';
 import cookieParser from 'cookie-parser';
-import rateLimit from 'express-rate-limit';
+import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
 import { z } from 'zod';
 import winston from 'winston';
 import csrf from 'csurf';
 import crypto from 'crypto';
+import ExcelJS from 'exceljs';
+import { signWebhookPayload } from './lib/webhookSignature.js';
+import { createWebhookOutbox } from './lib/webhookOutbox.js';
+import { normalizePhone, COUNTRIES, DEFAULT_COUNTRIES } from './lib/phone.js';
+import { CSV_BOM, CSV_DELIMITERS, toCsvRow, parseCsv } from './lib/csv.js';
+import { createMailer } from './lib/mailer.js';
+import { createRateLimitStore, purgeExpiredRateLimits } from './lib/rateLimitStore.js';
+import QRCode from 'qrcode';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} from './lib/totp.js';
 
 // Load environment variables
 config();
@@ -87,8 +102,16 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token']
 }));
 
-// Limite de tamanho do body (#15)
-app.use(express.json({ limit: '10kb' }));
+// Limite de tamanho do body (#15). A importação de CSV tem um limite maior,
+// aplicado na própria rota depois da autenticação
+const IMPORT_PATH = '/api/admin/leads/import';
+const jsonBody = express.json({ limit: '10kb' });
+const importJsonBody = express.json({ limit: '5mb' });
+
+app.use((req, res, next) => {
+  if (req.path.startsWith(IMPORT_PATH)) return next();
+  jsonBody(req, res, next);
+});
 app.use(cookieParser());
 
 // CSRF Protection (#8)
@@ -100,36 +123,6 @@ const csrfProtection = csrf({
   }
 });
 
-// ========================================
-// RATE LIMITING (#4)
-// ========================================
-
-// Rate limiter para login (anti brute-force)
-const loginLimiter = rateLimit({
-  windowMs: (process.env.RATE_LIMIT_LOGIN_WINDOW_MINUTES || 15) * 60 * 1000,
-  max: process.env.RATE_LIMIT_LOGIN_MAX || 5,
-  message: { error: 'Muitas tentativas de login. Tente novamente mais tarde.' },
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
-    logger.warn('Rate limit excedido - Login', { ip: req.ip, email: req.body?.email });
-    res.status(429).json({ error: 'Muitas tentativas de login. Tente novamente em 15 minutos.' });
-  }
-});
-
-// Rate limiter para leads (anti-spam)
-const leadsLimiter = rateLimit({
-  windowMs: (process.env.RATE_LIMIT_LEADS_WINDOW_MINUTES || 60) * 60 * 1000,
-  max: process.env.RATE_LIMIT_LEADS_MAX || 3,
-  message: { error: 'Você já enviou muitos formulários. Tente novamente mais tarde.' },
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
-    logger.warn('Rate limit excedido - Leads', { ip: req.ip, name: req.body?.name });
-    res.status(429).json({ error: 'Você já enviou muitos formulários. Tente novamente em 1 hora.' });
-  }
-});
-
 // ========================================
 // SCHEMAS DE VALIDAÇÃO COM ZOD (#9 e #11)
 // ========================================
@@ -148,6 +141,51 @@ const loginSchema = z.object({
   password: z.string().min(1, 'Senha é obrigatória')
 });
 
+// Papéis dos usuários do painel (as permissões de cada um ficam em ROLE_PERMISSIONS)
+const USER_ROLES = ['admin', 'seller', 'viewer'];
+
+// Schema de usuário criado pelo admin: com senha já pode entrar; sem senha, recebe um link de convite
+const userCreateSchema = z.object({
+  name: z.string().trim().min(2, 'Nome deve ter pelo menos 2 caracteres').max(100, 'Nome muito longo'),
+  email: z.string().trim().toLowerCase().email('Email inválido').max(200, 'Email muito longo'),
+  role: z.enum(USER_ROLES, { message: `Papel deve ser: ${USER_ROLES.join(', ')}` }),
+  password: passwordSchema.optional()
+});
+
+// O email é o login, então não muda depois de criado
+const userUpdateSchema = userCreateSchema.pick({ name: true, role: true }).partial().extend({
+  active: z.boolean().optional()
+});
+
+// Schema da senha definida por link (aceite do convite ou redefinição)
+const passwordSetSchema = z.object({
+  password: passwordSchema
+});
+
+// Schema de troca de senha do usuário logado
+const passwordChangeSchema = z.object({
+  current_password: z.string().min(1, 'Senha atual é obrigatória'),
+  new_password: passwordSchema
+});
+
+// Schema do pedido de redefinição de senha
+const passwordForgotSchema = loginSchema.pick({ email: true });
+
+// Código do app autenticador (6 dígitos) ou de recuperação (xxxxx-xxxxx)
+const twoFactorCodeSchema = z.object({
+  code: z.string().trim().min(6, 'Código é obrigatório').max(20, 'Código inválido')
+});
+
+// Segunda etapa do login: o desafio devolvido por /api/auth/login + o código
+const twoFactorLoginSchema = twoFactorCodeSchema.extend({
+  challenge_token: z.string().min(1, 'Desafio é obrigatório')
+});
+
+// Desligar a verificação em duas etapas pede a senha e um código
+const twoFactorDisableSchema = twoFactorCodeSchema.extend({
+  password: z.string().min(1, 'Senha é obrigatória')
+});
+
 // Schema de lead
 const leadSchema = z.object({
   name: z.string().min(2, 'Nome deve ter pelo menos 2 caracteres').max(100, 'Nome muito longo'),
@@ -164,14 +202,314 @@ const leadSchema = z.object({
   source: z.string().max(50).optional().or(z.literal('')),
   utm_source: z.string().max(100).optional().or(z.literal('')),
   utm_medium: z.string().max(100).optional().or(z.literal('')),
-  utm_campaign: z.string().max(100).optional().or(z.literal(''))
+  utm_campaign: z.string().max(100).optional().or(z.literal('')),
+  // País do formulário, usado quando o WhatsApp vem sem DDI
+  phone_country: z.enum(DEFAULT_COUNTRIES).optional(),
+  // Tags pelo nome e valores dos campos personalizados ({ key: valor }), validados contra o banco
+  tags: z.array(z.string().trim().min(1).max(50, 'Tag muito longa')).max(20, 'Máximo de 20 tags').optional(),
+  custom_fields: z.record(z.string(), z.unknown()).optional()
+});
+
+// Edição pelo admin: mesmas regras do formulário, todos os campos opcionais
+const leadUpdateSchema = leadSchema.partial();
+
+// Tags que o admin cria e aplica nos leads ("VIP", "turma de março")
+const tagSchema = z.object({
+  name: z.string().trim().min(1, 'Nome é obrigatório').max(50, 'Nome muito longo'),
+  color: z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Cor deve estar no formato #RRGGBB').optional()
 });
 
-// Schema de status de lead
+const tagUpdateSchema = tagSchema.partial();
+
+// Campos personalizados dos leads, definidos pelo admin
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'select', 'date'];
+
+const customFieldBaseSchema = z.object({
+  key: z.string()
+    .min(2, 'Key deve ter pelo menos 2 caracteres')
+    .max(50, 'Key muito longa')
+    .regex(/^[a-z0-9_]+$/, 'Key deve conter apenas letras minúsculas, números e _')
+    .optional(),
+  label: z.string().trim().min(1, 'Nome é obrigatório').max(50, 'Nome muito longo'),
+  type: z.enum(CUSTOM_FIELD_TYPES, { message: 'Tipo deve ser: text, number, select ou date' }),
+  // Opções de um campo select, na ordem em que aparecem
+  options: z.array(z.string().trim().min(1, 'Opção vazia').max(100, 'Opção muito longa')).max(50, 'Máximo de 50 opções').optional(),
+  // Aparece (opcional) no formulário da landing page
+  show_on_form: z.boolean().optional()
+});
+
+const customFieldSchema = customFieldBaseSchema.refine(
+  field => field.type !== 'select' || field.options?.length > 0,
+  { message: 'Campos de seleção precisam de pelo menos uma opção', path: ['options'] }
+);
+
+// Key e tipo são referenciados pelos valores já gravados, então não mudam depois de criados
+const customFieldUpdateSchema = customFieldBaseSchema.omit({ key: true, type: true }).partial();
+
+const customFieldReorderSchema = z.object({
+  ids: z.array(z.number().int().positive()).min(1, 'Informe a ordem dos campos')
+});
+
+// Colunas aceitas em ?sort= na listagem de leads
+const LEAD_SORT_COLUMNS = [
+  'id', 'name', 'whatsapp', 'email', 'city', 'country', 'level', 'goal', 'schedule',
+  'status', 'source', 'utm_source', 'utm_medium', 'utm_campaign', 'touchpoint_count', 'created_at'
+];
+
+const isoDateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Data deve estar no formato AAAA-MM-DD');
+
+// Query string da listagem (filtros, ordenação e paginação)
+const leadListQuerySchema = z.object({
+  status: z.string().max(50).optional(),
+  country: z.string().max(50).optional(),
+  source: z.string().max(50).optional(),
+  utm_source: z.string().max(100).optional(),
+  utm_medium: z.string().max(100).optional(),
+  utm_campaign: z.string().max(100).optional(),
+  level: z.string().max(50).optional(),
+  goal: z.string().max(500).optional(),
+  search: z.string().max(100).optional(),
+  date_from: isoDateSchema.optional(),
+  date_to: isoDateSchema.optional(),
+  // ?tag=3,5: leads com todas essas tags (ids)
+  tag: z.string().optional()
+    .transform(value => value ? value.split(',').map(Number) : undefined)
+    .pipe(z.array(z.number().int().positive('Tag inválida')).optional()),
+  // ?assigned_to=me (usuário logado), none (sem responsável) ou o id do usuário
+  assigned_to: z.union([z.enum(['me', 'none']), z.coerce.number().int().positive()], {
+    message: 'Responsável inválido'
+  }).optional(),
+  sort: z.enum(LEAD_SORT_COLUMNS).default('created_at'),
+  order: z.enum(['asc', 'desc']).default('desc'),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  offset: z.coerce.number().int().min(0).default(0)
+// Campos personalizados filtram por ?cf_<key>=valor (ver buildLeadFilters)
+}).catchall(z.string().max(200));
+
+// Colunas da exportação, na ordem padrão, com o cabeçalho da planilha
+const LEAD_EXPORT_COLUMNS = {
+  id: 'ID',
+  name: 'Nome',
+  whatsapp: 'WhatsApp',
+  email: 'Email',
+  city: 'Cidade',
+  country: 'País',
+  level: 'Nível',
+  goal: 'Objetivo',
+  schedule: 'Horário',
+  message: 'Mensagem',
+  status: 'Status',
+  status_label: 'Etapa',
+  source: 'Origem',
+  utm_source: 'UTM source',
+  utm_medium: 'UTM medium',
+  utm_campaign: 'UTM campaign',
+  tags: 'Tags',
+  assigned_name: 'Responsável',
+  touchpoint_count: 'Envios',
+  created_at: 'Criado em (UTC)'
+};
+
+// Máximo de leads escolhidos um a um em uma ação em lote (exportação, status, exclusão)
+const LEAD_BULK_MAX_IDS = 1000;
+
+// Exportação: mesmos filtros e ordenação da listagem, sem paginação
+const leadExportQuerySchema = leadListQuerySchema.omit({ limit: true, offset: true }).extend({
+  format: z.enum(['csv', 'xlsx']).default('csv'),
+  // ?columns=name,whatsapp,email (padrão: todas)
+  columns: z.string().optional()
+    .transform(value => value
+      ? value.split(',').map(column => column.trim()).filter(Boolean)
+      : Object.keys(LEAD_EXPORT_COLUMNS))
+    .pipe(z.array(z.enum(Object.keys(LEAD_EXPORT_COLUMNS))).min(1, 'Escolha pelo menos uma coluna')),
+  // Excel em português espera ";" como separador
+  delimiter: z.enum(Object.keys(CSV_DELIMITERS)).default('comma'),
+  bom: z.enum(['0', '1']).default('1'),
+  // ?ids=1,2,3 exporta só os leads selecionados na tabela
+  ids: z.string().optional()
+    .transform(value => value ? value.split(',').map(Number) : undefined)
+    .pipe(z.array(z.number().int().positive()).max(LEAD_BULK_MAX_IDS).optional())
+});
+
+// Campos que uma coluna do CSV pode preencher na importação
+const LEAD_IMPORT_FIELDS = [
+  'name', 'whatsapp', 'email', 'city', 'level', 'goal', 'schedule', 'message',
+  'source', 'utm_source', 'utm_medium', 'utm_campaign', 'status'
+];
+
+const LEAD_IMPORT_MAX_ROWS = 5000;
+
+const leadImportSchema = z.object({
+  csv: z.string().min(1, 'Arquivo vazio'),
+  delimiter: z.enum(Object.keys(CSV_DELIMITERS)).optional(),
+  // mapping[i] = campo da coluna i do CSV ('' ignora a coluna); sem mapping, é sugerido pelo cabeçalho
+  mapping: z.array(z.enum([...LEAD_IMPORT_FIELDS, ''])).optional(),
+  // País dos telefones sem DDI
+  phone_country: z.enum(DEFAULT_COUNTRIES).optional(),
+  // Linhas que já existem no banco: ignorar ou juntar no lead existente
+  duplicates: z.enum(['skip', 'merge']).default('skip')
+});
+
+// Ações em lote: leads escolhidos (ids) ou todos que batem com os filtros da listagem
+const leadBulkSelectionSchema = z.object({
+  ids: z.array(z.coerce.number().int().positive()).min(1).max(LEAD_BULK_MAX_IDS).optional(),
+  filters: leadListQuerySchema.omit({ sort: true, order: true, limit: true, offset: true }).optional()
+}).refine(
+  data => Boolean(data.ids) !== Boolean(data.filters),
+  { message: 'Envie ids ou filters', path: ['ids'] }
+);
+
+// Tags adicionadas/removidas em lote, pelo nome (as que não existem são criadas)
+const leadBulkTagsSchema = z.object({
+  add: leadSchema.shape.tags.default([]),
+  remove: leadSchema.shape.tags.default([])
+}).refine(
+  data => data.add.length > 0 || data.remove.length > 0,
+  { message: 'Escolha as tags para adicionar ou remover', path: ['add'] }
+);
+
+// Distribuição automática dos leads novos entre os vendedores
+const LEAD_ASSIGNMENT_MODES = ['round_robin', 'weighted', 'off'];
+
+// Responsável do lead; null deixa o lead sem responsável
+const leadAssignSchema = z.object({
+  user_id: z.number({ message: 'Escolha um usuário' }).int().positive().nullable().refine(
+    id => id === null || Boolean(db.prepare(`SELECT id FROM users WHERE id = ? AND ${LEAD_OWNER_USER_SQL}`).get(id)),
+    { message: 'Usuário não encontrado ou sem acesso aos leads' }
+  )
+});
+
+const assignmentSettingsSchema = z.object({
+  mode: z.enum(LEAD_ASSIGNMENT_MODES, { message: `Modo deve ser: ${LEAD_ASSIGNMENT_MODES.join(', ')}` })
+});
+
+const sellerAssignmentSchema = z.object({
+  receives_leads: z.boolean().optional(),
+  assignment_weight: z.number().int().min(1, 'Peso mínimo é 1').max(100, 'Peso máximo é 100').optional()
+});
+
+// Schema de status de lead (as etapas válidas vêm do pipeline no banco)
 const leadStatusSchema = z.object({
-  status: z.enum(['new', 'contacted', 'converted'], {
-    errorMap: () => ({ message: 'Status deve ser: new, contacted ou converted' })
-  })
+  status: z.string().refine(
+    key => Boolean(getPipelineStage(key)),
+    { message: 'Status não existe no pipeline' }
+  )
+});
+
+// Schema de etapa do pipeline
+const PIPELINE_STAGE_KINDS = ['open', 'won', 'lost'];
+
+const pipelineStageSchema = z.object({
+  key: z.string()
+    .min(2, 'Key deve ter pelo menos 2 caracteres')
+    .max(50, 'Key muito longa')
+    .regex(/^[a-z0-9_]+$/, 'Key deve conter apenas letras minúsculas, números e _')
+    .optional(),
+  label: z.string().trim().min(1, 'Nome é obrigatório').max(50, 'Nome muito longo'),
+  color: z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Cor deve estar no formato #RRGGBB').optional(),
+  kind: z.enum(PIPELINE_STAGE_KINDS, { message: 'Tipo deve ser: open, won ou lost' }).optional()
+});
+
+// A key é referenciada pelos leads, então não muda depois de criada
+const pipelineStageUpdateSchema = pipelineStageSchema.omit({ key: true }).partial();
+
+// Schema de reordenação do pipeline
+const pipelineStageReorderSchema = z.object({
+  ids: z.array(z.number().int().positive()).min(1, 'Informe a ordem das etapas')
+});
+
+// Tipos de atividade que o admin registra na mão (status_change, merge, activity_deleted... são automáticos)
+const LEAD_ACTIVITY_TYPES = ['note', 'call', 'whatsapp', 'email', 'meeting'];
+const LEAD_ACTIVITY_OUTCOMES = ['answered', 'no_answer', 'voicemail', 'wrong_number', 'interested', 'not_interested', 'scheduled'];
+
+// Schema de atividade de lead
+const leadActivitySchema = z.object({
+  type: z.enum(LEAD_ACTIVITY_TYPES, { message: `Tipo deve ser: ${LEAD_ACTIVITY_TYPES.join(', ')}` }),
+  content: z.string().trim().max(5000, 'Texto muito longo').optional().or(z.literal('')),
+  outcome: z.enum(LEAD_ACTIVITY_OUTCOMES).optional()
+}).refine(
+  activity => activity.content || activity.outcome,
+  { message: 'Escreva a nota ou escolha o resultado do contato', path: ['content'] }
+);
+
+// Schema de merge de leads
+const leadMergeSchema = z.object({
+  source_id: z.coerce.number().int().positive('Lead de origem inválido')
+});
+
+// Data e hora ISO 8601 (com fuso); gravada em UTC no formato do SQLite ('AAAA-MM-DD HH:MM:SS')
+const isoDateTimeSchema = z.string()
+  .regex(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/, 'Data e hora inválidas (ISO 8601 com fuso)')
+  .refine(value => !Number.isNaN(Date.parse(value)), 'Data e hora inválidas')
+  .transform(value => new Date(value).toISOString().replace('T', ' ').slice(0, 19));
+
+// Schema de tarefa de follow-up; sem assigned_to, a tarefa fica com o responsável do lead
+const leadTaskSchema = z.object({
+  title: z.string().trim().min(1, 'Descreva a tarefa').max(200, 'Título muito longo'),
+  due_at: isoDateTimeSchema,
+  assigned_to: leadAssignSchema.shape.user_id.optional()
+});
+
+const leadTaskUpdateSchema = leadTaskSchema.partial().extend({
+  done: z.boolean().optional()
+});
+
+// Query string da lista de tarefas (Dashboard e filtros)
+const LEAD_TASK_STATUSES = ['open', 'overdue', 'done', 'all'];
+
+const leadTaskListQuerySchema = z.object({
+  status: z.enum(LEAD_TASK_STATUSES, { message: `Status deve ser: ${LEAD_TASK_STATUSES.join(', ')}` }).default('open'),
+  assigned_to: leadListQuerySchema.shape.assigned_to,
+  // Fim do "hoje" no fuso de quem pede: tarefas vencendo até lá (inclui as atrasadas)
+  due_before: isoDateTimeSchema.optional(),
+  limit: z.coerce.number().int().min(1).max(200).default(50)
+});
+
+// Eventos que podem ser assinados pelos webhooks
+const WEBHOOK_EVENTS = [
+  'lead.created', 'lead.updated', 'lead.status_changed', 'lead.assigned', 'lead.deleted', 'lead.restored',
+  'task.overdue'
+];
+
+// Status de uma entrega do outbox (ver lib/webhookOutbox.js)
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+// Query string do log de entregas (filtros e paginação)
+const webhookDeliveryListQuerySchema = z.object({
+  // Resultado da tentativa: 2xx ou não
+  status: z.enum(['success', 'failed'], { message: 'Status deve ser: success ou failed' }).optional(),
+  event: z.string().max(50).optional(),
+  webhook_id: z.coerce.number().int().positive('Webhook inválido').optional(),
+  delivery_status: z.enum(WEBHOOK_DELIVERY_STATUSES, {
+    message: `Status da entrega deve ser: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}`
+  }).optional(),
+  date_from: isoDateSchema.optional(),
+  date_to: isoDateSchema.optional(),
+  search: z.string().max(100).optional(),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+// Schema de assinatura de webhook
+const webhookSubscriptionSchema = z.object({
+  name: z.string().min(2, 'Nome deve ter pelo menos 2 caracteres').max(100, 'Nome muito longo'),
+  url: z.string()
+    .url('URL inválida')
+    .max(500, 'URL muito longa')
+    .refine(url => /^https?:\/\//.test(url), 'URL deve começar com http:// ou https://'),
+  secret: z.string().min(16, 'Secret deve ter pelo menos 16 caracteres').max(200).optional(),
+  events: z.array(z.enum(WEBHOOK_EVENTS))
+    .min(1, 'Selecione pelo menos um evento'),
+  active: z.boolean().optional()
+});
+
+// O secret só muda pela rotação (/rotate-secret), que mantém o anterior válido por um tempo
+const webhookSubscriptionUpdateSchema = webhookSubscriptionSchema.omit({ secret: true }).partial();
+
+// Schema de rotação de secret
+const webhookSecretRotationSchema = z.object({
+  secret: z.string().min(16, 'Secret deve ter pelo menos 16 caracteres').max(200).optional(),
+  grace_hours: z.number().int().min(0).max(24 * 30).optional()
 });
 
 // ========================================
@@ -180,6 +518,10 @@ const leadStatusSchema = z.object({
 
 const db = new Database('dev.db');
 
+// Chaves estrangeiras ligadas (padrão do better-sqlite3, mas não do SQLite): o
+// ON DELETE CASCADE apaga sozinho o que pertence a um lead ou usuário excluído
+db.pragma('foreign_keys = ON');
+
 // Create tables
 db.exec(`
   CREATE TABLE IF NOT EXISTS users (
@@ -206,9 +548,93 @@ db.exec(`
     utm_medium TEXT,
     utm_campaign TEXT,
     status TEXT DEFAULT 'new',
+    whatsapp_normalized TEXT,
+    email_normalized TEXT,
+    country TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS lead_touchpoints (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lead_id INTEGER NOT NULL,
+    name TEXT,
+    email TEXT,
+    whatsapp TEXT,
+    city TEXT,
+    level TEXT,
+    goal TEXT,
+    schedule TEXT,
+    message TEXT,
+    source TEXT,
+    utm_source TEXT,
+    utm_medium TEXT,
+    utm_campaign TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS lead_activities (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lead_id INTEGER NOT NULL,
+    user_id INTEGER,
+    type TEXT NOT NULL,
+    content TEXT,
+    outcome TEXT,
+    metadata TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS pipeline_stages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    key TEXT UNIQUE NOT NULL,
+    label TEXT NOT NULL,
+    color TEXT NOT NULL DEFAULT '#718096',
+    kind TEXT NOT NULL DEFAULT 'open' CHECK (kind IN ('open', 'won', 'lost')),
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+    color TEXT NOT NULL DEFAULT '#718096',
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
   );
 
+  CREATE TABLE IF NOT EXISTS lead_tags (
+    lead_id INTEGER NOT NULL,
+    tag_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (lead_id, tag_id),
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS custom_fields (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    key TEXT UNIQUE NOT NULL,
+    label TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('text', 'number', 'select', 'date')),
+    options TEXT,
+    show_on_form INTEGER NOT NULL DEFAULT 0,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS lead_custom_values (
+    lead_id INTEGER NOT NULL,
+    field_id INTEGER NOT NULL,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (lead_id, field_id),
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    FOREIGN KEY (field_id) REFERENCES custom_fields(id) ON DELETE CASCADE
+  );
+
   CREATE TABLE IF NOT EXISTS courses (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     title TEXT NOT NULL,
@@ -229,6 +655,98 @@ db.exec(`
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (course_id) REFERENCES courses(id)
   );
+
+  CREATE INDEX IF NOT EXISTS idx_lead_touchpoints_lead
+    ON lead_touchpoints (lead_id);
+
+  CREATE INDEX IF NOT EXISTS idx_lead_activities_lead
+    ON lead_activities (lead_id, created_at);
+
+  CREATE INDEX IF NOT EXISTS idx_lead_tags_tag
+    ON lead_tags (tag_id);
+
+  CREATE INDEX IF NOT EXISTS idx_lead_custom_values_field
+    ON lead_custom_values (field_id, value);
+
+  CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS lead_tasks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    lead_id INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    due_at DATETIME NOT NULL,
+    assigned_to INTEGER,
+    created_by INTEGER,
+    done_at DATETIME,
+    done_by INTEGER,
+    overdue_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_lead_tasks_lead
+    ON lead_tasks (lead_id);
+
+  CREATE INDEX IF NOT EXISTS idx_lead_tasks_open
+    ON lead_tasks (done_at, due_at);
+
+  CREATE TABLE IF NOT EXISTS user_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    refresh_token_hash TEXT UNIQUE NOT NULL,
+    previous_token_hash TEXT,
+    ip TEXT,
+    user_agent TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    revoked_reason TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_user_sessions_user
+    ON user_sessions (user_id, revoked_at);
+
+  CREATE INDEX IF NOT EXISTS idx_user_sessions_previous
+    ON user_sessions (previous_token_hash);
+
+  CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user
+    ON user_recovery_codes (user_id, code_hash);
+
+  CREATE TABLE IF NOT EXISTS login_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    email TEXT,
+    ip TEXT,
+    user_agent TEXT,
+    success INTEGER NOT NULL,
+    reason TEXT NOT NULL,
+    alert TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_login_attempts_created
+    ON login_attempts (created_at);
+
+  CREATE INDEX IF NOT EXISTS idx_login_attempts_user
+    ON login_attempts (user_id, success, ip);
 `);
 
 logger.info('✅ Database tables created');
@@ -262,6 +780,168 @@ try {
   // Column already exists
 }
 
+try {
+  db.prepare('ALTER TABLE leads ADD COLUMN whatsapp_normalized TEXT').run();
+  logger.info('✅ Column "whatsapp_normalized" added');
+} catch (e) {
+  // Column already exists
+}
+
+try {
+  db.prepare('ALTER TABLE leads ADD COLUMN email_normalized TEXT').run();
+  logger.info('✅ Column "email_normalized" added');
+} catch (e) {
+  // Column already exists
+}
+
+// Últimos 8 dígitos do WhatsApp (o mesmo número com DDI/DDD diferente), calculados
+// pelo SQLite e indexados para a busca de duplicados
+try {
+  db.prepare(`
+    ALTER TABLE leads ADD COLUMN whatsapp_suffix TEXT GENERATED ALWAYS AS (
+      CASE WHEN length(whatsapp_normalized) >= 8 THEN substr(whatsapp_normalized, -8) END
+    ) VIRTUAL
+  `).run();
+  logger.info('✅ Column "whatsapp_suffix" added');
+} catch (e) {
+  // Column already exists
+}
+
+try {
+  db.prepare('ALTER TABLE leads ADD COLUMN country TEXT').run();
+  logger.info('✅ Column "country" added');
+} catch (e) {
+  // Column already exists
+}
+
+try {
+  db.prepare('ALTER TABLE leads ADD COLUMN deleted_at DATETIME').run();
+  logger.info('✅ Column "deleted_at" added');
+} catch (e) {
+  // Column already exists
+}
+
+try {
+  db.prepare('ALTER TABLE leads ADD COLUMN assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL').run();
+  db.prepare('ALTER TABLE leads ADD COLUMN assigned_at DATETIME').run();
+  logger.info('✅ Columns "assigned_to" and "assigned_at" added');
+} catch (e) {
+  // Column already exists
+}
+
+// Usuários convidados pelo admin: desativar mantém o histórico (leads, atividades)
+try {
+  db.prepare('ALTER TABLE users ADD COLUMN active INTEGER DEFAULT 1').run();
+  db.prepare('ALTER TABLE users ADD COLUMN invite_token_hash TEXT').run();
+  db.prepare('ALTER TABLE users ADD COLUMN invite_expires_at DATETIME').run();
+  logger.info('✅ Columns "active" and invite columns added to users');
+} catch (e) {
+  // Column already exists
+}
+
+// Redefinição de senha por link enviado por email
+try {
+  db.prepare('ALTER TABLE users ADD COLUMN reset_token_hash TEXT').run();
+  db.prepare('ALTER TABLE users ADD COLUMN reset_expires_at DATETIME').run();
+  logger.info('✅ Password reset columns added to users');
+} catch (e) {
+  // Column already exists
+}
+
+// Verificação em duas etapas (TOTP): o secret pendente só vira o ativo depois
+// que o usuário confirma um código do app
+try {
+  db.prepare('ALTER TABLE users ADD COLUMN totp_secret TEXT').run();
+  db.prepare('ALTER TABLE users ADD COLUMN totp_pending_secret TEXT').run();
+  db.prepare('ALTER TABLE users ADD COLUMN totp_enabled_at DATETIME').run();
+  db.prepare('ALTER TABLE users ADD COLUMN totp_last_counter INTEGER').run();
+  logger.info('✅ Two-factor columns added to users');
+} catch (e) {
+  // Column already exists
+}
+
+// Bloqueio temporário da conta depois de várias senhas ou códigos errados seguidos
+try {
+  db.prepare('ALTER TABLE users ADD COLUMN failed_login_count INTEGER DEFAULT 0').run();
+  db.prepare('ALTER TABLE users ADD COLUMN last_failed_login_at DATETIME').run();
+  db.prepare('ALTER TABLE users ADD COLUMN locked_until DATETIME').run();
+  logger.info('✅ Login lockout columns added to users');
+} catch (e) {
+  // Column already exists
+}
+
+// O papel antigo "user" (padrão da coluna) vira viewer, o de menor acesso
+db.prepare(`UPDATE users SET role = 'viewer' WHERE role IS NULL OR role NOT IN (${USER_ROLES.map(() => '?').join(', ')})`)
+  .run(...USER_ROLES);
+
+// Participação de cada usuário na distribuição automática de leads
+try {
+  db.prepare('ALTER TABLE users ADD COLUMN receives_leads INTEGER DEFAULT 1').run();
+  db.prepare('ALTER TABLE users ADD COLUMN assignment_weight INTEGER DEFAULT 1').run();
+  db.prepare('ALTER TABLE users ADD COLUMN assignment_score INTEGER DEFAULT 0').run();
+  logger.info('✅ Assignment columns added to users');
+} catch (e) {
+  // Column already exists
+}
+
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_leads_whatsapp_normalized ON leads (whatsapp_normalized);
+  CREATE INDEX IF NOT EXISTS idx_leads_email_normalized ON leads (email_normalized);
+  CREATE INDEX IF NOT EXISTS idx_leads_whatsapp_suffix ON leads (whatsapp_suffix);
+  CREATE INDEX IF NOT EXISTS idx_leads_country ON leads (country);
+  CREATE INDEX IF NOT EXISTS idx_leads_deleted_at ON leads (deleted_at);
+  CREATE INDEX IF NOT EXISTS idx_leads_assigned_to ON leads (assigned_to);
+`);
+
+try {
+  db.prepare('ALTER TABLE webhook_outbox ADD COLUMN subscription_id INTEGER REFERENCES webhook_subscriptions(id) ON DELETE CASCADE').run();
+  logger.info('✅ Column "subscription_id" added to webhook_outbox');
+} catch (e) {
+  // Column already exists
+}
+
+try {
+  db.prepare('ALTER TABLE webhook_outbox ADD COLUMN redelivery_of INTEGER').run();
+  logger.info('✅ Column "redelivery_of" added to webhook_outbox');
+} catch (e) {
+  // Column already exists
+}
+
+try {
+  db.prepare('ALTER TABLE webhook_outbox ADD COLUMN max_attempts INTEGER').run();
+  logger.info('✅ Column "max_attempts" added to webhook_outbox');
+} catch (e) {
+  // Column already exists
+}
+
+try {
+  db.prepare('ALTER TABLE webhook_attempts ADD COLUMN request_url TEXT').run();
+  logger.info('✅ Column "request_url" added to webhook_attempts');
+} catch (e) {
+  // Column already exists
+}
+
+try {
+  db.prepare('ALTER TABLE webhook_attempts ADD COLUMN request_headers TEXT').run();
+  logger.info('✅ Column "request_headers" added to webhook_attempts');
+} catch (e) {
+  // Column already exists
+}
+
+try {
+  db.prepare('ALTER TABLE webhook_subscriptions ADD COLUMN previous_secret TEXT').run();
+  logger.info('✅ Column "previous_secret" added to webhook_subscriptions');
+} catch (e) {
+  // Column already exists
+}
+
+try {
+  db.prepare('ALTER TABLE webhook_subscriptions ADD COLUMN previous_secret_expires_at DATETIME').run();
+  logger.info('✅ Column "previous_secret_expires_at" added to webhook_subscriptions');
+} catch (e) {
+  // Column already exists
+}
+
 // Create admin user if not exists (com senha do .env) (#1)
 const adminExists = db.prepare('SELECT * FROM users WHERE email = ?').get(ADMIN_EMAIL);
 if (!adminExists) {
@@ -330,518 +1010,6311 @@ if (courseCount.count === 0) {
 }
 
 // ========================================
-// MIDDLEWARE DE AUTENTICAÇÃO
+// RATE LIMITING (#4)
 // ========================================
 
-const authMiddleware = (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split(' ')[1] || req.cookies.token;
-    
-    if (!token) {
+// Limites por rota, contados por IP. Os contadores ficam no banco
+// (lib/rateLimitStore.js), então valem para todos os processos do servidor e
+// não zeram quando ele reinicia. O admin vê e libera os IPs limitados em
+// /admin/security.
+const RATE_LIMITS = {
+  // Login, segunda etapa, convite e redefinição de senha (anti brute-force)
+  login: {
+    label: 'Login',
+    max: parseInt(process.env.RATE_LIMIT_LOGIN_MAX) || 5,
+    windowMinutes: parseInt(process.env.RATE_LIMIT_LOGIN_WINDOW_MINUTES) || 15,
+    testMax: 100,
+    message: 'Muitas tentativas de login.',
+    logDetails: (req) => ({ email: req.body?.email })
+  },
+
+  // Formulário público de leads (anti-spam)
+  leads: {
+    label: 'Formulário de leads',
+    max: parseInt(process.env.RATE_LIMIT_LEADS_MAX) || 3,
+    windowMinutes: parseInt(process.env.RATE_LIMIT_LEADS_WINDOW_MINUTES) || 60,
+    testMax: 100,
+    message: 'Você já enviou muitos formulários.',
+    logDetails: (req) => ({ name: req.body?.name })
+  }
+};
+
+const RATE_LIMIT_PURGE_INTERVAL_MINUTES = 30;
+
+// Com NODE_ENV=test vale o testMax de cada limite: uma rodada do npm test faz mais
+// logins e envios de formulário do que o limite de produção deixa
+const rateLimitMax = (limit) => (process.env.NODE_ENV === 'test' ? limit.testMax : limit.max);
+
+// Store de cada limite, pelo nome (usados também nas rotas admin)
+const rateLimitStores = {};
+
+// IPv4 em socket IPv6 chega como ::ffff:1.2.3.4. Sem o prefixo, conta pelo próprio
+// IP, e não pela sub-rede /56 que o ipKeyGenerator aplica a IPv6 (que juntaria
+// todos os IPv4 em uma chave só)
+const rateLimitKey = (req) => ipKeyGenerator(req.ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, ''));
+
+const createRateLimiter = (name) => {
+  const limit = RATE_LIMITS[name];
+  rateLimitStores[name] = createRateLimitStore(db, { name });
+
+  return rateLimit({
+    windowMs: limit.windowMinutes * 60 * 1000,
+    max: rateLimitMax(limit),
+    store: rateLimitStores[name],
+    keyGenerator: rateLimitKey,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+      const minutesLeft = Math.max(1, Math.ceil((req.rateLimit.resetTime - Date.now()) / 60000));
+
+      logger.warn(`Rate limit excedido - ${limit.label}`, { ip: req.ip, ...limit.logDetails(req) });
+      res.status(429).json({ error: `${limit.message} Tente novamente em ${minutesLeft} minuto(s).` });
+    }
+  });
+};
+
+const loginLimiter = createRateLimiter('login');
+const leadsLimiter = createRateLimiter('leads');
+
+// Contadores de janelas que já acabaram não bloqueiam mais ninguém; só ocupam espaço
+const purgeRateLimits = () => {
+  const removed = purgeExpiredRateLimits(db);
+
+  if (removed > 0) {
+    logger.info('Contadores de rate limit vencidos apagados', { count: removed });
+  }
+};
+
+// ========================================
+// PIPELINE DE VENDAS (ETAPAS DOS LEADS)
+// ========================================
+
+// leads.status guarda a key da etapa. kind diz se a etapa está em aberto,
+// é ganho (matrícula) ou perda - é o que as estatísticas usam.
+const defaultPipelineStages = [
+  { key: 'new', label: 'Novo', color: '#d97706', kind: 'open' },
+  { key: 'contacted', label: 'Contatado', color: '#7c3aed', kind: 'open' },
+  { key: 'converted', label: 'Convertido', color: '#059669', kind: 'won' },
+  { key: 'lost', label: 'Perdido', color: '#dc2626', kind: 'lost' }
+];
+
+const stageCount = db.prepare('SELECT COUNT(*) as count FROM pipeline_stages').get();
+if (stageCount.count === 0) {
+  const insertStage = db.prepare(`
+    INSERT INTO pipeline_stages (key, label, color, kind, position)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  db.transaction(() => {
+    defaultPipelineStages.forEach((stage, index) => {
+      insertStage.run(stage.key, stage.label, stage.color, stage.kind, index);
+    });
+  })();
+
+  logger.info('✅ Default pipeline stages inserted');
+}
+
+// Status de leads antigos que não existem no pipeline viram etapas em aberto (nada se perde)
+const orphanStatuses = db.prepare(`
+  SELECT DISTINCT status FROM leads 
+  WHERE status IS NOT NULL AND status NOT IN (SELECT key FROM pipeline_stages)
+`).all();
+
+if (orphanStatuses.length > 0) {
+  const insertStage = db.prepare(`
+    INSERT INTO pipeline_stages (key, label, kind, position)
+    VALUES (?, ?, 'open', (SELECT COALESCE(MAX(position), -1) + 1 FROM pipeline_stages))
+  `);
+
+  db.transaction(() => {
+    for (const { status } of orphanStatuses) {
+      insertStage.run(status, status);
+    }
+  })();
+
+  logger.info('✅ Pipeline stages created from existing lead statuses', {
+    stages: orphanStatuses.map(row => row.status)
+  });
+}
+
+const getPipelineStages = () => {
+  return db.prepare('SELECT * FROM pipeline_stages ORDER BY position, id').all();
+};
+
+const getPipelineStage = (key) => {
+  return db.prepare('SELECT * FROM pipeline_stages WHERE key = ?').get(key);
+};
+
+// Lead novo entra na primeira etapa em aberto
+const getDefaultStageKey = () => {
+  const stage = db.prepare("SELECT key FROM pipeline_stages WHERE kind = 'open' ORDER BY position, id LIMIT 1").get();
+  return stage.key;
+};
+
+// Leads sem status vão para a etapa inicial
+db.prepare('UPDATE leads SET status = ? WHERE status IS NULL').run(getDefaultStageKey());
+
+// ========================================
+// LEADS - TAGS E CAMPOS PERSONALIZADOS
+// ========================================
+
+// Tags são muitos-para-muitos (lead_tags). Cada campo personalizado guarda um valor
+// por lead em lead_custom_values, como texto; o tipo do campo diz como validar e filtrar.
+
+const DEFAULT_TAG_COLOR = '#718096';
+
+// Filtro da listagem por campo personalizado: ?cf_visto=F1
+const CUSTOM_FIELD_FILTER_PREFIX = 'cf_';
+
+// Tags pelo nome, sem diferenciar maiúsculas; com create, as que não existem são criadas
+const findTagsByName = (names, { create = false } = {}) => {
+  const unique = [...new Map(names.map(name => [name.toLowerCase(), name])).values()];
+
+  return unique.map(name => {
+    const tag = db.prepare('SELECT * FROM tags WHERE name = ?').get(name);
+    if (tag || !create) return tag;
+
+    const result = db.prepare('INSERT INTO tags (name, color) VALUES (?, ?)').run(name, DEFAULT_TAG_COLOR);
+    return db.prepare('SELECT * FROM tags WHERE id = ?').get(result.lastInsertRowid);
+  }).filter(Boolean);
+};
+
+// Criar tag é coisa de admin (como em POST /api/admin/tags). Quem edita leads sem ser
+// admin só usa as tags que já existem: devolve o erro de validação dos nomes novos, ou null
+const validateNewTagNames = (names, user, field) => {
+  if (hasPermission(user, 'admin')) return null;
+
+  const unknown = names.filter(name => !db.prepare('SELECT 1 FROM tags WHERE name = ?').get(name));
+  if (unknown.length === 0) return null;
+
+  return { field, message: `Tag não encontrada: ${unknown.join(', ')}. Só administradores criam tags.` };
+};
+
+// Tags de vários leads numa consulta só: { [leadId]: [{ id, name, color }] }
+const getTagsByLead = (leadIds) => {
+  if (leadIds.length === 0) return {};
+
+  const rows = db.prepare(`
+    SELECT lt.lead_id, t.id, t.name, t.color
+    FROM lead_tags lt
+    JOIN tags t ON t.id = lt.tag_id
+    WHERE lt.lead_id IN (${leadIds.map(() => '?').join(', ')})
+    ORDER BY t.name COLLATE NOCASE
+  `).all(...leadIds);
+
+  return rows.reduce((byLead, { lead_id, ...tag }) => {
+    (byLead[lead_id] ||= []).push(tag);
+    return byLead;
+  }, {});
+};
+
+// Adiciona e remove tags do lead; devolve os nomes que mudaram de fato
+const updateLeadTags = (leadId, { add = [], remove = [] }) => {
+  const added = add.filter(tag => db.prepare(
+    'INSERT OR IGNORE INTO lead_tags (lead_id, tag_id) VALUES (?, ?)'
+  ).run(leadId, tag.id).changes > 0);
+
+  const removed = remove.filter(tag => db.prepare(
+    'DELETE FROM lead_tags WHERE lead_id = ? AND tag_id = ?'
+  ).run(leadId, tag.id).changes > 0);
+
+  return { added: added.map(tag => tag.name), removed: removed.map(tag => tag.name) };
+};
+
+// Troca todas as tags do lead pelas da lista
+const setLeadTags = (leadId, tags) => {
+  const current = getTagsByLead([leadId])[leadId] || [];
+  const keep = tags.map(tag => tag.id);
+
+  return updateLeadTags(leadId, { add: tags, remove: current.filter(tag => !keep.includes(tag.id)) });
+};
+
+const serializeCustomField = (field) => ({
+  ...field,
+  options: field.options ? JSON.parse(field.options) : [],
+  show_on_form: Boolean(field.show_on_form)
+});
+
+// Campos na ordem definida pelo admin; formOnly = só os que aparecem na landing page
+const getCustomFields = ({ formOnly = false } = {}) => {
+  return db.prepare(`
+    SELECT * FROM custom_fields${formOnly ? ' WHERE show_on_form = 1' : ''} ORDER BY position, id
+  `).all().map(serializeCustomField);
+};
+
+const getCustomFieldValueSchema = (field) => {
+  switch (field.type) {
+    case 'number':
+      return z.coerce.number({ message: `${field.label} deve ser um número` });
+    case 'select':
+      return z.enum(field.options, { message: `${field.label}: escolha uma das opções` });
+    case 'date':
+      return isoDateSchema;
+    default:
+      return z.string().trim().max(500, `${field.label}: texto muito longo`);
+  }
+};
+
+// Valida { key: valor } contra os campos; vazio ('' ou null) apaga o valor do lead.
+// Os erros saem como ZodError em custom_fields.<key>, como os do resto do lead.
+const parseCustomFieldValues = (values, fields) => {
+  const schema = z.strictObject(
+    Object.fromEntries(fields.map(field => [
+      field.key,
+      z.preprocess(value => (value === '' ? null : value), getCustomFieldValueSchema(field).nullable()).optional()
+    ])),
+    { error: issue => (issue.code === 'unrecognized_keys' ? `Campo não existe: ${issue.keys.join(', ')}` : undefined) }
+  );
+
+  return z.object({ custom_fields: schema }).parse({ custom_fields: values }).custom_fields;
+};
+
+// Valores do lead como { key: valor } (números voltam como número)
+const getLeadCustomValues = (leadId) => {
+  const rows = db.prepare(`
+    SELECT f.key, f.type, v.value
+    FROM lead_custom_values v
+    JOIN custom_fields f ON f.id = v.field_id
+    WHERE v.lead_id = ?
+    ORDER BY f.position, f.id
+  `).all(leadId);
+
+  return Object.fromEntries(rows.map(row => [row.key, row.type === 'number' ? Number(row.value) : row.value]));
+};
+
+// Grava os valores já validados; com onlyMissing não sobrescreve o que o lead já tem.
+// Devolve as keys que mudaram.
+const saveLeadCustomValues = (leadId, values, fields, { onlyMissing = false } = {}) => {
+  const current = getLeadCustomValues(leadId);
+  const changed = [];
+
+  for (const field of fields) {
+    if (!(field.key in values)) continue;
+
+    const value = values[field.key] === null || values[field.key] === '' ? null : String(values[field.key]);
+    const previous = field.key in current ? String(current[field.key]) : null;
+
+    if (value === previous || (onlyMissing && previous !== null)) continue;
+
+    if (value === null) {
+      db.prepare('DELETE FROM lead_custom_values WHERE lead_id = ? AND field_id = ?').run(leadId, field.id);
+    } else {
+      db.prepare(`
+        INSERT INTO lead_custom_values (lead_id, field_id, value) VALUES (?, ?, ?)
+        ON CONFLICT (lead_id, field_id) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+      `).run(leadId, field.id, value);
+    }
+
+    changed.push(field.key);
+  }
+
+  return changed;
+};
+
+// ========================================
+// LEADS - NORMALIZAÇÃO E DUPLICADOS
+// ========================================
+
+// Email em minúsculas e sem espaços; vazio vira null
+const normalizeEmail = (email) => {
+  const normalized = (email || '').trim().toLowerCase();
+  return normalized || null;
+};
+
+// País usado para números sem DDI quando o formulário não manda phone_country
+const DEFAULT_PHONE_COUNTRY = COUNTRIES[process.env.DEFAULT_PHONE_COUNTRY]
+  ? process.env.DEFAULT_PHONE_COUNTRY
+  : 'US';
+
+// WhatsApp em E.164, para comparar "(11) 98888-7777" com "+55 11 98888-7777".
+// Número que não dá para normalizar fica só com os dígitos.
+const normalizeWhatsapp = (whatsapp, defaultCountry = DEFAULT_PHONE_COUNTRY) => {
+  const phone = normalizePhone(whatsapp, defaultCountry);
+  if (phone) return phone.e164;
+
+  const digits = (whatsapp || '').replace(/\D/g, '');
+  return digits || null;
+};
+
+// Preenche as colunas normalizadas (e o país) de leads antigos
+const leadsToNormalize = db.prepare(`
+  SELECT id, whatsapp, email, whatsapp_normalized, country FROM leads 
+  WHERE whatsapp_normalized IS NULL OR whatsapp_normalized NOT LIKE '+%'
+`).all();
+
+if (leadsToNormalize.length > 0) {
+  const updateNormalized = db.prepare(`
+    UPDATE leads SET whatsapp_normalized = ?, email_normalized = ?, country = ? WHERE id = ?
+  `);
+  let normalizedCount = 0;
+
+  db.transaction(() => {
+    for (const lead of leadsToNormalize) {
+      const whatsappNormalized = normalizeWhatsapp(lead.whatsapp);
+      if (whatsappNormalized === lead.whatsapp_normalized) continue;
+
+      const phone = normalizePhone(lead.whatsapp, DEFAULT_PHONE_COUNTRY);
+      updateNormalized.run(whatsappNormalized, normalizeEmail(lead.email), phone?.country || lead.country, lead.id);
+      normalizedCount++;
+    }
+  })();
+
+  if (normalizedCount > 0) {
+    logger.info('✅ Leads normalizados', { count: normalizedCount });
+  }
+}
+
+// Todo lead tem pelo menos um touchpoint (o envio original)
+const backfilledTouchpoints = db.prepare(`
+  INSERT INTO lead_touchpoints (
+    lead_id, name, email, whatsapp, city, level, goal, schedule, message,
+    source, utm_source, utm_medium, utm_campaign, created_at
+  )
+  SELECT 
+    id, name, email, whatsapp, city, level, goal, schedule, message,
+    source, utm_source, utm_medium, utm_campaign, created_at
+  FROM leads
+  WHERE id NOT IN (SELECT lead_id FROM lead_touchpoints)
+`).run();
+
+if (backfilledTouchpoints.changes > 0) {
+  logger.info('✅ Touchpoints criados para leads existentes', { count: backfilledTouchpoints.changes });
+}
+
+// Lead mais antigo com o mesmo WhatsApp ou email (leads na lixeira não contam)
+const findDuplicateLead = (whatsappNormalized, emailNormalized) => {
+  return db.prepare(`
+    SELECT * FROM leads
+    WHERE deleted_at IS NULL
+      AND (whatsapp_normalized = ? OR (email_normalized IS NOT NULL AND email_normalized = ?))
+    ORDER BY created_at ASC, id ASC
+    LIMIT 1
+  `).get(whatsappNormalized, emailNormalized);
+};
+
+// Insere um lead novo na primeira etapa do pipeline (ou em data.status);
+// data.whatsapp já deve estar em E.164 (ver normalizePhone)
+const insertLead = (data) => {
+  const result = db.prepare(`
+    INSERT INTO leads (
+      name, email, whatsapp, city, level, goal, schedule, message,
+      source, utm_source, utm_medium, utm_campaign,
+      whatsapp_normalized, email_normalized, country, status
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    data.name,
+    data.email || null,
+    data.whatsapp,
+    data.city || null,
+    data.level || null,
+    data.goal || null,
+    data.schedule || null,
+    data.message || null,
+    data.source || 'direct',
+    data.utm_source || 'direct',
+    data.utm_medium || 'none',
+    data.utm_campaign || 'none',
+    data.whatsapp,
+    normalizeEmail(data.email),
+    data.country || null,
+    data.status || getDefaultStageKey()
+  );
+  
+  return result.lastInsertRowid;
+};
+
+const insertTouchpoint = (leadId, submission) => {
+  return db.prepare(`
+    INSERT INTO lead_touchpoints (
+      lead_id, name, email, whatsapp, city, level, goal, schedule, message,
+      source, utm_source, utm_medium, utm_campaign
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    leadId,
+    submission.name,
+    submission.email || null,
+    submission.whatsapp,
+    submission.city || null,
+    submission.level || null,
+    submission.goal || null,
+    submission.schedule || null,
+    submission.message || null,
+    submission.source || 'direct',
+    submission.utm_source || 'direct',
+    submission.utm_medium || 'none',
+    submission.utm_campaign || 'none'
+  );
+};
+
+// Campos que um envio novo (ou um merge) pode preencher quando o lead ainda não tem
+const LEAD_FILLABLE_FIELDS = ['email', 'city', 'country', 'level', 'goal', 'schedule', 'message'];
+
+const fillMissingLeadFields = (lead, data) => {
+  const missing = LEAD_FILLABLE_FIELDS.filter(field => !lead[field] && data[field]);
+  if (missing.length === 0) return;
+
+  db.prepare(`UPDATE leads SET ${missing.map(field => `${field} = ?`).join(', ')} WHERE id = ?`)
+    .run(...missing.map(field => data[field]), lead.id);
+
+  if (missing.includes('email')) {
+    db.prepare('UPDATE leads SET email_normalized = ? WHERE id = ?').run(normalizeEmail(data.email), lead.id);
+  }
+};
+
+// Registra um item na timeline do lead (notas, ligações, mudanças de status...)
+const logLeadActivity = (leadId, type, { userId = null, content = null, outcome = null, metadata = null } = {}) => {
+  return db.prepare(`
+    INSERT INTO lead_activities (lead_id, user_id, type, content, outcome, metadata)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(leadId, userId, type, content, outcome, metadata ? JSON.stringify(metadata) : null);
+};
+
+// Junta o histórico do lead de origem no lead de destino e remove a origem
+const mergeLeads = db.transaction((target, source, userId = null) => {
+  db.prepare('UPDATE lead_touchpoints SET lead_id = ? WHERE lead_id = ?').run(target.id, source.id);
+  db.prepare('UPDATE lead_activities SET lead_id = ? WHERE lead_id = ?').run(target.id, source.id);
+  db.prepare('UPDATE lead_tasks SET lead_id = ? WHERE lead_id = ?').run(target.id, source.id);
+  fillMissingLeadFields(target, source);
+
+  // Tags somam; nos campos personalizados vale o valor do destino, se tiver
+  db.prepare(`
+    INSERT OR IGNORE INTO lead_tags (lead_id, tag_id, created_at)
+    SELECT ?, tag_id, created_at FROM lead_tags WHERE lead_id = ?
+  `).run(target.id, source.id);
+  db.prepare(`
+    INSERT OR IGNORE INTO lead_custom_values (lead_id, field_id, value, updated_at)
+    SELECT ?, field_id, value, updated_at FROM lead_custom_values WHERE lead_id = ?
+  `).run(target.id, source.id);
+
+  logLeadActivity(target.id, 'merge', {
+    userId,
+    content: `Lead #${source.id} (${source.name}) mesclado neste lead`,
+    metadata: { source_id: source.id, source_name: source.name, source_whatsapp: source.whatsapp }
+  });
+
+  // O lead resultante fica com a data do primeiro contato
+  if (source.created_at < target.created_at) {
+    db.prepare('UPDATE leads SET created_at = ? WHERE id = ?').run(source.created_at, target.id);
+  }
+
+  // Tags e valores que sobraram na origem saem pela cascata
+  db.prepare('DELETE FROM leads WHERE id = ?').run(source.id);
+});
+
+// ========================================
+// LEADS - LIXEIRA
+// ========================================
+
+// Lead deletado ganha deleted_at e some das listas e estatísticas; pode ser
+// restaurado até a limpeza automática, LEAD_TRASH_RETENTION_DAYS depois.
+const LEAD_TRASH_RETENTION_DAYS = parseInt(process.env.LEAD_TRASH_RETENTION_DAYS) || 30;
+const LEAD_TRASH_PURGE_INTERVAL_MINUTES = parseInt(process.env.LEAD_TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+// Quando o lead da lixeira será excluído de vez (NULL fora da lixeira)
+const LEAD_PURGE_AT_SQL = `datetime(leads.deleted_at, '+${LEAD_TRASH_RETENTION_DAYS} days')`;
+
+// Lead fora da lixeira. Os da lixeira só podem ser vistos, restaurados ou excluídos de vez.
+const findActiveLead = (id) => {
+  return db.prepare('SELECT * FROM leads WHERE id = ? AND deleted_at IS NULL').get(id);
+};
+
+const trashLead = (lead, userId, metadata) => {
+  db.prepare("UPDATE leads SET deleted_at = datetime('now') WHERE id = ?").run(lead.id);
+  logLeadActivity(lead.id, 'trash', { userId, metadata });
+  
+  enqueueWebhook('lead.deleted', {
+    id: lead.id,
+    name: lead.name,
+    whatsapp: lead.whatsapp,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const restoreLead = (lead, userId) => {
+  db.prepare('UPDATE leads SET deleted_at = NULL WHERE id = ?').run(lead.id);
+  logLeadActivity(lead.id, 'restore', { userId });
+  
+  enqueueWebhook('lead.restored', {
+    id: lead.id,
+    name: lead.name,
+    whatsapp: lead.whatsapp,
+    status: lead.status,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Exclusão definitiva; touchpoints, histórico, tarefas, tags e campos saem pela cascata
+const purgeLead = (leadId) => {
+  db.prepare('DELETE FROM leads WHERE id = ?').run(leadId);
+};
+
+// Job: exclui de vez os leads que passaram do prazo na lixeira
+const purgeExpiredTrash = () => {
+  const expired = db.prepare(`
+    SELECT id FROM leads 
+    WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)
+  `).all(`-${LEAD_TRASH_RETENTION_DAYS} days`);
+  
+  if (expired.length === 0) return;
+  
+  db.transaction(() => {
+    expired.forEach(lead => purgeLead(lead.id));
+  })();
+  
+  logger.info('Leads excluídos da lixeira pelo prazo', { 
+    count: expired.length,
+    retentionDays: LEAD_TRASH_RETENTION_DAYS
+  });
+};
+
+// ========================================
+// LEADS - DISTRIBUIÇÃO ENTRE VENDEDORES
+// ========================================
+
+// Modo inicial; depois o admin muda em /admin/assignment (fica na tabela settings)
+const DEFAULT_LEAD_ASSIGNMENT_MODE = LEAD_ASSIGNMENT_MODES.includes(process.env.LEAD_ASSIGNMENT_MODE)
+  ? process.env.LEAD_ASSIGNMENT_MODE
+  : 'round_robin';
+
+// Leads em aberto: etapa do tipo open (ou sem etapa conhecida), fora da lixeira
+const OPEN_LEAD_SQL = `leads.deleted_at IS NULL AND COALESCE(
+  (SELECT s.kind FROM pipeline_stages s WHERE s.key = leads.status), 'open'
+) = 'open'`;
+
+const getSetting = (key, fallback = null) => {
+  return db.prepare('SELECT value FROM settings WHERE key = ?').get(key)?.value ?? fallback;
+};
+
+const setSetting = (key, value) => {
+  db.prepare(`
+    INSERT INTO settings (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+  `).run(key, value === null ? null : String(value));
+};
+
+const getAssignmentMode = () => getSetting('lead_assignment_mode', DEFAULT_LEAD_ASSIGNMENT_MODE);
+
+const getUserName = (userId) => {
+  return userId ? db.prepare('SELECT name FROM users WHERE id = ?').get(userId)?.name ?? null : null;
+};
+
+// Usuários que podem ser responsáveis por leads: ativos, admin ou vendedor
+const LEAD_OWNER_USER_SQL = "active = 1 AND role IN ('admin', 'seller')";
+
+// Usuários no rodízio, na ordem de cadastro
+const getActiveSellers = () => {
+  return db.prepare(`
+    SELECT id, name, assignment_weight, assignment_score 
+    FROM users WHERE receives_leads = 1 AND ${LEAD_OWNER_USER_SQL}
+    ORDER BY id
+  `).all();
+};
+
+// Round-robin: o primeiro id depois do último que recebeu, voltando ao começo da fila
+const pickRoundRobinSeller = (sellers) => {
+  const lastId = Number(getSetting('lead_assignment_last_user_id')) || 0;
+  return sellers.find(seller => seller.id > lastId) || sellers[0];
+};
+
+// Por peso (round-robin ponderado "suave", o mesmo do nginx): cada vendedor soma
+// o próprio peso ao placar, o maior placar recebe o lead e desconta o peso total.
+// Com pesos 3 e 1 a sequência é A, A, B, A, sem rajadas para o mesmo vendedor.
+const pickWeightedSeller = (sellers) => {
+  const totalWeight = sellers.reduce((sum, seller) => sum + seller.assignment_weight, 0);
+  const scored = sellers.map(seller => ({ ...seller, score: seller.assignment_score + seller.assignment_weight }));
+  const chosen = scored.reduce((best, seller) => (seller.score > best.score ? seller : best));
+  
+  const updateScore = db.prepare('UPDATE users SET assignment_score = ? WHERE id = ?');
+  for (const seller of scored) {
+    updateScore.run(seller.id === chosen.id ? seller.score - totalWeight : seller.score, seller.id);
+  }
+  
+  return chosen;
+};
+
+// Mudou quem participa ou o peso: o rodízio ponderado recomeça do zero
+const resetAssignmentScores = () => {
+  db.prepare('UPDATE users SET assignment_score = 0').run();
+};
+
+// Próximo vendedor do rodízio (null com a distribuição desligada ou sem ninguém recebendo)
+const pickNextSeller = () => {
+  const mode = getAssignmentMode();
+  const sellers = getActiveSellers();
+  
+  if (mode === 'off' || sellers.length === 0) return null;
+  
+  const seller = mode === 'weighted' ? pickWeightedSeller(sellers) : pickRoundRobinSeller(sellers);
+  setSetting('lead_assignment_last_user_id', seller.id);
+  return seller;
+};
+
+// Troca o responsável (userId null tira) e registra na timeline. Retorna false se nada mudou.
+const assignLead = (lead, userId, { actorId = null, auto = false, ...metadata } = {}) => {
+  const previous = lead.assigned_to ?? null;
+  if (previous === (userId ?? null)) return false;
+  
+  db.prepare(`UPDATE leads SET assigned_to = ?, assigned_at = ${userId ? "datetime('now')" : 'NULL'} WHERE id = ?`)
+    .run(userId, lead.id);
+  
+  logLeadActivity(lead.id, 'assignment', {
+    userId: actorId,
+    metadata: {
+      from: previous,
+      from_name: getUserName(previous),
+      to: userId,
+      to_name: getUserName(userId),
+      ...(auto && { auto: true }),
+      ...metadata
+    }
+  });
+  
+  return true;
+};
+
+// Lead novo (formulário ou importação) vai para o próximo vendedor do rodízio
+const autoAssignLead = (leadId) => {
+  const seller = pickNextSeller();
+  if (seller) assignLead({ id: leadId, assigned_to: null }, seller.id, { auto: true });
+  return seller;
+};
+
+// ========================================
+// LEADS - TAREFAS DE FOLLOW-UP
+// ========================================
+
+// O job marca as tarefas vencidas (overdue_at) a cada LEAD_TASK_OVERDUE_INTERVAL_MINUTES
+// e dispara task.overdue uma vez por tarefa. Datas em UTC, como o resto do banco.
+const LEAD_TASK_OVERDUE_INTERVAL_MINUTES = parseInt(process.env.LEAD_TASK_OVERDUE_INTERVAL_MINUTES) || 5;
+
+const selectLeadTasks = `
+  SELECT t.*, l.name as lead_name, u.name as assigned_name
+  FROM lead_tasks t
+  JOIN leads l ON l.id = t.lead_id
+  LEFT JOIN users u ON u.id = t.assigned_to
+`;
+
+// Atrasada = o job já marcou e ninguém concluiu
+const serializeLeadTask = (task) => ({
+  ...task,
+  done: Boolean(task.done_at),
+  overdue: Boolean(task.overdue_at && !task.done_at)
+});
+
+// Tarefa de um lead fora da lixeira (as dos leads na lixeira só podem ser vistas);
+// com ownerId, só dos leads desse vendedor
+const findActiveLeadTask = (id, ownerId = null) => {
+  return db.prepare(`
+    ${selectLeadTasks} 
+    WHERE t.id = ? AND l.deleted_at IS NULL${ownerId !== null ? ' AND l.assigned_to = ?' : ''}
+  `).get(id, ...(ownerId !== null ? [ownerId] : []));
+};
+
+// Job: marca as tarefas que venceram sem ser concluídas
+const markOverdueTasks = () => {
+  const tasks = db.prepare(`
+    ${selectLeadTasks}
+    WHERE t.done_at IS NULL AND t.overdue_at IS NULL
+      AND t.due_at <= datetime('now') AND l.deleted_at IS NULL
+  `).all();
+  
+  if (tasks.length === 0) return;
+  
+  db.transaction(() => {
+    const markOverdue = db.prepare("UPDATE lead_tasks SET overdue_at = datetime('now') WHERE id = ?");
+    
+    tasks.forEach(task => {
+      markOverdue.run(task.id);
+      
+      enqueueWebhook('task.overdue', {
+        id: task.id,
+        title: task.title,
+        due_at: new Date(`${task.due_at.replace(' ', 'T')}Z`).toISOString(),
+        lead_id: task.lead_id,
+        lead_name: task.lead_name,
+        assigned_to: task.assigned_to,
+        assigned_name: task.assigned_name,
+        timestamp: new Date().toISOString()
+      });
+    });
+  })();
+  
+  logger.info('Tarefas marcadas como atrasadas', { count: tasks.length });
+};
+
+// ========================================
+// WEBHOOKS - OUTBOX E DISPATCHER
+// ========================================
+
+// Os eventos são gravados no outbox (SQLite) e entregues em background,
+// então uma falha do Make.com/Zapier não perde o lead nem atrasa a resposta.
+// Fila, backoff e descarte ficam em lib/webhookOutbox.js; aqui fica o envio HTTP.
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const WEBHOOK_RETRY_MAX_SECONDS = parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS) || 6 * 60 * 60;
+const WEBHOOK_DISPATCH_INTERVAL_SECONDS = parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS) || 10;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Entregas do teste e do reenvio manual ficam fora do dispatcher enquanto a
+// primeira tentativa é feita na hora
+const WEBHOOK_MANUAL_HOLD_SECONDS = 60 * 60;
+
+const webhookOutbox = createWebhookOutbox(db, {
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryBaseSeconds: WEBHOOK_RETRY_BASE_SECONDS,
+  retryMaxSeconds: WEBHOOK_RETRY_MAX_SECONDS,
+  onEnqueue: () => dispatchWebhooks()
+});
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+// Converte a linha do banco para a resposta da API (secret só quando pedido)
+const serializeWebhookSubscription = (subscription, { includeSecret = false } = {}) => {
+  const { secret, previous_secret, ...rest } = subscription;
+  const rotating = !!previous_secret
+    && new Date(`${subscription.previous_secret_expires_at.replace(' ', 'T')}Z`) > new Date();
+
+  return {
+    ...rest,
+    events: JSON.parse(subscription.events),
+    active: !!subscription.active,
+    rotating,
+    previous_secret_expires_at: rotating ? subscription.previous_secret_expires_at : null,
+    ...(includeSecret
+      ? { secret }
+      : { secret_preview: `${secret.slice(0, 10)}…${secret.slice(-4)}` })
+  };
+};
+
+// Migra o par WEBHOOK_URL/WEBHOOK_SECRET do .env para uma assinatura no banco, uma
+// única vez: depois disso a assinatura é do admin, que pode editar a URL ou apagá-la
+// sem que ela volte no próximo start
+if (process.env.WEBHOOK_URL && !getSetting('webhook_env_migrated')) {
+  const envSubscription = db.prepare('SELECT id FROM webhook_subscriptions WHERE url = ?')
+    .get(process.env.WEBHOOK_URL);
+
+  if (!envSubscription) {
+    const result = db.prepare(`
+      INSERT INTO webhook_subscriptions (name, url, secret, events)
+      VALUES (?, ?, ?, ?)
+    `).run(
+      'Webhook do .env',
+      process.env.WEBHOOK_URL,
+      process.env.WEBHOOK_SECRET || generateWebhookSecret(),
+      JSON.stringify(['lead.created'])
+    );
+
+    // Entregas antigas (antes das assinaturas) passam a pertencer a esta assinatura
+    db.prepare('UPDATE webhook_outbox SET subscription_id = ? WHERE subscription_id IS NULL')
+      .run(result.lastInsertRowid);
+
+    logger.info('✅ Webhook do .env migrado para assinatura', { subscriptionId: result.lastInsertRowid });
+  }
+
+  setSetting('webhook_env_migrated', new Date().toISOString());
+}
+
+// Assinaturas apagadas antes da exclusão em cascata deixaram entregas para trás
+const orphanWebhooks = webhookOutbox.purgeOrphans();
+if (orphanWebhooks.deliveries > 0) {
+  logger.info('✅ Entregas de webhooks apagados removidas', orphanWebhooks);
+}
+
+// Grava o evento no outbox, uma entrega por assinatura ativa que escuta o evento.
+// Com subscriptionId, envia apenas para aquela assinatura (usado no evento de teste).
+const enqueueWebhook = (event, payload, options) => {
+  const outboxIds = webhookOutbox.enqueue(event, payload, options);
+
+  if (outboxIds.length > 0) {
+    logger.info('📥 Webhook enfileirado', { outboxIds, event });
+  }
+
+  return outboxIds;
+};
+
+// Payload do lead.created a partir do lead gravado (linha de leads), igual para o
+// formulário e a importação
+const buildLeadCreatedPayload = (lead) => {
+  const seller = lead.assigned_to
+    ? db.prepare('SELECT name FROM users WHERE id = ?').get(lead.assigned_to)
+    : null;
+
+  return {
+    id: lead.id,
+    name: lead.name,
+    whatsapp: lead.whatsapp,
+    country: lead.country,
+    city: lead.city,
+    level: lead.level,
+    goal: lead.goal,
+    schedule: lead.schedule,
+    message: lead.message,
+    email: lead.email,
+    source: lead.source,
+    utm_source: lead.utm_source,
+    utm_medium: lead.utm_medium,
+    utm_campaign: lead.utm_campaign,
+    tags: (getTagsByLead([lead.id])[lead.id] || []).map(tag => tag.name),
+    custom_fields: getLeadCustomValues(lead.id),
+    assigned_to: lead.assigned_to ?? null,
+    assigned_name: seller?.name ?? null,
+    timestamp: new Date().toISOString()
+  };
+};
+
+// Envia uma entrega do outbox e registra a tentativa
+const deliverWebhook = async (delivery) => {
+  const body = delivery.payload;
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Delivery': delivery.id.toString()
+  };
+
+  // Assinatura HMAC do webhook (#13) cobrindo timestamp + body (anti-replay)
+  const timestamp = Math.floor(Date.now() / 1000);
+  headers['X-Webhook-Signature'] = signWebhookPayload(
+    body,
+    [delivery.secret, delivery.previous_secret],
+    timestamp
+  );
+  headers['X-Webhook-Timestamp'] = timestamp.toString();
+
+  const attempt = {
+    number: delivery.attempts + 1,
+    headers,
+    statusCode: null,
+    responseBody: null,
+    error: null,
+    success: false
+  };
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+
+    attempt.statusCode = response.status;
+    attempt.responseBody = (await response.text()).slice(0, 2000);
+    attempt.success = response.ok;
+
+    if (!response.ok) {
+      attempt.error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  const outcome = webhookOutbox.recordAttempt(delivery, attempt);
+
+  if (outcome.status === 'delivered') {
+    logger.info('✅ Webhook enviado com sucesso', {
+      outboxId: delivery.id,
+      subscriptionId: delivery.subscription_id,
+      event: delivery.event,
+      attempt: attempt.number
+    });
+  } else if (outcome.status === 'dead') {
+    logger.error('❌ Webhook descartado após esgotar tentativas', {
+      outboxId: delivery.id,
+      event: delivery.event,
+      attempts: attempt.number,
+      error: attempt.error
+    });
+  } else {
+    logger.warn('⚠️ Falha ao enviar webhook, nova tentativa agendada', {
+      outboxId: delivery.id,
+      event: delivery.event,
+      attempt: attempt.number,
+      status: attempt.statusCode,
+      error: attempt.error,
+      retryInSeconds: outcome.retryInSeconds
+    });
+  }
+
+  return attempt;
+};
+
+// Entrega imediata (fora do ciclo do dispatcher), usada no teste e no reenvio manual.
+// A entrega deve ter sido gravada com holdSeconds para o dispatcher não pegá-la junto.
+const sendWebhookNow = async (outboxId) => {
+  return deliverWebhook(webhookOutbox.getDelivery(outboxId));
+};
+
+// Processa as entregas pendentes cujo horário de nova tentativa já chegou
+const dispatchWebhooks = async () => {
+  try {
+    await webhookOutbox.dispatch(deliverWebhook);
+  } catch (error) {
+    logger.error('Erro no dispatcher de webhooks', { error: error.message, stack: error.stack });
+  }
+};
+
+// ========================================
+// JOBS EM BACKGROUND
+// ========================================
+
+const backgroundJobs = [];
+
+const scheduleJob = (name, intervalMs, job) => {
+  const timer = setInterval(async () => {
+    try {
+      await job();
+    } catch (error) {
+      logger.error(`Erro no job "${name}"`, { error: error.message, stack: error.stack });
+    }
+  }, intervalMs);
+
+  // Não impede o processo de encerrar
+  timer.unref();
+  backgroundJobs.push(timer);
+};
+
+// ========================================
+// USUÁRIOS, CONVITES E SENHAS
+// ========================================
+
+// Endereço do painel, usado nos links enviados aos usuários (convites, redefinição de senha)
+const APP_URL = (process.env.APP_URL || allowedOrigins[0]).replace(/\/$/, '');
+const USER_INVITE_EXPIRATION_HOURS = parseInt(process.env.USER_INVITE_EXPIRATION_HOURS) || 72;
+const PASSWORD_RESET_EXPIRATION_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRATION_MINUTES) || 60;
+
+// Transporte plugável (lib/mailer.js): console e file para desenvolvimento
+const mailer = createMailer({
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || `no-reply@${new URL(APP_URL).hostname}`,
+  dir: process.env.MAIL_DIR || 'mail',
+  log: (text) => logger.info(`Email (transporte console)\n${text}`)
+});
+
+// Tokens enviados por link ficam só como hash no banco
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Usuário convidado ainda não tem senha: guarda um hash que nenhuma senha confere
+const createUnusablePassword = () => bcryptjs.hashSync(crypto.randomBytes(32).toString('hex'), 12);
+
+// Novo link de convite (invalida o anterior)
+const createUserInvite = (userId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  
+  db.prepare(`
+    UPDATE users SET invite_token_hash = ?, invite_expires_at = datetime('now', ?) WHERE id = ?
+  `).run(hashToken(token), `+${USER_INVITE_EXPIRATION_HOURS} hours`, userId);
+  
+  return `${APP_URL}/invite/${token}`;
+};
+
+const findUserByInviteToken = (token) => {
+  return db.prepare(`
+    SELECT * FROM users 
+    WHERE invite_token_hash = ? AND invite_expires_at > datetime('now') AND active = 1
+  `).get(hashToken(token));
+};
+
+// Novo link de redefinição de senha (invalida o anterior)
+const createPasswordReset = (userId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  
+  db.prepare(`
+    UPDATE users SET reset_token_hash = ?, reset_expires_at = datetime('now', ?) WHERE id = ?
+  `).run(hashToken(token), `+${PASSWORD_RESET_EXPIRATION_MINUTES} minutes`, userId);
+  
+  return `${APP_URL}/reset-password/${token}`;
+};
+
+const findUserByResetToken = (token) => {
+  return db.prepare(`
+    SELECT * FROM users 
+    WHERE reset_token_hash = ? AND reset_expires_at > datetime('now') AND active = 1
+  `).get(hashToken(token));
+};
+
+const sendPasswordResetEmail = (user, resetUrl) => {
+  return mailer.send({
+    to: user.email,
+    subject: 'Redefinição de senha do painel',
+    text: [
+      `Olá, ${user.name}!`,
+      '',
+      'Recebemos um pedido para redefinir a sua senha do painel. Para criar uma nova senha, abra o link abaixo:',
+      '',
+      resetUrl,
+      '',
+      `O link vale por ${PASSWORD_RESET_EXPIRATION_MINUTES} minutos e só pode ser usado uma vez.`,
+      'Se você não pediu a redefinição, ignore este email: a senha atual continua valendo.'
+    ].join('\n')
+  });
+};
+
+// Usuário sem senha, hash ou token
+const serializeUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  active: Boolean(user.active),
+  invite_pending: Boolean(user.invite_token_hash),
+  invite_expires_at: user.invite_expires_at,
+  two_factor_enabled: Boolean(user.totp_enabled_at),
+  created_at: user.created_at
+});
+
+// ========================================
+// SESSÕES (ACCESS TOKEN + REFRESH TOKEN)
+// ========================================
+
+// O access token (JWT) vale poucos minutos e carrega o id da sessão (sid).
+// O refresh token fica num cookie httpOnly, é trocado a cada uso e, no banco,
+// só o hash é guardado. Encerrar a sessão derruba os dois na hora.
+const ACCESS_TOKEN_EXPIRATION_MINUTES = parseInt(process.env.ACCESS_TOKEN_EXPIRATION_MINUTES) || 15;
+const REFRESH_TOKEN_EXPIRATION_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRATION_DAYS) || 30;
+
+// Sessões encerradas ou expiradas ficam no banco por um tempo antes de serem apagadas
+const SESSION_RETENTION_DAYS = 30;
+const SESSION_PURGE_INTERVAL_MINUTES = 60;
+
+// last_seen_at é atualizado no máximo uma vez por minuto, não a cada requisição
+const SESSION_LAST_SEEN_INTERVAL_SECONDS = 60;
+
+const REFRESH_COOKIE = 'refresh_token';
+
+// Só as rotas /api/auth recebem o cookie
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api/auth'
+};
+
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: `${ACCESS_TOKEN_EXPIRATION_MINUTES}m` }
+  );
+};
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...refreshCookieOptions,
+    maxAge: REFRESH_TOKEN_EXPIRATION_DAYS * 24 * 60 * 60 * 1000
+  });
+};
+
+const clearRefreshCookie = (res) => res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+
+const getUserAgent = (req) => (req.get('user-agent') || '').slice(0, 255);
+
+// Abre uma sessão no login: grava o refresh token no cookie e devolve o access token
+const createSession = (req, res, user) => {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  
+  const result = db.prepare(`
+    INSERT INTO user_sessions (user_id, refresh_token_hash, ip, user_agent, expires_at)
+    VALUES (?, ?, ?, ?, datetime('now', ?))
+  `).run(user.id, hashToken(refreshToken), req.ip, getUserAgent(req), `+${REFRESH_TOKEN_EXPIRATION_DAYS} days`);
+  
+  setRefreshCookie(res, refreshToken);
+  
+  return signAccessToken(user, result.lastInsertRowid);
+};
+
+// Troca o refresh token e estende a validade da sessão. O hash anterior fica
+// guardado: se ele voltar a ser usado, o cookie foi copiado e a sessão cai
+const rotateSession = (req, res, session) => {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  
+  db.prepare(`
+    UPDATE user_sessions 
+    SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, 
+        expires_at = datetime('now', ?), last_seen_at = CURRENT_TIMESTAMP, ip = ?, user_agent = ?
+    WHERE id = ?
+  `).run(hashToken(refreshToken), `+${REFRESH_TOKEN_EXPIRATION_DAYS} days`, req.ip, getUserAgent(req), session.id);
+  
+  setRefreshCookie(res, refreshToken);
+};
+
+// reason: logout, logout_all, revoked, revoked_by_admin, password_changed, password_reset, deactivated,
+// two_factor_enabled, two_factor_reset, reuse
+const revokeSession = (sessionId, reason) => {
+  return db.prepare(`
+    UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ? 
+    WHERE id = ? AND revoked_at IS NULL
+  `).run(reason, sessionId).changes;
+};
+
+// Encerra todas as sessões abertas do usuário (menos exceptSessionId, se informado)
+const revokeUserSessions = (userId, reason, exceptSessionId = null) => {
+  return db.prepare(`
+    UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ? 
+    WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?
+  `).run(reason, userId, exceptSessionId).changes;
+};
+
+const findSessionByRefreshToken = (refreshToken) => {
+  return db.prepare(`
+    SELECT *, expires_at <= datetime('now') AS expired FROM user_sessions WHERE refresh_token_hash = ?
+  `).get(hashToken(refreshToken));
+};
+
+// Sessões abertas (não encerradas e dentro da validade), da mais recente para a mais antiga.
+// Sem userId, lista as de todos os usuários, com nome e email de cada um
+const listOpenSessions = (userId = null) => {
+  return db.prepare(`
+    SELECT s.id, s.user_id, s.ip, s.user_agent, s.created_at, s.last_seen_at, s.expires_at,
+           u.name AS user_name, u.email AS user_email, u.role AS user_role
+    FROM user_sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.revoked_at IS NULL AND s.expires_at > datetime('now') AND (? IS NULL OR s.user_id = ?)
+    ORDER BY s.last_seen_at DESC, s.id DESC
+  `).all(userId, userId);
+};
+
+const findOpenSession = (sessionId) => {
+  return db.prepare(`
+    SELECT * FROM user_sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+  `).get(sessionId);
+};
+
+// current marca a sessão da própria requisição
+const serializeSession = (session, currentSessionId) => ({
+  id: session.id,
+  ip: session.ip,
+  user_agent: session.user_agent,
+  created_at: session.created_at,
+  last_seen_at: session.last_seen_at,
+  expires_at: session.expires_at,
+  current: session.id === currentSessionId,
+  user: { id: session.user_id, name: session.user_name, email: session.user_email, role: session.user_role }
+});
+
+const purgeOldSessions = () => {
+  const result = db.prepare(`
+    DELETE FROM user_sessions 
+    WHERE revoked_at < datetime('now', ?) OR expires_at < datetime('now', ?)
+  `).run(`-${SESSION_RETENTION_DAYS} days`, `-${SESSION_RETENTION_DAYS} days`);
+  
+  if (result.changes > 0) {
+    logger.info('Sessões antigas apagadas', { count: result.changes });
+  }
+};
+
+// ========================================
+// VERIFICAÇÃO EM DUAS ETAPAS (TOTP)
+// ========================================
+
+// Nome que aparece no app autenticador
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Painel de Leads';
+
+// Tempo para digitar o código depois de acertar a senha
+const TWO_FACTOR_CHALLENGE_MINUTES = 5;
+
+const RECOVERY_CODES_COUNT = 10;
+
+// Desafio da segunda etapa do login: JWT curto, sem sid, que o authMiddleware não aceita
+const createTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { id: user.id, purpose: 'two_factor' },
+    JWT_SECRET,
+    { expiresIn: `${TWO_FACTOR_CHALLENGE_MINUTES}m` }
+  );
+};
+
+// Id do usuário do desafio, ou null se inválido ou expirado
+const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, JWT_SECRET);
+    return decoded.purpose === 'two_factor' ? decoded.id : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Novos códigos de recuperação (os anteriores deixam de valer). No banco fica só o hash
+const replaceRecoveryCodes = (userId) => {
+  const codes = generateRecoveryCodes(RECOVERY_CODES_COUNT);
+  
+  db.transaction(() => {
+    db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+    
+    const insert = db.prepare('INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)');
+    codes.forEach(code => insert.run(userId, hashToken(normalizeRecoveryCode(code))));
+  })();
+  
+  return codes;
+};
+
+const countRecoveryCodesLeft = (userId) => {
+  return db.prepare('SELECT COUNT(*) AS count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL')
+    .get(userId).count;
+};
+
+// Confere o código do app (sem aceitar de novo um código já usado) ou um código
+// de recuperação (que é gasto). Retorna 'totp', 'recovery' ou null
+const verifySecondFactor = (user, code, { allowRecovery = true } = {}) => {
+  const counter = verifyTotp(code, user.totp_secret, { lastCounter: user.totp_last_counter });
+  
+  if (counter !== null) {
+    db.prepare('UPDATE users SET totp_last_counter = ? WHERE id = ?').run(counter, user.id);
+    return 'totp';
+  }
+  
+  if (!allowRecovery) return null;
+  
+  const used = db.prepare(`
+    UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP 
+    WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+  `).run(user.id, hashToken(normalizeRecoveryCode(code))).changes;
+  
+  return used > 0 ? 'recovery' : null;
+};
+
+const disableTwoFactor = (userId) => {
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_counter = NULL 
+      WHERE id = ?
+    `).run(userId);
+    db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+  })();
+};
+
+// ========================================
+// HISTÓRICO DE LOGIN E BLOQUEIO DE CONTA
+// ========================================
+
+// O loginLimiter conta por IP; aqui a conta é por usuário, então trocar de IP
+// não zera as tentativas
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Tentativa errada mais antiga que isso não soma para o bloqueio
+const LOGIN_FAILURE_WINDOW_MINUTES = LOGIN_LOCKOUT_MINUTES;
+
+// Login que dá certo depois de tantas falhas na última hora vira alerta
+const LOGIN_ALERT_RECENT_FAILURES = 3;
+
+const LOGIN_HISTORY_RETENTION_DAYS = parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS) || 90;
+const LOGIN_HISTORY_PURGE_INTERVAL_HOURS = 24;
+
+// reason: unknown_email, wrong_password, inactive, locked, wrong_code (falhas);
+// password, totp, recovery (sucessos, pelo jeito que entrou)
+// alert: new_ip, after_failures, recovery_code (sucessos), lockout (a falha que bloqueou a conta)
+const recordLoginAttempt = (req, { user = null, email = user?.email, success, reason, alert = null }) => {
+  db.prepare(`
+    INSERT INTO login_attempts (user_id, email, ip, user_agent, success, reason, alert) 
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(user?.id ?? null, email ?? null, req.ip, getUserAgent(req), success ? 1 : 0, reason, alert);
+};
+
+// Minutos até a conta desbloquear, ou 0 se não está bloqueada
+const getLockoutMinutesLeft = (user) => {
+  const row = db.prepare(`
+    SELECT CAST((julianday(locked_until) - julianday('now')) * 1440 AS INTEGER) + 1 AS minutes 
+    FROM users WHERE id = ? AND locked_until > datetime('now')
+  `).get(user.id);
+  
+  return row ? row.minutes : 0;
+};
+
+// Soma uma falha (zera se a anterior já passou da janela) e bloqueia ao chegar no limite.
+// Retorna true quando esta falha bloqueou a conta
+const registerLoginFailure = (user) => {
+  return db.transaction(() => {
+    const { failed_login_count: failures } = db.prepare(`
+      UPDATE users 
+      SET failed_login_count = CASE 
+            WHEN last_failed_login_at > datetime('now', ?) THEN failed_login_count + 1 
+            ELSE 1 
+          END,
+          last_failed_login_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+      RETURNING failed_login_count
+    `).get(`-${LOGIN_FAILURE_WINDOW_MINUTES} minutes`, user.id);
+    
+    if (failures < LOGIN_LOCKOUT_THRESHOLD) return false;
+    
+    db.prepare(`
+      UPDATE users SET failed_login_count = 0, locked_until = datetime('now', ?) WHERE id = ?
+    `).run(`+${LOGIN_LOCKOUT_MINUTES} minutes`, user.id);
+    
+    logger.warn('Conta bloqueada por excesso de tentativas', { userId: user.id, minutes: LOGIN_LOCKOUT_MINUTES });
+    return true;
+  })();
+};
+
+const clearLoginFailures = (userId) => {
+  db.prepare(`
+    UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = ?
+  `).run(userId);
+};
+
+// Senha ou código errado: grava no histórico e conta para o bloqueio
+const recordLoginFailure = (req, user, reason) => {
+  const lockedOut = registerLoginFailure(user);
+  recordLoginAttempt(req, { user, success: false, reason, alert: lockedOut ? 'lockout' : null });
+};
+
+// O que chama atenção num login que deu certo (antes de gravá-lo no histórico)
+const detectLoginAlert = (req, user, method) => {
+  if (method === 'recovery') return 'recovery_code';
+  
+  const { failures } = db.prepare(`
+    SELECT COUNT(*) AS failures FROM login_attempts 
+    WHERE user_id = ? AND success = 0 AND created_at > datetime('now', '-1 hour')
+      AND created_at > COALESCE((SELECT MAX(created_at) FROM login_attempts WHERE user_id = ? AND success = 1), '')
+  `).get(user.id, user.id);
+  
+  if (failures >= LOGIN_ALERT_RECENT_FAILURES) return 'after_failures';
+  
+  // Primeiro login de todos não conta: ainda não há IP conhecido
+  const { known, total } = db.prepare(`
+    SELECT MAX(ip = ?) AS known, COUNT(*) AS total FROM login_attempts WHERE user_id = ? AND success = 1
+  `).get(req.ip, user.id);
+  
+  return total > 0 && !known ? 'new_ip' : null;
+};
+
+const recordLoginSuccess = (req, user, method) => {
+  const alert = detectLoginAlert(req, user, method);
+  
+  recordLoginAttempt(req, { user, success: true, reason: method, alert });
+  clearLoginFailures(user.id);
+  
+  if (alert) {
+    logger.warn('Login com alerta', { userId: user.id, ip: req.ip, alert });
+  }
+};
+
+// Resposta da conta bloqueada (também usada na segunda etapa)
+const sendLockedResponse = (res, minutes) => {
+  res.set('Retry-After', String(minutes * 60));
+  res.status(429).json({ 
+    error: `Conta bloqueada por excesso de tentativas. Tente de novo em ${minutes} minuto(s) ou redefina a senha.` 
+  });
+};
+
+const purgeLoginHistory = () => {
+  const result = db.prepare(`DELETE FROM login_attempts WHERE created_at < datetime('now', ?)`)
+    .run(`-${LOGIN_HISTORY_RETENTION_DAYS} days`);
+  
+  if (result.changes > 0) {
+    logger.info('Histórico de login antigo apagado', { count: result.changes });
+  }
+};
+
+// ========================================
+// MIDDLEWARE DE AUTENTICAÇÃO
+// ========================================
+
+const authMiddleware = (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1] || req.cookies.token;
+    
+    if (!token) {
       logger.warn('Tentativa de acesso sem token', { ip: req.ip, path: req.path });
       return res.status(401).json({ error: 'Token não fornecido' });
     }
     
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
+    const decoded = jwt.verify(token, JWT_SECRET);
+    
+    // Papel e status vêm do banco: mudanças do admin valem na hora, sem esperar o token expirar
+    const user = db.prepare('SELECT id, email, role, active FROM users WHERE id = ?').get(decoded.id);
+    
+    if (!user || !user.active) {
+      logger.warn('Token de usuário inexistente ou desativado', { ip: req.ip, userId: decoded.id });
+      return res.status(401).json({ error: 'Usuário desativado' });
+    }
+    
+    // Logout e sessões encerradas derrubam o access token antes de ele expirar
+    const session = db.prepare(`
+      SELECT id FROM user_sessions 
+      WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+    `).get(decoded.sid ?? null, user.id);
+    
+    if (!session) {
+      logger.warn('Token de sessão encerrada', { ip: req.ip, userId: user.id, sessionId: decoded.sid });
+      return res.status(401).json({ error: 'Sessão encerrada' });
+    }
+    
+    db.prepare(`
+      UPDATE user_sessions SET last_seen_at = CURRENT_TIMESTAMP, ip = ? 
+      WHERE id = ? AND last_seen_at < datetime('now', ?)
+    `).run(req.ip, session.id, `-${SESSION_LAST_SEEN_INTERVAL_SECONDS} seconds`);
+    
+    req.user = { id: user.id, email: user.email, role: user.role, sessionId: session.id };
+    next();
+  } catch (error) {
+    logger.warn('Token inválido', { ip: req.ip, error: error.message });
+    return res.status(401).json({ error: 'Token inválido' });
+  }
+};
+
+// O que cada papel pode fazer:
+// - dashboard: estatísticas (só leitura)
+// - leads: ver e editar leads, atividades e tarefas (vendedor: só os atribuídos a ele)
+// - leads:all: todos os leads, não só os próprios
+// - admin: lixeira, importação, duplicados, distribuição, pipeline, campos, webhooks e usuários
+const ROLE_PERMISSIONS = {
+  admin: ['dashboard', 'leads', 'leads:all', 'admin'],
+  seller: ['dashboard', 'leads'],
+  viewer: ['dashboard']
+};
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (user, permission) => getPermissions(user?.role).includes(permission);
+
+// Vendedor só enxerga os leads dele: id do dono para filtrar, ou null quando vê todos
+const getLeadOwnerScope = (user) => (hasPermission(user, 'leads:all') ? null : user.id);
+
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    logger.warn('Tentativa de acesso sem permissão', { 
+      ip: req.ip, 
+      userId: req.user.id,
+      role: req.user.role,
+      permission,
+      path: req.path
+    });
+    return res.status(403).json({ error: 'Acesso negado. Seu usuário não tem permissão para isso.' });
+  }
+  next();
+};
+
+const adminMiddleware = requirePermission('admin');
+const leadsMiddleware = requirePermission('leads');
+const dashboardMiddleware = requirePermission('dashboard');
+
+// Rotas /leads/:id: lead de outro vendedor responde 404, como se não existisse
+const leadAccessMiddleware = (req, res, next) => {
+  const ownerId = getLeadOwnerScope(req.user);
+  if (ownerId === null) return next();
+  
+  const lead = db.prepare('SELECT assigned_to FROM leads WHERE id = ?').get(req.params.id);
+  
+  if (!lead || lead.assigned_to !== ownerId) {
+    return res.status(404).json({ error: 'Lead não encontrado' });
+  }
+  next();
+};
+
+// ========================================
+// ROTAS DE AUTENTICAÇÃO
+// ========================================
+
+// Endpoint para obter CSRF token (#8)
+app.get('/api/csrf-token', csrfProtection, (req, res) => {
+  res.json({ csrfToken: req.csrfToken() });
+});
+
+// Login com validação (#9) e rate limiting (#4)
+// Abre a sessão e responde com o access token e o usuário
+const sendLoginResponse = (req, res, user, extra = {}) => {
+  const token = createSession(req, res, user);
+  
+  res.json({
+    success: true,
+    token,
+    expires_in: ACCESS_TOKEN_EXPIRATION_MINUTES * 60,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: getPermissions(user.role)
+    },
+    ...extra
+  });
+};
+
+app.post('/api/auth/login', loginLimiter, (req, res) => {
+  try {
+    // Validação de entrada (#9)
+    const validatedData = loginSchema.parse(req.body);
+    const { email, password } = validatedData;
+    
+    const user = db.prepare('SELECT * FROM users WHERE email = ? COLLATE NOCASE').get(email);
+    
+    if (!user) {
+      logger.warn('Tentativa de login com email inexistente', { email, ip: req.ip });
+      recordLoginAttempt(req, { email, success: false, reason: 'unknown_email' });
+      return res.status(401).json({ error: 'Credenciais inválidas' });
+    }
+    
+    const passwordMatch = bcryptjs.compareSync(password, user.password);
+    const lockedMinutes = getLockoutMinutesLeft(user);
+    
+    // O bloqueio vale até para a senha certa, mas só quem acertou a senha fica sabendo dele:
+    // com a senha errada a resposta é a mesma de um email inexistente, senão bastaria
+    // bloquear uma conta para descobrir que ela existe. Durante o bloqueio, errar não conta de novo.
+    if (lockedMinutes > 0) {
+      logger.warn('Tentativa de login em conta bloqueada', { userId: user.id, ip: req.ip });
+      
+      if (!passwordMatch) {
+        recordLoginAttempt(req, { user, success: false, reason: 'wrong_password' });
+        return res.status(401).json({ error: 'Credenciais inválidas' });
+      }
+      
+      recordLoginAttempt(req, { user, success: false, reason: 'locked' });
+      return sendLockedResponse(res, lockedMinutes);
+    }
+    
+    if (!passwordMatch) {
+      logger.warn('Tentativa de login com senha incorreta', { email, ip: req.ip });
+      recordLoginFailure(req, user, 'wrong_password');
+      return res.status(401).json({ error: 'Credenciais inválidas' });
+    }
+    
+    if (!user.active) {
+      logger.warn('Tentativa de login de usuário desativado', { email, ip: req.ip });
+      recordLoginAttempt(req, { user, success: false, reason: 'inactive' });
+      return res.status(403).json({ error: 'Usuário desativado. Fale com o administrador.' });
+    }
+    
+    // Com verificação em duas etapas, a sessão só abre em /api/auth/login/2fa
+    if (user.totp_enabled_at) {
+      logger.info('Login aguardando segunda etapa', { userId: user.id, ip: req.ip });
+      
+      return res.json({
+        two_factor_required: true,
+        challenge_token: createTwoFactorChallenge(user),
+        expires_in: TWO_FACTOR_CHALLENGE_MINUTES * 60
+      });
+    }
+    
+    logger.info('Login bem-sucedido', { userId: user.id, email: user.email });
+    
+    recordLoginSuccess(req, user, 'password');
+    sendLoginResponse(req, res, user);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      logger.warn('Validação de login falhou', { errors: error.errors, ip: req.ip });
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.errors 
+      });
+    }
+    
+    logger.error('Erro no login', { error: error.message, stack: error.stack });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao fazer login'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Segunda etapa do login: código do app autenticador ou de recuperação
+app.post('/api/auth/login/2fa', loginLimiter, (req, res) => {
+  try {
+    const { challenge_token: challengeToken, code } = twoFactorLoginSchema.parse(req.body);
+    
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    const user = userId && db.prepare('SELECT * FROM users WHERE id = ? AND active = 1').get(userId);
+    
+    if (!user || !user.totp_enabled_at) {
+      return res.status(401).json({ error: 'Verificação expirada. Entre de novo com email e senha.' });
+    }
+    
+    // Código errado também conta para o bloqueio: quem tem a senha não pode chutar códigos à vontade
+    const lockedMinutes = getLockoutMinutesLeft(user);
+    
+    if (lockedMinutes > 0) {
+      recordLoginAttempt(req, { user, success: false, reason: 'locked' });
+      return sendLockedResponse(res, lockedMinutes);
+    }
+    
+    const method = verifySecondFactor(user, code);
+    
+    if (!method) {
+      logger.warn('Código de verificação incorreto no login', { userId: user.id, ip: req.ip });
+      recordLoginFailure(req, user, 'wrong_code');
+      return res.status(401).json({ error: 'Código inválido' });
+    }
+    
+    logger.info('Login bem-sucedido', { userId: user.id, email: user.email, secondFactor: method });
+    
+    recordLoginSuccess(req, user, method);
+    sendLoginResponse(req, res, user, method === 'recovery' 
+      ? { recovery_codes_left: countRecoveryCodesLeft(user.id) } 
+      : {});
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro na verificação em duas etapas', { error: error.message });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao fazer login'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Get current user
+app.get('/api/auth/me', authMiddleware, (req, res) => {
+  try {
+    const user = db.prepare('SELECT id, name, email, role, totp_enabled_at FROM users WHERE id = ?').get(req.user.id);
+    
+    if (!user) {
+      logger.warn('Usuário não encontrado no /me', { userId: req.user.id });
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+    
+    const { totp_enabled_at: totpEnabledAt, ...profile } = user;
+    
+    res.json({ ...profile, two_factor_enabled: Boolean(totpEnabledAt), permissions: getPermissions(user.role) });
+  } catch (error) {
+    logger.error('Erro ao buscar usuário', { 
+      userId: req.user.id, 
+      error: error.message 
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar usuário'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Renova o access token com o refresh token do cookie (e troca o refresh token)
+app.post('/api/auth/refresh', (req, res) => {
+  try {
+    const refreshToken = req.cookies[REFRESH_COOKIE];
+    
+    if (!refreshToken) {
+      return res.status(401).json({ error: 'Sessão não encontrada' });
+    }
+    
+    const session = findSessionByRefreshToken(refreshToken);
+    
+    if (!session) {
+      // Token já trocado sendo usado de novo: quem tem a cópia não pode continuar
+      const reused = db.prepare(`
+        SELECT id, user_id FROM user_sessions WHERE previous_token_hash = ? AND revoked_at IS NULL
+      `).get(hashToken(refreshToken));
+      
+      if (reused) {
+        revokeSession(reused.id, 'reuse');
+        logger.warn('Refresh token reutilizado: sessão encerrada', { 
+          sessionId: reused.id, 
+          userId: reused.user_id, 
+          ip: req.ip 
+        });
+      }
+      
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: 'Sessão encerrada. Faça login novamente.' });
+    }
+    
+    const user = db.prepare('SELECT * FROM users WHERE id = ? AND active = 1').get(session.user_id);
+    
+    if (session.revoked_at || session.expired || !user) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: 'Sessão encerrada. Faça login novamente.' });
+    }
+    
+    rotateSession(req, res, session);
+    
+    res.json({ 
+      success: true, 
+      token: signAccessToken(user, session.id),
+      expires_in: ACCESS_TOKEN_EXPIRATION_MINUTES * 60
+    });
+  } catch (error) {
+    logger.error('Erro ao renovar sessão', { error: error.message });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao renovar sessão'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Encerra a sessão do cookie (ou a do access token) neste dispositivo
+app.post('/api/auth/logout', (req, res) => {
+  try {
+    const refreshToken = req.cookies[REFRESH_COOKIE];
+    let sessionId = refreshToken ? findSessionByRefreshToken(refreshToken)?.id : null;
+    
+    if (!sessionId) {
+      const token = req.headers.authorization?.split(' ')[1];
+      
+      try {
+        // Um access token vencido ainda identifica a sessão a encerrar
+        sessionId = token ? jwt.verify(token, JWT_SECRET, { ignoreExpiration: true }).sid : null;
+      } catch (e) {
+        // Token inválido: não há sessão para encerrar
+      }
+    }
+    
+    if (sessionId && revokeSession(sessionId, 'logout')) {
+      logger.info('Logout', { sessionId, ip: req.ip });
+    }
+    
+    clearRefreshCookie(res);
+    res.json({ success: true, message: 'Logout realizado' });
+  } catch (error) {
+    logger.error('Erro no logout', { error: error.message });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao fazer logout'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Sai de todos os dispositivos, inclusive este
+app.post('/api/auth/logout-all', csrfProtection, authMiddleware, (req, res) => {
+  try {
+    const revoked = revokeUserSessions(req.user.id, 'logout_all');
+    
+    logger.info('Logout de todos os dispositivos', { userId: req.user.id, revoked });
+    
+    clearRefreshCookie(res);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    logger.error('Erro ao encerrar sessões', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao encerrar sessões'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Sessões abertas do próprio usuário
+app.get('/api/auth/sessions', authMiddleware, (req, res) => {
+  try {
+    const sessions = listOpenSessions(req.user.id);
+    
+    res.json({ sessions: sessions.map(session => serializeSession(session, req.user.sessionId)) });
+  } catch (error) {
+    logger.error('Erro ao buscar sessões', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar sessões'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Encerra uma sessão do próprio usuário (a atual vale como logout)
+app.delete('/api/auth/sessions/:id', csrfProtection, authMiddleware, (req, res) => {
+  try {
+    const session = findOpenSession(req.params.id);
+    
+    if (!session || session.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Sessão não encontrada' });
+    }
+    
+    revokeSession(session.id, 'revoked');
+    
+    const current = session.id === req.user.sessionId;
+    if (current) {
+      clearRefreshCookie(res);
+    }
+    
+    logger.info('Sessão encerrada', { sessionId: session.id, userId: req.user.id });
+    
+    res.json({ success: true, current });
+  } catch (error) {
+    logger.error('Erro ao encerrar sessão', { 
+      error: error.message,
+      sessionId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao encerrar sessão'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Convite: mostra para quem é, antes de definir a senha
+app.get('/api/auth/invite/:token', (req, res) => {
+  try {
+    const user = findUserByInviteToken(req.params.token);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'Convite inválido ou expirado' });
+    }
+    
+    res.json({ name: user.name, email: user.email });
+  } catch (error) {
+    logger.error('Erro ao buscar convite', { error: error.message });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar convite'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Aceite do convite: define a senha; depois é só entrar pelo login
+app.post('/api/auth/invite/:token', loginLimiter, (req, res) => {
+  try {
+    const { password } = passwordSetSchema.parse(req.body);
+    
+    const user = findUserByInviteToken(req.params.token);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'Convite inválido ou expirado' });
+    }
+    
+    db.prepare(`
+      UPDATE users SET password = ?, invite_token_hash = NULL, invite_expires_at = NULL WHERE id = ?
+    `).run(bcryptjs.hashSync(password, 12), user.id);
+    
+    logger.info('Convite aceito', { userId: user.id, email: user.email });
+    
+    res.json({ success: true, email: user.email });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao aceitar convite', { error: error.message });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao aceitar convite'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Troca de senha do usuário logado (confere a senha atual)
+app.post('/api/auth/change-password', csrfProtection, authMiddleware, (req, res) => {
+  try {
+    const { current_password: currentPassword, new_password: newPassword } = passwordChangeSchema.parse(req.body);
+    
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
+    
+    if (!bcryptjs.compareSync(currentPassword, user.password)) {
+      logger.warn('Troca de senha com senha atual incorreta', { userId: user.id, ip: req.ip });
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: [{ field: 'current_password', message: 'Senha atual incorreta' }]
+      });
+    }
+    
+    if (bcryptjs.compareSync(newPassword, user.password)) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: [{ field: 'new_password', message: 'A nova senha deve ser diferente da atual' }]
+      });
+    }
+    
+    // Os outros dispositivos precisam entrar de novo com a senha nova
+    const revoked = db.transaction(() => {
+      db.prepare(`
+        UPDATE users SET password = ?, reset_token_hash = NULL, reset_expires_at = NULL WHERE id = ?
+      `).run(bcryptjs.hashSync(newPassword, 12), user.id);
+      
+      return revokeUserSessions(user.id, 'password_changed', req.user.sessionId);
+    })();
+    
+    logger.info('Senha alterada', { userId: user.id, revokedSessions: revoked });
+    
+    res.json({ success: true, revoked_sessions: revoked });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao alterar senha', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao alterar senha'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Situação da verificação em duas etapas do usuário logado
+app.get('/api/auth/2fa', authMiddleware, (req, res) => {
+  try {
+    const user = db.prepare('SELECT totp_enabled_at FROM users WHERE id = ?').get(req.user.id);
+    
+    res.json({
+      enabled: Boolean(user.totp_enabled_at),
+      enabled_at: user.totp_enabled_at,
+      recovery_codes_left: user.totp_enabled_at ? countRecoveryCodesLeft(req.user.id) : 0
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar verificação em duas etapas', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar verificação em duas etapas'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Começa a configuração: novo secret pendente, com o QR code para o app autenticador
+app.post('/api/auth/2fa/setup', csrfProtection, authMiddleware, async (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
+    
+    if (user.totp_enabled_at) {
+      return res.status(400).json({ error: 'A verificação em duas etapas já está ativa' });
+    }
+    
+    const secret = generateTotpSecret();
+    db.prepare('UPDATE users SET totp_pending_secret = ? WHERE id = ?').run(secret, user.id);
+    
+    const otpauthUri = buildOtpauthUri({ secret, account: user.email, issuer: TOTP_ISSUER });
+    
+    res.json({
+      secret,
+      otpauth_uri: otpauthUri,
+      qr_code: await QRCode.toDataURL(otpauthUri)
+    });
+  } catch (error) {
+    logger.error('Erro ao configurar verificação em duas etapas', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao configurar verificação em duas etapas'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Confirma a configuração com um código do app e devolve os códigos de recuperação
+// (única vez em que aparecem). As outras sessões precisam entrar de novo com o código
+app.post('/api/auth/2fa/enable', csrfProtection, authMiddleware, (req, res) => {
+  try {
+    const { code } = twoFactorCodeSchema.parse(req.body);
+    
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
+    
+    if (user.totp_enabled_at) {
+      return res.status(400).json({ error: 'A verificação em duas etapas já está ativa' });
+    }
+    
+    if (!user.totp_pending_secret) {
+      return res.status(400).json({ error: 'Comece a configuração de novo' });
+    }
+    
+    const counter = verifyTotp(code, user.totp_pending_secret);
+    
+    if (counter === null) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: [{ field: 'code', message: 'Código inválido. Confira o horário do celular e tente de novo.' }]
+      });
+    }
+    
+    const { recoveryCodes, revoked } = db.transaction(() => {
+      db.prepare(`
+        UPDATE users 
+        SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, 
+            totp_enabled_at = CURRENT_TIMESTAMP, totp_last_counter = ? 
+        WHERE id = ?
+      `).run(counter, user.id);
+      
+      return {
+        recoveryCodes: replaceRecoveryCodes(user.id),
+        revoked: revokeUserSessions(user.id, 'two_factor_enabled', req.user.sessionId)
+      };
+    })();
+    
+    logger.info('Verificação em duas etapas ativada', { userId: user.id, revokedSessions: revoked });
+    
+    res.json({ success: true, recovery_codes: recoveryCodes, revoked_sessions: revoked });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao ativar verificação em duas etapas', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao ativar verificação em duas etapas'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Desliga a verificação em duas etapas (pede a senha e um código)
+app.post('/api/auth/2fa/disable', csrfProtection, authMiddleware, (req, res) => {
+  try {
+    const { password, code } = twoFactorDisableSchema.parse(req.body);
+    
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
+    
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({ error: 'A verificação em duas etapas não está ativa' });
+    }
+    
+    if (!bcryptjs.compareSync(password, user.password)) {
+      logger.warn('Tentativa de desligar verificação em duas etapas com senha incorreta', { userId: user.id, ip: req.ip });
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: [{ field: 'password', message: 'Senha incorreta' }]
+      });
+    }
+    
+    if (!verifySecondFactor(user, code)) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: [{ field: 'code', message: 'Código inválido' }]
+      });
+    }
+    
+    disableTwoFactor(user.id);
+    
+    logger.info('Verificação em duas etapas desativada', { userId: user.id });
+    
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao desativar verificação em duas etapas', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao desativar verificação em duas etapas'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Novos códigos de recuperação (pede um código do app; os anteriores deixam de valer)
+app.post('/api/auth/2fa/recovery-codes', csrfProtection, authMiddleware, (req, res) => {
+  try {
+    const { code } = twoFactorCodeSchema.parse(req.body);
+    
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
+    
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({ error: 'A verificação em duas etapas não está ativa' });
+    }
+    
+    if (!verifySecondFactor(user, code, { allowRecovery: false })) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: [{ field: 'code', message: 'Código inválido' }]
+      });
+    }
+    
+    const recoveryCodes = replaceRecoveryCodes(user.id);
+    
+    logger.info('Códigos de recuperação gerados de novo', { userId: user.id });
+    
+    res.json({ success: true, recovery_codes: recoveryCodes });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao gerar códigos de recuperação', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao gerar códigos de recuperação'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Esqueci a senha: envia o link pelo mailer. A resposta é a mesma com ou sem
+// usuário para o email, para não revelar quem tem acesso ao painel
+app.post('/api/auth/forgot-password', loginLimiter, async (req, res) => {
+  try {
+    const { email } = passwordForgotSchema.parse(req.body);
+    
+    const user = db.prepare('SELECT * FROM users WHERE email = ? COLLATE NOCASE AND active = 1').get(email);
+    
+    if (user) {
+      const resetUrl = createPasswordReset(user.id);
+      
+      try {
+        await sendPasswordResetEmail(user, resetUrl);
+        logger.info('Link de redefinição de senha enviado', { userId: user.id, transport: mailer.transport });
+      } catch (mailError) {
+        logger.error('Erro ao enviar email de redefinição de senha', { 
+          userId: user.id, 
+          error: mailError.message 
+        });
+      }
+    } else {
+      logger.warn('Redefinição de senha pedida para email sem usuário ativo', { email, ip: req.ip });
+    }
+    
+    res.json({ 
+      success: true, 
+      message: 'Se o email tiver acesso ao painel, você vai receber um link para criar uma nova senha.' 
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao pedir redefinição de senha', { error: error.message });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao pedir redefinição de senha'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Link de redefinição: mostra para quem é, antes de definir a nova senha
+app.get('/api/auth/reset-password/:token', (req, res) => {
+  try {
+    const user = findUserByResetToken(req.params.token);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'Link de redefinição inválido ou expirado' });
+    }
+    
+    res.json({ name: user.name, email: user.email });
+  } catch (error) {
+    logger.error('Erro ao buscar redefinição de senha', { error: error.message });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar redefinição de senha'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Define a nova senha; o link deixa de valer (e um convite pendente também)
+app.post('/api/auth/reset-password/:token', loginLimiter, (req, res) => {
+  try {
+    const { password } = passwordSetSchema.parse(req.body);
+    
+    const user = findUserByResetToken(req.params.token);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'Link de redefinição inválido ou expirado' });
+    }
+    
+    // Quem pediu a redefinição pode ter perdido o acesso para outra pessoa: encerra todas as sessões
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE users 
+        SET password = ?, reset_token_hash = NULL, reset_expires_at = NULL, 
+            invite_token_hash = NULL, invite_expires_at = NULL 
+        WHERE id = ?
+      `).run(bcryptjs.hashSync(password, 12), user.id);
+      
+      // O link chegou no email da pessoa: ela pode entrar de novo sem esperar o bloqueio
+      clearLoginFailures(user.id);
+      revokeUserSessions(user.id, 'password_reset');
+    })();
+    
+    logger.info('Senha redefinida', { userId: user.id, email: user.email });
+    
+    res.json({ success: true, email: user.email });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao redefinir senha', { error: error.message });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao redefinir senha'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// ========================================
+// ROTAS PÚBLICAS
+// ========================================
+
+// Health check
+app.get('/', (req, res) => {
+  res.json({ 
+    message: 'API is running! 🚀',
+    database: 'SQLite (better-sqlite3)',
+    security: {
+      rateLimit: 'Enabled ✅',
+      validation: 'Enabled ✅',
+      csrf: 'Enabled ✅',
+      logging: 'Enabled ✅'
+    },
+    webhook: db.prepare('SELECT COUNT(*) as count FROM webhook_subscriptions WHERE active = 1').get().count > 0
+      ? 'Configured ✅'
+      : 'Not configured ⚠️'
+  });
+});
+
+// Get all courses
+app.get('/api/courses', (req, res) => {
+  try {
+    const courses = db.prepare('SELECT * FROM courses WHERE active = 1').all();
+    
+    const getModules = db.prepare('SELECT * FROM modules WHERE course_id = ? ORDER BY module_order');
+    
+    const coursesWithModules = courses.map(course => ({
+      ...course,
+      modules: getModules.all(course.id)
+    }));
+    
+    res.json(coursesWithModules);
+  } catch (error) {
+    logger.error('Erro ao buscar cursos', { error: error.message });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar cursos'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Campos personalizados que o formulário da landing page mostra (opcionais)
+app.get('/api/form-fields', (req, res) => {
+  try {
+    const fields = getCustomFields({ formOnly: true })
+      .map(({ key, label, type, options }) => ({ key, label, type, options }));
+    
+    res.json({ fields });
+  } catch (error) {
+    logger.error('Erro ao buscar campos do formulário', { error: error.message });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar campos do formulário'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Create lead (public) - COM VALIDAÇÃO (#9) e RATE LIMITING (#4)
+app.post('/api/leads', leadsLimiter, (req, res) => {
+  try {
+    // Validação com Zod (#9)
+    const validatedData = leadSchema.parse(req.body);
+    
+    const { name, email, city, source, utm_campaign, phone_country } = validatedData;
+    
+    // WhatsApp em E.164; sem DDI, vale o país do formulário
+    const phone = normalizePhone(validatedData.whatsapp, phone_country || DEFAULT_PHONE_COUNTRY);
+    
+    if (!phone) {
+      logger.warn('WhatsApp não reconhecido', { 
+        whatsapp: validatedData.whatsapp,
+        phoneCountry: phone_country,
+        ip: req.ip
+      });
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: [{ field: 'whatsapp', message: 'WhatsApp inválido. Inclua o DDI, ex: +1 857 555 1234' }]
+      });
+    }
+    
+    const whatsapp = phone.e164;
+    const country = phone.country;
+    
+    // O formulário só preenche os campos marcados para a landing page e só usa tags que já existem
+    const formFields = getCustomFields({ formOnly: true });
+    const customFields = parseCustomFieldValues(validatedData.custom_fields || {}, formFields);
+    const tags = findTagsByName(validatedData.tags || []);
+    
+    logger.info('📝 Novo lead recebido', { 
+      name, 
+      whatsapp, 
+      country,
+      city, 
+      source: source || 'direct',
+      campaign: utm_campaign || 'none',
+      ip: req.ip
+    });
+    
+    const whatsappNormalized = whatsapp;
+    const emailNormalized = normalizeEmail(email);
+    
+    // Se a pessoa já se inscreveu antes, o envio vira um touchpoint do lead existente (#16)
+    const saveLead = db.transaction(() => {
+      const existing = findDuplicateLead(whatsappNormalized, emailNormalized);
+      
+      if (existing) {
+        insertTouchpoint(existing.id, validatedData);
+        fillMissingLeadFields(existing, { ...validatedData, country });
+        updateLeadTags(existing.id, { add: tags });
+        saveLeadCustomValues(existing.id, customFields, formFields, { onlyMissing: true });
+        // Quem já tem responsável continua com ele
+        if (!existing.assigned_to) autoAssignLead(existing.id);
+        return { id: existing.id, duplicate: true };
+      }
+      
+      const id = insertLead({ ...validatedData, whatsapp, country });
+      insertTouchpoint(id, validatedData);
+      updateLeadTags(id, { add: tags });
+      saveLeadCustomValues(id, customFields, formFields);
+      const seller = autoAssignLead(id);
+      return { id, duplicate: false, seller };
+    });
+    
+    const lead = saveLead();
+    
+    if (lead.duplicate) {
+      logger.info('🔁 Lead já existente, envio registrado como touchpoint', { 
+        leadId: lead.id, 
+        source: source || 'direct' 
+      });
+    } else {
+      logger.info('✅ Lead salvo no banco', { 
+        leadId: lead.id, 
+        source: source || 'direct' 
+      });
+      
+      // Webhook para Make.com via outbox (#13) - entregue em background com retries
+      const saved = db.prepare('SELECT * FROM leads WHERE id = ?').get(lead.id);
+      enqueueWebhook('lead.created', buildLeadCreatedPayload(saved));
+    }
+    
+    // A resposta é a mesma nos dois casos para não revelar quem já está cadastrado
+    // (sem o id: no envio repetido ele seria o do lead antigo)
+    res.status(201).json({
+      success: true,
+      message: 'Inscrição recebida!',
+      lead: { name, whatsapp }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      logger.warn('Validação de lead falhou', { 
+        errors: error.issues,
+        ip: req.ip,
+        body: req.body
+      });
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao processar lead', { 
+      error: error.message,
+      stack: error.stack
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao processar inscrição'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// ========================================
+// ROTAS ADMIN (PROTEGIDAS) - COM CSRF (#8)
+// ========================================
+
+// Filtros de igualdade da listagem ('all' ou vazio não filtra)
+const LEAD_EXACT_FILTERS = ['status', 'country', 'source', 'utm_source', 'utm_medium', 'utm_campaign', 'level'];
+
+// Monta o WHERE da listagem; `except` ignora filtros (as contagens por status ignoram o próprio status)
+// `user` é o usuário logado: limita o vendedor aos leads dele e resolve ?assigned_to=me
+const buildLeadFilters = (filters, { except = [], trashed = false, user = null } = {}) => {
+  // A listagem normal nunca mostra a lixeira; a da lixeira só mostra ela
+  const conditions = [`leads.deleted_at IS ${trashed ? 'NOT NULL' : 'NULL'}`];
+  const params = [];
+  
+  // Vendedor: só os leads atribuídos a ele, em qualquer listagem, exportação ou ação em lote
+  const ownerId = user ? getLeadOwnerScope(user) : null;
+  if (ownerId !== null) {
+    conditions.push('leads.assigned_to = ?');
+    params.push(ownerId);
+  }
+  
+  if (filters.ids?.length) {
+    conditions.push(`leads.id IN (${filters.ids.map(() => '?').join(', ')})`);
+    params.push(...filters.ids);
+  }
+  
+  for (const field of LEAD_EXACT_FILTERS) {
+    const value = filters[field];
+    if (value && value !== 'all' && !except.includes(field)) {
+      conditions.push(`leads.${field} = ?`);
+      params.push(value);
+    }
+  }
+  
+  if (filters.goal) {
+    conditions.push('leads.goal LIKE ?');
+    params.push(`%${filters.goal}%`);
+  }
+  
+  // created_at é gravado em UTC ('AAAA-MM-DD HH:MM:SS'); o intervalo inclui os dois dias
+  if (filters.date_from) {
+    conditions.push('date(leads.created_at) >= ?');
+    params.push(filters.date_from);
+  }
+  
+  if (filters.date_to) {
+    conditions.push('date(leads.created_at) <= ?');
+    params.push(filters.date_to);
+  }
+  
+  if (filters.assigned_to === 'none') {
+    conditions.push('leads.assigned_to IS NULL');
+  } else if (filters.assigned_to) {
+    conditions.push('leads.assigned_to = ?');
+    params.push(filters.assigned_to === 'me' ? user?.id : filters.assigned_to);
+  }
+  
+  // Leads com todas as tags escolhidas
+  for (const tagId of filters.tag || []) {
+    conditions.push('EXISTS (SELECT 1 FROM lead_tags lt WHERE lt.lead_id = leads.id AND lt.tag_id = ?)');
+    params.push(tagId);
+  }
+  
+  // ?cf_<key>=valor: texto contém o valor; número, data e seleção são iguais. Campo que não existe é ignorado.
+  for (const [param, value] of Object.entries(filters)) {
+    if (!param.startsWith(CUSTOM_FIELD_FILTER_PREFIX) || !value || value === 'all') continue;
+    
+    const field = db.prepare('SELECT * FROM custom_fields WHERE key = ?').get(param.slice(CUSTOM_FIELD_FILTER_PREFIX.length));
+    if (!field) continue;
+    
+    const isText = field.type === 'text';
+    conditions.push(`EXISTS (
+      SELECT 1 FROM lead_custom_values v 
+      WHERE v.lead_id = leads.id AND v.field_id = ? AND v.value ${isText ? 'LIKE' : '='} ?
+    )`);
+    params.push(field.id, isText ? `%${value}%` : field.type === 'number' ? String(Number(value)) : value);
+  }
+  
+  if (filters.search) {
+    // Busca pelo telefone também nos dígitos do E.164 ("11 98888" acha "+5511988887777")
+    const searchDigits = filters.search.replace(/\D/g, '');
+    const term = `%${filters.search}%`;
+    conditions.push(`(
+      leads.name LIKE ? OR leads.whatsapp LIKE ? OR leads.city LIKE ? OR leads.email LIKE ?
+      OR (? != '' AND leads.whatsapp_normalized LIKE ?)
+    )`);
+    params.push(term, term, term, term, searchDigits, `%${searchDigits}%`);
+  }
+  
+  return {
+    where: ' WHERE ' + conditions.join(' AND '),
+    params
+  };
+};
+
+// Status segue a ordem do pipeline; textos ignoram maiúsculas
+const getLeadSortExpression = (sort) => {
+  if (sort === 'status') {
+    return '(SELECT s.position FROM pipeline_stages s WHERE s.key = leads.status)';
+  }
+  
+  if (['id', 'touchpoint_count', 'created_at'].includes(sort)) {
+    return sort === 'touchpoint_count' ? 'touchpoint_count' : `leads.${sort}`;
+  }
+  
+  return `leads.${sort} COLLATE NOCASE`;
+};
+
+// Get all leads (admin only)
+app.get('/api/admin/leads', authMiddleware, leadsMiddleware, (req, res) => {
+  try {
+    const filters = leadListQuerySchema.parse(req.query);
+    const { sort, order, limit, offset } = filters;
+    const { where, params } = buildLeadFilters(filters, { user: req.user });
+    
+    // id como desempate deixa a paginação estável quando a coluna repete valores
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    
+    const leads = db.prepare(`
+      SELECT leads.*, 
+        (SELECT COUNT(*) FROM lead_touchpoints t WHERE t.lead_id = leads.id) as touchpoint_count,
+        (SELECT u.name FROM users u WHERE u.id = leads.assigned_to) as assigned_name,
+        (SELECT COUNT(*) FROM lead_tasks k 
+          WHERE k.lead_id = leads.id AND k.done_at IS NULL AND k.overdue_at IS NOT NULL) as overdue_task_count
+      FROM leads${where}
+      ORDER BY ${getLeadSortExpression(sort)} ${direction}, leads.id ${direction}
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    
+    const tagsByLead = getTagsByLead(leads.map(lead => lead.id));
+    
+    const total = db.prepare(`SELECT COUNT(*) as total FROM leads${where}`).get(...params);
+    
+    // Contagem por etapa sobre todo o conjunto filtrado, sem o filtro de status
+    const statusFilters = buildLeadFilters(filters, { except: ['status'], user: req.user });
+    const statusCounts = db.prepare(`
+      SELECT leads.status, COUNT(*) as count FROM leads${statusFilters.where} GROUP BY leads.status
+    `).all(...statusFilters.params);
+    
+    res.json({
+      leads: leads.map(lead => ({ ...lead, tags: tagsByLead[lead.id] || [] })),
+      total: total.total,
+      status_counts: Object.fromEntries(statusCounts.map(row => [row.status, row.count])),
+      limit,
+      offset,
+      sort,
+      order
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Parâmetros inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao buscar leads', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar leads'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Exporta todos os leads filtrados em CSV ou XLSX (escrito linha a linha na resposta)
+app.get('/api/admin/leads/export', authMiddleware, leadsMiddleware, async (req, res) => {
+  let exported = 0;
+  
+  try {
+    const filters = leadExportQuerySchema.parse(req.query);
+    const { format, columns, sort, order } = filters;
+    const { where, params } = buildLeadFilters(filters, { user: req.user });
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    
+    const rows = db.prepare(`
+      SELECT leads.*, 
+        (SELECT COUNT(*) FROM lead_touchpoints t WHERE t.lead_id = leads.id) as touchpoint_count,
+        (SELECT s.label FROM pipeline_stages s WHERE s.key = leads.status) as status_label,
+        (SELECT group_concat(t.name, ', ') FROM lead_tags lt JOIN tags t ON t.id = lt.tag_id WHERE lt.lead_id = leads.id) as tags,
+        (SELECT u.name FROM users u WHERE u.id = leads.assigned_to) as assigned_name
+      FROM leads${where}
+      ORDER BY ${getLeadSortExpression(sort)} ${direction}, leads.id ${direction}
+    `).iterate(...params);
+    
+    const filename = `leads-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const sheet = workbook.addWorksheet('Leads');
+      sheet.columns = columns.map(key => ({
+        header: LEAD_EXPORT_COLUMNS[key],
+        key,
+        width: key === 'id' || key === 'touchpoint_count' ? 8 : 20,
+        ...(key === 'created_at' && { style: { numFmt: 'dd/mm/yyyy hh:mm' } })
+      }));
+      sheet.getRow(1).font = { bold: true };
+      
+      for (const lead of rows) {
+        // created_at vira data de verdade na planilha (ordenável e filtrável no Excel)
+        const createdAt = lead.created_at ? new Date(lead.created_at.replace(' ', 'T') + 'Z') : null;
+        sheet.addRow(columns.map(key => (key === 'created_at' ? createdAt : lead[key]))).commit();
+        exported++;
+      }
+      
+      sheet.commit();
+      await workbook.commit();
+    } else {
+      const delimiter = CSV_DELIMITERS[filters.delimiter];
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      
+      // BOM para o Excel reconhecer UTF-8 (nomes com acento)
+      res.write((filters.bom === '1' ? CSV_BOM : '') + toCsvRow(columns.map(key => LEAD_EXPORT_COLUMNS[key]), delimiter));
+      
+      for (const lead of rows) {
+        res.write(toCsvRow(columns.map(key => lead[key]), delimiter));
+        exported++;
+      }
+      
+      res.end();
+    }
+    
+    logger.info('Leads exportados', { 
+      format,
+      count: exported,
+      userId: req.user.id
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Parâmetros inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao exportar leads', { 
+      error: error.message,
+      exported,
+      userId: req.user.id
+    });
+    
+    // Com o arquivo já começado não dá para trocar por JSON; corta a resposta
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao exportar leads'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Valores distintos para os selects de filtro da listagem
+app.get('/api/admin/leads/filter-options', authMiddleware, leadsMiddleware, (req, res) => {
+  try {
+    const { where, params } = buildLeadFilters({}, { user: req.user });
+    const distinct = (column) => db.prepare(`
+      SELECT DISTINCT ${column} as value FROM leads${where} AND ${column} IS NOT NULL AND ${column} != ''
+      ORDER BY ${column} COLLATE NOCASE
+    `).all(...params).map(row => row.value);
+    
+    res.json({
+      countries: distinct('country'),
+      sources: distinct('source'),
+      utm_sources: distinct('utm_source'),
+      utm_mediums: distinct('utm_medium'),
+      utm_campaigns: distinct('utm_campaign'),
+      levels: distinct('level'),
+      tags: db.prepare('SELECT id, name, color FROM tags ORDER BY name COLLATE NOCASE').all(),
+      custom_fields: getCustomFields(),
+      // Responsáveis possíveis, com os leads em aberto de cada um
+      users: db.prepare(`
+        SELECT u.id, u.name,
+          (SELECT COUNT(*) FROM leads WHERE leads.assigned_to = u.id AND ${OPEN_LEAD_SQL}) as open_count
+        FROM users u WHERE ${LEAD_OWNER_USER_SQL}
+        ORDER BY u.name COLLATE NOCASE
+      `).all(),
+      me: req.user.id,
+      sort_columns: LEAD_SORT_COLUMNS
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar opções de filtro', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar opções de filtro'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Get lead statistics
+app.get('/api/admin/stats', authMiddleware, dashboardMiddleware, (req, res) => {
+  try {
+    const total = db.prepare('SELECT COUNT(*) as count FROM leads WHERE deleted_at IS NULL').get();
+    
+    // Contagem por etapa, na ordem do pipeline
+    const stages = db.prepare(`
+      SELECT s.key, s.label, s.color, s.kind, COUNT(l.id) as count
+      FROM pipeline_stages s
+      LEFT JOIN leads l ON l.status = s.key AND l.deleted_at IS NULL
+      GROUP BY s.id
+      ORDER BY s.position, s.id
+    `).all();
+    
+    const byKind = { open: 0, won: 0, lost: 0 };
+    for (const stage of stages) {
+      byKind[stage.kind] += stage.count;
+    }
+    
+    const today = new Date().toISOString().split('T')[0];
+    const todayLeads = db.prepare(
+      'SELECT COUNT(*) as count FROM leads WHERE deleted_at IS NULL AND DATE(created_at) = ?'
+    ).get(today);
+    
+    const last7Days = db.prepare(`
+      SELECT DATE(created_at) as date, COUNT(*) as count 
+      FROM leads 
+      WHERE deleted_at IS NULL AND created_at >= datetime('now', '-7 days')
+      GROUP BY DATE(created_at)
+      ORDER BY date DESC
+    `).all();
+    
+    // Leads do usuário logado
+    const mine = db.prepare(`
+      SELECT 
+        COUNT(CASE WHEN ${OPEN_LEAD_SQL} THEN 1 END) as open,
+        COUNT(CASE WHEN leads.deleted_at IS NULL THEN 1 END) as total
+      FROM leads WHERE leads.assigned_to = ?
+    `).get(req.user.id);
+    
+    res.json({
+      total: total.count,
+      byStatus: Object.fromEntries(stages.map(stage => [stage.key, stage.count])),
+      byKind,
+      stages,
+      conversionRate: total.count > 0 ? Number(((byKind.won / total.count) * 100).toFixed(1)) : 0,
+      today: todayLeads.count,
+      last7Days,
+      mine
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar estatísticas', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar estatísticas'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Get statistics by source
+app.get('/api/admin/stats/sources', authMiddleware, dashboardMiddleware, (req, res) => {
+  try {
+    const sources = db.prepare(`
+      SELECT 
+        l.source,
+        l.utm_campaign,
+        COUNT(*) as total,
+        COUNT(CASE WHEN s.kind = 'won' THEN 1 END) as won,
+        COUNT(CASE WHEN s.kind = 'lost' THEN 1 END) as lost,
+        COUNT(CASE WHEN s.kind IS NULL OR s.kind = 'open' THEN 1 END) as open
+      FROM leads l
+      LEFT JOIN pipeline_stages s ON s.key = l.status
+      WHERE l.deleted_at IS NULL AND l.source IS NOT NULL
+      GROUP BY l.source, l.utm_campaign
+      ORDER BY total DESC
+    `).all();
+    
+    res.json(sources);
+  } catch (error) {
+    logger.error('Erro ao buscar fontes', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar fontes'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Get lead statistics by country
+app.get('/api/admin/stats/countries', authMiddleware, dashboardMiddleware, (req, res) => {
+  try {
+    const countries = db.prepare(`
+      SELECT 
+        l.country,
+        COUNT(*) as total,
+        COUNT(CASE WHEN s.kind = 'won' THEN 1 END) as won
+      FROM leads l
+      LEFT JOIN pipeline_stages s ON s.key = l.status
+      WHERE l.deleted_at IS NULL AND l.country IS NOT NULL
+      GROUP BY l.country
+      ORDER BY total DESC
+    `).all();
+    
+    res.json(countries);
+  } catch (error) {
+    logger.error('Erro ao buscar países', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar países'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Muda o status registrando na timeline e avisando os webhooks (usado pela rota individual e em lote)
+const changeLeadStatus = (lead, status, userId, metadata = {}) => {
+  if (lead.status === status) return false;
+  
+  const stage = getPipelineStage(status);
+  db.prepare('UPDATE leads SET status = ? WHERE id = ?').run(status, lead.id);
+  
+  logLeadActivity(lead.id, 'status_change', {
+    userId,
+    metadata: { from: lead.status, to: status, ...metadata }
+  });
+  
+  enqueueWebhook('lead.status_changed', {
+    id: lead.id,
+    name: lead.name,
+    whatsapp: lead.whatsapp,
+    previous_status: lead.status,
+    status,
+    status_label: stage.label,
+    status_kind: stage.kind,
+    timestamp: new Date().toISOString()
+  });
+  
+  return true;
+};
+
+// Troca o responsável pela API (rota individual e em lote) e avisa os webhooks
+const changeLeadAssignee = (lead, userId, actorId, metadata = {}) => {
+  if (!assignLead(lead, userId, { actorId, ...metadata })) return false;
+  
+  enqueueWebhook('lead.assigned', {
+    id: lead.id,
+    name: lead.name,
+    whatsapp: lead.whatsapp,
+    previous_assigned_to: lead.assigned_to,
+    assigned_to: userId,
+    assigned_name: getUserName(userId),
+    timestamp: new Date().toISOString()
+  });
+  
+  return true;
+};
+
+// Leads da seleção: ids que existem ou todos que batem com os filtros
+const resolveBulkSelection = ({ ids, filters }, user) => {
+  const { where, params } = buildLeadFilters(ids ? { ids } : filters, { user });
+  return db.prepare(`SELECT * FROM leads${where} ORDER BY leads.id`).all(...params);
+};
+
+// Bulk status - COM CSRF (#8), numa transação só
+app.patch('/api/admin/leads/bulk/status', csrfProtection, authMiddleware, leadsMiddleware, (req, res) => {
+  try {
+    const selection = leadBulkSelectionSchema.parse(req.body);
+    const { status } = leadStatusSchema.parse(req.body);
+    
+    const leads = resolveBulkSelection(selection, req.user);
+    
+    const updated = db.transaction(() => {
+      return leads.filter(lead => changeLeadStatus(lead, status, req.user.id, { bulk: true })).length;
+    })();
+    
+    logger.info('Status de leads atualizado em lote', { 
+      selected: leads.length,
+      updated,
+      newStatus: status,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, selected: leads.length, updated });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao atualizar status em lote', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao atualizar status. Nenhum lead foi alterado.'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Bulk assign - COM CSRF (#8), numa transação só
+app.patch('/api/admin/leads/bulk/assign', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const selection = leadBulkSelectionSchema.parse(req.body);
+    const { user_id: assigneeId } = leadAssignSchema.parse(req.body);
+    
+    const leads = resolveBulkSelection(selection, req.user);
+    
+    const updated = db.transaction(() => {
+      return leads.filter(lead => changeLeadAssignee(lead, assigneeId, req.user.id, { bulk: true })).length;
+    })();
+    
+    logger.info('Responsável de leads alterado em lote', { 
+      selected: leads.length,
+      updated,
+      assignedTo: assigneeId,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, selected: leads.length, updated });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao atribuir leads em lote', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao atribuir leads. Nenhum lead foi alterado.'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Bulk delete - COM CSRF (#8), numa transação só
+app.delete('/api/admin/leads/bulk', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const selection = leadBulkSelectionSchema.parse(req.body);
+    const leads = resolveBulkSelection(selection, req.user);
+    
+    db.transaction(() => {
+      leads.forEach(lead => trashLead(lead, req.user.id, { bulk: true }));
+    })();
+    
+    logger.info('Leads movidos para a lixeira em lote', { 
+      deleted: leads.length,
+      leadIds: leads.map(lead => lead.id),
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, deleted: leads.length });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao deletar leads em lote', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao deletar leads. Nenhum lead foi removido.'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Bulk tags - COM CSRF (#8), numa transação só
+app.patch('/api/admin/leads/bulk/tags', csrfProtection, authMiddleware, leadsMiddleware, (req, res) => {
+  try {
+    const selection = leadBulkSelectionSchema.parse(req.body);
+    const { add, remove } = leadBulkTagsSchema.parse(req.body);
+    
+    const tagError = validateNewTagNames(add, req.user, 'add');
+    
+    if (tagError) {
+      return res.status(400).json({ error: 'Dados inválidos', details: [tagError] });
+    }
+    
+    const leads = resolveBulkSelection(selection, req.user);
+    
+    const updated = db.transaction(() => {
+      const addTags = findTagsByName(add, { create: hasPermission(req.user, 'admin') });
+      const removeTags = findTagsByName(remove);
+      
+      return leads.filter(lead => {
+        const { added, removed } = updateLeadTags(lead.id, { add: addTags, remove: removeTags });
+        if (added.length === 0 && removed.length === 0) return false;
+        
+        logLeadActivity(lead.id, 'update', {
+          userId: req.user.id,
+          metadata: { fields: ['tags'], tags_added: added, tags_removed: removed, bulk: true }
+        });
+        
+        enqueueWebhook('lead.updated', {
+          id: lead.id,
+          fields: ['tags'],
+          tags: (getTagsByLead([lead.id])[lead.id] || []).map(tag => tag.name),
+          timestamp: new Date().toISOString()
+        });
+        
+        return true;
+      }).length;
+    })();
+    
+    logger.info('Tags de leads atualizadas em lote', { 
+      selected: leads.length,
+      updated,
+      add,
+      remove,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, selected: leads.length, updated });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao atualizar tags em lote', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao atualizar tags. Nenhum lead foi alterado.'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Lixeira: leads deletados, do mais recente para o mais antigo (aceita os filtros da listagem)
+app.get('/api/admin/leads/trash', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const filters = leadListQuerySchema.parse(req.query);
+    const { limit, offset } = filters;
+    const { where, params } = buildLeadFilters(filters, { trashed: true, user: req.user });
+    
+    const leads = db.prepare(`
+      SELECT leads.*, ${LEAD_PURGE_AT_SQL} as purge_at
+      FROM leads${where}
+      ORDER BY leads.deleted_at DESC, leads.id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    
+    const total = db.prepare(`SELECT COUNT(*) as total FROM leads${where}`).get(...params);
+    
+    res.json({
+      leads,
+      total: total.total,
+      retention_days: LEAD_TRASH_RETENTION_DAYS,
+      limit,
+      offset
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao buscar lixeira', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar lixeira'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Esvaziar lixeira - COM CSRF (#8)
+app.delete('/api/admin/leads/trash', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const leads = db.prepare('SELECT id FROM leads WHERE deleted_at IS NOT NULL').all();
+    
+    db.transaction(() => {
+      leads.forEach(lead => purgeLead(lead.id));
+    })();
+    
+    logger.info('Lixeira esvaziada', { 
+      purged: leads.length,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, purged: leads.length });
+  } catch (error) {
+    logger.error('Erro ao esvaziar lixeira', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao esvaziar lixeira. Nenhum lead foi excluído.'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Restaurar da lixeira - COM CSRF (#8)
+app.post('/api/admin/leads/trash/:id/restore', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const lead = db.prepare('SELECT * FROM leads WHERE id = ? AND deleted_at IS NOT NULL').get(req.params.id);
+    
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead não está na lixeira' });
+    }
+    
+    db.transaction(() => restoreLead(lead, req.user.id))();
+    
+    // Um lead novo com o mesmo contato pode ter chegado enquanto este estava na lixeira
+    const duplicate = db.prepare(`
+      SELECT id FROM leads 
+      WHERE id != ? AND deleted_at IS NULL
+        AND (whatsapp_normalized = ? OR (email_normalized IS NOT NULL AND email_normalized = ?))
+      LIMIT 1
+    `).get(lead.id, lead.whatsapp_normalized, lead.email_normalized);
+    
+    logger.info('Lead restaurado da lixeira', { 
+      leadId: lead.id,
+      duplicateId: duplicate?.id,
+      userId: req.user.id
+    });
+    
+    res.json({ ...getLeadDetail(lead.id), duplicate_id: duplicate?.id || null });
+  } catch (error) {
+    logger.error('Erro ao restaurar lead', { 
+      error: error.message,
+      leadId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao restaurar lead'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Excluir de vez um lead da lixeira - COM CSRF (#8)
+app.delete('/api/admin/leads/trash/:id', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const lead = db.prepare('SELECT id FROM leads WHERE id = ? AND deleted_at IS NOT NULL').get(req.params.id);
+    
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead não está na lixeira' });
+    }
+    
+    db.transaction(() => purgeLead(lead.id))();
+    
+    logger.info('Lead excluído definitivamente', { 
+      leadId: lead.id,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, message: 'Lead excluído definitivamente' });
+  } catch (error) {
+    logger.error('Erro ao excluir lead', { 
+      error: error.message,
+      leadId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao excluir lead'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Update lead status - COM CSRF (#8) e VALIDAÇÃO (#9)
+app.patch('/api/admin/leads/:id/status', csrfProtection, authMiddleware, leadsMiddleware, leadAccessMiddleware, (req, res) => {
+  try {
+    // Validação com Zod (#9)
+    const validatedData = leadStatusSchema.parse(req.body);
+    const { status } = validatedData;
+    
+    const lead = findActiveLead(req.params.id);
+    
+    if (!lead) {
+      logger.warn('Tentativa de atualizar lead inexistente', { 
+        leadId: req.params.id,
+        userId: req.user.id
+      });
+      return res.status(404).json({ error: 'Lead não encontrado' });
+    }
+    
+    changeLeadStatus(lead, status, req.user.id);
+    
+    logger.info('Status de lead atualizado', { 
+      leadId: req.params.id,
+      newStatus: status,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, message: 'Status atualizado' });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Status inválido', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao atualizar status', { 
+      error: error.message,
+      leadId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao atualizar status'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Reassign lead - COM CSRF (#8)
+app.patch('/api/admin/leads/:id/assign', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const { user_id: assigneeId } = leadAssignSchema.parse(req.body);
+    
+    const lead = findActiveLead(req.params.id);
+    
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead não encontrado' });
+    }
+    
+    db.transaction(() => changeLeadAssignee(lead, assigneeId, req.user.id))();
+    
+    logger.info('Responsável do lead alterado', { 
+      leadId: lead.id,
+      assignedTo: assigneeId,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, lead: getLeadDetail(lead.id) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao atribuir lead', { 
+      error: error.message,
+      leadId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao atribuir lead'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Delete lead - COM CSRF (#8)
+app.delete('/api/admin/leads/:id', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const lead = findActiveLead(req.params.id);
+    
+    if (!lead) {
+      logger.warn('Tentativa de deletar lead inexistente', { 
+        leadId: req.params.id,
+        userId: req.user.id
+      });
+      return res.status(404).json({ error: 'Lead não encontrado' });
+    }
+    
+    db.transaction(() => trashLead(lead, req.user.id))();
+    
+    logger.info('Lead movido para a lixeira', { 
+      leadId: req.params.id,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, message: 'Lead movido para a lixeira' });
+  } catch (error) {
+    logger.error('Erro ao deletar lead', { 
+      error: error.message,
+      leadId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao deletar lead'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// ========================================
+// ROTAS ADMIN - IMPORTAÇÃO DE LEADS (CSV)
+// ========================================
+
+// Nomes de coluna reconhecidos (sem acento, minúsculos, só letras e números)
+const IMPORT_HEADER_ALIASES = {
+  name: ['nome', 'name', 'nomecompleto', 'fullname'],
+  whatsapp: ['whatsapp', 'whats', 'telefone', 'phone', 'celular', 'fone', 'tel', 'mobile'],
+  email: ['email'],
+  city: ['cidade', 'city'],
+  level: ['nivel', 'level', 'niveldeingles'],
+  goal: ['objetivo', 'goal'],
+  schedule: ['horario', 'schedule', 'disponibilidade'],
+  message: ['mensagem', 'message', 'observacao', 'observacoes', 'obs'],
+  source: ['origem', 'source', 'fonte'],
+  utm_source: ['utmsource'],
+  utm_medium: ['utmmedium'],
+  utm_campaign: ['utmcampaign', 'campanha', 'campaign'],
+  status: ['status', 'etapa']
+};
+
+const normalizeHeader = (header) => header
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '');
+
+// Sugere o campo de cada coluna; cada campo fica só com a primeira coluna que bate
+const suggestImportMapping = (headers) => {
+  const used = new Set();
+  
+  return headers.map(header => {
+    const normalized = normalizeHeader(header);
+    const field = Object.keys(IMPORT_HEADER_ALIASES)
+      .find(key => IMPORT_HEADER_ALIASES[key].includes(normalized));
+    
+    if (!field || used.has(field)) return '';
+    used.add(field);
+    return field;
+  });
+};
+
+// Aceita a key ou o nome da etapa ("contacted" ou "Contatado")
+const findImportStage = (value) => {
+  const normalized = value.trim().toLowerCase();
+  return getPipelineStages().find(stage =>
+    stage.key === normalized || stage.label.toLowerCase() === normalized
+  );
+};
+
+// Lê e valida o CSV sem gravar nada; a importação refaz tudo isso no servidor
+const buildImportPreview = ({ csv, delimiter, mapping, phone_country }) => {
+  const rows = parseCsv(csv, delimiter ? CSV_DELIMITERS[delimiter] : undefined);
+  
+  if (rows.length < 2) {
+    return { error: 'O CSV precisa de uma linha de cabeçalho e pelo menos um lead' };
+  }
+  
+  if (rows.length - 1 > LEAD_IMPORT_MAX_ROWS) {
+    return { error: `Máximo de ${LEAD_IMPORT_MAX_ROWS} linhas por importação` };
+  }
+  
+  const [headers, ...lines] = rows;
+  const columns = mapping || suggestImportMapping(headers);
+  
+  if (!columns.includes('name') || !columns.includes('whatsapp')) {
+    return { error: 'Escolha as colunas de nome e WhatsApp', headers, mapping: columns };
+  }
+  
+  // Primeira linha do arquivo com cada telefone/email, para achar repetidos no próprio CSV
+  const seen = new Map();
+  
+  const results = lines.map((cells, index) => {
+    const line = index + 2;
+    const raw = {};
+    
+    columns.forEach((field, column) => {
+      if (field) raw[field] = (cells[column] || '').trim();
+    });
+    
+    const { status: statusValue, ...fields } = raw;
+    const errors = [];
+    const parsed = leadSchema.safeParse(fields);
+    
+    if (!parsed.success) {
+      errors.push(...parsed.error.issues.map(e => ({
+        field: e.path.join('.'),
+        message: e.message
+      })));
+    }
+    
+    const phone = fields.whatsapp ? normalizePhone(fields.whatsapp, phone_country || DEFAULT_PHONE_COUNTRY) : null;
+    
+    if (!phone && !errors.some(e => e.field === 'whatsapp')) {
+      errors.push({ field: 'whatsapp', message: 'WhatsApp inválido. Inclua o DDI, ex: +1 857 555 1234' });
+    }
+    
+    const stage = statusValue ? findImportStage(statusValue) : null;
+    
+    if (statusValue && !stage) {
+      errors.push({ field: 'status', message: `Etapa "${statusValue}" não existe no pipeline` });
+    }
+    
+    if (errors.length > 0) {
+      return { line, result: 'invalid', data: raw, errors };
+    }
+    
+    const data = {
+      ...parsed.data,
+      whatsapp: phone.e164,
+      country: phone.country,
+      status: stage?.key
+    };
+    
+    const emailNormalized = normalizeEmail(data.email);
+    const keys = [phone.e164, emailNormalized].filter(Boolean);
+    const duplicateLine = keys.map(key => seen.get(key)).find(Boolean);
+    
+    if (duplicateLine) {
+      return { line, result: 'duplicate', data, duplicate_line: duplicateLine };
+    }
+    
+    keys.forEach(key => seen.set(key, line));
+    
+    const existing = findDuplicateLead(phone.e164, emailNormalized);
+    
+    if (existing) {
+      return { line, result: 'duplicate', data, duplicate_id: existing.id, duplicate_name: existing.name };
+    }
+    
+    return { line, result: 'valid', data };
+  });
+  
+  const summary = { valid: 0, invalid: 0, duplicate: 0 };
+  results.forEach(row => summary[row.result]++);
+  
+  return { headers, mapping: columns, rows: results, summary };
+};
+
+// Pré-visualização: linhas válidas, inválidas (com os erros) e duplicadas
+app.post(`${IMPORT_PATH}/preview`, csrfProtection, authMiddleware, adminMiddleware, importJsonBody, (req, res) => {
+  try {
+    const options = leadImportSchema.parse(req.body);
+    const preview = buildImportPreview(options);
+    
+    if (preview.error) {
+      return res.status(400).json(preview);
+    }
+    
+    res.json({ ...preview, fields: LEAD_IMPORT_FIELDS, max_rows: LEAD_IMPORT_MAX_ROWS });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao pré-visualizar importação', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao ler o CSV'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Importa as linhas válidas numa transação só (tudo ou nada)
+app.post(IMPORT_PATH, csrfProtection, authMiddleware, adminMiddleware, importJsonBody, (req, res) => {
+  try {
+    const options = leadImportSchema.parse(req.body);
+    const preview = buildImportPreview(options);
+    
+    if (preview.error) {
+      return res.status(400).json(preview);
+    }
+    
+    const createdIds = [];
+    
+    const runImport = db.transaction(() => {
+      const counts = { created: 0, merged: 0, skipped: 0, invalid: preview.summary.invalid };
+      
+      for (const row of preview.rows) {
+        if (row.result === 'valid') {
+          const id = insertLead({ ...row.data, source: row.data.source || 'import' });
+          insertTouchpoint(id, { ...row.data, source: row.data.source || 'import' });
+          logLeadActivity(id, 'import', { userId: req.user.id, metadata: { line: row.line } });
+          autoAssignLead(id);
+          createdIds.push(id);
+          counts.created++;
+        } else if (row.result === 'duplicate' && row.duplicate_id && options.duplicates === 'merge') {
+          const existing = db.prepare('SELECT * FROM leads WHERE id = ?').get(row.duplicate_id);
+          insertTouchpoint(existing.id, { ...row.data, source: row.data.source || 'import' });
+          fillMissingLeadFields(existing, row.data);
+          logLeadActivity(existing.id, 'import', { userId: req.user.id, metadata: { line: row.line, merged: true } });
+          counts.merged++;
+        } else if (row.result === 'duplicate') {
+          counts.skipped++;
+        }
+      }
+      
+      return counts;
+    });
+    
+    const counts = runImport();
+    
+    // Com a importação gravada, cada lead novo dispara lead.created como os do formulário
+    // (numa transação só para o outbox)
+    const webhooks = db.transaction(() => createdIds.reduce((total, id) => {
+      const lead = db.prepare('SELECT * FROM leads WHERE id = ?').get(id);
+      
+      return total + enqueueWebhook('lead.created', { ...buildLeadCreatedPayload(lead), imported: true }).length;
+    }, 0))();
+    
+    logger.info('Leads importados', { 
+      ...counts,
+      webhooks,
+      userId: req.user.id
+    });
+    
+    res.status(201).json({ success: true, ...counts });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao importar leads', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao importar leads. Nenhum lead foi gravado.'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// ========================================
+// ROTAS ADMIN - LEADS DUPLICADOS
+// ========================================
+
+// Possíveis duplicados: mesmo WhatsApp, mesmo email ou mesmos 8 últimos dígitos
+// (pega o mesmo número com e sem DDI/DDD ou nono dígito)
+app.get('/api/admin/leads/duplicates', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    // Um join por chave, cada um pelo seu índice (um OR entre as chaves obrigaria a
+    // comparar todos os pares de leads). O par que bate em mais de uma chave fica
+    // com o motivo mais forte: whatsapp, email, whatsapp_similar.
+    const pairs = db.prepare(`
+      WITH matches AS (
+        SELECT a.id as lead_id, b.id as duplicate_id, 1 as rank
+        FROM leads a JOIN leads b ON b.whatsapp_normalized = a.whatsapp_normalized AND b.id > a.id
+        WHERE a.deleted_at IS NULL AND b.deleted_at IS NULL
+        
+        UNION ALL
+        
+        SELECT a.id, b.id, 2
+        FROM leads a JOIN leads b ON b.email_normalized = a.email_normalized AND b.id > a.id
+        WHERE a.deleted_at IS NULL AND b.deleted_at IS NULL
+        
+        UNION ALL
+        
+        SELECT a.id, b.id, 3
+        FROM leads a JOIN leads b ON b.whatsapp_suffix = a.whatsapp_suffix AND b.id > a.id
+        WHERE a.deleted_at IS NULL AND b.deleted_at IS NULL
+      )
+      SELECT 
+        m.lead_id,
+        m.duplicate_id,
+        CASE MIN(m.rank) WHEN 1 THEN 'whatsapp' WHEN 2 THEN 'email' ELSE 'whatsapp_similar' END as reason
+      FROM matches m
+      JOIN leads b ON b.id = m.duplicate_id
+      GROUP BY m.lead_id, m.duplicate_id
+      ORDER BY b.created_at DESC
+      LIMIT 100
+    `).all();
+    
+    const selectLead = db.prepare(`
+      SELECT leads.*, 
+        (SELECT COUNT(*) FROM lead_touchpoints t WHERE t.lead_id = leads.id) as touchpoint_count
+      FROM leads WHERE id = ?
+    `);
+    
+    const duplicates = pairs.map(pair => ({
+      reason: pair.reason,
+      leads: [selectLead.get(pair.lead_id), selectLead.get(pair.duplicate_id)]
+    }));
+    
+    res.json({ duplicates });
+  } catch (error) {
+    logger.error('Erro ao buscar leads duplicados', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar leads duplicados'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Merge: o lead da URL fica, o source_id é removido e o histórico dele vem junto
+app.post('/api/admin/leads/:id/merge', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const { source_id } = leadMergeSchema.parse(req.body);
+    
+    if (String(source_id) === String(req.params.id)) {
+      return res.status(400).json({ error: 'Não é possível mesclar um lead com ele mesmo' });
+    }
+    
+    const target = findActiveLead(req.params.id);
+    const source = findActiveLead(source_id);
+    
+    if (!target || !source) {
+      return res.status(404).json({ error: 'Lead não encontrado' });
+    }
+    
+    mergeLeads(target, source, req.user.id);
+    
+    enqueueWebhook('lead.deleted', {
+      id: source.id,
+      name: source.name,
+      whatsapp: source.whatsapp,
+      merged_into: target.id,
+      timestamp: new Date().toISOString()
+    });
+    
+    logger.info('Leads mesclados', { 
+      leadId: target.id,
+      sourceId: source.id,
+      userId: req.user.id
+    });
+    
+    const lead = db.prepare(`
+      SELECT leads.*, 
+        (SELECT COUNT(*) FROM lead_touchpoints t WHERE t.lead_id = leads.id) as touchpoint_count
+      FROM leads WHERE id = ?
+    `).get(target.id);
+    
+    res.json({ success: true, lead });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao mesclar leads', { 
+      error: error.message,
+      leadId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao mesclar leads'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Histórico de envios do formulário (com UTMs de cada envio)
+app.get('/api/admin/leads/:id/touchpoints', authMiddleware, leadsMiddleware, leadAccessMiddleware, (req, res) => {
+  try {
+    const lead = db.prepare('SELECT id FROM leads WHERE id = ?').get(req.params.id);
+    
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead não encontrado' });
+    }
+    
+    const touchpoints = db.prepare(`
+      SELECT * FROM lead_touchpoints 
+      WHERE lead_id = ? 
+      ORDER BY created_at DESC, id DESC
+    `).all(lead.id);
+    
+    res.json({ touchpoints });
+  } catch (error) {
+    logger.error('Erro ao buscar touchpoints', { 
+      error: error.message,
+      leadId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar histórico do lead'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// ========================================
+// ROTAS ADMIN - DETALHE E TIMELINE DO LEAD
+// ========================================
+
+const selectLeadActivities = `
+  SELECT a.*, u.name as user_name
+  FROM lead_activities a
+  LEFT JOIN users u ON u.id = a.user_id
+`;
+
+const serializeLeadActivity = (activity) => ({
+  ...activity,
+  metadata: activity.metadata ? JSON.parse(activity.metadata) : null
+});
+
+// Lead com número de envios, tags e campos personalizados
+const getLeadDetail = (id) => {
+  const lead = db.prepare(`
+    SELECT leads.*, ${LEAD_PURGE_AT_SQL} as purge_at,
+      (SELECT COUNT(*) FROM lead_touchpoints t WHERE t.lead_id = leads.id) as touchpoint_count,
+      (SELECT u.name FROM users u WHERE u.id = leads.assigned_to) as assigned_name
+    FROM leads WHERE id = ?
+  `).get(id);
+  
+  if (!lead) return null;
+  
+  return {
+    ...lead,
+    tags: getTagsByLead([lead.id])[lead.id] || [],
+    custom_fields: getLeadCustomValues(lead.id)
+  };
+};
+
+// Get lead by id
+app.get('/api/admin/leads/:id', authMiddleware, leadsMiddleware, leadAccessMiddleware, (req, res) => {
+  try {
+    const lead = getLeadDetail(req.params.id);
+    
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead não encontrado' });
+    }
+    
+    res.json({ lead });
+  } catch (error) {
+    logger.error('Erro ao buscar lead', { 
+      error: error.message,
+      leadId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar lead'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Campos vazios viram NULL; os de origem voltam para o padrão do formulário
+const LEAD_EDITABLE_DEFAULTS = {
+  email: null,
+  city: null,
+  level: null,
+  goal: null,
+  schedule: null,
+  message: null,
+  source: 'direct',
+  utm_source: 'direct',
+  utm_medium: 'none',
+  utm_campaign: 'none'
+};
+
+// Update lead fields - COM CSRF (#8) e VALIDAÇÃO (#9)
+app.patch('/api/admin/leads/:id', csrfProtection, authMiddleware, leadsMiddleware, leadAccessMiddleware, (req, res) => {
+  try {
+    const { phone_country, tags, custom_fields, ...validatedData } = leadUpdateSchema.parse(req.body);
+    const customFields = getCustomFields();
+    const customValues = custom_fields ? parseCustomFieldValues(custom_fields, customFields) : null;
+    const tagError = tags && validateNewTagNames(tags, req.user, 'tags');
+    
+    if (tagError) {
+      return res.status(400).json({ error: 'Dados inválidos', details: [tagError] });
+    }
+    
+    const lead = findActiveLead(req.params.id);
+    
+    if (!lead) {
+      logger.warn('Tentativa de editar lead inexistente', { 
+        leadId: req.params.id,
+        userId: req.user.id
+      });
+      return res.status(404).json({ error: 'Lead não encontrado' });
+    }
+    
+    const changes = {};
+    
+    if (validatedData.name !== undefined) {
+      changes.name = validatedData.name;
+    }
+    
+    for (const [field, fallback] of Object.entries(LEAD_EDITABLE_DEFAULTS)) {
+      if (validatedData[field] !== undefined) {
+        changes[field] = validatedData[field] || fallback;
+      }
+    }
+    
+    if (changes.email !== undefined) {
+      changes.email_normalized = normalizeEmail(changes.email);
+    }
+    
+    if (validatedData.whatsapp !== undefined) {
+      // Sem DDI, vale o país escolhido na edição ou o que o lead já tinha
+      const phone = normalizePhone(validatedData.whatsapp, phone_country || lead.country || DEFAULT_PHONE_COUNTRY);
+      
+      if (!phone) {
+        return res.status(400).json({ 
+          error: 'Dados inválidos', 
+          details: [{ field: 'whatsapp', message: 'WhatsApp inválido. Inclua o DDI, ex: +1 857 555 1234' }]
+        });
+      }
+      
+      const existing = db.prepare(
+        'SELECT id FROM leads WHERE whatsapp_normalized = ? AND id != ? AND deleted_at IS NULL'
+      ).get(phone.e164, lead.id);
+      
+      if (existing) {
+        return res.status(409).json({ 
+          error: 'Já existe um lead com este WhatsApp. Use a mesclagem de duplicados.',
+          duplicate_id: existing.id
+        });
+      }
+      
+      changes.whatsapp = phone.e164;
+      changes.whatsapp_normalized = phone.e164;
+      changes.country = phone.country;
+    }
+    
+    // Só grava (e avisa) o que realmente mudou
+    const changedFields = Object.keys(changes).filter(field => changes[field] !== lead[field]);
+    
+    const { tagChanges, changedCustomFields } = db.transaction(() => {
+      if (changedFields.length > 0) {
+        const assignments = changedFields.map(field => `${field} = ?`).join(', ');
+        db.prepare(`UPDATE leads SET ${assignments} WHERE id = ?`)
+          .run(...changedFields.map(field => changes[field]), lead.id);
+      }
+      
+      return {
+        tagChanges: tags
+          ? setLeadTags(lead.id, findTagsByName(tags, { create: hasPermission(req.user, 'admin') }))
+          : { added: [], removed: [] },
+        changedCustomFields: customValues ? saveLeadCustomValues(lead.id, customValues, customFields) : []
+      };
+    })();
+    
+    const tagsChanged = tagChanges.added.length > 0 || tagChanges.removed.length > 0;
+    
+    // Os campos derivados não aparecem na timeline
+    const editedColumns = changedFields.filter(field => !field.endsWith('_normalized') && field !== 'country');
+    const editedFields = [
+      ...editedColumns,
+      ...(tagsChanged ? ['tags'] : []),
+      ...changedCustomFields.map(key => `custom_fields.${key}`)
+    ];
+    
+    const updated = getLeadDetail(lead.id);
+    
+    if (editedFields.length > 0) {
+      logLeadActivity(lead.id, 'update', {
+        userId: req.user.id,
+        metadata: {
+          fields: editedFields,
+          ...(tagsChanged && { tags_added: tagChanges.added, tags_removed: tagChanges.removed })
+        }
+      });
+      
+      enqueueWebhook('lead.updated', {
+        id: lead.id,
+        fields: editedFields,
+        ...Object.fromEntries(editedColumns.map(field => [field, changes[field]])),
+        ...(tagsChanged && { tags: updated.tags.map(tag => tag.name) }),
+        ...(changedCustomFields.length > 0 && {
+          custom_fields: Object.fromEntries(changedCustomFields.map(key => [key, updated.custom_fields[key] ?? null]))
+        }),
+        timestamp: new Date().toISOString()
+      });
+      
+      logger.info('Lead editado', { 
+        leadId: lead.id,
+        fields: editedFields,
+        userId: req.user.id
+      });
+    }
+    
+    res.json({ lead: updated });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao editar lead', { 
+      error: error.message,
+      leadId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao editar lead'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Timeline: notas, contatos e mudanças de status (mais recentes primeiro)
+app.get('/api/admin/leads/:id/activities', authMiddleware, leadsMiddleware, leadAccessMiddleware, (req, res) => {
+  try {
+    const lead = db.prepare('SELECT id FROM leads WHERE id = ?').get(req.params.id);
+    
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead não encontrado' });
+    }
+    
+    const activities = db.prepare(`
+      ${selectLeadActivities}
+      WHERE a.lead_id = ?
+      ORDER BY a.created_at DESC, a.id DESC
+    `).all(lead.id);
+    
+    res.json({
+      activities: activities.map(serializeLeadActivity),
+      types: LEAD_ACTIVITY_TYPES,
+      outcomes: LEAD_ACTIVITY_OUTCOMES
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar atividades', { 
+      error: error.message,
+      leadId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar atividades do lead'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Add note / contact outcome
+app.post('/api/admin/leads/:id/activities', csrfProtection, authMiddleware, leadsMiddleware, leadAccessMiddleware, (req, res) => {
+  try {
+    const { type, content, outcome } = leadActivitySchema.parse(req.body);
+    
+    const lead = findActiveLead(req.params.id);
+    
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead não encontrado' });
+    }
+    
+    const result = logLeadActivity(lead.id, type, {
+      userId: req.user.id,
+      content: content || null,
+      outcome: outcome || null
+    });
+    
+    logger.info('Atividade registrada', { 
+      leadId: lead.id,
+      activityId: result.lastInsertRowid,
+      type,
+      userId: req.user.id
+    });
+    
+    const activity = db.prepare(`${selectLeadActivities} WHERE a.id = ?`).get(result.lastInsertRowid);
+    
+    res.status(201).json(serializeLeadActivity(activity));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao registrar atividade', { 
+      error: error.message,
+      leadId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao registrar atividade'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Remove a atividade e deixa na timeline quem removeu e o que estava escrito
+const deleteLeadActivity = db.transaction((activity, userId) => {
+  db.prepare('DELETE FROM lead_activities WHERE id = ?').run(activity.id);
+  
+  return logLeadActivity(activity.lead_id, 'activity_deleted', {
+    userId,
+    content: activity.content,
+    outcome: activity.outcome,
+    metadata: {
+      type: activity.type,
+      author_id: activity.user_id,
+      author_name: activity.user_name,
+      created_at: activity.created_at
+    }
+  }).lastInsertRowid;
+});
+
+// Delete activity (só as registradas na mão, por quem registrou ou por um admin; o histórico automático fica)
+app.delete('/api/admin/leads/:id/activities/:activityId', csrfProtection, authMiddleware, leadsMiddleware, leadAccessMiddleware, (req, res) => {
+  try {
+    const activity = db.prepare(`${selectLeadActivities} WHERE a.id = ? AND a.lead_id = ?`)
+      .get(req.params.activityId, req.params.id);
+    
+    if (!activity) {
+      return res.status(404).json({ error: 'Atividade não encontrada' });
+    }
+    
+    if (!LEAD_ACTIVITY_TYPES.includes(activity.type)) {
+      return res.status(400).json({ error: 'Atividades automáticas não podem ser removidas' });
+    }
+    
+    if (activity.user_id !== req.user.id && !hasPermission(req.user, 'admin')) {
+      logger.warn('Tentativa de remover atividade de outro usuário', { 
+        leadId: activity.lead_id,
+        activityId: activity.id,
+        authorId: activity.user_id,
+        userId: req.user.id
+      });
+      return res.status(403).json({ error: 'Só quem registrou a atividade ou um administrador pode removê-la' });
+    }
+    
+    const logId = deleteLeadActivity(activity, req.user.id);
+    
+    logger.info('Atividade deletada', { 
+      leadId: activity.lead_id,
+      activityId: activity.id,
+      authorId: activity.user_id,
+      userId: req.user.id
+    });
+    
+    const logged = db.prepare(`${selectLeadActivities} WHERE a.id = ?`).get(logId);
+    
+    res.json({ success: true, message: 'Atividade deletada', activity: serializeLeadActivity(logged) });
+  } catch (error) {
+    logger.error('Erro ao deletar atividade', { 
+      error: error.message,
+      activityId: req.params.activityId,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao deletar atividade'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// ========================================
+// ROTAS ADMIN - TAREFAS DE FOLLOW-UP
+// ========================================
+
+// Tarefas do lead: abertas primeiro (pelo vencimento), depois as concluídas
+app.get('/api/admin/leads/:id/tasks', authMiddleware, leadsMiddleware, leadAccessMiddleware, (req, res) => {
+  try {
+    const lead = db.prepare('SELECT id FROM leads WHERE id = ?').get(req.params.id);
+    
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead não encontrado' });
+    }
+    
+    const tasks = db.prepare(`
+      ${selectLeadTasks}
+      WHERE t.lead_id = ?
+      ORDER BY t.done_at IS NOT NULL, t.done_at DESC, t.due_at, t.id
+    `).all(lead.id);
+    
+    res.json({ tasks: tasks.map(serializeLeadTask) });
+  } catch (error) {
+    logger.error('Erro ao buscar tarefas do lead', { 
+      error: error.message,
+      leadId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar tarefas do lead'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Create task
+app.post('/api/admin/leads/:id/tasks', csrfProtection, authMiddleware, leadsMiddleware, leadAccessMiddleware, (req, res) => {
+  try {
+    const { title, due_at: dueAt, assigned_to: assignedTo } = leadTaskSchema.parse(req.body);
+    
+    const lead = findActiveLead(req.params.id);
+    
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead não encontrado' });
+    }
+    
+    // Sem responsável informado: quem cuida do lead, ou quem criou a tarefa
+    const assignee = assignedTo === undefined ? (lead.assigned_to ?? req.user.id) : assignedTo;
+    
+    const result = db.prepare(`
+      INSERT INTO lead_tasks (lead_id, title, due_at, assigned_to, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(lead.id, title, dueAt, assignee, req.user.id);
+    
+    logger.info('Tarefa criada', { 
+      leadId: lead.id,
+      taskId: result.lastInsertRowid,
+      userId: req.user.id
+    });
+    
+    const task = db.prepare(`${selectLeadTasks} WHERE t.id = ?`).get(result.lastInsertRowid);
+    
+    res.status(201).json(serializeLeadTask(task));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao criar tarefa', { 
+      error: error.message,
+      leadId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao criar tarefa'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Tarefas de todos os leads (?status, ?assigned_to, ?due_before) pelo vencimento
+app.get('/api/admin/tasks', authMiddleware, leadsMiddleware, (req, res) => {
+  try {
+    const { status, assigned_to: assignedTo, due_before: dueBefore, limit } = leadTaskListQuerySchema.parse(req.query);
+    
+    const conditions = ['l.deleted_at IS NULL'];
+    const params = [];
+    
+    // Vendedor vê as tarefas dos leads dele
+    const ownerId = getLeadOwnerScope(req.user);
+    if (ownerId !== null) {
+      conditions.push('l.assigned_to = ?');
+      params.push(ownerId);
+    }
+    
+    if (status === 'open') conditions.push('t.done_at IS NULL');
+    if (status === 'overdue') conditions.push('t.done_at IS NULL AND t.overdue_at IS NOT NULL');
+    if (status === 'done') conditions.push('t.done_at IS NOT NULL');
+    
+    if (assignedTo === 'none') {
+      conditions.push('t.assigned_to IS NULL');
+    } else if (assignedTo) {
+      conditions.push('t.assigned_to = ?');
+      params.push(assignedTo === 'me' ? req.user.id : assignedTo);
+    }
+    
+    if (dueBefore) {
+      conditions.push('t.due_at <= ?');
+      params.push(dueBefore);
+    }
+    
+    const where = ` WHERE ${conditions.join(' AND ')}`;
+    
+    const tasks = db.prepare(`${selectLeadTasks}${where} ORDER BY t.due_at, t.id LIMIT ?`).all(...params, limit);
+    const total = db.prepare(`
+      SELECT COUNT(*) as total FROM lead_tasks t JOIN leads l ON l.id = t.lead_id${where}
+    `).get(...params).total;
+    
+    res.json({ tasks: tasks.map(serializeLeadTask), total });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Parâmetros inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao buscar tarefas', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar tarefas'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Edita ou conclui (done) uma tarefa
+app.patch('/api/admin/tasks/:id', csrfProtection, authMiddleware, leadsMiddleware, (req, res) => {
+  try {
+    const changes = leadTaskUpdateSchema.parse(req.body);
+    
+    const task = findActiveLeadTask(req.params.id, getLeadOwnerScope(req.user));
+    
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+    
+    const updates = [];
+    const params = [];
+    
+    for (const field of ['title', 'due_at', 'assigned_to']) {
+      if (changes[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(changes[field]);
+      }
+    }
+    
+    // Vencimento novo: volta a valer o aviso de atraso
+    if (changes.due_at !== undefined && changes.due_at !== task.due_at) {
+      updates.push('overdue_at = NULL');
+    }
+    
+    const completing = changes.done === true && !task.done_at;
+    
+    if (completing) {
+      updates.push("done_at = datetime('now')", 'done_by = ?');
+      params.push(req.user.id);
+    } else if (changes.done === false && task.done_at) {
+      updates.push('done_at = NULL', 'done_by = NULL');
+    }
+    
+    if (updates.length > 0) {
+      db.transaction(() => {
+        db.prepare(`UPDATE lead_tasks SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+          .run(...params, task.id);
+        
+        if (completing) {
+          logLeadActivity(task.lead_id, 'task_done', {
+            userId: req.user.id,
+            metadata: { task_id: task.id, title: changes.title ?? task.title }
+          });
+        }
+      })();
+      
+      logger.info('Tarefa atualizada', { 
+        taskId: task.id,
+        fields: Object.keys(changes),
+        userId: req.user.id
+      });
+    }
+    
+    const updated = db.prepare(`${selectLeadTasks} WHERE t.id = ?`).get(task.id);
+    
+    res.json(serializeLeadTask(updated));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao atualizar tarefa', { 
+      error: error.message,
+      taskId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao atualizar tarefa'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Delete task
+app.delete('/api/admin/tasks/:id', csrfProtection, authMiddleware, leadsMiddleware, (req, res) => {
+  try {
+    const task = findActiveLeadTask(req.params.id, getLeadOwnerScope(req.user));
+    
+    if (!task) {
+      return res.status(404).json({ error: 'Tarefa não encontrada' });
+    }
+    
+    db.prepare('DELETE FROM lead_tasks WHERE id = ?').run(task.id);
+    
+    logger.info('Tarefa deletada', { 
+      leadId: task.lead_id,
+      taskId: task.id,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, message: 'Tarefa deletada' });
+  } catch (error) {
+    logger.error('Erro ao deletar tarefa', { 
+      error: error.message,
+      taskId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao deletar tarefa'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// ========================================
+// ROTAS ADMIN - PIPELINE
+// ========================================
+
+// "Aula Experimental" -> "aula_experimental" (keys de etapas e de campos personalizados)
+const slugifyKey = (label) => {
+  return label
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 50);
+};
+
+// O pipeline precisa de pelo menos uma etapa em aberto (onde os leads novos entram)
+const isLastOpenStage = (stage) => {
+  if (stage.kind !== 'open') return false;
+  const open = db.prepare("SELECT COUNT(*) as count FROM pipeline_stages WHERE kind = 'open'").get();
+  return open.count <= 1;
+};
+
+// List pipeline stages
+app.get('/api/admin/pipeline/stages', authMiddleware, leadsMiddleware, (req, res) => {
+  try {
+    const stages = db.prepare(`
+      SELECT s.*, (SELECT COUNT(*) FROM leads l WHERE l.status = s.key) as lead_count
+      FROM pipeline_stages s
+      ORDER BY s.position, s.id
+    `).all();
+    
+    res.json({ stages, kinds: PIPELINE_STAGE_KINDS });
+  } catch (error) {
+    logger.error('Erro ao buscar pipeline', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar pipeline'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Create pipeline stage
+app.post('/api/admin/pipeline/stages', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const { key, label, color, kind } = pipelineStageSchema.parse(req.body);
+    const stageKey = key || slugifyKey(label);
+    
+    if (!stageKey) {
+      return res.status(400).json({ error: 'Não foi possível gerar a key da etapa. Informe uma key.' });
+    }
+    
+    if (getPipelineStage(stageKey)) {
+      return res.status(409).json({ error: `Já existe uma etapa com a key "${stageKey}"` });
+    }
+    
+    const result = db.prepare(`
+      INSERT INTO pipeline_stages (key, label, color, kind, position)
+      VALUES (?, ?, ?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM pipeline_stages))
+    `).run(stageKey, label, color || '#718096', kind || 'open');
+    
+    logger.info('Etapa do pipeline criada', { 
+      stageId: result.lastInsertRowid,
+      key: stageKey,
+      userId: req.user.id
+    });
+    
+    const stage = db.prepare('SELECT * FROM pipeline_stages WHERE id = ?').get(result.lastInsertRowid);
+    res.status(201).json({ ...stage, lead_count: 0 });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao criar etapa', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao criar etapa'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Reorder pipeline stages (ids na nova ordem, todas as etapas)
+app.put('/api/admin/pipeline/stages/order', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const { ids } = pipelineStageReorderSchema.parse(req.body);
+    const stages = getPipelineStages();
+    
+    const sameStages = ids.length === stages.length && 
+      stages.every(stage => ids.includes(stage.id));
+    
+    if (!sameStages) {
+      return res.status(400).json({ error: 'A nova ordem deve conter todas as etapas uma única vez' });
+    }
+    
+    const updatePosition = db.prepare(`
+      UPDATE pipeline_stages SET position = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `);
+    
+    db.transaction(() => {
+      ids.forEach((id, index) => updatePosition.run(index, id));
+    })();
+    
+    logger.info('Pipeline reordenado', { ids, userId: req.user.id });
+    
+    res.json({ success: true, stages: getPipelineStages() });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao reordenar pipeline', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao reordenar pipeline'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Update pipeline stage
+app.patch('/api/admin/pipeline/stages/:id', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const validatedData = pipelineStageUpdateSchema.parse(req.body);
+    const stage = db.prepare('SELECT * FROM pipeline_stages WHERE id = ?').get(req.params.id);
+    
+    if (!stage) {
+      return res.status(404).json({ error: 'Etapa não encontrada' });
+    }
+    
+    if (validatedData.kind && validatedData.kind !== 'open' && isLastOpenStage(stage)) {
+      return res.status(400).json({ error: 'O pipeline precisa de pelo menos uma etapa em aberto' });
+    }
+    
+    const fields = Object.keys(validatedData);
+    
+    if (fields.length > 0) {
+      db.prepare(`
+        UPDATE pipeline_stages 
+        SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+        WHERE id = ?
+      `).run(...fields.map(field => validatedData[field]), stage.id);
+    }
+    
+    logger.info('Etapa do pipeline atualizada', { 
+      stageId: stage.id,
+      fields,
+      userId: req.user.id
+    });
+    
+    res.json(db.prepare('SELECT * FROM pipeline_stages WHERE id = ?').get(stage.id));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao atualizar etapa', { 
+      error: error.message,
+      stageId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao atualizar etapa'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Delete pipeline stage. Com leads na etapa, ?move_to=<key> diz para onde eles vão.
+app.delete('/api/admin/pipeline/stages/:id', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const stage = db.prepare('SELECT * FROM pipeline_stages WHERE id = ?').get(req.params.id);
+    
+    if (!stage) {
+      return res.status(404).json({ error: 'Etapa não encontrada' });
+    }
+    
+    if (isLastOpenStage(stage)) {
+      return res.status(400).json({ error: 'O pipeline precisa de pelo menos uma etapa em aberto' });
+    }
+    
+    const { count: leadCount } = db.prepare('SELECT COUNT(*) as count FROM leads WHERE status = ?').get(stage.key);
+    const moveTo = req.query.move_to ? getPipelineStage(req.query.move_to) : null;
+    
+    if (leadCount > 0 && (!moveTo || moveTo.id === stage.id)) {
+      return res.status(409).json({ 
+        error: 'A etapa tem leads. Escolha para qual etapa eles serão movidos.',
+        lead_count: leadCount
+      });
+    }
+    
+    db.transaction(() => {
+      if (leadCount > 0) {
+        // A mudança aparece na timeline de cada lead movido
+        db.prepare(`
+          INSERT INTO lead_activities (lead_id, user_id, type, metadata)
+          SELECT id, ?, 'status_change', json_object('from', ?, 'to', ?)
+          FROM leads WHERE status = ?
+        `).run(req.user.id, stage.key, moveTo.key, stage.key);
+        
+        db.prepare('UPDATE leads SET status = ? WHERE status = ?').run(moveTo.key, stage.key);
+      }
+      
+      db.prepare('DELETE FROM pipeline_stages WHERE id = ?').run(stage.id);
+    })();
+    
+    logger.info('Etapa do pipeline deletada', { 
+      stageId: stage.id,
+      key: stage.key,
+      movedLeads: leadCount,
+      movedTo: moveTo?.key,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, message: 'Etapa deletada', moved: leadCount });
+  } catch (error) {
+    logger.error('Erro ao deletar etapa', { 
+      error: error.message,
+      stageId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao deletar etapa'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// ========================================
+// ROTAS ADMIN - TAGS E CAMPOS PERSONALIZADOS
+// ========================================
+
+// List tags
+app.get('/api/admin/tags', authMiddleware, leadsMiddleware, (req, res) => {
+  try {
+    const tags = db.prepare(`
+      SELECT t.*, (SELECT COUNT(*) FROM lead_tags lt WHERE lt.tag_id = t.id) as lead_count
+      FROM tags t
+      ORDER BY t.name COLLATE NOCASE
+    `).all();
+    
+    res.json({ tags });
+  } catch (error) {
+    logger.error('Erro ao buscar tags', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar tags'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Create tag
+app.post('/api/admin/tags', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const { name, color } = tagSchema.parse(req.body);
+    
+    if (findTagsByName([name]).length > 0) {
+      return res.status(409).json({ error: `Já existe uma tag "${name}"` });
+    }
+    
+    const result = db.prepare('INSERT INTO tags (name, color) VALUES (?, ?)').run(name, color || DEFAULT_TAG_COLOR);
+    
+    logger.info('Tag criada', { 
+      tagId: result.lastInsertRowid,
+      name,
+      userId: req.user.id
+    });
+    
+    const tag = db.prepare('SELECT * FROM tags WHERE id = ?').get(result.lastInsertRowid);
+    res.status(201).json({ ...tag, lead_count: 0 });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao criar tag', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao criar tag'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Update tag (renomear vale para todos os leads que têm a tag)
+app.patch('/api/admin/tags/:id', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const validatedData = tagUpdateSchema.parse(req.body);
+    const tag = db.prepare('SELECT * FROM tags WHERE id = ?').get(req.params.id);
+    
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag não encontrada' });
+    }
+    
+    if (validatedData.name && findTagsByName([validatedData.name]).some(other => other.id !== tag.id)) {
+      return res.status(409).json({ error: `Já existe uma tag "${validatedData.name}"` });
+    }
+    
+    const fields = Object.keys(validatedData);
+    
+    if (fields.length > 0) {
+      db.prepare(`UPDATE tags SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`)
+        .run(...fields.map(field => validatedData[field]), tag.id);
+    }
+    
+    logger.info('Tag atualizada', { 
+      tagId: tag.id,
+      fields,
+      userId: req.user.id
+    });
+    
+    res.json(db.prepare('SELECT * FROM tags WHERE id = ?').get(tag.id));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao atualizar tag', { 
+      error: error.message,
+      tagId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao atualizar tag'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Delete tag (sai de todos os leads)
+app.delete('/api/admin/tags/:id', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const tag = db.prepare('SELECT * FROM tags WHERE id = ?').get(req.params.id);
+    
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag não encontrada' });
+    }
+    
+    const removed = db.transaction(() => {
+      const { changes } = db.prepare('DELETE FROM lead_tags WHERE tag_id = ?').run(tag.id);
+      db.prepare('DELETE FROM tags WHERE id = ?').run(tag.id);
+      return changes;
+    })();
+    
+    logger.info('Tag deletada', { 
+      tagId: tag.id,
+      name: tag.name,
+      removedFromLeads: removed,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, message: 'Tag deletada', removed });
+  } catch (error) {
+    logger.error('Erro ao deletar tag', { 
+      error: error.message,
+      tagId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao deletar tag'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// List custom fields
+app.get('/api/admin/custom-fields', authMiddleware, leadsMiddleware, (req, res) => {
+  try {
+    const fields = db.prepare(`
+      SELECT f.*, (SELECT COUNT(*) FROM lead_custom_values v WHERE v.field_id = f.id) as lead_count
+      FROM custom_fields f
+      ORDER BY f.position, f.id
+    `).all().map(serializeCustomField);
+    
+    res.json({ fields, types: CUSTOM_FIELD_TYPES });
+  } catch (error) {
+    logger.error('Erro ao buscar campos personalizados', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar campos personalizados'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Create custom field
+app.post('/api/admin/custom-fields', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const { key, label, type, options, show_on_form } = customFieldSchema.parse(req.body);
+    const fieldKey = key || slugifyKey(label);
+    
+    if (!fieldKey) {
+      return res.status(400).json({ error: 'Não foi possível gerar a key do campo. Informe uma key.' });
+    }
+    
+    if (db.prepare('SELECT id FROM custom_fields WHERE key = ?').get(fieldKey)) {
+      return res.status(409).json({ error: `Já existe um campo com a key "${fieldKey}"` });
+    }
+    
+    const result = db.prepare(`
+      INSERT INTO custom_fields (key, label, type, options, show_on_form, position)
+      VALUES (?, ?, ?, ?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM custom_fields))
+    `).run(
+      fieldKey,
+      label,
+      type,
+      type === 'select' ? JSON.stringify(options) : null,
+      show_on_form ? 1 : 0
+    );
+    
+    logger.info('Campo personalizado criado', { 
+      fieldId: result.lastInsertRowid,
+      key: fieldKey,
+      type,
+      userId: req.user.id
+    });
+    
+    const field = db.prepare('SELECT * FROM custom_fields WHERE id = ?').get(result.lastInsertRowid);
+    res.status(201).json({ ...serializeCustomField(field), lead_count: 0 });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao criar campo personalizado', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao criar campo personalizado'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Reorder custom fields (ids na nova ordem, todos os campos)
+app.put('/api/admin/custom-fields/order', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const { ids } = customFieldReorderSchema.parse(req.body);
+    const fields = getCustomFields();
+    
+    const sameFields = ids.length === fields.length && 
+      fields.every(field => ids.includes(field.id));
+    
+    if (!sameFields) {
+      return res.status(400).json({ error: 'A nova ordem deve conter todos os campos uma única vez' });
+    }
+    
+    const updatePosition = db.prepare(`
+      UPDATE custom_fields SET position = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `);
+    
+    db.transaction(() => {
+      ids.forEach((id, index) => updatePosition.run(index, id));
+    })();
+    
+    logger.info('Campos personalizados reordenados', { ids, userId: req.user.id });
+    
+    res.json({ success: true, fields: getCustomFields() });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao reordenar campos personalizados', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao reordenar campos personalizados'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Update custom field
+app.patch('/api/admin/custom-fields/:id', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const validatedData = customFieldUpdateSchema.parse(req.body);
+    const field = db.prepare('SELECT * FROM custom_fields WHERE id = ?').get(req.params.id);
+    
+    if (!field) {
+      return res.status(404).json({ error: 'Campo não encontrado' });
+    }
+    
+    if (validatedData.options !== undefined) {
+      if (field.type !== 'select') {
+        return res.status(400).json({ error: 'Só campos de seleção têm opções' });
+      }
+      
+      if (validatedData.options.length === 0) {
+        return res.status(400).json({ error: 'Campos de seleção precisam de pelo menos uma opção' });
+      }
+    }
+    
+    // Valores já gravados que saíram das opções continuam no lead até alguém editar
+    const values = {
+      ...validatedData,
+      ...(validatedData.options && { options: JSON.stringify(validatedData.options) }),
+      ...(validatedData.show_on_form !== undefined && { show_on_form: validatedData.show_on_form ? 1 : 0 })
+    };
+    const fields = Object.keys(values);
+    
+    if (fields.length > 0) {
+      db.prepare(`
+        UPDATE custom_fields 
+        SET ${fields.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP 
+        WHERE id = ?
+      `).run(...fields.map(column => values[column]), field.id);
+    }
+    
+    logger.info('Campo personalizado atualizado', { 
+      fieldId: field.id,
+      fields,
+      userId: req.user.id
+    });
+    
+    res.json(serializeCustomField(db.prepare('SELECT * FROM custom_fields WHERE id = ?').get(field.id)));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao atualizar campo personalizado', { 
+      error: error.message,
+      fieldId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao atualizar campo personalizado'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Delete custom field (apaga o valor em todos os leads)
+app.delete('/api/admin/custom-fields/:id', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const field = db.prepare('SELECT * FROM custom_fields WHERE id = ?').get(req.params.id);
+    
+    if (!field) {
+      return res.status(404).json({ error: 'Campo não encontrado' });
+    }
+    
+    const removed = db.transaction(() => {
+      const { changes } = db.prepare('DELETE FROM lead_custom_values WHERE field_id = ?').run(field.id);
+      db.prepare('DELETE FROM custom_fields WHERE id = ?').run(field.id);
+      return changes;
+    })();
+    
+    logger.info('Campo personalizado deletado', { 
+      fieldId: field.id,
+      key: field.key,
+      removedValues: removed,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, message: 'Campo deletado', removed });
+  } catch (error) {
+    logger.error('Erro ao deletar campo personalizado', { 
+      error: error.message,
+      fieldId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao deletar campo personalizado'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// ========================================
+// ROTAS ADMIN - DISTRIBUIÇÃO DE LEADS
+// ========================================
+
+// Modo da distribuição e quem participa, com a carteira de cada usuário
+app.get('/api/admin/assignment', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const users = db.prepare(`
+      SELECT u.id, u.name, u.email, u.role, u.receives_leads, u.assignment_weight,
+        (SELECT COUNT(*) FROM leads WHERE leads.assigned_to = u.id AND ${OPEN_LEAD_SQL}) as open_count,
+        (SELECT COUNT(*) FROM leads WHERE leads.assigned_to = u.id AND leads.deleted_at IS NULL) as total_count
+      FROM users u WHERE ${LEAD_OWNER_USER_SQL}
+      ORDER BY u.id
+    `).all();
+    
+    const unassigned = db.prepare(`
+      SELECT COUNT(*) as count FROM leads WHERE leads.assigned_to IS NULL AND ${OPEN_LEAD_SQL}
+    `).get();
+    
+    res.json({
+      mode: getAssignmentMode(),
+      modes: LEAD_ASSIGNMENT_MODES,
+      users: users.map(user => ({ ...user, receives_leads: Boolean(user.receives_leads) })),
+      unassigned_open_count: unassigned.count
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar distribuição de leads', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar distribuição de leads'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Update assignment mode - COM CSRF (#8)
+app.put('/api/admin/assignment', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const { mode } = assignmentSettingsSchema.parse(req.body);
+    
+    db.transaction(() => {
+      setSetting('lead_assignment_mode', mode);
+      resetAssignmentScores();
+    })();
+    
+    logger.info('Modo de distribuição de leads alterado', { 
+      mode,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, mode });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao alterar distribuição de leads', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao alterar distribuição de leads'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Update seller (recebe leads? peso) - COM CSRF (#8)
+app.patch('/api/admin/assignment/users/:id', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const changes = sellerAssignmentSchema.parse(req.body);
+    
+    const user = db.prepare(`SELECT id FROM users WHERE id = ? AND ${LEAD_OWNER_USER_SQL}`).get(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+    
+    db.transaction(() => {
+      if (changes.receives_leads !== undefined) {
+        db.prepare('UPDATE users SET receives_leads = ? WHERE id = ?').run(changes.receives_leads ? 1 : 0, user.id);
+      }
+      
+      if (changes.assignment_weight !== undefined) {
+        db.prepare('UPDATE users SET assignment_weight = ? WHERE id = ?').run(changes.assignment_weight, user.id);
+      }
+      
+      resetAssignmentScores();
+    })();
+    
+    logger.info('Participação na distribuição alterada', { 
+      targetUserId: user.id,
+      changes,
+      userId: req.user.id
+    });
+    
+    const updated = db.prepare('SELECT id, name, receives_leads, assignment_weight FROM users WHERE id = ?').get(user.id);
+    res.json({ ...updated, receives_leads: Boolean(updated.receives_leads) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao alterar participação na distribuição', { 
+      error: error.message,
+      targetUserId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao alterar participação na distribuição'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// ========================================
+// ROTAS ADMIN - USUÁRIOS
+// ========================================
+
+// List users
+app.get('/api/admin/users', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const users = db.prepare('SELECT * FROM users ORDER BY active DESC, name COLLATE NOCASE').all();
+    
+    res.json({ users: users.map(serializeUser), roles: USER_ROLES, me: req.user.id });
+  } catch (error) {
+    logger.error('Erro ao buscar usuários', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar usuários'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Cria com senha ou convida (sem senha: a resposta traz o link do convite)
+app.post('/api/admin/users', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const { name, email, role, password } = userCreateSchema.parse(req.body);
+    
+    if (db.prepare('SELECT id FROM users WHERE email = ? COLLATE NOCASE').get(email)) {
+      return res.status(409).json({ error: `Já existe um usuário com o email ${email}` });
+    }
+    
+    const { user, inviteUrl } = db.transaction(() => {
+      const result = db.prepare('INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?)')
+        .run(name, email, password ? bcryptjs.hashSync(password, 12) : createUnusablePassword(), role);
+      
+      return {
+        inviteUrl: password ? null : createUserInvite(result.lastInsertRowid),
+        user: db.prepare('SELECT * FROM users WHERE id = ?').get(result.lastInsertRowid)
+      };
+    })();
+    
+    logger.info(password ? 'Usuário criado' : 'Usuário convidado', { 
+      targetUserId: user.id,
+      role,
+      userId: req.user.id
+    });
+    
+    res.status(201).json({ user: serializeUser(user), invite_url: inviteUrl });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao criar usuário', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao criar usuário'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Edita nome, papel ou ativa/desativa (usuários não são apagados: o histórico aponta para eles)
+app.patch('/api/admin/users/:id', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const changes = userUpdateSchema.parse(req.body);
+    
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+    
+    // Sempre sobra pelo menos um admin ativo: o que está fazendo a alteração
+    if (user.id === req.user.id && ((changes.role && changes.role !== 'admin') || changes.active === false)) {
+      return res.status(400).json({ error: 'Você não pode tirar o próprio acesso de administrador' });
+    }
+    
+    const updates = [];
+    const params = [];
+    
+    if (changes.name !== undefined) {
+      updates.push('name = ?');
+      params.push(changes.name);
+    }
+    
+    if (changes.role !== undefined) {
+      updates.push('role = ?');
+      params.push(changes.role);
+    }
+    
+    if (changes.active !== undefined) {
+      updates.push('active = ?');
+      params.push(changes.active ? 1 : 0);
+    }
+    
+    if (updates.length > 0) {
+      db.transaction(() => {
+        db.prepare(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`).run(...params, user.id);
+        // Quem entra ou sai do rodízio muda a conta dos pesos
+        resetAssignmentScores();
+        
+        if (changes.active === false) {
+          revokeUserSessions(user.id, 'deactivated');
+        }
+      })();
+      
+      logger.info('Usuário atualizado', { 
+        targetUserId: user.id,
+        changes,
+        userId: req.user.id
+      });
+    }
+    
+    const updated = db.prepare('SELECT * FROM users WHERE id = ?').get(user.id);
+    res.json(serializeUser(updated));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao atualizar usuário', { 
+      error: error.message,
+      targetUserId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao atualizar usuário'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Novo link de convite para quem ainda não definiu a senha (o anterior deixa de valer)
+app.post('/api/admin/users/:id/invite', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE id = ? AND active = 1').get(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+    
+    if (!user.invite_token_hash) {
+      return res.status(400).json({ error: 'Este usuário já definiu a senha' });
+    }
+    
+    const inviteUrl = createUserInvite(user.id);
+    
+    logger.info('Convite renovado', { 
+      targetUserId: user.id,
+      userId: req.user.id
+    });
+    
+    const updated = db.prepare('SELECT * FROM users WHERE id = ?').get(user.id);
+    res.json({ user: serializeUser(updated), invite_url: inviteUrl });
   } catch (error) {
-    logger.warn('Token inválido', { ip: req.ip, error: error.message });
-    return res.status(401).json({ error: 'Token inválido' });
+    logger.error('Erro ao renovar convite', { 
+      error: error.message,
+      targetUserId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao renovar convite'
+      : error.message;
+      
+    res.status(500).json({ error: message });
   }
-};
+});
 
-const adminMiddleware = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    logger.warn('Tentativa de acesso admin sem permissão', { 
-      ip: req.ip, 
-      userId: req.user.id,
-      role: req.user.role 
+// Desliga a verificação em duas etapas de quem perdeu o celular e os códigos de recuperação.
+// As sessões do usuário caem: ele entra de novo só com a senha e pode configurar outra vez
+app.delete('/api/admin/users/:id/2fa', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+    
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Este usuário não usa verificação em duas etapas' });
+    }
+    
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: 'Desative a sua em "Minha Conta", com senha e código' });
+    }
+    
+    disableTwoFactor(user.id);
+    revokeUserSessions(user.id, 'two_factor_reset');
+    
+    logger.info('Verificação em duas etapas desativada pelo admin', { 
+      targetUserId: user.id,
+      userId: req.user.id
+    });
+    
+    const updated = db.prepare('SELECT * FROM users WHERE id = ?').get(user.id);
+    res.json({ user: serializeUser(updated) });
+  } catch (error) {
+    logger.error('Erro ao desativar verificação em duas etapas', { 
+      error: error.message,
+      targetUserId: req.params.id,
+      userId: req.user.id
     });
-    return res.status(403).json({ error: 'Acesso negado. Apenas administradores.' });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao desativar verificação em duas etapas'
+      : error.message;
+      
+    res.status(500).json({ error: message });
   }
-  next();
+});
+
+// Desbloqueia a conta antes do fim do bloqueio (a pessoa confirmou que era ela)
+app.post('/api/admin/users/:id/unlock', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+    
+    clearLoginFailures(user.id);
+    
+    logger.info('Conta desbloqueada pelo admin', { 
+      targetUserId: user.id,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Erro ao desbloquear usuário', { 
+      error: error.message,
+      targetUserId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao desbloquear usuário'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// ========================================
+// ROTAS ADMIN - SEGURANÇA
+// ========================================
+
+const LOGIN_HISTORY_FILTERS = {
+  suspicious: '(a.success = 0 OR a.alert IS NOT NULL)',
+  failed: 'a.success = 0',
+  all: '1 = 1'
 };
 
+// Query string do histórico de login
+const loginHistoryQuerySchema = z.object({
+  filter: z.enum(Object.keys(LOGIN_HISTORY_FILTERS), {
+    message: `Filtro deve ser: ${Object.keys(LOGIN_HISTORY_FILTERS).join(', ')}`
+  }).default('suspicious'),
+  user_id: z.coerce.number().int().positive('Usuário inválido').optional(),
+  ip: z.string().max(100).optional(),
+  limit: z.coerce.number().int().min(1).max(500).default(100)
+});
+
+// Histórico de login, do mais recente para o mais antigo.
+// ?filter=suspicious (padrão: falhas e logins com alerta) | failed | all, ?user_id=, ?ip=, ?limit= (até 500)
+app.get('/api/admin/security/logins', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const { filter, user_id: userId, ip, limit } = loginHistoryQuerySchema.parse(req.query);
+    
+    const conditions = [LOGIN_HISTORY_FILTERS[filter]];
+    const params = [];
+    
+    if (userId) {
+      conditions.push('a.user_id = ?');
+      params.push(userId);
+    }
+    
+    if (ip) {
+      conditions.push('a.ip = ?');
+      params.push(ip);
+    }
+    
+    const attempts = db.prepare(`
+      SELECT a.*, u.name AS user_name
+      FROM login_attempts a
+      LEFT JOIN users u ON u.id = a.user_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY a.id DESC
+      LIMIT ?
+    `).all(...params, limit);
+    
+    res.json({
+      attempts: attempts.map(attempt => ({
+        id: attempt.id,
+        created_at: attempt.created_at,
+        email: attempt.email,
+        user: attempt.user_id ? { id: attempt.user_id, name: attempt.user_name } : null,
+        ip: attempt.ip,
+        user_agent: attempt.user_agent,
+        success: Boolean(attempt.success),
+        reason: attempt.reason,
+        alert: attempt.alert
+      }))
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao buscar histórico de login', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar histórico de login'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Resumo das últimas 24h: contas bloqueadas agora, IPs com mais falhas e totais
+app.get('/api/admin/security/summary', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const lockedUsers = db.prepare(`
+      SELECT id, name, email, locked_until FROM users 
+      WHERE locked_until > datetime('now') 
+      ORDER BY locked_until DESC
+    `).all();
+    
+    const topFailedIps = db.prepare(`
+      SELECT ip, COUNT(*) AS failures, COUNT(DISTINCT COALESCE(user_id, email)) AS accounts, 
+             MAX(created_at) AS last_attempt_at
+      FROM login_attempts 
+      WHERE success = 0 AND created_at > datetime('now', '-1 day')
+      GROUP BY ip 
+      ORDER BY failures DESC 
+      LIMIT 10
+    `).all();
+    
+    const totals = db.prepare(`
+      SELECT 
+        COALESCE(SUM(success = 1), 0) AS successes,
+        COALESCE(SUM(success = 0), 0) AS failures,
+        COALESCE(SUM(alert = 'lockout'), 0) AS lockouts,
+        COALESCE(SUM(success = 1 AND alert IS NOT NULL), 0) AS alerts
+      FROM login_attempts 
+      WHERE created_at > datetime('now', '-1 day')
+    `).get();
+    
+    res.json({
+      locked_users: lockedUsers,
+      top_failed_ips: topFailedIps,
+      last_24h: totals,
+      lockout: { threshold: LOGIN_LOCKOUT_THRESHOLD, minutes: LOGIN_LOCKOUT_MINUTES }
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar resumo de segurança', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar resumo de segurança'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// IPs que passaram de algum limite e estão recebendo 429 agora, por rota
+app.get('/api/admin/security/rate-limits', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const limits = Object.entries(RATE_LIMITS).map(([name, limit]) => ({
+      name,
+      label: limit.label,
+      max: rateLimitMax(limit),
+      window_minutes: limit.windowMinutes,
+      limited: rateLimitStores[name].listLimited(rateLimitMax(limit)).map(entry => ({
+        ip: entry.key,
+        hits: entry.totalHits,
+        reset_at: entry.resetTime.toISOString()
+      }))
+    }));
+    
+    res.json({ limits });
+  } catch (error) {
+    logger.error('Erro ao buscar IPs limitados', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar IPs limitados'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Libera um IP em uma rota antes do fim da janela (a contagem recomeça do zero)
+app.delete('/api/admin/security/rate-limits/:name/:ip', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const store = Object.hasOwn(RATE_LIMITS, req.params.name) ? rateLimitStores[req.params.name] : null;
+    
+    if (!store) {
+      return res.status(404).json({ error: 'Limite não encontrado' });
+    }
+    
+    if (!store.get(req.params.ip)) {
+      return res.status(404).json({ error: 'IP sem requisições contadas nesta rota' });
+    }
+    
+    store.resetKey(req.params.ip);
+    
+    logger.info('IP liberado do rate limit pelo admin', { 
+      limit: req.params.name,
+      ip: req.params.ip,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Erro ao liberar IP', { 
+      error: error.message,
+      limit: req.params.name,
+      ip: req.params.ip,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao liberar IP'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
 // ========================================
-// ROTAS DE AUTENTICAÇÃO
+// ROTAS ADMIN - SESSÕES
 // ========================================
 
-// Endpoint para obter CSRF token (#8)
-app.get('/api/csrf-token', csrfProtection, (req, res) => {
-  res.json({ csrfToken: req.csrfToken() });
+// Query string da lista de sessões (admin)
+const sessionListQuerySchema = z.object({
+  user_id: z.coerce.number().int().positive('Usuário inválido').optional()
 });
 
-// Login com validação (#9) e rate limiting (#4)
-app.post('/api/auth/login', loginLimiter, (req, res) => {
+// Sessões abertas de todos os usuários (?user_id= filtra por um usuário)
+app.get('/api/admin/sessions', authMiddleware, adminMiddleware, (req, res) => {
   try {
-    // Validação de entrada (#9)
-    const validatedData = loginSchema.parse(req.body);
-    const { email, password } = validatedData;
+    const { user_id: userId = null } = sessionListQuerySchema.parse(req.query);
+    const sessions = listOpenSessions(userId);
+    
+    res.json({ sessions: sessions.map(session => serializeSession(session, req.user.sessionId)) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao buscar sessões', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar sessões'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// Derruba a sessão de qualquer usuário; o access token dela para de valer na próxima requisição
+app.delete('/api/admin/sessions/:id', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const session = findOpenSession(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Sessão não encontrada' });
+    }
+    
+    revokeSession(session.id, 'revoked_by_admin');
+    
+    logger.info('Sessão encerrada pelo admin', { 
+      sessionId: session.id,
+      targetUserId: session.user_id,
+      userId: req.user.id
+    });
+    
+    res.json({ success: true, current: session.id === req.user.sessionId });
+  } catch (error) {
+    logger.error('Erro ao encerrar sessão', { 
+      error: error.message,
+      sessionId: req.params.id,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao encerrar sessão'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// ========================================
+// ROTAS ADMIN - WEBHOOKS
+// ========================================
+
+// List webhook subscriptions
+app.get('/api/admin/webhooks', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const subscriptions = db.prepare(`
+      SELECT 
+        s.*,
+        COUNT(CASE WHEN o.status = 'pending' THEN 1 END) as pending,
+        COUNT(CASE WHEN o.status = 'dead' THEN 1 END) as dead
+      FROM webhook_subscriptions s
+      LEFT JOIN webhook_outbox o ON o.subscription_id = s.id
+      GROUP BY s.id
+      ORDER BY s.created_at DESC
+    `).all();
+    
+    res.json({
+      webhooks: subscriptions.map(subscription => serializeWebhookSubscription(subscription)),
+      events: WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    logger.error('Erro ao buscar webhooks', { 
+      error: error.message,
+      userId: req.user.id
+    });
+    
+    const message = process.env.NODE_ENV === 'production' 
+      ? 'Erro ao buscar webhooks'
+      : error.message;
+      
+    res.status(500).json({ error: message });
+  }
+});
+
+// List webhook delivery attempts (log de entregas)
+app.get('/api/admin/webhooks/deliveries', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const { 
+      status, event, webhook_id, delivery_status, date_from, date_to, search, limit, offset
+    } = webhookDeliveryListQuerySchema.parse(req.query);
+    
+    const params = [];
+    const conditions = [];
+    
+    if (status === 'success') {
+      conditions.push('a.status_code BETWEEN 200 AND 299');
+    } else if (status === 'failed') {
+      conditions.push('(a.status_code IS NULL OR a.status_code NOT BETWEEN 200 AND 299)');
+    }
+    
+    if (event) {
+      conditions.push('o.event = ?');
+      params.push(event);
+    }
     
-    const user = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
+    if (webhook_id) {
+      conditions.push('o.subscription_id = ?');
+      params.push(webhook_id);
+    }
     
-    if (!user) {
-      logger.warn('Tentativa de login com email inexistente', { email, ip: req.ip });
-      return res.status(401).json({ error: 'Credenciais inválidas' });
+    if (delivery_status) {
+      conditions.push('o.status = ?');
+      params.push(delivery_status);
     }
     
-    const passwordMatch = bcryptjs.compareSync(password, user.password);
+    if (date_from) {
+      conditions.push('DATE(a.created_at) >= ?');
+      params.push(date_from);
+    }
     
-    if (!passwordMatch) {
-      logger.warn('Tentativa de login com senha incorreta', { email, ip: req.ip });
-      return res.status(401).json({ error: 'Credenciais inválidas' });
+    if (date_to) {
+      conditions.push('DATE(a.created_at) <= ?');
+      params.push(date_to);
     }
     
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    if (search) {
+      conditions.push('(o.payload LIKE ? OR a.response_body LIKE ? OR a.error LIKE ?)');
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
     
-    logger.info('Login bem-sucedido', { userId: user.id, email: user.email });
+    const where = conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '';
+    const from = `
+      FROM webhook_attempts a
+      JOIN webhook_outbox o ON o.id = a.outbox_id
+      LEFT JOIN webhook_subscriptions s ON s.id = o.subscription_id
+    `;
+    
+    const attempts = db.prepare(`
+      SELECT 
+        a.*,
+        o.event, o.payload, o.status as delivery_status, o.attempts as delivery_attempts,
+        o.redelivery_of, s.id as webhook_id, s.name as webhook_name, s.active as webhook_active
+      ${from}
+      ${where}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    
+    const total = db.prepare(`SELECT COUNT(*) as total ${from} ${where}`).get(...params);
     
     res.json({
-      success: true,
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
+      attempts: attempts.map(attempt => ({
+        ...attempt,
+        payload: JSON.parse(attempt.payload),
+        request_headers: attempt.request_headers ? JSON.parse(attempt.request_headers) : null
+      })),
+      total: total.total,
+      limit,
+      offset
     });
   } catch (error) {
     if (error instanceof z.ZodError) {
-      logger.warn('Validação de login falhou', { errors: error.errors, ip: req.ip });
       return res.status(400).json({ 
         error: 'Dados inválidos', 
-        details: error.errors 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
       });
     }
     
-    logger.error('Erro no login', { error: error.message, stack: error.stack });
+    logger.error('Erro ao buscar entregas de webhook', { 
+      error: error.message,
+      userId: req.user.id
+    });
     
     const message = process.env.NODE_ENV === 'production' 
-      ? 'Erro ao fazer login'
+      ? 'Erro ao buscar entregas de webhook'
       : error.message;
       
     res.status(500).json({ error: message });
   }
 });
 
-// Get current user
-app.get('/api/auth/me', authMiddleware, (req, res) => {
+// Redeliver webhook - COM CSRF (#8)
+// Cria uma nova entrega com o mesmo payload e tenta na hora; se falhar, segue o backoff normal
+// (com o limite de tentativas da original: o evento de teste continua com uma só).
+// Só para webhooks que existem e estão ativos.
+app.post('/api/admin/webhooks/deliveries/:id/redeliver', csrfProtection, authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const user = db.prepare('SELECT id, name, email, role FROM users WHERE id = ?').get(req.user.id);
+    // Fora do fluxo do dispatcher até a tentativa abaixo terminar
+    const redelivery = webhookOutbox.redeliver(req.params.id, { holdSeconds: WEBHOOK_MANUAL_HOLD_SECONDS });
     
-    if (!user) {
-      logger.warn('Usuário não encontrado no /me', { userId: req.user.id });
-      return res.status(404).json({ error: 'Usuário não encontrado' });
+    if (redelivery.status === 'not_found') {
+      return res.status(404).json({ error: 'Entrega não encontrada' });
+    }
+    
+    // O log mantém entregas de webhooks que já não existem; sem a assinatura não há para onde reenviar
+    if (redelivery.status === 'subscription_deleted') {
+      return res.status(409).json({ error: 'O webhook desta entrega foi apagado' });
+    }
+    
+    if (redelivery.status === 'subscription_inactive') {
+      return res.status(409).json({ error: 'O webhook desta entrega está desativado. Ative-o para reenviar.' });
     }
     
-    res.json(user);
+    const { outboxId } = redelivery;
+    const attempt = await sendWebhookNow(outboxId);
+    
+    logger.info('Webhook reenviado manualmente', { 
+      originalOutboxId: Number(req.params.id),
+      outboxId,
+      success: attempt.success,
+      userId: req.user.id
+    });
+    
+    res.json({
+      success: attempt.success,
+      outboxId,
+      statusCode: attempt.statusCode,
+      durationMs: attempt.durationMs,
+      response: attempt.responseBody,
+      error: attempt.error
+    });
   } catch (error) {
-    logger.error('Erro ao buscar usuário', { 
-      userId: req.user.id, 
-      error: error.message 
+    logger.error('Erro ao reenviar webhook', { 
+      error: error.message,
+      outboxId: req.params.id,
+      userId: req.user.id
     });
     
     const message = process.env.NODE_ENV === 'production' 
-      ? 'Erro ao buscar usuário'
+      ? 'Erro ao reenviar webhook'
       : error.message;
       
     res.status(500).json({ error: message });
   }
 });
 
-// Logout
-app.post('/api/auth/logout', (req, res) => {
-  res.json({ success: true, message: 'Logout realizado' });
-});
-
-// ========================================
-// ROTAS PÚBLICAS
-// ========================================
-
-// Health check
-app.get('/', (req, res) => {
-  res.json({ 
-    message: 'API is running! 🚀',
-    database: 'SQLite (better-sqlite3)',
-    security: {
-      rateLimit: 'Enabled ✅',
-      validation: 'Enabled ✅',
-      csrf: 'Enabled ✅',
-      logging: 'Enabled ✅'
-    },
-    webhook: process.env.WEBHOOK_URL ? 'Configured ✅' : 'Not configured ⚠️'
-  });
-});
-
-// Get all courses
-app.get('/api/courses', (req, res) => {
+// Get webhook subscription (com secret)
+app.get('/api/admin/webhooks/:id', authMiddleware, adminMiddleware, (req, res) => {
   try {
-    const courses = db.prepare('SELECT * FROM courses WHERE active = 1').all();
-    
-    const getModules = db.prepare('SELECT * FROM modules WHERE course_id = ? ORDER BY module_order');
+    const subscription = db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ?').get(req.params.id);
     
-    const coursesWithModules = courses.map(course => ({
-      ...course,
-      modules: getModules.all(course.id)
-    }));
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook não encontrado' });
+    }
     
-    res.json(coursesWithModules);
+    res.json(serializeWebhookSubscription(subscription, { includeSecret: true }));
   } catch (error) {
-    logger.error('Erro ao buscar cursos', { error: error.message });
+    logger.error('Erro ao buscar webhook', { 
+      error: error.message,
+      webhookId: req.params.id,
+      userId: req.user.id
+    });
     
     const message = process.env.NODE_ENV === 'production' 
-      ? 'Erro ao buscar cursos'
+      ? 'Erro ao buscar webhook'
       : error.message;
       
     res.status(500).json({ error: message });
   }
 });
 
-// Create lead (public) - COM VALIDAÇÃO (#9) e RATE LIMITING (#4)
-app.post('/api/leads', leadsLimiter, async (req, res) => {
+// Create webhook subscription - COM CSRF (#8) e VALIDAÇÃO (#9)
+app.post('/api/admin/webhooks', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
   try {
-    // Validação com Zod (#9)
-    const validatedData = leadSchema.parse(req.body);
-    
-    const { 
-      name, email, whatsapp, city, level, goal, schedule, message,
-      source, utm_source, utm_medium, utm_campaign
-    } = validatedData;
-    
-    logger.info('📝 Novo lead recebido', { 
-      name, 
-      whatsapp, 
-      city, 
-      source: source || 'direct',
-      campaign: utm_campaign || 'none',
-      ip: req.ip
-    });
+    const { name, url, secret, events, active } = webhookSubscriptionSchema.parse(req.body);
     
-    const insert = db.prepare(`
-      INSERT INTO leads (
-        name, email, whatsapp, city, level, goal, schedule, message,
-        source, utm_source, utm_medium, utm_campaign
-      )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-    
-    const result = insert.run(
-      name, 
-      email || null, 
-      whatsapp, 
-      city || null, 
-      level || null, 
-      goal || null, 
-      schedule || null, 
-      message || null,
-      source || 'direct',
-      utm_source || 'direct',
-      utm_medium || 'none',
-      utm_campaign || 'none'
+    const result = db.prepare(`
+      INSERT INTO webhook_subscriptions (name, url, secret, events, active)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(
+      name,
+      url,
+      secret || generateWebhookSecret(),
+      JSON.stringify(events),
+      active === false ? 0 : 1
     );
     
-    logger.info('✅ Lead salvo no banco', { 
-      leadId: result.lastInsertRowid, 
-      source: source || 'direct' 
+    logger.info('Webhook criado', { 
+      webhookId: result.lastInsertRowid,
+      events,
+      userId: req.user.id
     });
     
-    // Webhook para Make.com COM ASSINATURA (#13)
-    if (process.env.WEBHOOK_URL) {
-      try {
-        const webhookData = {
-          id: result.lastInsertRowid,
-          name, whatsapp, city, level, goal, schedule, message, email,
-          source: source || 'direct',
-          utm_source: utm_source || 'direct',
-          utm_medium: utm_medium || 'none',
-          utm_campaign: utm_campaign || 'none',
-          timestamp: new Date().toISOString()
-        };
-
-        // Assinatura HMAC do webhook (#13)
-        let signature = null;
-        const headers = { 'Content-Type': 'application/json' };
-        
-        if (process.env.WEBHOOK_SECRET) {
-          signature = crypto
-            .createHmac('sha256', process.env.WEBHOOK_SECRET)
-            .update(JSON.stringify(webhookData))
-            .digest('hex');
-          
-          headers['X-Webhook-Signature'] = signature;
-          headers['X-Webhook-Timestamp'] = Date.now().toString();
-        }
-
-        const webhookResponse = await fetch(process.env.WEBHOOK_URL, {
-          method: 'POST',
-          headers,
-          body: JSON.stringify(webhookData)
-        });
-
-        if (webhookResponse.ok) {
-          logger.info('✅ Webhook enviado com sucesso', { 
-            leadId: result.lastInsertRowid,
-            signed: !!signature
-          });
-        } else {
-          logger.warn('⚠️ Webhook retornou erro', { 
-            status: webhookResponse.status,
-            leadId: result.lastInsertRowid
-          });
-        }
-      } catch (webhookError) {
-        logger.error('❌ Erro ao enviar webhook', { 
-          error: webhookError.message,
-          leadId: result.lastInsertRowid
-        });
-      }
-    }
+    const subscription = db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ?').get(result.lastInsertRowid);
     
-    res.status(201).json({
-      success: true,
-      message: 'Inscrição recebida!',
-      lead: { id: result.lastInsertRowid, name, whatsapp }
-    });
+    res.status(201).json(serializeWebhookSubscription(subscription, { includeSecret: true }));
   } catch (error) {
     if (error instanceof z.ZodError) {
-      logger.warn('Validação de lead falhou', { 
-        errors: error.errors,
-        ip: req.ip,
-        body: req.body
-      });
       return res.status(400).json({ 
         error: 'Dados inválidos', 
-        details: error.errors.map(e => ({
+        details: error.issues.map(e => ({
           field: e.path.join('.'),
           message: e.message
         }))
       });
     }
     
-    logger.error('Erro ao processar lead', { 
+    logger.error('Erro ao criar webhook', { 
       error: error.message,
-      stack: error.stack
+      userId: req.user.id
     });
     
     const message = process.env.NODE_ENV === 'production' 
-      ? 'Erro ao processar inscrição'
+      ? 'Erro ao criar webhook'
       : error.message;
       
     res.status(500).json({ error: message });
   }
 });
 
-// ========================================
-// ROTAS ADMIN (PROTEGIDAS) - COM CSRF (#8)
-// ========================================
-
-// Get all leads (admin only)
-app.get('/api/admin/leads', authMiddleware, adminMiddleware, (req, res) => {
+// Update webhook subscription - COM CSRF (#8) e VALIDAÇÃO (#9)
+app.patch('/api/admin/webhooks/:id', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
   try {
-    const { status, search, limit = 50, offset = 0 } = req.query;
-    
-    let query = 'SELECT * FROM leads';
-    const params = [];
-    const conditions = [];
+    const data = webhookSubscriptionUpdateSchema.parse(req.body);
     
-    if (status && status !== 'all') {
-      conditions.push('status = ?');
-      params.push(status);
-    }
+    const subscription = db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ?').get(req.params.id);
     
-    if (search) {
-      conditions.push('(name LIKE ? OR whatsapp LIKE ? OR city LIKE ?)');
-      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook não encontrado' });
     }
     
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ');
-    }
+    db.prepare(`
+      UPDATE webhook_subscriptions
+      SET name = ?, url = ?, events = ?, active = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      data.name ?? subscription.name,
+      data.url ?? subscription.url,
+      data.events ? JSON.stringify(data.events) : subscription.events,
+      data.active === undefined ? subscription.active : (data.active ? 1 : 0),
+      subscription.id
+    );
     
-    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), parseInt(offset));
+    logger.info('Webhook atualizado', { 
+      webhookId: subscription.id,
+      fields: Object.keys(data),
+      userId: req.user.id
+    });
     
-    const leads = db.prepare(query).all(...params);
-    const totalQuery = 'SELECT COUNT(*) as total FROM leads' + 
-      (conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '');
-    const total = db.prepare(totalQuery).get(...params.slice(0, -2));
+    const updated = db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ?').get(subscription.id);
     
-    res.json({
-      leads,
-      total: total.total,
-      limit: parseInt(limit),
-      offset: parseInt(offset)
-    });
+    res.json(serializeWebhookSubscription(updated));
   } catch (error) {
-    logger.error('Erro ao buscar leads', { 
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao atualizar webhook', { 
       error: error.message,
+      webhookId: req.params.id,
       userId: req.user.id
     });
     
     const message = process.env.NODE_ENV === 'production' 
-      ? 'Erro ao buscar leads'
+      ? 'Erro ao atualizar webhook'
       : error.message;
       
     res.status(500).json({ error: message });
   }
 });
 
-// Get lead statistics
-app.get('/api/admin/stats', authMiddleware, adminMiddleware, (req, res) => {
+// Rotate webhook secret - COM CSRF (#8)
+// O secret atual continua assinando junto com o novo até o fim do período de transição.
+app.post('/api/admin/webhooks/:id/rotate-secret', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
   try {
-    const total = db.prepare('SELECT COUNT(*) as count FROM leads').get();
-    const newLeads = db.prepare("SELECT COUNT(*) as count FROM leads WHERE status = 'new'").get();
-    const contacted = db.prepare("SELECT COUNT(*) as count FROM leads WHERE status = 'contacted'").get();
-    const converted = db.prepare("SELECT COUNT(*) as count FROM leads WHERE status = 'converted'").get();
+    const { secret, grace_hours = 24 } = webhookSecretRotationSchema.parse(req.body || {});
     
-    const today = new Date().toISOString().split('T')[0];
-    const todayLeads = db.prepare('SELECT COUNT(*) as count FROM leads WHERE DATE(created_at) = ?').get(today);
+    const subscription = db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ?').get(req.params.id);
     
-    const last7Days = db.prepare(`
-      SELECT DATE(created_at) as date, COUNT(*) as count 
-      FROM leads 
-      WHERE created_at >= datetime('now', '-7 days')
-      GROUP BY DATE(created_at)
-      ORDER BY date DESC
-    `).all();
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook não encontrado' });
+    }
     
-    res.json({
-      total: total.count,
-      byStatus: {
-        new: newLeads.count,
-        contacted: contacted.count,
-        converted: converted.count
-      },
-      today: todayLeads.count,
-      last7Days
-    });
-  } catch (error) {
-    logger.error('Erro ao buscar estatísticas', { 
-      error: error.message,
+    db.prepare(`
+      UPDATE webhook_subscriptions
+      SET secret = ?, previous_secret = ?,
+          previous_secret_expires_at = datetime('now', '+' || ? || ' hours'),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(secret || generateWebhookSecret(), subscription.secret, grace_hours, subscription.id);
+    
+    logger.info('Secret de webhook rotacionado', { 
+      webhookId: subscription.id,
+      graceHours: grace_hours,
       userId: req.user.id
     });
     
-    const message = process.env.NODE_ENV === 'production' 
-      ? 'Erro ao buscar estatísticas'
-      : error.message;
-      
-    res.status(500).json({ error: message });
-  }
-});
-
-// Get statistics by source
-app.get('/api/admin/stats/sources', authMiddleware, adminMiddleware, (req, res) => {
-  try {
-    const sources = db.prepare(`
-      SELECT 
-        source,
-        utm_campaign,
-        COUNT(*) as total,
-        COUNT(CASE WHEN status = 'converted' THEN 1 END) as converted,
-        COUNT(CASE WHEN status = 'new' THEN 1 END) as new,
-        COUNT(CASE WHEN status = 'contacted' THEN 1 END) as contacted
-      FROM leads
-      WHERE source IS NOT NULL
-      GROUP BY source, utm_campaign
-      ORDER BY total DESC
-    `).all();
+    const updated = db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ?').get(subscription.id);
     
-    res.json(sources);
+    res.json(serializeWebhookSubscription(updated, { includeSecret: true }));
   } catch (error) {
-    logger.error('Erro ao buscar fontes', { 
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ 
+        error: 'Dados inválidos', 
+        details: error.issues.map(e => ({
+          field: e.path.join('.'),
+          message: e.message
+        }))
+      });
+    }
+    
+    logger.error('Erro ao rotacionar secret de webhook', { 
       error: error.message,
+      webhookId: req.params.id,
       userId: req.user.id
     });
     
     const message = process.env.NODE_ENV === 'production' 
-      ? 'Erro ao buscar fontes'
+      ? 'Erro ao rotacionar secret'
       : error.message;
       
     res.status(500).json({ error: message });
   }
 });
 
-// Update lead status - COM CSRF (#8) e VALIDAÇÃO (#9)
-app.patch('/api/admin/leads/:id/status', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+// Delete webhook subscription - COM CSRF (#8)
+app.delete('/api/admin/webhooks/:id', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
   try {
-    // Validação com Zod (#9)
-    const validatedData = leadStatusSchema.parse(req.body);
-    const { status } = validatedData;
-    
-    const update = db.prepare('UPDATE leads SET status = ? WHERE id = ?');
-    const result = update.run(status, req.params.id);
-    
-    if (result.changes === 0) {
-      logger.warn('Tentativa de atualizar lead inexistente', { 
-        leadId: req.params.id,
-        userId: req.user.id
-      });
-      return res.status(404).json({ error: 'Lead não encontrado' });
+    // Leva junto as entregas (pendentes ou não) e as tentativas da assinatura
+    if (!webhookOutbox.deleteSubscription(req.params.id)) {
+      return res.status(404).json({ error: 'Webhook não encontrado' });
     }
     
-    logger.info('Status de lead atualizado', { 
-      leadId: req.params.id,
-      newStatus: status,
+    logger.info('Webhook deletado', { 
+      webhookId: req.params.id,
       userId: req.user.id
     });
     
-    res.json({ success: true, message: 'Status atualizado' });
+    res.json({ success: true, message: 'Webhook deletado' });
   } catch (error) {
-    if (error instanceof z.ZodError) {
-      return res.status(400).json({ 
-        error: 'Status inválido', 
-        details: error.errors 
-      });
-    }
-    
-    logger.error('Erro ao atualizar status', { 
+    logger.error('Erro ao deletar webhook', { 
       error: error.message,
-      leadId: req.params.id,
+      webhookId: req.params.id,
       userId: req.user.id
     });
     
     const message = process.env.NODE_ENV === 'production' 
-      ? 'Erro ao atualizar status'
+      ? 'Erro ao deletar webhook'
       : error.message;
       
     res.status(500).json({ error: message });
   }
 });
 
-// Delete lead - COM CSRF (#8)
-app.delete('/api/admin/leads/:id', csrfProtection, authMiddleware, adminMiddleware, (req, res) => {
+// Send test event - COM CSRF (#8)
+// Passa pelo outbox para ficar no log de entregas, mas com uma tentativa só, feita na
+// hora para o admin ver o resultado: uma falha não é repetida contra o endpoint do cliente.
+// (webhook.test não está em WEBHOOK_EVENTS: ninguém assina, só esta rota envia.)
+app.post('/api/admin/webhooks/:id/test', csrfProtection, authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const result = db.prepare('DELETE FROM leads WHERE id = ?').run(req.params.id);
+    const subscription = db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ?').get(req.params.id);
     
-    if (result.changes === 0) {
-      logger.warn('Tentativa de deletar lead inexistente', { 
-        leadId: req.params.id,
-        userId: req.user.id
-      });
-      return res.status(404).json({ error: 'Lead não encontrado' });
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook não encontrado' });
     }
     
-    logger.info('Lead deletado', { 
-      leadId: req.params.id,
+    // Fora do fluxo do dispatcher até a tentativa abaixo terminar
+    const [outboxId] = enqueueWebhook('webhook.test', {
+      id: 0,
+      name: 'Lead de Teste',
+      whatsapp: '+15551234567',
+      message: 'Evento de teste enviado pelo painel admin',
+      timestamp: new Date().toISOString()
+    }, { subscriptionId: subscription.id, holdSeconds: WEBHOOK_MANUAL_HOLD_SECONDS, maxAttempts: 1 });
+    
+    const attempt = await sendWebhookNow(outboxId);
+    
+    logger.info('Evento de teste de webhook enviado', { 
+      webhookId: subscription.id,
+      outboxId,
+      success: attempt.success,
       userId: req.user.id
     });
     
-    res.json({ success: true, message: 'Lead deletado' });
+    res.json({
+      success: attempt.success,
+      outboxId,
+      statusCode: attempt.statusCode,
+      durationMs: attempt.durationMs,
+      response: attempt.responseBody,
+      error: attempt.error
+    });
   } catch (error) {
-    logger.error('Erro ao deletar lead', { 
+    logger.error('Erro ao enviar evento de teste', { 
       error: error.message,
-      leadId: req.params.id,
+      webhookId: req.params.id,
       userId: req.user.id
     });
     
     const message = process.env.NODE_ENV === 'production' 
-      ? 'Erro ao deletar lead'
+      ? 'Erro ao enviar evento de teste'
       : error.message;
       
     res.status(500).json({ error: message });
@@ -858,22 +7331,49 @@ app.listen(PORT, () => {
   console.log('🔐 Admin credentials: Configured via .env');
   console.log('📊 UTM Tracking: Enabled');
   console.log('🛡️  Security Features:');
-  console.log('   - Rate Limiting: ✅');
+  console.log('   - Rate Limiting: ✅ (SQLite)');
   console.log('   - Input Validation: ✅');
   console.log('   - CSRF Protection: ✅');
   console.log('   - Logging (Winston): ✅');
   console.log('   - Body Size Limit: ✅ (10kb)');
   
-  if (process.env.WEBHOOK_URL) {
-    console.log('📡 Webhook: Configured' + (process.env.WEBHOOK_SECRET ? ' (Signed ✅)' : ' (Unsigned ⚠️)'));
+  const webhookCount = db.prepare('SELECT COUNT(*) as count FROM webhook_subscriptions WHERE active = 1').get().count;
+  if (webhookCount > 0) {
+    console.log(`📡 Webhooks: ${webhookCount} assinatura(s) ativa(s) (Signed ✅)`);
+    console.log(`   - Outbox: até ${WEBHOOK_MAX_ATTEMPTS} tentativas com backoff exponencial`);
   }
   
   console.log('═══════════════════════════════════════════════════');
   console.log('');
+
+  // Entrega o que ficou pendente no outbox e agenda as próximas tentativas
+  dispatchWebhooks();
+  scheduleJob('webhooks', WEBHOOK_DISPATCH_INTERVAL_SECONDS * 1000, dispatchWebhooks);
+
+  // Limpa a lixeira na subida e depois periodicamente
+  purgeExpiredTrash();
+  scheduleJob('lead-trash', LEAD_TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000, purgeExpiredTrash);
+
+  // Marca as tarefas que venceram enquanto o servidor estava parado e segue checando
+  markOverdueTasks();
+  scheduleJob('lead-tasks', LEAD_TASK_OVERDUE_INTERVAL_MINUTES * 60 * 1000, markOverdueTasks);
+
+  // Apaga sessões encerradas ou expiradas há mais de SESSION_RETENTION_DAYS dias
+  purgeOldSessions();
+  scheduleJob('sessions', SESSION_PURGE_INTERVAL_MINUTES * 60 * 1000, purgeOldSessions);
+
+  // Histórico de login fica LOGIN_HISTORY_RETENTION_DAYS dias
+  purgeLoginHistory();
+  scheduleJob('login-history', LOGIN_HISTORY_PURGE_INTERVAL_HOURS * 60 * 60 * 1000, purgeLoginHistory);
+
+  // Contadores de rate limit de janelas que já acabaram
+  purgeRateLimits();
+  scheduleJob('rate-limits', RATE_LIMIT_PURGE_INTERVAL_MINUTES * 60 * 1000, purgeRateLimits);
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
+  backgroundJobs.forEach(clearInterval);
   db.close();
   logger.info('👋 Database closed. Server stopped.');
   console.log('\n👋 Database closed. Server stopped.');
@@ -6,10 +6,51 @@
 import { describe, it, before, after, beforeEach } from 'node:test';
 import assert from 'node:assert';
 import request from 'supertest';
+import { config } from 'dotenv';
+
+config();
 
 // URL base da API (o servidor precisa estar rodando)
 const API_URL = process.env.TEST_API_URL || 'http://127.0.0.1:3000';
 
+// Mesmo admin que o servidor cria a partir do .env
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+
+// Valor do cookie de refresh gravado pela resposta
+const getRefreshCookie = (response) => {
+  const cookie = (response.headers['set-cookie'] || []).find(c => c.startsWith('refresh_token='));
+  return cookie ? cookie.split(';')[0].slice('refresh_token='.length) : null;
+};
+
+// Login com cookies e token CSRF, para chamar as rotas que alteram dados
+const loginAgent = async (email, password) => {
+  const agent = request.agent(API_URL);
+  const login = await agent.post('/api/auth/login').send({ email, password });
+  assert.strictEqual(login.status, 200, `Login de ${email} falhou: ${login.status}`);
+
+  const csrf = await agent.get('/api/csrf-token');
+  const headers = { Authorization: `Bearer ${login.body.token}`, 'X-CSRF-Token': csrf.body.csrfToken };
+
+  return {
+    get: (path) => agent.get(path).set(headers),
+    post: (path, body) => agent.post(path).set(headers).send(body),
+    patch: (path, body) => agent.patch(path).set(headers).send(body)
+  };
+};
+
+// Usuário novo criado pelo admin, com email único em cada rodada
+let createdUsers = 0;
+const createUser = async (admin, role) => {
+  const email = `teste-${role}-${Date.now()}-${++createdUsers}@example.com`;
+  const password = 'Teste-Senha-123!';
+  const response = await admin.post('/api/admin/users', { name: `Teste ${role}`, email, role, password });
+  assert.strictEqual(response.status, 201);
+
+  return { id: response.body.user.id, email, password };
+};
+
 describe('API - Rotas Publicas', () => {
 
   describe('GET /', () => {
@@ -30,6 +71,15 @@ describe('API - Rotas Publicas', () => {
     });
   });
 
+  describe('GET /api/form-fields', () => {
+    it('deve retornar os campos do formulario sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/form-fields');
+
+      assert.strictEqual(response.status, 200);
+      assert.ok(Array.isArray(response.body.fields));
+    });
+  });
+
   describe('GET /api/courses', () => {
     it('deve retornar status 200', async () => {
       const response = await request(API_URL).get('/api/courses');
@@ -92,6 +142,18 @@ describe('API - Rotas Publicas', () => {
       assert.strictEqual(response.status, 400);
     });
 
+    it('deve rejeitar whatsapp que nao vira E.164', async () => {
+      const response = await request(API_URL)
+        .post('/api/leads')
+        .send({
+          name: 'Test User',
+          whatsapp: '+0 555 123 4567'
+        });
+
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.body.details[0].field, 'whatsapp');
+    });
+
     it('deve criar lead com dados validos', async () => {
       const leadData = {
         name: 'Test User',
@@ -114,8 +176,9 @@ describe('API - Rotas Publicas', () => {
 
       if (response.status === 201) {
         assert.ok(response.body.success);
-        assert.ok(response.body.lead);
-        assert.ok(response.body.lead.id);
+        assert.strictEqual(response.body.lead.name, leadData.name);
+        // Sem id: num envio repetido ele revelaria o lead já cadastrado
+        assert.strictEqual(response.body.lead.id, undefined);
       }
     });
 
@@ -197,6 +260,75 @@ describe('API - Autenticacao', () => {
     });
   });
 
+  describe('GET /api/auth/invite/:token', () => {
+    it('deve retornar 404 para convite invalido', async () => {
+      const response = await request(API_URL).get('/api/auth/invite/invalid-token');
+
+      assert.strictEqual(response.status, 404);
+      assert.ok(response.body.error);
+    });
+  });
+
+  describe('POST /api/auth/login/2fa', () => {
+    it('deve rejeitar desafio invalido', async () => {
+      const response = await request(API_URL)
+        .post('/api/auth/login/2fa')
+        .send({ challenge_token: 'invalid-challenge', code: '123456' });
+
+      assert.ok(
+        response.status === 401 || response.status === 429,
+        `Status deve ser 401 ou 429, recebeu: ${response.status}`
+      );
+    });
+  });
+
+  describe('GET /api/auth/2fa', () => {
+    it('deve retornar 401 sem token', async () => {
+      const response = await request(API_URL).get('/api/auth/2fa');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('POST /api/auth/forgot-password', () => {
+    it('deve rejeitar email invalido', async () => {
+      const response = await request(API_URL)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'not-an-email' });
+
+      assert.ok(
+        response.status === 400 || response.status === 429,
+        `Status deve ser 400 ou 429, recebeu: ${response.status}`
+      );
+    });
+  });
+
+  describe('GET /api/auth/reset-password/:token', () => {
+    it('deve retornar 404 para link invalido', async () => {
+      const response = await request(API_URL).get('/api/auth/reset-password/invalid-token');
+
+      assert.strictEqual(response.status, 404);
+      assert.ok(response.body.error);
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('deve retornar 401 sem cookie de refresh', async () => {
+      const response = await request(API_URL).post('/api/auth/refresh');
+
+      assert.strictEqual(response.status, 401);
+      assert.ok(response.body.error);
+    });
+  });
+
+  describe('GET /api/auth/sessions', () => {
+    it('deve retornar 401 sem token', async () => {
+      const response = await request(API_URL).get('/api/auth/sessions');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
   describe('POST /api/auth/logout', () => {
     it('deve retornar sucesso', async () => {
       const response = await request(API_URL)
@@ -260,6 +392,142 @@ describe('API - Rotas Admin (Protegidas)', () => {
       assert.strictEqual(response.status, 401);
     });
   });
+
+  describe('GET /api/admin/leads/export', () => {
+    it('deve rejeitar sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/admin/leads/export?format=csv');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('GET /api/admin/leads/filter-options', () => {
+    it('deve rejeitar sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/admin/leads/filter-options');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('GET /api/admin/leads/trash', () => {
+    it('deve rejeitar sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/admin/leads/trash');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('GET /api/admin/assignment', () => {
+    it('deve rejeitar sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/admin/assignment');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('GET /api/admin/users', () => {
+    it('deve rejeitar sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/admin/users');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('GET /api/admin/security/logins', () => {
+    it('deve rejeitar sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/admin/security/logins');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('GET /api/admin/sessions', () => {
+    it('deve rejeitar sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/admin/sessions');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('GET /api/admin/tasks', () => {
+    it('deve rejeitar sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/admin/tasks');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('GET /api/admin/leads/:id', () => {
+    it('deve rejeitar sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/admin/leads/1');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('GET /api/admin/leads/:id/activities', () => {
+    it('deve rejeitar sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/admin/leads/1/activities');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('GET /api/admin/stats/countries', () => {
+    it('deve rejeitar sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/admin/stats/countries');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('GET /api/admin/leads/duplicates', () => {
+    it('deve rejeitar sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/admin/leads/duplicates');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('GET /api/admin/pipeline/stages', () => {
+    it('deve rejeitar sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/admin/pipeline/stages');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('GET /api/admin/tags', () => {
+    it('deve rejeitar sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/admin/tags');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('GET /api/admin/custom-fields', () => {
+    it('deve rejeitar sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/admin/custom-fields');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('GET /api/admin/webhooks', () => {
+    it('deve rejeitar sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/admin/webhooks');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('GET /api/admin/webhooks/deliveries', () => {
+    it('deve rejeitar sem autenticacao', async () => {
+      const response = await request(API_URL).get('/api/admin/webhooks/deliveries');
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
 });
 
 describe('API - Seguranca', () => {
@@ -310,3 +578,136 @@ describe('API - Seguranca', () => {
     });
   });
 });
+
+describe('API - Sessoes', () => {
+
+  describe('POST /api/auth/refresh', () => {
+    it('deve encerrar a sessao quando um refresh token ja trocado e usado de novo', async () => {
+      const login = await request(API_URL)
+        .post('/api/auth/login')
+        .send({ email: ADMIN_EMAIL, password: ADMIN_PASSWORD });
+
+      assert.strictEqual(login.status, 200);
+      const firstToken = getRefreshCookie(login);
+      assert.ok(firstToken);
+
+      const refresh = await request(API_URL)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refresh_token=${firstToken}`);
+
+      assert.strictEqual(refresh.status, 200);
+      const secondToken = getRefreshCookie(refresh);
+      assert.ok(secondToken && secondToken !== firstToken);
+
+      // Alguém com a cópia do token antigo tenta renovar
+      const reuse = await request(API_URL)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refresh_token=${firstToken}`);
+
+      assert.strictEqual(reuse.status, 401);
+
+      // A sessão inteira cai: nem o token novo nem o access token valem mais
+      const afterReuse = await request(API_URL)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refresh_token=${secondToken}`);
+
+      assert.strictEqual(afterReuse.status, 401);
+
+      const me = await request(API_URL)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${refresh.body.token}`);
+
+      assert.strictEqual(me.status, 401);
+    });
+  });
+});
+
+describe('API - Bloqueio de Conta', () => {
+  let admin;
+  let user;
+
+  before(async () => {
+    admin = await loginAgent(ADMIN_EMAIL, ADMIN_PASSWORD);
+    user = await createUser(admin, 'viewer');
+  });
+
+  const login = (password) => request(API_URL)
+    .post('/api/auth/login')
+    .send({ email: user.email, password });
+
+  it('deve bloquear depois de erros seguidos e liberar pelo admin', async () => {
+    for (let i = 0; i < LOGIN_LOCKOUT_THRESHOLD; i++) {
+      assert.strictEqual((await login('Senha-Errada-123!')).status, 401);
+    }
+
+    // Com a senha errada, a conta bloqueada responde como um email que não existe
+    const wrong = await login('Senha-Errada-123!');
+    assert.strictEqual(wrong.status, 401);
+    assert.strictEqual(wrong.body.error, 'Credenciais inválidas');
+
+    // Nem a senha certa entra enquanto durar o bloqueio
+    const locked = await login(user.password);
+    assert.strictEqual(locked.status, 429);
+    assert.ok(locked.headers['retry-after']);
+
+    const unlock = await admin.post(`/api/admin/users/${user.id}/unlock`);
+    assert.strictEqual(unlock.status, 200);
+
+    assert.strictEqual((await login(user.password)).status, 200);
+  });
+});
+
+describe('API - Leads de Outro Vendedor', () => {
+  let leadId;
+  let owner;
+  let other;
+
+  before(async () => {
+    const admin = await loginAgent(ADMIN_EMAIL, ADMIN_PASSWORD);
+    const ownerUser = await createUser(admin, 'seller');
+    const otherUser = await createUser(admin, 'seller');
+
+    // Lead com email e WhatsApp únicos, para não cair em um lead que já existe
+    const suffix = String(Date.now()).slice(-6);
+    const email = `lead-vendedor-${suffix}@example.com`;
+    const created = await request(API_URL)
+      .post('/api/leads')
+      .send({ name: 'Lead do Vendedor', whatsapp: `+1 555 7${suffix}`, email });
+    assert.strictEqual(created.status, 201);
+
+    const list = await admin.get(`/api/admin/leads?search=${encodeURIComponent(email)}`);
+    leadId = list.body.leads[0].id;
+
+    const assign = await admin.patch(`/api/admin/leads/${leadId}/assign`, { user_id: ownerUser.id });
+    assert.strictEqual(assign.status, 200);
+
+    owner = await loginAgent(ownerUser.email, ownerUser.password);
+    other = await loginAgent(otherUser.email, otherUser.password);
+  });
+
+  it('deve mostrar o lead ao vendedor responsavel', async () => {
+    const response = await owner.get(`/api/admin/leads/${leadId}`);
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.lead.id, leadId);
+  });
+
+  it('deve esconder o lead dos outros vendedores', async () => {
+    const response = await other.get(`/api/admin/leads/${leadId}`);
+
+    assert.strictEqual(response.status, 404);
+  });
+
+  it('nao deve deixar outro vendedor editar o lead', async () => {
+    const response = await other.patch(`/api/admin/leads/${leadId}`, { name: 'Lead Alterado' });
+
+    assert.strictEqual(response.status, 404);
+  });
+
+  it('deve tirar o lead da listagem dos outros vendedores', async () => {
+    const response = await other.get('/api/admin/leads?limit=200');
+
+    assert.strictEqual(response.status, 200);
+    assert.ok(!response.body.leads.some(lead => lead.id === leadId));
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Testes da leitura e escrita de CSV (exportação e importação de leads)
+ * Não precisam do servidor rodando
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { escapeCsvValue, toCsvRow, parseCsv, detectCsvDelimiter, CSV_BOM } from '../lib/csv.js';
+
+describe('CSV', () => {
+
+  describe('escapeCsvValue', () => {
+    it('deve manter valores simples e acentos', () => {
+      assert.strictEqual(escapeCsvValue('João Conceição'), 'João Conceição');
+      assert.strictEqual(escapeCsvValue(42), '42');
+    });
+
+    it('deve transformar null e undefined em vazio', () => {
+      assert.strictEqual(escapeCsvValue(null), '');
+      assert.strictEqual(escapeCsvValue(undefined), '');
+    });
+
+    it('deve colocar entre aspas valores com separador, aspas ou quebra de linha', () => {
+      assert.strictEqual(escapeCsvValue('Boston, MA'), '"Boston, MA"');
+      assert.strictEqual(escapeCsvValue('Quero "fluência"'), '"Quero ""fluência"""');
+      assert.strictEqual(escapeCsvValue('linha 1\nlinha 2'), '"linha 1\nlinha 2"');
+    });
+
+    it('deve respeitar o separador escolhido', () => {
+      assert.strictEqual(escapeCsvValue('Boston, MA', ';'), 'Boston, MA');
+      assert.strictEqual(escapeCsvValue('a;b', ';'), '"a;b"');
+    });
+
+    it('deve neutralizar formulas', () => {
+      assert.strictEqual(escapeCsvValue('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+      assert.strictEqual(escapeCsvValue('@SUM(A1)'), "'@SUM(A1)");
+      assert.strictEqual(escapeCsvValue('+cmd'), "'+cmd");
+    });
+
+    it('deve manter telefones e numeros com sinal', () => {
+      assert.strictEqual(escapeCsvValue('+5511988887777'), '+5511988887777');
+      assert.strictEqual(escapeCsvValue('+1 (857) 555-1234'), '+1 (857) 555-1234');
+      assert.strictEqual(escapeCsvValue('-10'), '-10');
+    });
+  });
+
+  describe('toCsvRow', () => {
+    it('deve juntar os campos e terminar com CRLF', () => {
+      assert.strictEqual(toCsvRow(['Maria', 'São Paulo', null]), 'Maria,São Paulo,\r\n');
+      assert.strictEqual(toCsvRow(['Maria', 'São Paulo'], ';'), 'Maria;São Paulo\r\n');
+    });
+
+    it('deve usar o BOM do UTF-8', () => {
+      assert.strictEqual(Buffer.from(CSV_BOM, 'utf8').toString('hex'), 'efbbbf');
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('deve ler campos simples e ignorar linhas vazias', () => {
+      assert.deepStrictEqual(parseCsv('nome,cidade\r\nMaria,Boston\r\n\r\nJoão,Recife\n'), [
+        ['nome', 'cidade'],
+        ['Maria', 'Boston'],
+        ['João', 'Recife']
+      ]);
+    });
+
+    it('deve ler aspas, aspas escapadas e quebras de linha dentro de aspas', () => {
+      assert.deepStrictEqual(parseCsv('nome,mensagem\n"Silva, Ana","Quero ""fluência""\nrápido"'), [
+        ['nome', 'mensagem'],
+        ['Silva, Ana', 'Quero "fluência"\nrápido']
+      ]);
+    });
+
+    it('deve remover o BOM e manter campos vazios', () => {
+      assert.deepStrictEqual(parseCsv(CSV_BOM + 'a;b;c\n1;;3'), [
+        ['a', 'b', 'c'],
+        ['1', '', '3']
+      ]);
+    });
+
+    it('deve ler o que toCsvRow escreve', () => {
+      const values = ['Conceição, João', 'linha 1\nlinha 2', '"aspas"', ''];
+      assert.deepStrictEqual(parseCsv(toCsvRow(values, ';'), ';'), [values]);
+    });
+  });
+
+  describe('detectCsvDelimiter', () => {
+    it('deve escolher o separador mais frequente no cabecalho', () => {
+      assert.strictEqual(detectCsvDelimiter('nome;whatsapp;cidade\nMaria;1,5;x'), ';');
+      assert.strictEqual(detectCsvDelimiter('nome,whatsapp\n'), ',');
+      assert.strictEqual(detectCsvDelimiter('nome\twhatsapp\n'), '\t');
+    });
+
+    it('deve ignorar separadores dentro de aspas e usar virgula por padrao', () => {
+      assert.strictEqual(detectCsvDelimiter('"a;b;c",d\n'), ',');
+      assert.strictEqual(detectCsvDelimiter('nome\n'), ',');
+    });
+  });
+});
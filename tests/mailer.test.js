@@ -0,0 +1,99 @@
+/**
+ * Testes do envio de emails e dos transportes de desenvolvimento
+ * Não precisam do servidor rodando
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMailer, formatMessage, registerMailTransport } from '../lib/mailer.js';
+
+const message = {
+  to: 'admin@example.com',
+  subject: 'Redefinição de senha',
+  text: 'Abra o link: http://localhost:5173/reset-password/abc'
+};
+
+describe('Mailer', () => {
+
+  describe('formatMessage', () => {
+    it('deve montar headers e corpo separados por linha em branco', () => {
+      const text = formatMessage({ ...message, from: 'no-reply@example.com', date: new Date('2026-01-02T03:04:05Z') });
+
+      assert.ok(text.startsWith('From: no-reply@example.com\r\nTo: admin@example.com\r\n'));
+      assert.ok(text.includes('Date: Fri, 02 Jan 2026 03:04:05 GMT'));
+      assert.ok(text.endsWith('\r\n\r\n' + message.text));
+    });
+
+    it('deve codificar assunto com acentos', () => {
+      const text = formatMessage({ ...message, from: 'a@b.c' });
+      const encoded = Buffer.from(message.subject, 'utf8').toString('base64');
+
+      assert.ok(text.includes(`Subject: =?UTF-8?B?${encoded}?=`));
+    });
+  });
+
+  describe('transporte console', () => {
+    it('deve entregar o email formatado para o log', async () => {
+      const logged = [];
+      const mailer = createMailer({ transport: 'console', from: 'no-reply@example.com', log: (text) => logged.push(text) });
+
+      await mailer.send(message);
+
+      assert.strictEqual(logged.length, 1);
+      assert.ok(logged[0].includes('To: admin@example.com'));
+      assert.ok(logged[0].includes(message.text));
+    });
+  });
+
+  describe('transporte file', () => {
+    it('deve gravar um .eml por email', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailer-'));
+
+      try {
+        const mailer = createMailer({ transport: 'file', dir });
+        const { file } = await mailer.send(message);
+
+        assert.strictEqual(path.dirname(file), dir);
+        assert.ok(file.endsWith('.eml'));
+        assert.ok(fs.readFileSync(file, 'utf8').includes(message.text));
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('transportes plugáveis', () => {
+    it('deve aceitar um objeto com send', async () => {
+      const sent = [];
+      const mailer = createMailer({ transport: { send: async (m) => sent.push(m) }, from: 'x@example.com' });
+
+      await mailer.send(message);
+
+      assert.strictEqual(mailer.transport, 'custom');
+      assert.strictEqual(sent[0].from, 'x@example.com');
+      assert.strictEqual(sent[0].to, message.to);
+    });
+
+    it('deve usar um transporte registrado pelo nome', async () => {
+      const sent = [];
+      registerMailTransport('memory', ({ outbox }) => ({ send: async (m) => outbox.push(m) }));
+
+      await createMailer({ transport: 'memory', outbox: sent }).send(message);
+
+      assert.strictEqual(sent.length, 1);
+    });
+
+    it('deve recusar transporte desconhecido', () => {
+      assert.throws(() => createMailer({ transport: 'smtp-inexistente' }), /Transporte de email desconhecido/);
+    });
+
+    it('deve recusar email sem destinatário', async () => {
+      const mailer = createMailer({ transport: { send: async () => ({}) } });
+
+      await assert.rejects(mailer.send({ ...message, to: '' }), /destinatário/);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Testes da normalização de telefones para E.164
+ * Não precisam do servidor rodando
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { normalizePhone, detectCountry } from '../lib/phone.js';
+
+describe('Phone', () => {
+
+  describe('normalizePhone com DDI', () => {
+    it('deve normalizar numero americano com +1', () => {
+      assert.deepStrictEqual(normalizePhone('+1 (857) 555-1234'), {
+        e164: '+18575551234',
+        country: 'US'
+      });
+    });
+
+    it('deve normalizar numero brasileiro com +55', () => {
+      assert.deepStrictEqual(normalizePhone('+55 11 98888-7777'), {
+        e164: '+5511988887777',
+        country: 'BR'
+      });
+    });
+
+    it('deve aceitar prefixo 00 no lugar do +', () => {
+      assert.deepStrictEqual(normalizePhone('00 351 912 345 678'), {
+        e164: '+351912345678',
+        country: 'PT'
+      });
+    });
+
+    it('deve aceitar DDI fora da tabela sem pais', () => {
+      assert.deepStrictEqual(normalizePhone('+972 50 123 4567'), {
+        e164: '+972501234567',
+        country: null
+      });
+    });
+
+    it('deve rejeitar numero com tamanho invalido para o pais', () => {
+      assert.strictEqual(normalizePhone('+55 11 9888'), null);
+      assert.strictEqual(normalizePhone('+1 857 555 12345'), null);
+      assert.strictEqual(normalizePhone('+0 555 123 4567'), null);
+    });
+  });
+
+  describe('normalizePhone sem DDI', () => {
+    it('deve usar o pais padrao do formulario', () => {
+      assert.strictEqual(normalizePhone('857 555 1234', 'US').e164, '+18575551234');
+      assert.strictEqual(normalizePhone('(11) 98888-7777', 'BR').e164, '+5511988887777');
+    });
+
+    it('deve reconhecer numero brasileiro digitado no formulario americano', () => {
+      assert.deepStrictEqual(normalizePhone('11999999999', 'US'), {
+        e164: '+5511999999999',
+        country: 'BR'
+      });
+    });
+
+    it('deve reconhecer numero americano digitado no formulario brasileiro', () => {
+      assert.deepStrictEqual(normalizePhone('857 555 1234', 'BR'), {
+        e164: '+18575551234',
+        country: 'US'
+      });
+    });
+
+    it('deve reconhecer DDI digitado sem o +', () => {
+      assert.strictEqual(normalizePhone('5511988887777', 'US').e164, '+5511988887777');
+      assert.strictEqual(normalizePhone('18575551234', 'BR').e164, '+18575551234');
+    });
+
+    it('deve ignorar zero de tronco', () => {
+      assert.strictEqual(normalizePhone('011 98888-7777', 'BR').e164, '+5511988887777');
+    });
+
+    it('deve aceitar fixo brasileiro', () => {
+      assert.strictEqual(normalizePhone('(21) 3333-4444', 'BR').e164, '+552133334444');
+    });
+
+    it('deve rejeitar entradas invalidas', () => {
+      assert.strictEqual(normalizePhone(''), null);
+      assert.strictEqual(normalizePhone(null), null);
+      assert.strictEqual(normalizePhone('abc'), null);
+      assert.strictEqual(normalizePhone('12345'), null);
+    });
+  });
+
+  describe('detectCountry', () => {
+    it('deve detectar o pais pelo DDI mais longo', () => {
+      assert.strictEqual(detectCountry('351912345678'), 'PT');
+      assert.strictEqual(detectCountry('+5511988887777'), 'BR');
+      assert.strictEqual(detectCountry('18575551234'), 'US');
+    });
+
+    it('deve retornar null para DDI desconhecido', () => {
+      assert.strictEqual(detectCountry('972501234567'), null);
+    });
+  });
+});
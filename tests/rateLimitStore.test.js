@@ -0,0 +1,109 @@
+/**
+ * Testes do store de rate limit no SQLite
+ * Não precisam do servidor rodando: banco em memória e relógio fixo
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import Database from 'better-sqlite3';
+import { createRateLimitStore, purgeExpiredRateLimits } from '../lib/rateLimitStore.js';
+
+const WINDOW_MS = 15 * 60 * 1000;
+const START = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+describe('Rate limit store (SQLite)', () => {
+  let db;
+  let clock;
+
+  const createStore = (name = 'login') => {
+    const store = createRateLimitStore(db, { name, now: () => clock });
+    store.init({ windowMs: WINDOW_MS });
+    return store;
+  };
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    clock = START;
+  });
+
+  it('deve contar as requisições e fixar o fim da janela na primeira', () => {
+    const store = createStore();
+
+    assert.deepStrictEqual(store.increment('10.0.0.1'), { totalHits: 1, resetTime: new Date(START + WINDOW_MS) });
+
+    clock += 60 * 1000;
+    assert.deepStrictEqual(store.increment('10.0.0.1'), { totalHits: 2, resetTime: new Date(START + WINDOW_MS) });
+    assert.strictEqual(store.get('10.0.0.1').totalHits, 2);
+    assert.strictEqual(store.get('10.0.0.2'), undefined);
+  });
+
+  it('deve recomeçar a contagem quando a janela acaba', () => {
+    const store = createStore();
+    store.increment('10.0.0.1');
+    store.increment('10.0.0.1');
+
+    clock = START + WINDOW_MS;
+    assert.strictEqual(store.get('10.0.0.1'), undefined);
+    assert.deepStrictEqual(store.increment('10.0.0.1'), { totalHits: 1, resetTime: new Date(clock + WINDOW_MS) });
+  });
+
+  it('deve compartilhar o contador entre stores do mesmo limite (outro processo)', () => {
+    const first = createStore();
+    const second = createStore();
+
+    first.increment('10.0.0.1');
+    assert.strictEqual(second.increment('10.0.0.1').totalHits, 2);
+  });
+
+  it('deve separar os contadores de limites diferentes', () => {
+    const login = createStore('login');
+    const leads = createStore('leads');
+
+    login.increment('10.0.0.1');
+    login.increment('10.0.0.1');
+
+    assert.strictEqual(leads.increment('10.0.0.1').totalHits, 1);
+    leads.resetAll();
+    assert.strictEqual(login.get('10.0.0.1').totalHits, 2);
+  });
+
+  it('deve decrementar sem ficar negativo e zerar com resetKey', () => {
+    const store = createStore();
+    store.increment('10.0.0.1');
+
+    store.decrement('10.0.0.1');
+    store.decrement('10.0.0.1');
+    assert.strictEqual(store.get('10.0.0.1').totalHits, 0);
+
+    store.increment('10.0.0.1');
+    store.resetKey('10.0.0.1');
+    assert.strictEqual(store.get('10.0.0.1'), undefined);
+  });
+
+  it('deve listar só as chaves acima do limite na janela atual', () => {
+    const store = createStore();
+    for (let i = 0; i < 6; i++) store.increment('10.0.0.1');
+    for (let i = 0; i < 5; i++) store.increment('10.0.0.2');
+
+    assert.deepStrictEqual(store.listLimited(5), [
+      { key: '10.0.0.1', totalHits: 6, resetTime: new Date(START + WINDOW_MS) }
+    ]);
+
+    clock = START + WINDOW_MS;
+    assert.deepStrictEqual(store.listLimited(5), []);
+  });
+
+  it('deve apagar as janelas vencidas de todos os limites', () => {
+    createStore('login').increment('10.0.0.1');
+
+    clock += 60 * 1000;
+    createStore('leads').increment('10.0.0.1');
+
+    assert.strictEqual(purgeExpiredRateLimits(db, { now: START + WINDOW_MS }), 1);
+    assert.strictEqual(db.prepare('SELECT COUNT(*) as count FROM rate_limit_hits').get().count, 1);
+  });
+
+  it('deve exigir o nome do limite', () => {
+    assert.throws(() => createRateLimitStore(db, {}), /name/);
+  });
+});
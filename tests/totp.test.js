@@ -0,0 +1,116 @@
+/**
+ * Testes do TOTP (autenticação em dois fatores)
+ * Não precisam do servidor rodando: o relógio é fixo
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} from '../lib/totp.js';
+
+// Secret dos vetores de teste da RFC 6238 (ASCII "12345678901234567890")
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+// 2009-02-13T23:31:30Z, um dos instantes da tabela da RFC
+const NOW = 1234567890 * 1000;
+
+describe('TOTP', () => {
+
+  describe('base32', () => {
+    it('deve codificar e decodificar o mesmo buffer', () => {
+      const buffer = Buffer.from('12345678901234567890');
+
+      assert.strictEqual(SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      assert.deepStrictEqual(base32Decode(SECRET), buffer);
+    });
+
+    it('deve aceitar minúsculas, espaços e padding', () => {
+      assert.deepStrictEqual(base32Decode('gezd gnbv gy3t qojq===='), base32Decode('GEZDGNBVGY3TQOJQ'));
+    });
+
+    it('deve recusar caractere fora do alfabeto', () => {
+      assert.throws(() => base32Decode('GEZ1'), /base32/);
+    });
+
+    it('deve gerar secret de 160 bits', () => {
+      assert.strictEqual(base32Decode(generateTotpSecret()).length, 20);
+    });
+  });
+
+  describe('generateTotp', () => {
+    it('deve bater com os vetores da RFC 6238 (SHA1, 8 dígitos)', () => {
+      assert.strictEqual(generateTotp(SECRET, { now: 59 * 1000, digits: 8 }), '94287082');
+      assert.strictEqual(generateTotp(SECRET, { now: 1111111109 * 1000, digits: 8 }), '07081804');
+      assert.strictEqual(generateTotp(SECRET, { now: NOW, digits: 8 }), '89005924');
+      assert.strictEqual(generateTotp(SECRET, { now: 20000000000 * 1000, digits: 8 }), '65353130');
+    });
+
+    it('deve gerar 6 dígitos por padrão', () => {
+      assert.strictEqual(generateTotp(SECRET, { now: NOW }), '005924');
+    });
+  });
+
+  describe('verifyTotp', () => {
+    it('deve aceitar o código atual e devolver o contador', () => {
+      const code = generateTotp(SECRET, { now: NOW });
+
+      assert.strictEqual(verifyTotp(code, SECRET, { now: NOW }), Math.floor(1234567890 / 30));
+    });
+
+    it('deve aceitar um passo de diferença no relógio, mas não dois', () => {
+      const previous = generateTotp(SECRET, { now: NOW - 30 * 1000 });
+      const tooOld = generateTotp(SECRET, { now: NOW - 60 * 1000 });
+
+      assert.notStrictEqual(verifyTotp(previous, SECRET, { now: NOW }), null);
+      assert.strictEqual(verifyTotp(tooOld, SECRET, { now: NOW }), null);
+    });
+
+    it('deve recusar código já usado (lastCounter)', () => {
+      const code = generateTotp(SECRET, { now: NOW });
+      const counter = verifyTotp(code, SECRET, { now: NOW });
+
+      assert.strictEqual(verifyTotp(code, SECRET, { now: NOW, lastCounter: counter }), null);
+    });
+
+    it('deve ignorar espaços e recusar formato inválido', () => {
+      assert.notStrictEqual(verifyTotp('005 924', SECRET, { now: NOW }), null);
+      assert.strictEqual(verifyTotp('12345', SECRET, { now: NOW }), null);
+      assert.strictEqual(verifyTotp('abcdef', SECRET, { now: NOW }), null);
+      assert.strictEqual(verifyTotp(undefined, SECRET, { now: NOW }), null);
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('deve montar a URI com emissor e conta', () => {
+      const uri = buildOtpauthUri({ secret: SECRET, account: 'admin@example.com', issuer: 'Painel de Leads' });
+      const url = new URL(uri);
+
+      assert.ok(uri.startsWith('otpauth://totp/Painel%20de%20Leads%3Aadmin%40example.com?'));
+      assert.strictEqual(url.searchParams.get('secret'), SECRET);
+      assert.strictEqual(url.searchParams.get('issuer'), 'Painel de Leads');
+      assert.strictEqual(url.searchParams.get('period'), '30');
+    });
+  });
+
+  describe('códigos de recuperação', () => {
+    it('deve gerar códigos distintos no formato xxxxx-xxxxx', () => {
+      const codes = generateRecoveryCodes();
+
+      assert.strictEqual(codes.length, 10);
+      assert.strictEqual(new Set(codes).size, 10);
+      codes.forEach(code => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    });
+
+    it('deve normalizar o que o usuário digita', () => {
+      assert.strictEqual(normalizeRecoveryCode(' AB12C-3d4E5 '), 'ab12c3d4e5');
+    });
+  });
+});
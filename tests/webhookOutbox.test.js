@@ -0,0 +1,261 @@
+/**
+ * Testes do outbox de webhooks (fila, backoff e descarte)
+ * Não precisam do servidor rodando: banco em memória e relógio fixo
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import Database from 'better-sqlite3';
+import { createWebhookOutbox, getWebhookRetryDelay, toSqliteDate } from '../lib/webhookOutbox.js';
+
+const START = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+describe('Webhook outbox', () => {
+  let db;
+  let clock;
+
+  const createOutbox = (options = {}) => createWebhookOutbox(db, { now: () => clock, ...options });
+
+  const addSubscription = ({ events = ['lead.created'], active = 1 } = {}) => {
+    return db.prepare(`
+      INSERT INTO webhook_subscriptions (name, url, secret, events, active) VALUES (?, ?, ?, ?, ?)
+    `).run('Make', 'https://hook.example.com', 'whsec_teste', JSON.stringify(events), active).lastInsertRowid;
+  };
+
+  const failedAttempt = (delivery) => ({
+    number: delivery.attempts + 1,
+    headers: {},
+    statusCode: 500,
+    responseBody: 'erro',
+    error: 'HTTP 500',
+    durationMs: 10,
+    success: false
+  });
+
+  const getRow = (id) => db.prepare('SELECT * FROM webhook_outbox WHERE id = ?').get(id);
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    clock = START;
+  });
+
+  describe('getWebhookRetryDelay', () => {
+    it('deve dobrar a espera a cada tentativa até o teto', () => {
+      assert.deepStrictEqual([1, 2, 3, 4].map(n => getWebhookRetryDelay(n)), [30, 60, 120, 240]);
+      assert.strictEqual(getWebhookRetryDelay(20), 6 * 60 * 60);
+      assert.strictEqual(getWebhookRetryDelay(3, { baseSeconds: 10, maxSeconds: 25 }), 25);
+    });
+  });
+
+  describe('enqueue', () => {
+    it('deve gravar uma entrega por assinatura ativa que escuta o evento', () => {
+      const outbox = createOutbox();
+      const listening = addSubscription();
+      addSubscription({ events: ['lead.updated'] });
+      addSubscription({ active: 0 });
+
+      const ids = outbox.enqueue('lead.created', { id: 7 });
+
+      assert.strictEqual(ids.length, 1);
+      assert.strictEqual(getRow(ids[0]).subscription_id, listening);
+      assert.deepStrictEqual(JSON.parse(getRow(ids[0]).payload), { event: 'lead.created', id: 7 });
+    });
+
+    it('deve voltar sem esperar a entrega (dispatcher só depois)', async () => {
+      let dispatched = 0;
+      const outbox = createOutbox({ onEnqueue: () => dispatched++ });
+      addSubscription();
+
+      outbox.enqueue('lead.created', { id: 7 });
+      assert.strictEqual(dispatched, 0);
+
+      await new Promise(resolve => setImmediate(resolve));
+      assert.strictEqual(dispatched, 1);
+    });
+
+    it('deve segurar a entrega com holdSeconds', () => {
+      const outbox = createOutbox();
+      const subscriptionId = addSubscription({ active: 0 });
+
+      const [id] = outbox.enqueue('webhook.test', {}, { subscriptionId, holdSeconds: 3600 });
+
+      assert.strictEqual(getRow(id).next_attempt_at, toSqliteDate(START + 3600 * 1000));
+      assert.ok(outbox.getDelivery(id).url);
+    });
+  });
+
+  describe('recordAttempt', () => {
+    it('deve marcar como entregue no sucesso', () => {
+      const outbox = createOutbox();
+      addSubscription();
+      const [id] = outbox.enqueue('lead.created', {});
+
+      const outcome = outbox.recordAttempt(outbox.getDelivery(id), {
+        ...failedAttempt(outbox.getDelivery(id)), statusCode: 200, error: null, success: true
+      });
+
+      assert.deepStrictEqual(outcome, { status: 'delivered', retryInSeconds: null });
+      assert.strictEqual(getRow(id).status, 'delivered');
+      assert.strictEqual(getRow(id).delivered_at, toSqliteDate(START));
+    });
+
+    it('deve reagendar com backoff e descartar na última tentativa', () => {
+      const outbox = createOutbox({ maxAttempts: 3 });
+      addSubscription();
+      const [id] = outbox.enqueue('lead.created', {});
+
+      assert.deepStrictEqual(
+        outbox.recordAttempt(outbox.getDelivery(id), failedAttempt(outbox.getDelivery(id))),
+        { status: 'pending', retryInSeconds: 30 }
+      );
+      assert.strictEqual(getRow(id).next_attempt_at, toSqliteDate(START + 30 * 1000));
+
+      assert.strictEqual(
+        outbox.recordAttempt(outbox.getDelivery(id), failedAttempt(outbox.getDelivery(id))).retryInSeconds,
+        60
+      );
+
+      assert.deepStrictEqual(
+        outbox.recordAttempt(outbox.getDelivery(id), failedAttempt(outbox.getDelivery(id))),
+        { status: 'dead', retryInSeconds: null }
+      );
+      assert.strictEqual(getRow(id).status, 'dead');
+      assert.strictEqual(getRow(id).attempts, 3);
+      assert.strictEqual(db.prepare('SELECT COUNT(*) as count FROM webhook_attempts WHERE outbox_id = ?').get(id).count, 3);
+    });
+
+    it('deve descartar na primeira falha a entrega com uma tentativa só', () => {
+      const outbox = createOutbox();
+      const subscriptionId = addSubscription();
+      const [id] = outbox.enqueue('webhook.test', {}, { subscriptionId, maxAttempts: 1 });
+
+      assert.deepStrictEqual(
+        outbox.recordAttempt(outbox.getDelivery(id), failedAttempt(outbox.getDelivery(id))),
+        { status: 'dead', retryInSeconds: null }
+      );
+      assert.strictEqual(getRow(id).max_attempts, 1);
+    });
+  });
+
+  describe('redeliver', () => {
+    it('deve criar outra entrega com o mesmo payload para a mesma assinatura', async () => {
+      let dispatched = 0;
+      const outbox = createOutbox({ onEnqueue: () => dispatched++ });
+      const subscriptionId = addSubscription();
+      const [original] = outbox.enqueue('webhook.test', { id: 7 }, { subscriptionId, holdSeconds: 60, maxAttempts: 1 });
+
+      const { status, outboxId } = outbox.redeliver(original, { holdSeconds: 3600 });
+
+      assert.strictEqual(status, 'queued');
+      assert.strictEqual(getRow(outboxId).redelivery_of, original);
+      assert.strictEqual(getRow(outboxId).payload, getRow(original).payload);
+      assert.strictEqual(getRow(outboxId).max_attempts, 1);
+      assert.strictEqual(getRow(outboxId).next_attempt_at, toSqliteDate(START + 3600 * 1000));
+
+      await new Promise(resolve => setImmediate(resolve));
+      assert.strictEqual(dispatched, 0);
+
+      outbox.redeliver(original);
+      await new Promise(resolve => setImmediate(resolve));
+      assert.strictEqual(dispatched, 1);
+    });
+
+    it('deve recusar entrega inexistente e assinatura desativada ou apagada', () => {
+      const outbox = createOutbox();
+      const subscriptionId = addSubscription();
+      const [id] = outbox.enqueue('lead.created', {});
+      const count = () => db.prepare('SELECT COUNT(*) as count FROM webhook_outbox').get().count;
+
+      assert.deepStrictEqual(outbox.redeliver(999), { status: 'not_found', outboxId: null });
+
+      db.prepare('UPDATE webhook_subscriptions SET active = 0').run();
+      assert.strictEqual(outbox.redeliver(id).status, 'subscription_inactive');
+
+      db.pragma('foreign_keys = OFF');
+      db.prepare('DELETE FROM webhook_subscriptions WHERE id = ?').run(subscriptionId);
+      assert.strictEqual(outbox.redeliver(id).status, 'subscription_deleted');
+      assert.strictEqual(count(), 1);
+    });
+  });
+
+  describe('deleteSubscription', () => {
+    it('deve apagar a assinatura com as entregas e tentativas dela', () => {
+      const outbox = createOutbox();
+      const removed = addSubscription();
+      const kept = addSubscription();
+      const [id] = outbox.enqueue('lead.created', {});
+      outbox.recordAttempt(outbox.getDelivery(id), failedAttempt(outbox.getDelivery(id)));
+
+      assert.strictEqual(outbox.deleteSubscription(removed), true);
+      assert.strictEqual(outbox.deleteSubscription(removed), false);
+
+      assert.deepStrictEqual(db.prepare('SELECT subscription_id FROM webhook_outbox').all(), [{ subscription_id: kept }]);
+      assert.strictEqual(db.prepare('SELECT COUNT(*) as count FROM webhook_attempts').get().count, 0);
+    });
+
+    it('deve limpar entregas de assinaturas apagadas sem cascata', () => {
+      db.pragma('foreign_keys = OFF');
+      const outbox = createOutbox();
+      const subscriptionId = addSubscription();
+      const [id] = outbox.enqueue('lead.created', {});
+      outbox.recordAttempt(outbox.getDelivery(id), failedAttempt(outbox.getDelivery(id)));
+      db.prepare('DELETE FROM webhook_subscriptions WHERE id = ?').run(subscriptionId);
+
+      assert.deepStrictEqual(outbox.purgeOrphans(), { deliveries: 1, attempts: 1 });
+    });
+  });
+
+  describe('dispatch', () => {
+    it('deve entregar só o que venceu, de assinaturas ativas', async () => {
+      const outbox = createOutbox();
+      const subscriptionId = addSubscription();
+      const [due] = outbox.enqueue('lead.created', {});
+      outbox.enqueue('webhook.test', {}, { subscriptionId, holdSeconds: 3600 });
+
+      const sent = [];
+      await outbox.dispatch(async (delivery) => {
+        sent.push(delivery.id);
+        outbox.recordAttempt(delivery, { ...failedAttempt(delivery), success: true });
+      });
+
+      assert.deepStrictEqual(sent, [due]);
+
+      db.prepare('UPDATE webhook_subscriptions SET active = 0').run();
+      clock += 2 * 3600 * 1000;
+      assert.strictEqual(await outbox.dispatch(async () => {}), 0);
+    });
+
+    it('deve tentar de novo só depois do backoff, até descartar', async () => {
+      const outbox = createOutbox({ maxAttempts: 2 });
+      addSubscription();
+      const [id] = outbox.enqueue('lead.created', {});
+      const send = async (delivery) => outbox.recordAttempt(delivery, failedAttempt(delivery));
+
+      assert.strictEqual(await outbox.dispatch(send), 1);
+      assert.strictEqual(await outbox.dispatch(send), 0);
+
+      clock += 30 * 1000;
+      assert.strictEqual(await outbox.dispatch(send), 1);
+      assert.strictEqual(getRow(id).status, 'dead');
+
+      clock += 3600 * 1000;
+      assert.strictEqual(await outbox.dispatch(send), 0);
+    });
+
+    it('não deve rodar duas vezes ao mesmo tempo', async () => {
+      const outbox = createOutbox();
+      addSubscription();
+      outbox.enqueue('lead.created', {});
+
+      let release;
+      const first = outbox.dispatch(async (delivery) => {
+        await new Promise(resolve => { release = resolve; });
+        outbox.recordAttempt(delivery, { ...failedAttempt(delivery), success: true });
+      });
+
+      assert.strictEqual(await outbox.dispatch(async () => {}), 0);
+      release();
+      assert.strictEqual(await first, 1);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Testes da assinatura de webhooks (esquema v1)
+ * Não precisam do servidor rodando
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import {
+  computeSignature,
+  signWebhookPayload,
+  parseSignatureHeader,
+  verifyWebhookSignature
+} from '../lib/webhookSignature.js';
+
+const SECRET = 'whsec_test_secret_1234567890';
+const OLD_SECRET = 'whsec_old_secret_0987654321';
+const BODY = JSON.stringify({ event: 'lead.created', id: 1, name: 'Test User' });
+const TIMESTAMP = 1718000000;
+const NOW = TIMESTAMP * 1000;
+
+describe('Webhook Signature', () => {
+
+  describe('signWebhookPayload', () => {
+    it('deve assinar timestamp + body', () => {
+      const header = signWebhookPayload(BODY, SECRET, TIMESTAMP);
+      const expected = crypto
+        .createHmac('sha256', SECRET)
+        .update(`${TIMESTAMP}.${BODY}`)
+        .digest('hex');
+
+      assert.strictEqual(header, `t=${TIMESTAMP},v1=${expected}`);
+    });
+
+    it('deve incluir uma assinatura por secret ativo', () => {
+      const header = signWebhookPayload(BODY, [SECRET, OLD_SECRET], TIMESTAMP);
+      const { signatures } = parseSignatureHeader(header);
+
+      assert.deepStrictEqual(signatures, [
+        computeSignature(SECRET, TIMESTAMP, BODY),
+        computeSignature(OLD_SECRET, TIMESTAMP, BODY)
+      ]);
+    });
+
+    it('deve ignorar secrets vazios', () => {
+      const header = signWebhookPayload(BODY, [SECRET, null], TIMESTAMP);
+
+      assert.strictEqual(parseSignatureHeader(header).signatures.length, 1);
+    });
+
+    it('deve falhar sem nenhum secret', () => {
+      assert.throws(() => signWebhookPayload(BODY, [], TIMESTAMP));
+    });
+  });
+
+  describe('verifyWebhookSignature', () => {
+    it('deve aceitar assinatura valida', () => {
+      const header = signWebhookPayload(BODY, SECRET, TIMESTAMP);
+      const result = verifyWebhookSignature({ body: BODY, header, secrets: SECRET, now: NOW });
+
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.timestamp, TIMESTAMP);
+    });
+
+    it('deve rejeitar body alterado', () => {
+      const header = signWebhookPayload(BODY, SECRET, TIMESTAMP);
+      const result = verifyWebhookSignature({
+        body: BODY.replace('Test User', 'Outro'),
+        header,
+        secrets: SECRET,
+        now: NOW
+      });
+
+      assert.strictEqual(result.valid, false);
+    });
+
+    it('deve rejeitar timestamp trocado (replay com outro t)', () => {
+      const header = signWebhookPayload(BODY, SECRET, TIMESTAMP)
+        .replace(`t=${TIMESTAMP}`, `t=${TIMESTAMP + 60}`);
+      const result = verifyWebhookSignature({ body: BODY, header, secrets: SECRET, now: NOW });
+
+      assert.strictEqual(result.valid, false);
+    });
+
+    it('deve rejeitar timestamp fora da tolerancia', () => {
+      const header = signWebhookPayload(BODY, SECRET, TIMESTAMP);
+      const result = verifyWebhookSignature({
+        body: BODY,
+        header,
+        secrets: SECRET,
+        now: NOW + 10 * 60 * 1000
+      });
+
+      assert.strictEqual(result.valid, false);
+      assert.ok(result.reason.includes('Timestamp'));
+    });
+
+    it('deve aceitar durante rotacao com o secret antigo', () => {
+      const header = signWebhookPayload(BODY, [SECRET, OLD_SECRET], TIMESTAMP);
+      const result = verifyWebhookSignature({ body: BODY, header, secrets: OLD_SECRET, now: NOW });
+
+      assert.strictEqual(result.valid, true);
+    });
+
+    it('deve rejeitar secret desconhecido', () => {
+      const header = signWebhookPayload(BODY, SECRET, TIMESTAMP);
+      const result = verifyWebhookSignature({ body: BODY, header, secrets: 'outro-secret', now: NOW });
+
+      assert.strictEqual(result.valid, false);
+    });
+
+    it('deve rejeitar header malformado', () => {
+      const result = verifyWebhookSignature({ body: BODY, header: 'abc123', secrets: SECRET, now: NOW });
+
+      assert.strictEqual(result.valid, false);
+    });
+  });
+});